@@ -1,4 +1,5 @@
 require("dotenv").config();
+const os = require("os");
 
 const config = {
   server: {
@@ -11,10 +12,17 @@ const config = {
 
   security: {
     jwtSecret: process.env.JWT_SECRET,
-    jwtExpiresIn: process.env.JWT_EXPIRES_IN || "24h",
+    jwtExpiresIn: process.env.JWT_EXPIRES_IN || "15m",
+    refreshTokenExpiresInDays:
+      parseInt(process.env.REFRESH_TOKEN_EXPIRES_IN_DAYS) || 7,
     bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS) || 10,
     encryptionKey: process.env.ENCRYPTION_KEY || "default-encryption-key",
     virusTotalApiKey: process.env.VIRUSTOTAL_API_KEY,
+    initialAdmin: {
+      username: process.env.INITIAL_ADMIN_USERNAME,
+      email: process.env.INITIAL_ADMIN_EMAIL,
+      password: process.env.INITIAL_ADMIN_PASSWORD,
+    },
   },
 
   upload: {
@@ -50,7 +58,26 @@ const config = {
       apiKey: process.env.CLOUDINARY_API_KEY,
       apiSecret: process.env.CLOUDINARY_API_SECRET,
       secure: true,
-    }
+    },
+    local: {
+      directory: process.env.LOCAL_STORAGE_DIR || "./uploads",
+      baseUrl:
+        process.env.LOCAL_STORAGE_BASE_URL ||
+        `http://localhost:${parseInt(process.env.PORT) || 8888}`,
+      signingSecret:
+        process.env.LOCAL_STORAGE_SIGNING_SECRET || process.env.JWT_SECRET,
+      downloadUrlExpiry:
+        parseInt(process.env.LOCAL_STORAGE_URL_EXPIRY) || 60 * 60 * 1000,
+    },
+    s3: {
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || "us-east-1",
+      endpoint: process.env.S3_ENDPOINT,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== "false",
+      presignedUrlExpiry: parseInt(process.env.S3_PRESIGNED_URL_EXPIRY) || 3600,
+    },
   },
 
   puzzle: {
@@ -86,6 +113,30 @@ const config = {
     csvMaxRows: parseInt(process.env.CSV_MAX_ROWS) || 100000,
   },
 
+  queue: {
+    workerId: process.env.QUEUE_WORKER_ID,
+    pollInterval: parseInt(process.env.QUEUE_POLL_INTERVAL) || 1000,
+    leaseDuration: parseInt(process.env.QUEUE_LEASE_DURATION) || 60000,
+    completedJobMaxAge:
+      parseInt(process.env.QUEUE_COMPLETED_JOB_MAX_AGE) || 24 * 60 * 60 * 1000,
+    // Most jobs one user may have processing at once in a queue, by role
+    userInFlightLimits: {
+      viewer: parseInt(process.env.QUEUE_MAX_IN_FLIGHT_VIEWER) || 1,
+      uploader: parseInt(process.env.QUEUE_MAX_IN_FLIGHT_UPLOADER) || 3,
+      auditor: parseInt(process.env.QUEUE_MAX_IN_FLIGHT_AUDITOR) || 1,
+      admin: parseInt(process.env.QUEUE_MAX_IN_FLIGHT_ADMIN) || 10,
+    },
+  },
+
+  workerPool: {
+    size:
+      process.env.WORKER_POOL_SIZE
+        ? parseInt(process.env.WORKER_POOL_SIZE)
+        : Math.max(1, os.cpus().length - 1),
+    maxMemoryMb: parseInt(process.env.WORKER_POOL_MAX_MEMORY_MB) || 512,
+    taskTimeout: parseInt(process.env.WORKER_POOL_TASK_TIMEOUT) || 120000,
+  },
+
   cleanup: {
     interval: parseInt(process.env.CLEANUP_INTERVAL) || 60 * 60 * 1000,
     tempFileMaxAge:
@@ -113,6 +164,7 @@ const config = {
   versioning: {
     enabled: process.env.ENABLE_FILE_VERSIONING !== "false",
     maxVersionsPerFile: parseInt(process.env.MAX_VERSIONS_PER_FILE) || 10,
+    diffMaxChanges: parseInt(process.env.VERSION_DIFF_MAX_CHANGES) || 1000,
   },
 
   batchProcessing: {
@@ -122,6 +174,37 @@ const config = {
     maxConcurrency: parseInt(process.env.MAX_BATCH_CONCURRENCY) || 5,
   },
 
+  sharing: {
+    expiredLinkRetentionDays:
+      parseInt(process.env.SHARE_EXPIRED_LINK_RETENTION_DAYS) || 30,
+    accessLogRetentionDays:
+      parseInt(process.env.SHARE_ACCESS_LOG_RETENTION_DAYS) || 90,
+    ipHashSalt: process.env.SHARE_IP_HASH_SALT || process.env.JWT_SECRET || "",
+    maxRecipients: parseInt(process.env.SHARE_MAX_RECIPIENTS) || 50,
+    verificationCodeTtlMinutes:
+      parseInt(process.env.SHARE_VERIFICATION_CODE_TTL_MINUTES) || 10,
+    verificationMaxAttempts:
+      parseInt(process.env.SHARE_VERIFICATION_MAX_ATTEMPTS) || 5,
+    verificationResendSeconds:
+      parseInt(process.env.SHARE_VERIFICATION_RESEND_SECONDS) || 60,
+    recipientAccessExpiresIn: process.env.SHARE_RECIPIENT_ACCESS_EXPIRES_IN || "1h",
+    passwordMaxAttempts: parseInt(process.env.SHARE_PASSWORD_MAX_ATTEMPTS) || 5,
+    passwordLockoutMinutes:
+      parseInt(process.env.SHARE_PASSWORD_LOCKOUT_MINUTES) || 15,
+  },
+
+  collections: {
+    maxFilesPerCollection: parseInt(process.env.MAX_FILES_PER_COLLECTION) || 500,
+    archiveCompressionLevel:
+      parseInt(process.env.COLLECTION_ARCHIVE_COMPRESSION_LEVEL) || 6,
+  },
+
+  notifications: {
+    driver: process.env.NOTIFIER_DRIVER || "outbox",
+    from: process.env.NOTIFIER_FROM || "no-reply@file-processing.local",
+    outboxPath: process.env.NOTIFIER_OUTBOX_PATH || "./outbox/notifications.jsonl",
+  },
+
   quotas: {
     enabled: process.env.ENABLE_STORAGE_QUOTAS !== "false",
     defaultUserQuota:
@@ -137,6 +220,15 @@ const config = {
     algorithm: process.env.ENCRYPTION_ALGORITHM || "aes-256-gcm",
     keyRotationInterval:
       parseInt(process.env.KEY_ROTATION_INTERVAL) || 30 * 24 * 60 * 60 * 1000,
+    currentKeyVersion: parseInt(process.env.ENCRYPTION_KEY_VERSION) || 1,
+    previousKeys: (process.env.ENCRYPTION_PREVIOUS_KEYS || "")
+      .split(",")
+      .filter((entry) => entry.includes(":"))
+      .reduce((keys, entry) => {
+        const separator = entry.indexOf(":");
+        keys[parseInt(entry.slice(0, separator))] = entry.slice(separator + 1);
+        return keys;
+      }, {}),
   },
 };
 
@@ -151,6 +243,18 @@ if (config.server.isProduction) {
     );
   }
 
+  if (config.storage.type === "local") {
+    requiredEnvVars.push("LOCAL_STORAGE_BASE_URL");
+  }
+
+  if (config.storage.type === "s3") {
+    requiredEnvVars.push(
+      "S3_BUCKET",
+      "S3_ACCESS_KEY_ID",
+      "S3_SECRET_ACCESS_KEY"
+    );
+  }
+
   requiredEnvVars.push("MONGO_URI");
 
   const missing = requiredEnvVars.filter((envVar) => !process.env[envVar]);
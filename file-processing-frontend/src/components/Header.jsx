@@ -2,19 +2,24 @@ import React, { useState } from 'react'
 import { useAuth } from '../contexts/AuthContext'
 
 const Header = () => {
-  const { user, login, logout } = useAuth()
+  const { user, login, register, logout } = useAuth()
   const [showLoginModal, setShowLoginModal] = useState(false)
+  const [isRegistering, setIsRegistering] = useState(false)
   const [loginForm, setLoginForm] = useState({
-    userId: 'test-user',
-    role: 'user'
+    username: '',
+    email: '',
+    password: ''
   })
 
   const handleLogin = async (e) => {
     e.preventDefault()
-    const success = await login(loginForm.userId, loginForm.role)
+    const success = isRegistering
+      ? await register(loginForm.username, loginForm.email, loginForm.password)
+      : await login(loginForm.username, loginForm.password)
     if (success) {
       setShowLoginModal(false)
-      setLoginForm({ userId: 'test-user', role: 'user' })
+      setIsRegistering(false)
+      setLoginForm({ username: '', email: '', password: '' })
     }
   }
 
@@ -34,7 +39,7 @@ const Header = () => {
             {user ? (
               <div className="user-info">
                 <div className="user-text">
-                  <div className="username">{user.userId}</div>
+                  <div className="username">{user.username || user.userId}</div>
                   <div className="user-role">
                     {user.role === 'admin' ? (
                       <span className="role-badge admin">
@@ -42,7 +47,8 @@ const Header = () => {
                       </span>
                     ) : (
                       <span className="role-badge user">
-                        <i className="fas fa-user"></i> User
+                        <i className="fas fa-user"></i>{' '}
+                        {user.role ? user.role.charAt(0).toUpperCase() + user.role.slice(1) : 'User'}
                       </span>
                     )}
                   </div>
@@ -68,7 +74,7 @@ const Header = () => {
           <div className="modal">
             <div className="modal-header">
               <h2>
-                <i className="fas fa-sign-in-alt"></i> Login to System
+                <i className="fas fa-sign-in-alt"></i> {isRegistering ? 'Create Account' : 'Login to System'}
               </h2>
               <button className="close-btn" onClick={() => setShowLoginModal(false)}>
                 <i className="fas fa-times"></i>
@@ -78,39 +84,57 @@ const Header = () => {
             <form onSubmit={handleLogin} className="login-form">
               <div className="form-group">
                 <label>
-                  <i className="fas fa-user"></i> User ID
+                  <i className="fas fa-user"></i> {isRegistering ? 'Username' : 'Username or Email'}
                 </label>
                 <input
                   type="text"
-                  value={loginForm.userId}
+                  value={loginForm.username}
                   onChange={(e) =>
-                    setLoginForm((prev) => ({ ...prev, userId: e.target.value }))
+                    setLoginForm((prev) => ({ ...prev, username: e.target.value }))
                   }
-                  placeholder="Enter your user ID"
+                  placeholder={isRegistering ? 'Choose a username' : 'Enter your username or email'}
+                  autoComplete="username"
                   required
                 />
-                <p className="form-note">
-                  Use 'test-user' for demo or any custom ID
-                </p>
               </div>
 
+              {isRegistering && (
+                <div className="form-group">
+                  <label>
+                    <i className="fas fa-envelope"></i> Email
+                  </label>
+                  <input
+                    type="email"
+                    value={loginForm.email}
+                    onChange={(e) =>
+                      setLoginForm((prev) => ({ ...prev, email: e.target.value }))
+                    }
+                    placeholder="Enter your email address"
+                    autoComplete="email"
+                    required
+                  />
+                </div>
+              )}
+
               <div className="form-group">
                 <label>
-                  <i className="fas fa-user-tag"></i> Role
+                  <i className="fas fa-lock"></i> Password
                 </label>
-                <select
-                  value={loginForm.role}
+                <input
+                  type="password"
+                  value={loginForm.password}
                   onChange={(e) =>
-                    setLoginForm((prev) => ({ ...prev, role: e.target.value }))
+                    setLoginForm((prev) => ({ ...prev, password: e.target.value }))
                   }
+                  placeholder="Enter your password"
+                  autoComplete={isRegistering ? 'new-password' : 'current-password'}
                   required
-                >
-                  <option value="user">User</option>
-                  <option value="admin">Administrator</option>
-                </select>
-                <p className="form-note">
-                  Admin role provides access to system management features
-                </p>
+                />
+                {isRegistering && (
+                  <p className="form-note">
+                    At least 8 characters, including a letter and a number
+                  </p>
+                )}
               </div>
 
               <div className="form-actions">
@@ -122,29 +146,20 @@ const Header = () => {
                   Cancel
                 </button>
                 <button type="submit" className="btn submit-btn">
-                  <i className="fas fa-sign-in-alt"></i> Login
+                  <i className={isRegistering ? 'fas fa-user-plus' : 'fas fa-sign-in-alt'}></i>{' '}
+                  {isRegistering ? 'Create Account' : 'Login'}
                 </button>
               </div>
             </form>
 
             <div className="quick-login">
-              <h4>Quick Login Options:</h4>
-              <div className="quick-buttons">
-                <button
-                  onClick={() =>
-                    setLoginForm({ userId: 'test-user', role: 'user' })
-                  }
-                  className="btn demo-user-btn"
-                >
-                  Demo User
-                </button>
-                <button
-                  onClick={() => setLoginForm({ userId: 'admin', role: 'admin' })}
-                  className="btn demo-admin-btn"
-                >
-                  Demo Admin
-                </button>
-              </div>
+              <button
+                type="button"
+                onClick={() => setIsRegistering((prev) => !prev)}
+                className="btn demo-user-btn"
+              >
+                {isRegistering ? 'Already have an account? Login' : 'Need an account? Register'}
+              </button>
             </div>
           </div>
         </div>
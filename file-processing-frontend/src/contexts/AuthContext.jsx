@@ -30,25 +30,19 @@ export const AuthProvider = ({ children }) => {
       }
     } catch (error) {
       console.error('Auth check failed:', error)
-      localStorage.removeItem('authToken')
       authService.clearToken()
     } finally {
       setLoading(false)
     }
   }
 
-  const login = async (userId, role) => {
+  const login = async (username, password) => {
     try {
       setLoading(true)
-      const response = await authService.generateTestToken(userId, role)
-
-      if (response.token) {
-        localStorage.setItem('authToken', response.token)
-        authService.setToken(response.token)
-        setUser(response.user)
-        toast.success(`Welcome ${response.user.userId}!`)
-        return true
-      }
+      const response = await authService.login(username, password)
+      setUser(response.user)
+      toast.success(`Welcome ${response.user.username}!`)
+      return true
     } catch (error) {
       toast.error(`Login failed: ${error.message}`)
       return false
@@ -57,9 +51,23 @@ export const AuthProvider = ({ children }) => {
     }
   }
 
-  const logout = () => {
-    localStorage.removeItem('authToken')
-    authService.clearToken()
+  const register = async (username, email, password) => {
+    try {
+      setLoading(true)
+      const response = await authService.register(username, email, password)
+      setUser(response.user)
+      toast.success(`Welcome ${response.user.username}!`)
+      return true
+    } catch (error) {
+      toast.error(`Registration failed: ${error.message}`)
+      return false
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const logout = async () => {
+    await authService.logout()
     setUser(null)
     toast.success('Logged out successfully')
   }
@@ -68,6 +76,7 @@ export const AuthProvider = ({ children }) => {
     user,
     loading,
     login,
+    register,
     logout,
     checkAuthStatus
   }
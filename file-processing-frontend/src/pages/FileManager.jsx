@@ -1,5 +1,6 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { apiClient } from '../services/apiClient';
+import { subscribeToJobEvents, TERMINAL_EVENTS } from '../services/jobEvents';
 import toast from 'react-hot-toast';
 
 const FileManager = () => {
@@ -7,11 +8,31 @@ const FileManager = () => {
   const [loading, setLoading] = useState(true);
   const [filters, setFilters] = useState({ search: '', status: '', page: 1, limit: 20 });
   const [selectedFile, setSelectedFile] = useState(null);
+  const shownFileIds = useRef(new Set());
 
   useEffect(() => {
     loadFiles();
   }, [filters]);
 
+  useEffect(() => {
+    shownFileIds.current = new Set(files.map(file => file.id));
+  }, [files]);
+
+  // Status changes arrive over the job event stream instead of by polling
+  useEffect(() => {
+    return subscribeToJobEvents({}, (event) => {
+      if (!event.fileId || !shownFileIds.current.has(event.fileId)) return;
+
+      if (TERMINAL_EVENTS.includes(event.type)) {
+        refreshFile(event.fileId);
+      } else {
+        setFiles(prev => prev.map(file =>
+          file.id === event.fileId && file.status === 'uploaded' ? { ...file, status: 'processing' } : file
+        ));
+      }
+    });
+  }, []);
+
   const loadFiles = async () => {
     try {
       setLoading(true);
@@ -30,11 +51,23 @@ const FileManager = () => {
     }
   };
 
+  const refreshFile = async (fileId) => {
+    try {
+      const response = await apiClient.get(`/api/upload/${fileId}`);
+      const updated = response.data.file;
+      setFiles(prev => prev.map(file => (file.id === fileId ? { ...file, status: updated.status } : file)));
+      setSelectedFile(prev => (prev && prev.id === fileId ? updated : prev));
+    } catch (error) {
+      console.error('Failed to refresh file:', error);
+    }
+  };
+
   const downloadFile = async (fileId) => {
     try {
       const response = await apiClient.get(`/api/upload/${fileId}/download`);
-      if (response.data.secureUrl) {
-        window.open(response.data.secureUrl, '_blank');
+      const url = response.data.downloadUrl || response.data.secureUrl;
+      if (url) {
+        window.open(url, '_blank');
         toast.success('Download started');
       }
     } catch (error) {
@@ -56,7 +89,7 @@ const FileManager = () => {
   const viewFileDetails = async (fileId) => {
     try {
       const response = await apiClient.get(`/api/upload/${fileId}`);
-      setSelectedFile(response.data);
+      setSelectedFile(response.data.file);
     } catch (error) {
       toast.error(`Failed to load file details: ${error.response?.data?.error || error.message}`);
     }
@@ -82,7 +115,10 @@ const FileManager = () => {
       uploaded: 'badge-warning',
       processing: 'badge-info',
       processed: 'badge-success',
-      error: 'badge-error'
+      completed: 'badge-success',
+      error: 'badge-error',
+      failed: 'badge-error',
+      blocked: 'badge-error'
     };
     return badges[status] || 'badge-info';
   };
@@ -205,6 +241,20 @@ const FileManager = () => {
                   <div><span>Uploaded:</span> <span>{new Date(selectedFile.uploadDate).toLocaleString()}</span></div>
                 </div>
               </div>
+              {selectedFile.processingSteps?.length > 0 && (
+                <div className="modal-section">
+                  <h3>Processing Steps</h3>
+                  <div className="modal-info">
+                    {selectedFile.processingSteps.map(step => (
+                      <div key={step.name}>
+                        <span>{step.name}{step.optional ? ' (optional)' : ''}:</span>{' '}
+                        <span className={`badge ${getStatusBadge(step.status)}`}>{step.status}</span>
+                        {step.error && <span> {step.error}</span>}
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
               {selectedFile.processingResult && (
                 <div className="modal-section">
                   <h3>Processing Result</h3>
@@ -5,11 +5,13 @@ import toast from 'react-hot-toast'
 const FileSharing = () => {
   const [shareLinks, setShareLinks] = useState([])
   const [loading, setLoading] = useState(false)
+  const [activity, setActivity] = useState({})
   const [createForm, setCreateForm] = useState({
     fileId: '',
     expiresIn: '24h',
     password: '',
     maxDownloads: '',
+    recipients: '',
     allowPreview: true
   })
 
@@ -42,6 +44,9 @@ const FileSharing = () => {
 
       if (createForm.password) payload.password = createForm.password
       if (createForm.maxDownloads) payload.maxDownloads = parseInt(createForm.maxDownloads)
+      if (createForm.recipients.trim()) {
+        payload.recipients = createForm.recipients.split(/[\s,;]+/).filter(Boolean)
+      }
 
       const response = await apiClient.post(`/api/sharing/${createForm.fileId}`, payload)
 
@@ -51,6 +56,7 @@ const FileSharing = () => {
         expiresIn: '24h',
         password: '',
         maxDownloads: '',
+        recipients: '',
         allowPreview: true
       })
       loadShareLinks()
@@ -69,6 +75,33 @@ const FileSharing = () => {
     })
   }
 
+  const toggleActivity = async (token) => {
+    if (activity[token]) {
+      setActivity((prev) => {
+        const next = { ...prev }
+        delete next[token]
+        return next
+      })
+      return
+    }
+
+    try {
+      const [details, history] = await Promise.all([
+        apiClient.get(`/api/sharing/${token}`),
+        apiClient.get(`/api/sharing/${token}/access`, { params: { limit: 20 } })
+      ])
+      setActivity((prev) => ({
+        ...prev,
+        [token]: {
+          summary: details.data.accessSummary,
+          entries: history.data.entries || []
+        }
+      }))
+    } catch (error) {
+      toast.error(`Failed to load link activity: ${error.response?.data?.error || error.message}`)
+    }
+  }
+
   const deleteShareLink = async (token) => {
     if (!confirm('Are you sure you want to delete this share link?')) return
 
@@ -196,6 +229,20 @@ const FileSharing = () => {
             </div>
           </div>
 
+          <div className="form-group">
+            <label className="form-label">Recipients (Optional)</label>
+            <textarea
+              className="form-input"
+              rows="2"
+              placeholder="alice@example.com, bob@example.com"
+              value={createForm.recipients}
+              onChange={(e) => setCreateForm(prev => ({ ...prev, recipients: e.target.value }))}
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              Only these addresses can download, after confirming a one-time code sent to them
+            </p>
+          </div>
+
           <div className="flex items-center gap-3">
             <input
               type="checkbox"
@@ -246,8 +293,8 @@ const FileSharing = () => {
                     <h3 className="font-medium text-gray-800">{link.fileName}</h3>
                     <p className="text-sm text-gray-500">File ID: {link.fileId}</p>
                   </div>
-                  <span className={`badge ${link.isActive ? 'badge-success' : 'badge-error'}`}>
-                    {link.isActive ? 'Active' : 'Expired'}
+                  <span className={`badge ${link.status === 'active' ? 'badge-success' : 'badge-error'}`}>
+                    {link.status ? link.status.charAt(0).toUpperCase() + link.status.slice(1) : 'Active'}
                   </span>
                 </div>
 
@@ -316,7 +363,9 @@ const FileSharing = () => {
                   <div>
                     <span className="text-gray-600">Protected:</span>
                     <div className="font-medium">
-                      {link.hasPassword ? 'Yes' : 'No'}
+                      {[link.hasPassword && 'Password', link.recipients?.length && `${link.recipients.length} recipient(s)`]
+                        .filter(Boolean)
+                        .join(', ') || 'No'}
                     </div>
                   </div>
                   <div>
@@ -364,6 +413,13 @@ const FileSharing = () => {
                       Preview Link
                     </button>
                   )}
+                  <button
+                    onClick={() => toggleActivity(link.token)}
+                    className="btn btn-sm btn-outline"
+                  >
+                    <i className="fas fa-history"></i>
+                    {activity[link.token] ? 'Hide Activity' : 'Activity'}
+                  </button>
                   <button
                     onClick={() => deleteShareLink(link.token)}
                     className="btn btn-sm btn-danger"
@@ -372,6 +428,65 @@ const FileSharing = () => {
                     Delete
                   </button>
                 </div>
+
+                {activity[link.token] && (
+                  <div className="mt-3 text-sm">
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-2">
+                      <div>
+                        <span className="text-gray-600">Downloads:</span>
+                        <div className="font-medium">{activity[link.token].summary.successfulDownloads}</div>
+                      </div>
+                      <div>
+                        <span className="text-gray-600">Failed attempts:</span>
+                        <div className="font-medium">{activity[link.token].summary.failedAttempts}</div>
+                      </div>
+                      <div>
+                        <span className="text-gray-600">Password failures:</span>
+                        <div className="font-medium">{activity[link.token].summary.passwordFailures}</div>
+                      </div>
+                      <div>
+                        <span className="text-gray-600">Lockouts:</span>
+                        <div className="font-medium">
+                          {activity[link.token].summary.lockouts}
+                          {activity[link.token].summary.lastLockoutAt &&
+                            ` (last ${new Date(activity[link.token].summary.lastLockoutAt).toLocaleString()})`}
+                        </div>
+                      </div>
+                      <div>
+                        <span className="text-gray-600">Unique visitors:</span>
+                        <div className="font-medium">{activity[link.token].summary.uniqueVisitors}</div>
+                      </div>
+                    </div>
+                    {activity[link.token].entries.length === 0 ? (
+                      <p className="text-gray-500">No one has used this link yet</p>
+                    ) : (
+                      <table className="w-full text-left">
+                        <thead>
+                          <tr className="text-gray-600">
+                            <th>Time</th>
+                            <th>Event</th>
+                            <th>Result</th>
+                            <th>Visitor</th>
+                            <th>User agent</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {activity[link.token].entries.map((entry, index) => (
+                            <tr key={index}>
+                              <td>{new Date(entry.timestamp).toLocaleString()}</td>
+                              <td>{entry.event}</td>
+                              <td className={entry.success ? 'text-green-600' : 'text-red-600'}>
+                                {entry.success ? 'Success' : entry.reason}
+                              </td>
+                              <td><code>{entry.ipHash || '-'}</code></td>
+                              <td className="truncate max-w-xs">{entry.userAgent || '-'}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    )}
+                  </div>
+                )}
               </div>
             ))}
           </div>
@@ -1,18 +1,74 @@
-import React, { useState, useCallback } from 'react'
+import React, { useState, useCallback, useEffect } from 'react'
 import { useDropzone } from 'react-dropzone'
 import { apiClient } from '../services/apiClient'
+import { subscribeToJobEvents, TERMINAL_EVENTS } from '../services/jobEvents'
 import toast from 'react-hot-toast'
 
+const STEP_STATUSES = {
+  queued: 'queued',
+  started: 'running',
+  progress: 'running',
+  retrying: 'retrying',
+  completed: 'completed',
+  failed: 'failed',
+  cancelled: 'cancelled'
+}
+
 const FileUpload = () => {
   const [uploadProgress, setUploadProgress] = useState(0)
   const [uploading, setUploading] = useState(false)
   const [uploadResult, setUploadResult] = useState(null)
+  const [processing, setProcessing] = useState(null)
   const [uploadOptions, setUploadOptions] = useState({
     createVersion: false,
     parentFileId: '',
     versionDescription: ''
   })
 
+  const uploadedFileId = uploadResult?.file?.id
+
+  // Follow processing of the uploaded file until it is processed or failed
+  useEffect(() => {
+    if (!uploadedFileId) return
+
+    let unsubscribe = () => {}
+
+    const loadProcessingState = async () => {
+      try {
+        const response = await apiClient.get(`/api/upload/${uploadedFileId}`)
+        const { status, processingSteps } = response.data.file
+        setProcessing(prev => ({ ...prev, status, steps: processingSteps || [] }))
+
+        if (status === 'processed' || status === 'failed') {
+          unsubscribe()
+        }
+      } catch (error) {
+        console.error('Failed to load processing state:', error)
+      }
+    }
+
+    setProcessing({ status: 'uploaded', progress: 0, steps: [] })
+    unsubscribe = subscribeToJobEvents({ fileId: uploadedFileId }, (event) => {
+      setProcessing(prev => ({
+        ...prev,
+        status: prev.status === 'uploaded' ? 'processing' : prev.status,
+        progress: event.step ? prev.progress : event.progress,
+        steps: prev.steps.map(step =>
+          step.name === event.step && step.jobId === event.jobId
+            ? { ...step, status: STEP_STATUSES[event.type] || step.status, error: event.error }
+            : step
+        )
+      }))
+
+      if (TERMINAL_EVENTS.includes(event.type)) {
+        loadProcessingState()
+      }
+    })
+    loadProcessingState()
+
+    return () => unsubscribe()
+  }, [uploadedFileId])
+
   const onDrop = useCallback(async (acceptedFiles) => {
     if (acceptedFiles.length === 0) return
     await handleFileUpload(acceptedFiles[0])
@@ -36,6 +92,7 @@ const FileUpload = () => {
     setUploading(true)
     setUploadProgress(0)
     setUploadResult(null)
+    setProcessing(null)
 
     try {
       const formData = new FormData()
@@ -80,6 +137,19 @@ const FileUpload = () => {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i]
   }
 
+  const getFileStatusBadge = (status) => {
+    if (status === 'processed') return 'badge-processed'
+    if (status === 'failed') return 'badge-error'
+    return 'badge-processing'
+  }
+
+  const getStepBadge = (status) => {
+    if (status === 'completed') return 'badge-success'
+    if (status === 'failed' || status === 'blocked') return 'badge-error'
+    if (status === 'running' || status === 'retrying') return 'badge-processing'
+    return 'badge-info'
+  }
+
   const getFileIcon = (type) => {
     if (type.startsWith('image/')) return 'fas fa-image text-blue-500'
     if (type === 'application/pdf') return 'fas fa-file-pdf text-red-500'
@@ -238,7 +308,13 @@ const FileUpload = () => {
                   <i className="fas fa-check-circle text-green-500 text-xl"></i>
                   <div>
                     <h3 className="font-medium text-green-800">Upload Successful</h3>
-                    <p className="text-green-600 mt-1">File uploaded and processing started</p>
+                    <p className="text-green-600 mt-1">
+                      {processing?.status === 'processed'
+                        ? 'File uploaded and processed'
+                        : processing?.status === 'failed'
+                          ? 'File uploaded, but processing failed'
+                          : 'File uploaded and processing started'}
+                    </p>
                   </div>
                 </div>
               </div>
@@ -253,12 +329,35 @@ const FileUpload = () => {
                     <div className="flex justify-between"><span className="text-gray-600">Type:</span><span className="flex items-center gap-2"><i className={getFileIcon(uploadResult.file?.mimetype || '')}></i>{uploadResult.file?.mimetype}</span></div>
                   </div>
                   <div className="space-y-2">
-                    <div className="flex justify-between"><span className="text-gray-600">Status:</span><span className="badge badge-processing">{uploadResult.file?.status || 'uploaded'}</span></div>
+                    <div className="flex justify-between"><span className="text-gray-600">Status:</span><span className={`badge ${getFileStatusBadge(processing?.status)}`}>{processing?.status || uploadResult.file?.status || 'uploaded'}</span></div>
                     <div className="flex justify-between"><span className="text-gray-600">Encrypted:</span><span className={`badge ${uploadResult.encryption?.encrypted ? 'badge-success' : 'badge-info'}`}>{uploadResult.encryption?.encrypted ? 'Yes' : 'No'}</span></div>
                     <div className="flex justify-between"><span className="text-gray-600">Storage:</span><span className="badge badge-info">Cloud</span></div>
                   </div>
                 </div>
               </div>
+
+              {processing && (processing.steps.length > 0 || processing.progress > 0) && (
+                <div className="bg-gray-50 rounded-lg p-4">
+                  <h4 className="font-medium text-gray-800 mb-3">Processing</h4>
+                  {processing.steps.length > 0 ? (
+                    <div className="space-y-2">
+                      {processing.steps.map(step => (
+                        <div key={step.name} className="flex justify-between">
+                          <span className="text-gray-600">
+                            {step.name}{step.optional ? ' (optional)' : ''}
+                            {step.error && <span className="text-red-600 text-sm ml-2">{step.error}</span>}
+                          </span>
+                          <span className={`badge ${getStepBadge(step.status)}`}>{step.status}</span>
+                        </div>
+                      ))}
+                    </div>
+                  ) : (
+                    <div className="progress-container">
+                      <div className="progress-bar" style={{ width: `${processing.progress}%` }}></div>
+                    </div>
+                  )}
+                </div>
+              )}
             </div>
           )}
         </div>
@@ -1,5 +1,12 @@
 import axios from "axios";
 
+const SESSION_ENDPOINTS = [
+  "/api/auth/login",
+  "/api/auth/register",
+  "/api/auth/refresh",
+  "/api/auth/logout",
+];
+
 class ApiClient {
   constructor() {
     this.client = axios.create({
@@ -23,18 +30,69 @@ class ApiClient {
       }
     );
 
+    this.refreshPromise = null;
+
     this.client.interceptors.response.use(
       (response) => response,
-      (error) => {
-        if (error.response?.status === 401) {
-          localStorage.removeItem("authToken");
-          window.location.href = "/dashboard";
+      async (error) => {
+        const originalRequest = error.config;
+        const isAuthRequest = SESSION_ENDPOINTS.includes(originalRequest?.url);
+
+        if (
+          error.response?.status === 401 &&
+          originalRequest &&
+          !originalRequest._retry &&
+          !isAuthRequest &&
+          localStorage.getItem("refreshToken")
+        ) {
+          originalRequest._retry = true;
+
+          try {
+            const token = await this.refreshAccessToken();
+            originalRequest.headers.Authorization = `Bearer ${token}`;
+            return this.client(originalRequest);
+          } catch (refreshError) {
+            this.handleSessionExpired();
+            return Promise.reject(refreshError);
+          }
+        }
+
+        if (error.response?.status === 401 && !isAuthRequest) {
+          this.handleSessionExpired();
         }
         return Promise.reject(error);
       }
     );
   }
 
+  refreshAccessToken() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.client
+        .post("/api/auth/refresh", {
+          refreshToken: localStorage.getItem("refreshToken"),
+        })
+        .then((response) => {
+          const { token, refreshToken } = response.data;
+          localStorage.setItem("authToken", token);
+          localStorage.setItem("refreshToken", refreshToken);
+          this.setAuthToken(token);
+          return token;
+        })
+        .finally(() => {
+          this.refreshPromise = null;
+        });
+    }
+
+    return this.refreshPromise;
+  }
+
+  handleSessionExpired() {
+    localStorage.removeItem("authToken");
+    localStorage.removeItem("refreshToken");
+    this.clearAuthToken();
+    window.location.href = "/dashboard";
+  }
+
   setAuthToken(token) {
     if (token) {
       this.client.defaults.headers.Authorization = `Bearer ${token}`;
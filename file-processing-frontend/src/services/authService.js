@@ -5,27 +5,31 @@ class AuthService {
     this.token = localStorage.getItem("authToken");
   }
 
-  setToken(token) {
+  setToken(token, refreshToken = null) {
     this.token = token;
     localStorage.setItem("authToken", token);
+    if (refreshToken) {
+      localStorage.setItem("refreshToken", refreshToken);
+    }
     apiClient.setAuthToken(token);
   }
 
   clearToken() {
     this.token = null;
     localStorage.removeItem("authToken");
+    localStorage.removeItem("refreshToken");
     apiClient.clearAuthToken();
   }
 
-  async login(userId = "test-user", role = "user") {
+  async login(username, password) {
     try {
       const response = await apiClient.post("/api/auth/login", {
-        userId,
-        role,
+        username,
+        password,
       });
 
-      const { token, user } = response.data;
-      this.setToken(token);
+      const { token, refreshToken, user } = response.data;
+      this.setToken(token, refreshToken);
 
       return { token, user };
     } catch (error) {
@@ -33,15 +37,45 @@ class AuthService {
     }
   }
 
-  async generateTestToken(userId = "test-user", role = "user") {
+  async register(username, email, password) {
     try {
-      const response = await apiClient.post("/api/auth/test-token", {
-        userId,
-        role,
+      const response = await apiClient.post("/api/auth/register", {
+        username,
+        email,
+        password,
       });
+
+      const { token, refreshToken, user } = response.data;
+      this.setToken(token, refreshToken);
+
+      return { token, user };
+    } catch (error) {
+      throw new Error(error.response?.data?.error || "Registration failed");
+    }
+  }
+
+  async changePassword(currentPassword, newPassword) {
+    try {
+      const response = await apiClient.post("/api/auth/change-password", {
+        currentPassword,
+        newPassword,
+      });
+      this.setToken(response.data.token, response.data.refreshToken);
       return response.data;
     } catch (error) {
-      throw new Error(error.response?.data?.error || "Authentication failed");
+      throw new Error(error.response?.data?.error || "Password change failed");
+    }
+  }
+
+  async logout() {
+    try {
+      await apiClient.post("/api/auth/logout", {
+        refreshToken: localStorage.getItem("refreshToken"),
+      });
+    } catch (error) {
+      console.error("Logout request failed:", error);
+    } finally {
+      this.clearToken();
     }
   }
 
@@ -71,7 +105,7 @@ class AuthService {
   }
 
   getToken() {
-    return this.token;
+    return localStorage.getItem("authToken") || this.token;
   }
 }
 
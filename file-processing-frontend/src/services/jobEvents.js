@@ -0,0 +1,98 @@
+import { apiClient } from "./apiClient";
+
+const RECONNECT_DELAY = 3000;
+
+export const TERMINAL_EVENTS = ["completed", "failed", "cancelled"];
+
+function parseMessage(message) {
+  let name = "message";
+  const data = [];
+
+  for (const line of message.split("\n")) {
+    if (line.startsWith("event:")) {
+      name = line.slice(6).trim();
+    } else if (line.startsWith("data:")) {
+      data.push(line.slice(5).trim());
+    }
+  }
+
+  return data.length > 0 ? { name, data: JSON.parse(data.join("\n")) } : null;
+}
+
+// EventSource cannot send an Authorization header, so the stream is read with fetch instead.
+// filter is { fileId }, { batchId } or {} for all of my jobs; returns a function that closes the stream
+export function subscribeToJobEvents(filter, onEvent) {
+  const controller = new AbortController();
+  let stopped = false;
+
+  const params = new URLSearchParams();
+  if (filter.fileId) params.append("fileId", filter.fileId);
+  if (filter.batchId) params.append("batchId", filter.batchId);
+  const query = params.toString();
+  const url = `${apiClient.client.defaults.baseURL}/api/events/jobs${query ? `?${query}` : ""}`;
+
+  const connect = async (refreshed = false) => {
+    try {
+      const response = await fetch(url, {
+        headers: {
+          Accept: "text/event-stream",
+          Authorization: `Bearer ${localStorage.getItem("authToken")}`,
+        },
+        signal: controller.signal,
+      });
+
+      if (response.status === 401 && !refreshed && localStorage.getItem("refreshToken")) {
+        try {
+          await apiClient.refreshAccessToken();
+        } catch (refreshError) {
+          stopped = true;
+          apiClient.handleSessionExpired();
+          return;
+        }
+        return connect(true);
+      }
+
+      // Access and lookup errors will not go away by reconnecting
+      if (response.status >= 400 && response.status < 500) {
+        stopped = true;
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error(`Event stream failed with status ${response.status}`);
+      }
+
+      const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+      let buffer = "";
+
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += value;
+        const messages = buffer.split("\n\n");
+        buffer = messages.pop();
+
+        for (const message of messages) {
+          const event = parseMessage(message);
+          if (event && event.name !== "ready") {
+            onEvent(event.data);
+          }
+        }
+      }
+    } catch (error) {
+      if (stopped) return;
+    }
+
+    if (!stopped) {
+      setTimeout(() => !stopped && connect(), RECONNECT_DELAY);
+    }
+  };
+
+  connect();
+
+  return () => {
+    stopped = true;
+    controller.abort();
+  };
+}
@@ -1,8 +1,33 @@
 const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const RevokedToken = require('../models/RevokedToken');
+const { apiKeyService } = require('../services/apiKeyService');
+const { logger } = require('../utils/logger');
 
 const JWT_SECRET = process.env.JWT_SECRET;
 
+function authenticateApiKey(req, res, next) {
+  apiKeyService
+    .authenticate(req.get('x-api-key'), { ip: req.ip })
+    .then((principal) => {
+      if (!principal) {
+        return res.status(401).json({ error: 'Invalid, expired or revoked API key' });
+      }
+      req.user = principal;
+      next();
+    })
+    .catch((error) => {
+      logger.error('API key authentication failed', { error: error.message });
+      res.status(503).json({ error: 'Unable to verify API key' });
+    });
+}
+
 function authenticateToken(req, res, next) {
+  if (req.get('x-api-key')) {
+    return authenticateApiKey(req, res, next);
+  }
+
   const authHeader = req.get('authorization');
   
   if (!authHeader) {
@@ -15,13 +40,37 @@ function authenticateToken(req, res, next) {
     return res.status(401).json({ error: 'Invalid authorization header format' });
   }
 
+  let user;
   try {
-    const user = jwt.verify(token, JWT_SECRET);
-    req.user = user;
-    next();
+    user = jwt.verify(token, JWT_SECRET);
   } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ error: 'Token expired', code: 'TOKEN_EXPIRED' });
+    }
+    return res.status(403).json({ error: 'Invalid or expired token' });
+  }
+
+  if (user.purpose) {
     return res.status(403).json({ error: 'Invalid or expired token' });
   }
+
+  if (!user.jti) {
+    req.user = user;
+    return next();
+  }
+
+  RevokedToken.exists({ jti: user.jti })
+    .then((revoked) => {
+      if (revoked) {
+        return res.status(401).json({ error: 'Token has been revoked', code: 'TOKEN_REVOKED' });
+      }
+      req.user = user;
+      next();
+    })
+    .catch((error) => {
+      logger.error('Token revocation check failed', { error: error.message });
+      res.status(503).json({ error: 'Unable to verify token' });
+    });
 }
 
 function optionalAuth(req, next) {
@@ -42,13 +91,62 @@ function optionalAuth(req, next) {
   next();
 }
 
-function generateTestToken(userId = 'test-user', role = 'user') {
+function generateTestToken(userId = 'test-user', role = 'uploader') {
   return jwt.sign({ userId, role }, JWT_SECRET, { expiresIn: '24h' });
 }
 
+function generateAccessToken(user) {
+  return jwt.sign(
+    { userId: user.userId, username: user.username, role: user.role },
+    JWT_SECRET,
+    { expiresIn: config.security.jwtExpiresIn, jwtid: uuidv4() }
+  );
+}
+
+function generateDownloadToken(fileId, userId, expiresIn = '5m') {
+  return jwt.sign({ fileId, userId, purpose: 'download' }, JWT_SECRET, { expiresIn });
+}
+
+function generateShareAccessToken(shareToken, email, expiresIn) {
+  return jwt.sign({ shareToken, email, purpose: 'share-access' }, JWT_SECRET, { expiresIn });
+}
+
+function verifyShareAccessToken(token, shareToken) {
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    return payload.purpose === 'share-access' && payload.shareToken === shareToken ? payload : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function decodeAccessToken(token) {
+  try {
+    const payload = jwt.verify(token, JWT_SECRET, { ignoreExpiration: true });
+    return payload.purpose ? null : payload;
+  } catch (error) {
+    return null;
+  }
+}
+
+function verifyDownloadToken(token, fileId) {
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    return payload.purpose === 'download' && payload.fileId === fileId ? payload : null;
+  } catch (error) {
+    return null;
+  }
+}
+
 module.exports = {
   authenticateToken,
   optionalAuth,
   generateTestToken,
+  generateAccessToken,
+  generateDownloadToken,
+  verifyDownloadToken,
+  generateShareAccessToken,
+  verifyShareAccessToken,
+  decodeAccessToken,
   JWT_SECRET
 };
\ No newline at end of file
@@ -100,23 +100,19 @@ async function performVirusScan(buffer, filename) {
 }
 
 async function validateFile(file) {
-  try {
-    if (!validateMimeType(file.mimetype)) {
-      throw new Error(`File type ${file.mimetype} is not allowed`);
-    }
-
-    validateFileSize(file.size);
+  if (!validateMimeType(file.mimetype)) {
+    throw new Error(`File type ${file.mimetype} is not allowed`);
+  }
 
-    if (file.buffer) {
-      validateFileContent(file.buffer, file.mimetype);
+  validateFileSize(file.size);
 
-      await performVirusScan(file.buffer, file.originalname);
-    }
+  if (file.buffer) {
+    validateFileContent(file.buffer, file.mimetype);
 
-    return true;
-  } catch (error) {
-    throw error;
+    await performVirusScan(file.buffer, file.originalname);
   }
+
+  return true;
 }
 
 module.exports = {
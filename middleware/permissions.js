@@ -0,0 +1,132 @@
+const PERMISSIONS = {
+  FILES_READ: 'files:read',
+  FILES_WRITE: 'files:write',
+  FILES_MANAGE_ALL: 'files:manage:all',
+  SHARE_CREATE: 'share:create',
+  SHARE_MANAGE_ALL: 'share:manage:all',
+  BATCH_RUN: 'batch:run',
+  SCAN_RUN: 'scan:run',
+  LOGS_READ: 'logs:read',
+  QUEUE_READ: 'queue:read',
+  QUEUE_MANAGE: 'queue:manage',
+  USAGE_READ_ALL: 'usage:read:all',
+  QUOTAS_MANAGE: 'quotas:manage',
+  USERS_MANAGE: 'users:manage',
+  ENCRYPTION_READ: 'encryption:read',
+  ENCRYPTION_MANAGE: 'encryption:manage',
+  API_KEYS_MANAGE_ALL: 'api-keys:manage:all',
+  ACCOUNT_MANAGE: 'account:manage'
+};
+
+const ROLE_PERMISSIONS = {
+  viewer: [
+    PERMISSIONS.FILES_READ,
+    PERMISSIONS.ACCOUNT_MANAGE
+  ],
+  uploader: [
+    PERMISSIONS.FILES_READ,
+    PERMISSIONS.FILES_WRITE,
+    PERMISSIONS.SHARE_CREATE,
+    PERMISSIONS.BATCH_RUN,
+    PERMISSIONS.SCAN_RUN,
+    PERMISSIONS.ACCOUNT_MANAGE
+  ],
+  auditor: [
+    PERMISSIONS.LOGS_READ,
+    PERMISSIONS.QUEUE_READ,
+    PERMISSIONS.USAGE_READ_ALL,
+    PERMISSIONS.ENCRYPTION_READ,
+    PERMISSIONS.ACCOUNT_MANAGE
+  ],
+  admin: Object.values(PERMISSIONS)
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const DEFAULT_ROLE = 'uploader';
+
+// Roles issued before the permission model existed
+const LEGACY_ROLE_ALIASES = {
+  user: 'uploader'
+};
+
+// API key scopes that grant each permission; permissions not listed here are never available to API keys
+const PERMISSION_SCOPES = {
+  [PERMISSIONS.FILES_READ]: 'files:read',
+  [PERMISSIONS.FILES_WRITE]: 'files:write',
+  [PERMISSIONS.SHARE_CREATE]: 'share:create',
+  [PERMISSIONS.BATCH_RUN]: 'batch:run',
+  [PERMISSIONS.SCAN_RUN]: 'files:write'
+};
+
+function resolveRole(role) {
+  return LEGACY_ROLE_ALIASES[role] || role;
+}
+
+function getRolePermissions(role) {
+  return ROLE_PERMISSIONS[resolveRole(role)] || [];
+}
+
+function roleHasPermission(role, permission) {
+  return getRolePermissions(role).includes(permission);
+}
+
+function hasPermission(user, permission) {
+  if (!user || !roleHasPermission(user.role, permission)) {
+    return false;
+  }
+
+  if (user.authType === 'apiKey') {
+    const scope = PERMISSION_SCOPES[permission];
+    return Boolean(scope && user.scopes.includes(scope));
+  }
+
+  return true;
+}
+
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    if (hasPermission(req.user, permission)) {
+      return next();
+    }
+
+    if (req.user.authType === 'apiKey' && roleHasPermission(req.user.role, permission)) {
+      const scope = PERMISSION_SCOPES[permission];
+      return res.status(403).json({
+        error: scope
+          ? `API key is missing required scope: ${scope}`
+          : 'API keys are not accepted for this endpoint',
+        requiredScope: scope || null
+      });
+    }
+
+    res.status(403).json({
+      error: 'Insufficient permissions',
+      requiredPermission: permission
+    });
+  };
+}
+
+function canAccessOwnedResource(user, ownerId, managePermission) {
+  if (!user) return false;
+  if (ownerId && ownerId === user.userId) return true;
+  return hasPermission(user, managePermission);
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES,
+  DEFAULT_ROLE,
+  PERMISSION_SCOPES,
+  resolveRole,
+  getRolePermissions,
+  roleHasPermission,
+  hasPermission,
+  requirePermission,
+  canAccessOwnedResource
+};
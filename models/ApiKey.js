@@ -0,0 +1,93 @@
+const mongoose = require("mongoose");
+const { v4: uuidv4 } = require("uuid");
+
+const API_KEY_SCOPES = ["files:read", "files:write", "share:create", "batch:run"];
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    keyId: {
+      type: String,
+      required: true,
+      unique: true,
+      default: () => `key-${uuidv4().substring(0, 8)}`,
+    },
+
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+
+    userId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+
+    prefix: {
+      type: String,
+      required: true,
+    },
+
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+
+    scopes: {
+      type: [{ type: String, enum: API_KEY_SCOPES }],
+      validate: {
+        validator: (scopes) => scopes.length > 0,
+        message: "At least one scope is required",
+      },
+    },
+
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+
+    lastUsedIp: String,
+
+    revokedAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+
+    revokedBy: String,
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret._id;
+        delete ret.__v;
+        delete ret.keyHash;
+        ret.status = ret.revokedAt
+          ? "revoked"
+          : ret.expiresAt && ret.expiresAt <= new Date()
+          ? "expired"
+          : "active";
+        return ret;
+      },
+    },
+  }
+);
+
+apiKeySchema.methods.isUsable = function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+const ApiKey = mongoose.model("ApiKey", apiKeySchema);
+
+module.exports = ApiKey;
+module.exports.API_KEY_SCOPES = API_KEY_SCOPES;
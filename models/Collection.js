@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+const { v4: uuidv4 } = require("uuid");
+
+const collectionSchema = new mongoose.Schema(
+  {
+    collectionId: {
+      type: String,
+      required: true,
+      unique: true,
+      default: () => `col-${uuidv4().substring(0, 8)}`,
+    },
+
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
+
+    ownerId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret._id;
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+collectionSchema.index({ ownerId: 1, name: 1 }, { unique: true });
+
+const Collection = mongoose.model("Collection", collectionSchema);
+
+module.exports = Collection;
@@ -72,6 +72,67 @@ const fileSchema = new mongoose.Schema(
       default: null,
     },
 
+    // Name of the processing pipeline run for this version and the state of each of its steps
+    processingPipeline: {
+      type: String,
+      default: null,
+    },
+
+    processingSteps: [
+      {
+        _id: false,
+        name: {
+          type: String,
+          required: true,
+        },
+        status: {
+          type: String,
+          enum: [
+            "pending",
+            "queued",
+            "running",
+            "retrying",
+            "completed",
+            "failed",
+            "blocked",
+          ],
+          default: "pending",
+        },
+        optional: {
+          type: Boolean,
+          default: false,
+        },
+        dependsOn: [String],
+        jobId: {
+          type: String,
+          default: null,
+        },
+        attempts: {
+          type: Number,
+          default: 0,
+        },
+        result: {
+          type: mongoose.Schema.Types.Mixed,
+          default: null,
+        },
+        error: {
+          type: String,
+          default: null,
+        },
+        queuedAt: Date,
+        startedAt: Date,
+        completedAt: Date,
+      },
+    ],
+
+    // Terms extracted from the content by the index step, matched by search
+    keywords: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+
     tags: [
       {
         type: String,
@@ -86,6 +147,12 @@ const fileSchema = new mongoose.Schema(
       maxlength: 1000,
     },
 
+    encrypted: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+
     encryptionMeta: {
       type: mongoose.Schema.Types.Mixed,
       default: null,
@@ -102,21 +169,29 @@ const fileSchema = new mongoose.Schema(
       default: null,
     },
 
-    shareToken: {
+    changeDescription: {
       type: String,
-      default: null,
+      trim: true,
+      maxlength: 1000,
+      default: "",
     },
 
-    shareExpiry: {
-      type: Date,
+    versionCreatedBy: {
+      type: String,
       default: null,
     },
 
-    sharePassword: {
-      type: String,
+    versionCreatedAt: {
+      type: Date,
       default: null,
     },
 
+    collectionIds: [
+      {
+        type: String,
+      },
+    ],
+
     downloadCount: {
       type: Number,
       default: 0,
@@ -177,7 +252,6 @@ const fileSchema = new mongoose.Schema(
       transform: function (doc, ret) {
         delete ret._id;
         delete ret.__v;
-        delete ret.sharePassword;
         return ret;
       },
     },
@@ -190,15 +264,8 @@ fileSchema.index({ status: 1, createdAt: -1 });
 fileSchema.index({ publicAccess: 1, status: 1 });
 fileSchema.index({ mimetype: 1, status: 1 });
 fileSchema.index({ tags: 1 });
-fileSchema.index(
-  { shareToken: 1 },
-  {
-    unique: true,
-    sparse: true,
-    partialFilterExpression: { shareToken: { $ne: null } },
-  }
-);
-fileSchema.index({ parentFileId: 1 }, { sparse: true });
+fileSchema.index({ parentFileId: 1, version: -1 }, { sparse: true });
+fileSchema.index({ collectionIds: 1 });
 
 fileSchema.virtual("secureUrl").get(function () {
   return this.cloudinaryUrl;
@@ -229,7 +296,7 @@ fileSchema.pre("save", function (next) {
 });
 
 fileSchema.statics.findByUploader = function (uploaderId, options = {}) {
-  const query = { uploaderId, status: { $ne: "deleted" } };
+  const query = { uploaderId, parentFileId: null, status: { $ne: "deleted" } };
 
   let mongoQuery = this.find(query);
 
@@ -257,7 +324,7 @@ fileSchema.statics.findByUploader = function (uploaderId, options = {}) {
 };
 
 fileSchema.statics.findPublicFiles = function (options = {}) {
-  const query = { publicAccess: true, status: "processed" };
+  const query = { publicAccess: true, parentFileId: null, status: "processed" };
 
   let mongoQuery = this.find(query);
 
@@ -285,10 +352,12 @@ fileSchema.statics.searchFiles = function (
 
   let query = {
     status: { $ne: "deleted" },
+    parentFileId: null,
     $or: [
       { originalName: searchRegex },
       { description: searchRegex },
       { tags: { $in: [searchRegex] } },
+      { keywords: { $in: [searchRegex] } },
     ],
   };
 
@@ -344,28 +413,6 @@ fileSchema.methods.restore = function (restoredCloudinaryPublicId = null) {
   return this.save();
 };
 
-fileSchema.methods.createShareToken = function (
-  expiryHours = 24,
-  password = null
-) {
-  this.shareToken = uuidv4();
-  this.shareExpiry = new Date(Date.now() + expiryHours * 60 * 60 * 1000);
-  if (password) {
-    const crypto = require("crypto");
-    this.sharePassword = crypto
-      .createHash("sha256")
-      .update(password)
-      .digest("hex");
-  }
-  return this.save();
-};
-
-fileSchema.methods.isShareValid = function () {
-  if (!this.shareToken) return false;
-  if (this.shareExpiry && this.shareExpiry < new Date()) return false;
-  return true;
-};
-
 const File = mongoose.model("File", fileSchema);
 
 module.exports = File;
@@ -0,0 +1,66 @@
+const mongoose = require("mongoose");
+
+// State of a cluster-wide recurring job; the definition itself is registered in code
+const jobScheduleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    queue: {
+      type: String,
+      required: true,
+    },
+
+    jobType: {
+      type: String,
+      required: true,
+    },
+
+    // The cron expression or interval the stored nextRunAt was computed from
+    definition: {
+      type: String,
+      required: true,
+    },
+
+    nextRunAt: {
+      type: Date,
+      required: true,
+    },
+
+    lastRunAt: {
+      type: Date,
+      default: null,
+    },
+
+    lastJobId: {
+      type: String,
+      default: null,
+    },
+
+    lastStatus: {
+      type: String,
+      enum: ["queued", "retrying", "completed", "failed", null],
+      default: null,
+    },
+
+    lastError: {
+      type: String,
+      default: null,
+    },
+
+    lastFinishedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const JobSchedule = mongoose.model("JobSchedule", jobScheduleSchema);
+
+module.exports = JobSchedule;
@@ -0,0 +1,57 @@
+const mongoose = require("mongoose");
+
+// Cluster-wide lock for maintenance tasks that must not run twice at once; a holder that dies
+// without releasing it is replaced once expiresAt has passed
+const maintenanceLockSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    owner: {
+      type: String,
+      required: true,
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Takes over a missing or expired lock; the unique name makes a concurrent insert fail instead
+maintenanceLockSchema.statics.acquire = async function (name, owner, ttl) {
+  const now = new Date();
+
+  try {
+    await this.findOneAndUpdate(
+      { name, expiresAt: { $lte: now } },
+      { $set: { owner, expiresAt: new Date(now.getTime() + ttl) } },
+      { upsert: true, new: true }
+    );
+    return true;
+  } catch (error) {
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+maintenanceLockSchema.statics.release = function (name, owner) {
+  return this.deleteOne({ name, owner });
+};
+
+maintenanceLockSchema.statics.isHeld = async function (name) {
+  return !!(await this.exists({ name, expiresAt: { $gt: new Date() } }));
+};
+
+const MaintenanceLock = mongoose.model("MaintenanceLock", maintenanceLockSchema);
+
+module.exports = MaintenanceLock;
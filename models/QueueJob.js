@@ -0,0 +1,156 @@
+const mongoose = require("mongoose");
+
+const queueJobSchema = new mongoose.Schema(
+  {
+    jobId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    queue: {
+      type: String,
+      required: true,
+    },
+
+    type: {
+      type: String,
+      required: true,
+    },
+
+    priority: {
+      type: Number,
+      default: 2,
+    },
+
+    status: {
+      type: String,
+      enum: [
+        "pending",
+        "queued",
+        "processing",
+        "completed",
+        "failed",
+        "cancelled",
+        "retrying",
+      ],
+      default: "queued",
+    },
+
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+
+    userId: {
+      type: String,
+      default: null,
+      index: true,
+    },
+
+    attempts: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    maxAttempts: {
+      type: Number,
+      default: 3,
+      min: 1,
+    },
+
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    // Jobs that must complete before this one leaves the pending status
+    dependsOn: [
+      {
+        type: String,
+      },
+    ],
+
+    // Lease held by the worker processing the job; an expired lease means the worker died
+    lockedBy: {
+      type: String,
+      default: null,
+    },
+
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+
+    failures: [
+      {
+        _id: false,
+        message: String,
+        code: String,
+        attempt: Number,
+        workerId: String,
+        timestamp: { type: Date, default: Date.now },
+      },
+    ],
+
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+
+    progress: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100,
+    },
+
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+
+    replayCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    replayedAt: {
+      type: Date,
+      default: null,
+    },
+
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    minimize: false,
+  }
+);
+
+queueJobSchema.index({ queue: 1, status: 1, priority: -1, createdAt: 1 });
+queueJobSchema.index({ status: 1, lockedUntil: 1 });
+queueJobSchema.index({ queue: 1, status: 1, userId: 1 });
+queueJobSchema.index({ queue: 1, status: 1, completedAt: -1 });
+queueJobSchema.index({ dependsOn: 1, status: 1 });
+queueJobSchema.index({ updatedAt: 1 });
+queueJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const QueueJob = mongoose.model("QueueJob", queueJobSchema);
+
+module.exports = QueueJob;
@@ -0,0 +1,68 @@
+const mongoose = require("mongoose");
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    userId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+
+    familyId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+
+    revokedReason: {
+      type: String,
+      default: null,
+    },
+
+    replacedByHash: {
+      type: String,
+      default: null,
+    },
+
+    createdByIp: String,
+    userAgent: String,
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret._id;
+        delete ret.__v;
+        delete ret.tokenHash;
+        delete ret.replacedByHash;
+        return ret;
+      },
+    },
+  }
+);
+
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+refreshTokenSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const RefreshToken = mongoose.model("RefreshToken", refreshTokenSchema);
+
+module.exports = RefreshToken;
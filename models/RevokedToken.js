@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+const revokedTokenSchema = new mongoose.Schema(
+  {
+    jti: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    userId: {
+      type: String,
+      index: true,
+    },
+
+    reason: {
+      type: String,
+      default: "logout",
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RevokedToken = mongoose.model("RevokedToken", revokedTokenSchema);
+
+module.exports = RevokedToken;
@@ -0,0 +1,88 @@
+const mongoose = require("mongoose");
+const config = require("../config");
+
+const SHARE_ACCESS_EVENTS = ["info", "verify", "browse", "download", "lockout"];
+
+const shareAccessLogSchema = new mongoose.Schema(
+  {
+    token: {
+      type: String,
+      required: true,
+    },
+
+    fileId: {
+      type: String,
+      default: null,
+    },
+
+    collectionId: {
+      type: String,
+      default: null,
+    },
+
+    ownerId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+
+    event: {
+      type: String,
+      enum: SHARE_ACCESS_EVENTS,
+      required: true,
+    },
+
+    success: {
+      type: Boolean,
+      required: true,
+    },
+
+    reason: {
+      type: String,
+      default: null,
+    },
+
+    recipient: {
+      type: String,
+      default: null,
+    },
+
+    ipHash: {
+      type: String,
+      default: null,
+    },
+
+    userAgent: {
+      type: String,
+      default: null,
+      maxlength: 500,
+    },
+
+    timestamp: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret._id;
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+shareAccessLogSchema.index({ token: 1, timestamp: -1 });
+shareAccessLogSchema.index(
+  { timestamp: 1 },
+  {
+    expireAfterSeconds: config.sharing.accessLogRetentionDays * 24 * 60 * 60,
+  }
+);
+
+const ShareAccessLog = mongoose.model("ShareAccessLog", shareAccessLogSchema);
+
+module.exports = ShareAccessLog;
+module.exports.SHARE_ACCESS_EVENTS = SHARE_ACCESS_EVENTS;
@@ -0,0 +1,177 @@
+const mongoose = require("mongoose");
+const config = require("../config");
+
+const shareLinkSchema = new mongoose.Schema(
+  {
+    token: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    fileId: {
+      type: String,
+      default: null,
+      index: true,
+    },
+
+    collectionId: {
+      type: String,
+      default: null,
+      index: true,
+    },
+
+    createdBy: {
+      type: String,
+      required: true,
+      index: true,
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    expiresIn: {
+      type: String,
+      required: true,
+    },
+
+    passwordHash: {
+      type: String,
+      default: null,
+      select: false,
+    },
+
+    hasPassword: {
+      type: Boolean,
+      default: false,
+    },
+
+    failedPasswordAttempts: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+
+    lockoutCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    recipients: {
+      type: [String],
+      default: [],
+    },
+
+    maxDownloads: {
+      type: Number,
+      default: null,
+      min: 1,
+    },
+
+    downloadCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    allowPreview: {
+      type: Boolean,
+      default: true,
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+
+    lastDownloadedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret._id;
+        delete ret.__v;
+        delete ret.id;
+        delete ret.passwordHash;
+        return ret;
+      },
+    },
+  }
+);
+
+shareLinkSchema.index(
+  { expiresAt: 1 },
+  {
+    expireAfterSeconds:
+      config.sharing.expiredLinkRetentionDays * 24 * 60 * 60,
+  }
+);
+shareLinkSchema.index({ fileId: 1, createdAt: -1 });
+shareLinkSchema.index({ createdBy: 1, createdAt: -1 });
+
+shareLinkSchema.pre("validate", function (next) {
+  if (!this.fileId === !this.collectionId) {
+    this.invalidate("fileId", "A share link must point to either a file or a collection");
+  }
+  next();
+});
+
+shareLinkSchema.virtual("targetType").get(function () {
+  return this.collectionId ? "collection" : "file";
+});
+
+shareLinkSchema.virtual("remainingDownloads").get(function () {
+  return this.maxDownloads
+    ? Math.max(0, this.maxDownloads - this.downloadCount)
+    : null;
+});
+
+shareLinkSchema.virtual("status").get(function () {
+  if (this.expiresAt <= new Date()) return "expired";
+  if (!this.isActive) return "inactive";
+  if (this.maxDownloads && this.downloadCount >= this.maxDownloads) {
+    return "exhausted";
+  }
+  return "active";
+});
+
+shareLinkSchema.virtual("isRestricted").get(function () {
+  return Array.isArray(this.recipients) && this.recipients.length > 0;
+});
+
+shareLinkSchema.methods.isRecipient = function (email) {
+  return (
+    typeof email === "string" &&
+    this.recipients.includes(email.trim().toLowerCase())
+  );
+};
+
+shareLinkSchema.virtual("isLocked").get(function () {
+  return !!this.lockedUntil && this.lockedUntil > new Date();
+});
+
+shareLinkSchema.methods.isExpired = function () {
+  return this.expiresAt <= new Date();
+};
+
+shareLinkSchema.methods.isExhausted = function () {
+  return !!this.maxDownloads && this.downloadCount >= this.maxDownloads;
+};
+
+const ShareLink = mongoose.model("ShareLink", shareLinkSchema);
+
+module.exports = ShareLink;
@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+
+const shareVerificationSchema = new mongoose.Schema(
+  {
+    token: {
+      type: String,
+      required: true,
+    },
+
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+
+    codeHash: {
+      type: String,
+      required: true,
+    },
+
+    attempts: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    verifiedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+shareVerificationSchema.index({ token: 1, email: 1, createdAt: -1 });
+shareVerificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const ShareVerification = mongoose.model(
+  "ShareVerification",
+  shareVerificationSchema
+);
+
+module.exports = ShareVerification;
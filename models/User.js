@@ -0,0 +1,100 @@
+const mongoose = require("mongoose");
+const bcrypt = require("bcryptjs");
+const { v4: uuidv4 } = require("uuid");
+const config = require("../config");
+const { ROLES, DEFAULT_ROLE } = require("../middleware/permissions");
+
+const USER_ROLES = ROLES;
+
+const userSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: true,
+      unique: true,
+      default: () => `user-${uuidv4().substring(0, 8)}`,
+    },
+
+    username: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      lowercase: true,
+      minlength: 3,
+      maxlength: 50,
+      match: /^[a-z0-9._-]+$/,
+    },
+
+    email: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      lowercase: true,
+      maxlength: 254,
+    },
+
+    passwordHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+
+    role: {
+      type: String,
+      enum: USER_ROLES,
+      default: DEFAULT_ROLE,
+      index: true,
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+
+    lastLoginAt: {
+      type: Date,
+      default: null,
+    },
+
+    passwordChangedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret._id;
+        delete ret.__v;
+        delete ret.passwordHash;
+        return ret;
+      },
+    },
+  }
+);
+
+userSchema.methods.setPassword = async function (password) {
+  this.passwordHash = await bcrypt.hash(password, config.security.bcryptRounds);
+  this.passwordChangedAt = new Date();
+};
+
+userSchema.methods.comparePassword = function (password) {
+  if (!this.passwordHash) return Promise.resolve(false);
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+userSchema.statics.findByLogin = function (identifier) {
+  const normalized = String(identifier).trim().toLowerCase();
+  return this.findOne({
+    $or: [{ username: normalized }, { email: normalized }],
+  }).select("+passwordHash");
+};
+
+const User = mongoose.model("User", userSchema);
+
+module.exports = User;
+module.exports.USER_ROLES = USER_ROLES;
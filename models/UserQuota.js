@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+const userQuotaSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+
+    quotaBytes: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+
+    updatedBy: {
+      type: String,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret._id;
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+const UserQuota = mongoose.model("UserQuota", userQuotaSchema);
+
+module.exports = UserQuota;
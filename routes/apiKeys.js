@@ -0,0 +1,87 @@
+const express = require("express");
+const { authenticateToken } = require("../middleware/auth");
+const {
+  PERMISSIONS,
+  requirePermission,
+  hasPermission,
+} = require("../middleware/permissions");
+const { asyncHandler, commonErrors } = require("../middleware/errorHandler");
+const { apiKeyService } = require("../services/apiKeyService");
+const { API_KEY_SCOPES } = require("../models/ApiKey");
+
+const router = express.Router();
+
+router.get(
+  "/scopes",
+  authenticateToken,
+  requirePermission(PERMISSIONS.ACCOUNT_MANAGE),
+  asyncHandler(async (req, res) => {
+    res.json({ scopes: API_KEY_SCOPES });
+  })
+);
+
+router.post(
+  "/",
+  authenticateToken,
+  requirePermission(PERMISSIONS.ACCOUNT_MANAGE),
+  asyncHandler(async (req, res) => {
+    const { name, scopes, expiresInDays } = req.body;
+
+    const { apiKey, secret } = await apiKeyService.createKey(req.user.userId, {
+      name,
+      scopes,
+      expiresInDays,
+    });
+
+    res.status(201).json({
+      message: "API key created. Store the key now; it will not be shown again.",
+      key: secret,
+      apiKey,
+      usage: `X-API-Key: ${secret}`,
+    });
+  })
+);
+
+router.get(
+  "/",
+  authenticateToken,
+  requirePermission(PERMISSIONS.ACCOUNT_MANAGE),
+  asyncHandler(async (req, res) => {
+    let userId = req.user.userId;
+
+    if (req.query.userId && req.query.userId !== userId) {
+      if (!hasPermission(req.user, PERMISSIONS.API_KEYS_MANAGE_ALL)) {
+        throw commonErrors.forbidden("Insufficient permissions");
+      }
+      userId = req.query.userId;
+    }
+
+    const apiKeys = await apiKeyService.listKeys(userId, {
+      includeRevoked: req.query.includeRevoked === "true",
+    });
+
+    res.json({ apiKeys, total: apiKeys.length });
+  })
+);
+
+router.delete(
+  "/:keyId",
+  authenticateToken,
+  requirePermission(PERMISSIONS.ACCOUNT_MANAGE),
+  asyncHandler(async (req, res) => {
+    const apiKey = await apiKeyService.revokeKey(
+      req.params.keyId,
+      req.user.userId,
+      hasPermission(req.user, PERMISSIONS.API_KEYS_MANAGE_ALL)
+        ? null
+        : req.user.userId
+    );
+
+    res.json({
+      message: "API key revoked",
+      apiKey,
+    });
+  })
+);
+
+module.exports = router;
@@ -155,7 +155,7 @@ router.get(
       responseData.systemStatus = {
         totalArchives: archiveContents.length,
         totalSizeGB: Math.round(
-          archiveContents.reduce((sum, a) => sum + a.size, 0) 
+          archiveContents.reduce((sum, a) => sum + a.size, 0) /
             (1024 * 1024 * 1024)
         ),
         lastBackup: new Date(Date.now() - 86400000).toISOString(), 
@@ -1,50 +1,154 @@
 const express = require('express');
-const { generateTestToken } = require('../middleware/auth');
-const { asyncHandler } = require('../middleware/errorHandler');
-const { authenticateToken } = require('../middleware/auth');
+const config = require('../config');
+const { authenticateToken, generateTestToken } = require('../middleware/auth');
+const {
+  PERMISSIONS,
+  ROLES,
+  DEFAULT_ROLE,
+  requirePermission,
+  hasPermission
+} = require('../middleware/permissions');
+const { asyncHandler, commonErrors } = require('../middleware/errorHandler');
+const { userService } = require('../services/userService');
+const { tokenService } = require('../services/tokenService');
 
 const router = express.Router();
 
+function getClientContext(req) {
+  return { ip: req.ip, userAgent: req.get('User-Agent') };
+}
+
+function getBearerToken(req) {
+  const authHeader = req.get('authorization');
+  return authHeader ? authHeader.split(' ')[1] : null;
+}
+
+function formatTokenResponse(message, issued, user) {
+  return {
+    message,
+    token: issued.token,
+    refreshToken: issued.refreshToken,
+    user: {
+      userId: user.userId,
+      username: user.username,
+      email: user.email,
+      role: user.role
+    },
+    expiresIn: issued.expiresIn,
+    refreshExpiresAt: issued.refreshExpiresAt
+  };
+}
+
+router.post('/register', asyncHandler(async (req, res) => {
+  const { username, email, password } = req.body;
+
+  const user = await userService.register({ username, email, password });
+  const issued = await tokenService.issueTokens(user, getClientContext(req));
+
+  res.status(201).json(formatTokenResponse('Registration successful', issued, user));
+}));
+
 router.post('/login', asyncHandler(async (req, res) => {
-  const { userId = 'test-user', role = 'user' } = req.body;
-  
-  if (!['user', 'admin'].includes(role)) {
-    return res.status(400).json({ error: 'Role must be either "user" or "admin"' });
+  const { username, password } = req.body;
+
+  if (!username || !password) {
+    throw commonErrors.badRequest('Username and password are required');
   }
-  
-  const token = generateTestToken(userId, role);
-  
-  res.json({
-    message: 'Login successful',
-    token,
-    user: { userId, role },
-    expiresIn: '24h'
-  });
+
+  const user = await userService.authenticate(username, password);
+  const issued = await tokenService.issueTokens(user, getClientContext(req));
+
+  res.json(formatTokenResponse('Login successful', issued, user));
 }));
 
-router.post('/test-token', asyncHandler(async (req, res) => {
-  const { userId = 'test-user', role = 'user' } = req.body;
-  
-  if (!['user', 'admin'].includes(role)) {
-    return res.status(400).json({ error: 'Role must be either "user" or "admin"' });
+router.post('/refresh', asyncHandler(async (req, res) => {
+  const issued = await tokenService.rotateRefreshToken(
+    req.body.refreshToken,
+    getClientContext(req)
+  );
+
+  res.json(formatTokenResponse('Token refreshed', issued, issued.user));
+}));
+
+router.post('/logout', asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+  const accessToken = getBearerToken(req);
+
+  if (!refreshToken && !accessToken) {
+    throw commonErrors.badRequest('refreshToken or an access token is required');
   }
-  
-  const token = generateTestToken(userId, role);
-  
+
+  const [refreshRevoked, accessRevoked] = await Promise.all([
+    tokenService.revokeRefreshToken(refreshToken),
+    tokenService.revokeAccessToken(accessToken)
+  ]);
+
   res.json({
-    message: 'Test token generated successfully',
-    token,
-    user: { userId, role },
-    usage: `Authorization: Bearer ${token}`,
-    expiresIn: '24h'
+    message: 'Logged out successfully',
+    refreshTokenRevoked: refreshRevoked,
+    accessTokenRevoked: accessRevoked
   });
 }));
 
-router.get('/me', authenticateToken, (req, res) => {
+router.post('/change-password', authenticateToken, requirePermission(PERMISSIONS.ACCOUNT_MANAGE), asyncHandler(async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  if (!currentPassword || !newPassword) {
+    throw commonErrors.badRequest('currentPassword and newPassword are required');
+  }
+
+  const user = await userService.changePassword(req.user.userId, currentPassword, newPassword);
+  await tokenService.revokeAccessToken(getBearerToken(req), 'password-changed');
+  const issued = await tokenService.issueTokens(user, getClientContext(req));
+
+  res.json(formatTokenResponse('Password changed successfully; other sessions have been signed out', issued, user));
+}));
+
+if (config.development.enableTestEndpoints) {
+  router.post('/test-token', asyncHandler(async (req, res) => {
+    const { userId = 'test-user', role = DEFAULT_ROLE } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    const token = generateTestToken(userId, role);
+
+    res.json({
+      message: 'Test token generated successfully',
+      token,
+      user: { userId, role },
+      usage: `Authorization: Bearer ${token}`,
+      expiresIn: '24h'
+    });
+  }));
+}
+
+router.get('/me', authenticateToken, asyncHandler(async (req, res) => {
+  let profile = null;
+  try {
+    profile = await userService.getUserById(req.user.userId);
+  } catch (error) {
+    if (error.statusCode !== 404) {
+      throw error;
+    }
+  }
+
   res.json({
-    user: req.user,
+    user: profile
+      ? {
+          userId: profile.userId,
+          username: profile.username,
+          email: profile.email,
+          role: profile.role,
+          lastLoginAt: profile.lastLoginAt
+        }
+      : req.user,
+    permissions: Object.values(PERMISSIONS).filter((permission) =>
+      hasPermission(req.user, permission)
+    ),
     tokenValid: true
   });
-});
+}));
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
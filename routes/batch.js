@@ -1,7 +1,9 @@
 const express = require("express");
 const multer = require("multer");
 const { authenticateToken } = require("../middleware/auth");
+const { PERMISSIONS, requirePermission } = require("../middleware/permissions");
 const { asyncHandler, commonErrors } = require("../middleware/errorHandler");
+const { quotaService } = require("../services/quotaService");
 const {
   createBatchJob,
   startBatchProcessing,
@@ -22,6 +24,7 @@ const upload = multer({
 router.post(
   "/upload",
   authenticateToken,
+  requirePermission(PERMISSIONS.BATCH_RUN),
   upload.array("files", 10),
   asyncHandler(async (req, res) => {
     if (!req.files || req.files.length === 0) {
@@ -42,6 +45,12 @@ router.post(
       notifyOnComplete: notifyOnComplete === "true",
     };
 
+    await quotaService.assertWithinQuota(
+      req.user.userId,
+      req.user.role,
+      req.files.reduce((total, file) => total + file.size, 0)
+    );
+
     const batchJob = await createBatchJob(req.files, req.user.userId, options);
 
     setImmediate(async () => {
@@ -70,6 +79,7 @@ router.post(
 router.get(
   "/:batchId",
   authenticateToken,
+  requirePermission(PERMISSIONS.BATCH_RUN),
   asyncHandler(async (req, res) => {
     const { batchId } = req.params;
 
@@ -88,6 +98,7 @@ router.get(
 router.post(
   "/:batchId/cancel",
   authenticateToken,
+  requirePermission(PERMISSIONS.BATCH_RUN),
   asyncHandler(async (req, res) => {
     const { batchId } = req.params;
 
@@ -109,6 +120,7 @@ router.post(
 router.get(
   "/:batchId/results",
   authenticateToken,
+  requirePermission(PERMISSIONS.BATCH_RUN),
   asyncHandler(async (req, res) => {
     const { batchId } = req.params;
 
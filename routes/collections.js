@@ -0,0 +1,166 @@
+const express = require("express");
+const { authenticateToken } = require("../middleware/auth");
+const {
+  PERMISSIONS,
+  requirePermission,
+  hasPermission,
+  canAccessOwnedResource,
+} = require("../middleware/permissions");
+const { asyncHandler, commonErrors } = require("../middleware/errorHandler");
+const { collectionService } = require("../services/collectionService");
+
+const router = express.Router();
+
+async function getOwnedCollection(req, action) {
+  const collection = await collectionService.getCollection(
+    req.params.collectionId
+  );
+
+  if (
+    !canAccessOwnedResource(
+      req.user,
+      collection.ownerId,
+      PERMISSIONS.FILES_MANAGE_ALL
+    )
+  ) {
+    throw commonErrors.forbidden(`You can only ${action} your own collections`);
+  }
+
+  return collection;
+}
+
+router.post(
+  "/",
+  authenticateToken,
+  requirePermission(PERMISSIONS.FILES_WRITE),
+  asyncHandler(async (req, res) => {
+    const { name, description, fileIds } = req.body;
+
+    const collection = await collectionService.createCollection(
+      req.user.userId,
+      { name, description }
+    );
+
+    if (Array.isArray(fileIds) && fileIds.length > 0) {
+      // Remove the collection again so a corrected retry does not run into its name
+      try {
+        await collectionService.addFiles(collection, fileIds);
+      } catch (error) {
+        await collectionService.deleteCollection(collection, req.user.userId);
+        throw error;
+      }
+    }
+
+    res.status(201).json({
+      message: "Collection created successfully",
+      collection,
+    });
+  })
+);
+
+router.get(
+  "/",
+  authenticateToken,
+  requirePermission(PERMISSIONS.FILES_READ),
+  asyncHandler(async (req, res) => {
+    let ownerId = req.user.userId;
+
+    if (req.query.ownerId && req.query.ownerId !== ownerId) {
+      if (!hasPermission(req.user, PERMISSIONS.FILES_MANAGE_ALL)) {
+        throw commonErrors.forbidden("Insufficient permissions");
+      }
+      ownerId = req.query.ownerId;
+    }
+
+    const collections = await collectionService.listCollections(ownerId);
+
+    res.json({ collections, total: collections.length });
+  })
+);
+
+router.get(
+  "/:collectionId",
+  authenticateToken,
+  requirePermission(PERMISSIONS.FILES_READ),
+  asyncHandler(async (req, res) => {
+    const collection = await getOwnedCollection(req, "view");
+    const files = await collectionService.getCollectionFiles(
+      collection.collectionId
+    );
+
+    res.json({
+      collection,
+      files,
+      fileCount: files.length,
+      totalSize: files.reduce((sum, file) => sum + file.size, 0),
+    });
+  })
+);
+
+router.put(
+  "/:collectionId",
+  authenticateToken,
+  requirePermission(PERMISSIONS.FILES_WRITE),
+  asyncHandler(async (req, res) => {
+    const collection = await getOwnedCollection(req, "modify");
+
+    const { name, description } = req.body;
+    await collectionService.updateCollection(collection, { name, description });
+
+    res.json({
+      message: "Collection updated successfully",
+      collection,
+    });
+  })
+);
+
+router.delete(
+  "/:collectionId",
+  authenticateToken,
+  requirePermission(PERMISSIONS.FILES_WRITE),
+  asyncHandler(async (req, res) => {
+    const collection = await getOwnedCollection(req, "delete");
+
+    await collectionService.deleteCollection(collection, req.user.userId);
+
+    res.json({
+      message: "Collection deleted successfully",
+    });
+  })
+);
+
+router.post(
+  "/:collectionId/files",
+  authenticateToken,
+  requirePermission(PERMISSIONS.FILES_WRITE),
+  asyncHandler(async (req, res) => {
+    const collection = await getOwnedCollection(req, "modify");
+
+    const added = await collectionService.addFiles(collection, req.body.fileIds);
+
+    res.json({
+      message: "Files added to collection",
+      collectionId: collection.collectionId,
+      added,
+    });
+  })
+);
+
+router.delete(
+  "/:collectionId/files/:fileId",
+  authenticateToken,
+  requirePermission(PERMISSIONS.FILES_WRITE),
+  asyncHandler(async (req, res) => {
+    const collection = await getOwnedCollection(req, "modify");
+
+    await collectionService.removeFile(collection, req.params.fileId);
+
+    res.json({
+      message: "File removed from collection",
+      collectionId: collection.collectionId,
+      fileId: req.params.fileId,
+    });
+  })
+);
+
+module.exports = router;
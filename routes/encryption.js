@@ -0,0 +1,111 @@
+const express = require("express");
+const { authenticateToken } = require("../middleware/auth");
+const { PERMISSIONS, requirePermission } = require("../middleware/permissions");
+const { asyncHandler, commonErrors } = require("../middleware/errorHandler");
+const { keyRotationManager } = require("../utils/keyRotation");
+const { isAtRestEncryptionEnabled } = require("../utils/fileEncryption");
+const File = require("../models/File");
+
+const router = express.Router();
+
+router.get(
+  "/keys",
+  authenticateToken,
+  requirePermission(PERMISSIONS.ENCRYPTION_READ),
+  asyncHandler(async (req, res) => {
+    const summary = await keyRotationManager.getKeyVersionSummary();
+
+    res.json({
+      enabled: isAtRestEncryptionEnabled(),
+      ...summary,
+    });
+  })
+);
+
+router.get(
+  "/files",
+  authenticateToken,
+  requirePermission(PERMISSIONS.ENCRYPTION_READ),
+  asyncHandler(async (req, res) => {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 50));
+
+    const query = { encrypted: true };
+    if (req.query.keyVersion !== undefined) {
+      const keyVersion = parseInt(req.query.keyVersion);
+      if (Number.isNaN(keyVersion)) {
+        throw commonErrors.badRequest("keyVersion must be a number");
+      }
+      query["encryptionMeta.keyVersion"] = keyVersion;
+    }
+
+    const [files, total] = await Promise.all([
+      File.find(query)
+        .select("fileId originalName uploaderId status encryptionMeta createdAt")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      File.countDocuments(query),
+    ]);
+
+    res.json({
+      files: files.map((file) => ({
+        fileId: file.fileId,
+        originalName: file.originalName,
+        uploaderId: file.uploaderId,
+        status: file.status,
+        keyVersion: file.encryptionMeta?.keyVersion || 1,
+        scheme: file.encryptionMeta?.scheme || "legacy",
+        keyWrappedAt: file.encryptionMeta?.keyWrappedAt || null,
+        encryptedAt: file.encryptionMeta?.encryptedAt || null,
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  })
+);
+
+router.get(
+  "/files/:fileId",
+  authenticateToken,
+  requirePermission(PERMISSIONS.ENCRYPTION_READ),
+  asyncHandler(async (req, res) => {
+    const file = await File.findOne({ fileId: req.params.fileId });
+    if (!file) {
+      throw commonErrors.notFound("File");
+    }
+
+    res.json({
+      fileId: file.fileId,
+      encrypted: file.encrypted,
+      keyVersion: file.encrypted ? file.encryptionMeta?.keyVersion || 1 : null,
+      scheme: file.encrypted ? file.encryptionMeta?.scheme || "legacy" : null,
+      previousKeyVersion: file.encryptionMeta?.previousKeyVersion || null,
+      keyWrappedAt: file.encryptionMeta?.keyWrappedAt || null,
+    });
+  })
+);
+
+router.post(
+  "/rotate",
+  authenticateToken,
+  requirePermission(PERMISSIONS.ENCRYPTION_MANAGE),
+  asyncHandler(async (req, res) => {
+    if (!isAtRestEncryptionEnabled()) {
+      throw commonErrors.badRequest("At-rest encryption is not enabled");
+    }
+
+    const jobId = await keyRotationManager.queueRotation(req.user.userId);
+
+    res.status(202).json({
+      message: "Key rotation queued",
+      jobId,
+    });
+  })
+);
+
+module.exports = router;
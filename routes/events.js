@@ -0,0 +1,94 @@
+const express = require("express");
+const { authenticateToken } = require("../middleware/auth");
+const {
+  PERMISSIONS,
+  requirePermission,
+  canAccessOwnedResource,
+} = require("../middleware/permissions");
+const { asyncHandler, commonErrors } = require("../middleware/errorHandler");
+const { fileService } = require("../services/fileService");
+const { getBatchJob } = require("../utils/batchProcessor");
+const { queueManager } = require("../utils/jobQueue");
+
+const router = express.Router();
+
+// Comment lines keep idle connections from being closed by proxies
+const HEARTBEAT_INTERVAL = 25000;
+
+async function resolveFilter(req) {
+  const { fileId, batchId } = req.query;
+
+  if (fileId && batchId) {
+    throw commonErrors.badRequest("Pass either fileId or batchId, not both");
+  }
+
+  if (fileId) {
+    const file = await fileService.getFileById(fileId);
+
+    if (
+      !canAccessOwnedResource(
+        req.user,
+        file.uploaderId,
+        PERMISSIONS.FILES_MANAGE_ALL
+      )
+    ) {
+      throw commonErrors.forbidden(
+        "You can only follow processing of your own files"
+      );
+    }
+
+    return { fileId };
+  }
+
+  if (batchId) {
+    if (!getBatchJob(batchId, req.user.userId, req.user.role)) {
+      throw commonErrors.notFound("Batch job");
+    }
+
+    return { batchId };
+  }
+
+  return { userId: req.user.userId };
+}
+
+function writeEvent(res, name, data, id) {
+  if (id) {
+    res.write(`id: ${id}\n`);
+  }
+  res.write(`event: ${name}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Server-Sent Events: queued, started, progress, retrying, completed, failed and cancelled
+// for one file (?fileId=), one batch (?batchId=) or every job of the caller
+router.get(
+  "/jobs",
+  authenticateToken,
+  requirePermission(PERMISSIONS.FILES_READ),
+  asyncHandler(async (req, res) => {
+    const filter = await resolveFilter(req);
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.write("retry: 3000\n\n");
+    writeEvent(res, "ready", { filter });
+
+    const unsubscribe = queueManager.events.subscribe(filter, (event) => {
+      writeEvent(res, event.type, event, event.id);
+    });
+    const heartbeat = setInterval(
+      () => res.write(": heartbeat\n\n"),
+      HEARTBEAT_INTERVAL
+    );
+
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  })
+);
+
+module.exports = router;
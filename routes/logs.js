@@ -0,0 +1,79 @@
+const express = require("express");
+const fs = require("fs").promises;
+const config = require("../config");
+const { authenticateToken } = require("../middleware/auth");
+const { PERMISSIONS, requirePermission } = require("../middleware/permissions");
+const { asyncHandler, commonErrors } = require("../middleware/errorHandler");
+
+const router = express.Router();
+
+const LOG_LEVELS = ["error", "warn", "info", "http", "verbose", "debug"];
+
+async function readLogEntries(file) {
+  let content;
+  try {
+    content = await fs.readFile(file, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return [];
+    }
+    throw error;
+  }
+
+  return content
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return { level: "info", message: line };
+      }
+    });
+}
+
+router.get(
+  "/",
+  authenticateToken,
+  requirePermission(PERMISSIONS.LOGS_READ),
+  asyncHandler(async (req, res) => {
+    const { level, since, search } = req.query;
+    const limit = Math.min(500, Math.max(1, parseInt(req.query.limit) || 100));
+
+    if (level && !LOG_LEVELS.includes(level)) {
+      throw commonErrors.badRequest(
+        `level must be one of: ${LOG_LEVELS.join(", ")}`
+      );
+    }
+
+    const sinceDate = since ? new Date(since) : null;
+    if (sinceDate && isNaN(sinceDate.getTime())) {
+      throw commonErrors.badRequest("since must be a valid date");
+    }
+
+    const file =
+      req.query.source === "error" ? config.logging.errorFile : config.logging.file;
+    const maxLevel = level ? LOG_LEVELS.indexOf(level) : LOG_LEVELS.length - 1;
+    const needle = search ? String(search).toLowerCase() : null;
+
+    const entries = (await readLogEntries(file)).filter((entry) => {
+      const entryLevel = LOG_LEVELS.indexOf(entry.level);
+      if (entryLevel !== -1 && entryLevel > maxLevel) return false;
+      if (sinceDate && (!entry.timestamp || new Date(entry.timestamp) < sinceDate)) {
+        return false;
+      }
+      if (needle && !JSON.stringify(entry).toLowerCase().includes(needle)) {
+        return false;
+      }
+      return true;
+    });
+
+    res.json({
+      source: req.query.source === "error" ? "error" : "app",
+      total: entries.length,
+      entries: entries.slice(-limit).reverse(),
+    });
+  })
+);
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require("express");
 const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
 const { optionalAuth } = require("../middleware/auth");
+const { PERMISSIONS, hasPermission } = require("../middleware/permissions");
 const { asyncHandler } = require("../middleware/errorHandler");
 
 const router = express.Router();
@@ -72,7 +73,9 @@ router.get(
     } else if (req.user) {
       currentUser = req.user;
       hasAccess = true;
-      accessLevel = currentUser.role === "admin" ? "admin" : "user";
+      accessLevel = hasPermission(currentUser, PERMISSIONS.LOGS_READ)
+        ? "admin"
+        : "user";
     }
 
     if (!hasAccess) {
@@ -1,15 +1,114 @@
 const express = require('express');
 const { authenticateToken } = require('../middleware/auth');
+const { PERMISSIONS, requirePermission, hasPermission } = require('../middleware/permissions');
 const { asyncHandler, commonErrors } = require('../middleware/errorHandler');
-const { queueManager } = require('../utils/jobQueue');
+const { queueManager, JOB_PRIORITIES } = require('../utils/jobQueue');
+const { processingPipeline, describePipelines } = require('../utils/processingPipeline');
 
 const router = express.Router();
 
-router.get('/:queueName', authenticateToken, asyncHandler(async (req, res) => {
-  if (req.user.role !== 'admin') {
-    throw commonErrors.forbidden('Admin access required');
+const MAX_REPLAY_DELAY = 24 * 60 * 60 * 1000;
+
+function parseIntegerOption(value, name, min, max) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw commonErrors.badRequest(`${name} must be an integer between ${min} and ${max}`);
+  }
+  return number;
+}
+
+function parseReplayOptions(options = {}) {
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    throw commonErrors.badRequest('options must be an object');
+  }
+
+  const parsed = {};
+  const priorities = Object.values(JOB_PRIORITIES);
+
+  if (options.priority !== undefined) {
+    parsed.priority = parseIntegerOption(options.priority, 'priority', Math.min(...priorities), Math.max(...priorities));
+  }
+  if (options.maxAttempts !== undefined) {
+    parsed.maxAttempts = parseIntegerOption(options.maxAttempts, 'maxAttempts', 1, 10);
+  }
+  if (options.delay !== undefined) {
+    parsed.delay = parseIntegerOption(options.delay, 'delay', 0, MAX_REPLAY_DELAY);
+  }
+  if (options.timeout !== undefined) {
+    parsed.timeout = parseIntegerOption(options.timeout, 'timeout', 1000, 60 * 60 * 1000);
+  }
+
+  return parsed;
+}
+
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw commonErrors.badRequest(`${name} must be a valid date`);
   }
+  return date;
+}
+
+function parseDeadLetterFilters(source, { requireFilter = false } = {}) {
+  const filters = {};
+
+  if (source.jobIds !== undefined) {
+    if (!Array.isArray(source.jobIds) || source.jobIds.length === 0 || !source.jobIds.every(id => typeof id === 'string')) {
+      throw commonErrors.badRequest('jobIds must be a non-empty array of job ids');
+    }
+    filters.jobIds = source.jobIds;
+  }
+  if (source.type) {
+    filters.type = String(source.type);
+  }
+  if (source.userId) {
+    filters.userId = String(source.userId);
+  }
+  if (source.failedBefore) {
+    filters.failedBefore = parseDate(source.failedBefore, 'failedBefore');
+  }
+  if (source.failedAfter) {
+    filters.failedAfter = parseDate(source.failedAfter, 'failedAfter');
+  }
+
+  // Bulk actions must be narrowed down or explicitly applied to every dead-letter job
+  if (requireFilter && Object.keys(filters).length === 0 && source.all !== true) {
+    throw commonErrors.badRequest('Provide jobIds, type, userId, failedBefore or failedAfter, or set all to true');
+  }
+
+  return filters;
+}
+
+router.get('/schedules', authenticateToken, requirePermission(PERMISSIONS.QUEUE_READ), asyncHandler(async (req, res) => {
+  const { schedules, delayedJobs } = await queueManager.getUpcomingRuns({
+    limit: Math.min(parseInt(req.query.limit) || 50, 500)
+  });
+
+  res.json({
+    schedules,
+    delayedJobs
+  });
+}));
+
+router.get('/pipelines', authenticateToken, requirePermission(PERMISSIONS.QUEUE_READ), asyncHandler(async (req, res) => {
+  res.json({
+    pipelines: describePipelines()
+  });
+}));
+
+router.post('/pipelines/:fileId/steps/:step/rerun', authenticateToken, requirePermission(PERMISSIONS.QUEUE_MANAGE), asyncHandler(async (req, res) => {
+  const { fileId, step } = req.params;
+
+  const rerun = await processingPipeline.rerunStep(fileId, step, req.user);
+
+  res.status(202).json({
+    success: true,
+    message: `Step ${step} queued`,
+    ...rerun
+  });
+}));
 
+router.get('/:queueName', authenticateToken, requirePermission(PERMISSIONS.QUEUE_READ), asyncHandler(async (req, res) => {
   const { queueName } = req.params;
   const queue = queueManager.getQueue(queueName);
   
@@ -17,25 +116,127 @@ router.get('/:queueName', authenticateToken, asyncHandler(async (req, res) => {
     throw commonErrors.notFound('Queue');
   }
 
-  const stats = queue.getStats();
-  const jobs = queue.getJobs({
+  const stats = await queue.getStats();
+  const jobs = await queue.getJobs({
     status: req.query.status,
     userId: req.query.userId,
     type: req.query.type
+  }, Math.min(parseInt(req.query.limit) || 50, 500));
+
+  const response = {
+    queueName,
+    stats,
+    jobs
+  };
+
+  // Per-user backlogs reveal who is uploading what, so only admins see them
+  if (hasPermission(req.user, PERMISSIONS.QUEUE_MANAGE)) {
+    response.userDepths = await queue.getUserDepths();
+  }
+
+  res.json(response);
+}));
+
+router.get('/:queueName/dead-letters', authenticateToken, requirePermission(PERMISSIONS.QUEUE_READ), asyncHandler(async (req, res) => {
+  const { queueName } = req.params;
+  const queue = queueManager.getQueue(queueName);
+
+  const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+  const { jobs, total } = await queue.listDeadLetters(
+    parseDeadLetterFilters(req.query),
+    { limit, skip: (page - 1) * limit }
+  );
+
+  res.json({
+    queueName,
+    jobs,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
   });
+}));
+
+router.get('/:queueName/dead-letters/:jobId', authenticateToken, requirePermission(PERMISSIONS.QUEUE_READ), asyncHandler(async (req, res) => {
+  const { queueName, jobId } = req.params;
+  const job = await queueManager.getQueue(queueName).getDeadLetter(jobId);
+
+  if (!job) {
+    throw commonErrors.notFound('Dead-letter job');
+  }
+
+  res.json({ queueName, job });
+}));
+
+router.post('/:queueName/dead-letters/replay', authenticateToken, requirePermission(PERMISSIONS.QUEUE_MANAGE), asyncHandler(async (req, res) => {
+  const { queueName } = req.params;
+  const filters = parseDeadLetterFilters(req.body, { requireFilter: true });
+  const options = parseReplayOptions(req.body.options);
+
+  const replayed = await queueManager.getQueue(queueName).replayDeadLetters(filters, options);
 
   res.json({
+    success: true,
+    message: `Replayed ${replayed} dead-letter jobs from queue ${queueName}`,
     queueName,
-    stats,
-    jobs: jobs.slice(0, parseInt(req.query.limit) || 50)
+    replayed
   });
 }));
 
-router.post('/:queueName/:action', authenticateToken, asyncHandler(async (req, res) => {
-  if (req.user.role !== 'admin') {
-    throw commonErrors.forbidden('Admin access required');
+router.post('/:queueName/dead-letters/discard', authenticateToken, requirePermission(PERMISSIONS.QUEUE_MANAGE), asyncHandler(async (req, res) => {
+  const { queueName } = req.params;
+  const filters = parseDeadLetterFilters(req.body, { requireFilter: true });
+
+  const discarded = await queueManager.getQueue(queueName).discardDeadLetters(filters);
+
+  res.json({
+    success: true,
+    message: `Discarded ${discarded} dead-letter jobs from queue ${queueName}`,
+    queueName,
+    discarded
+  });
+}));
+
+router.post('/:queueName/dead-letters/:jobId/replay', authenticateToken, requirePermission(PERMISSIONS.QUEUE_MANAGE), asyncHandler(async (req, res) => {
+  const { queueName, jobId } = req.params;
+  const options = parseReplayOptions(req.body.options);
+
+  const job = await queueManager.getQueue(queueName).replayDeadLetter(jobId, options);
+
+  if (!job) {
+    throw commonErrors.notFound('Dead-letter job');
   }
 
+  res.json({
+    success: true,
+    message: 'Job replayed',
+    queueName,
+    job: job.getSummary()
+  });
+}));
+
+router.delete('/:queueName/dead-letters/:jobId', authenticateToken, requirePermission(PERMISSIONS.QUEUE_MANAGE), asyncHandler(async (req, res) => {
+  const { queueName, jobId } = req.params;
+
+  const discarded = await queueManager.getQueue(queueName).discardDeadLetter(jobId);
+
+  if (!discarded) {
+    throw commonErrors.notFound('Dead-letter job');
+  }
+
+  res.json({
+    success: true,
+    message: 'Job discarded',
+    queueName,
+    jobId
+  });
+}));
+
+router.post('/:queueName/:action', authenticateToken, requirePermission(PERMISSIONS.QUEUE_MANAGE), asyncHandler(async (req, res) => {
   const { queueName, action } = req.params;
   const queue = queueManager.getQueue(queueName);
   
@@ -49,10 +250,9 @@ router.post('/:queueName/:action', authenticateToken, asyncHandler(async (req, r
 
   try {
     if (action === 'pause') {
-      queue.isProcessing = false;
+      queue.pause();
     } else {
-      queue.isProcessing = true;
-      setImmediate(() => queue.processQueue());
+      queue.resume();
     }
 
     res.json({
@@ -60,7 +260,8 @@ router.post('/:queueName/:action', authenticateToken, asyncHandler(async (req, r
       message: `Queue ${queueName} ${action}d successfully`,
       queueName,
       action,
-      isProcessing: queue.isProcessing
+      workerId: queue.workerId,
+      isProcessing: !queue.paused
     });
 
   } catch (error) {
@@ -68,11 +269,7 @@ router.post('/:queueName/:action', authenticateToken, asyncHandler(async (req, r
   }
 }));
 
-router.delete('/:queueName/completed', authenticateToken, asyncHandler(async (req, res) => {
-  if (req.user.role !== 'admin') {
-    throw commonErrors.forbidden('Admin access required');
-  }
-
+router.delete('/:queueName/completed', authenticateToken, requirePermission(PERMISSIONS.QUEUE_MANAGE), asyncHandler(async (req, res) => {
   const { queueName } = req.params;
   const queue = queueManager.getQueue(queueName);
   
@@ -80,8 +277,7 @@ router.delete('/:queueName/completed', authenticateToken, asyncHandler(async (re
     throw commonErrors.notFound('Queue');
   }
 
-  const beforeCount = queue.completed.length;
-  queue.completed = [];
+  const beforeCount = await queue.clearCompleted();
   
   res.json({
     success: true,
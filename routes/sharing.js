@@ -1,62 +1,338 @@
 const express = require("express");
-const crypto = require("crypto");
+const config = require("../config");
 const { authenticateToken } = require("../middleware/auth");
+const {
+  PERMISSIONS,
+  requirePermission,
+  hasPermission,
+  canAccessOwnedResource,
+} = require("../middleware/permissions");
 const {
   asyncHandler,
   commonErrors,
 } = require("../middleware/errorHandler");
+const { contentDisposition } = require("../utils/contentDisposition");
+const { generateDownloadUrl } = require("../utils/fileStorage");
+const { logger } = require("../utils/logger");
+const File = require("../models/File");
+const Collection = require("../models/Collection");
+const { SHARE_ACCESS_EVENTS } = require("../models/ShareAccessLog");
+const { fileService } = require("../services/fileService");
+const { collectionService } = require("../services/collectionService");
+const { shareService, withReason } = require("../services/shareService");
 
 const router = express.Router();
 
-const shareLinks = new Map();
+function buildShareUrl(req, token) {
+  return `${req.protocol}://${req.get("host")}/api/sharing/download/${token}`;
+}
 
-const EXPIRATION_OPTIONS = {
-  "1h": 60 * 60 * 1000,
-  "24h": 24 * 60 * 60 * 1000,
-  "7d": 7 * 24 * 60 * 60 * 1000,
-  "30d": 30 * 24 * 60 * 60 * 1000,
-};
+function getAccessContext(req) {
+  return { ip: req.ip, userAgent: req.get("User-Agent") };
+}
 
-function generateShareToken() {
-  return crypto.randomBytes(32).toString("hex");
+async function getSharedFile(shareLink) {
+  try {
+    const file = await fileService.getFileById(shareLink.fileId);
+    if (file.status === "deleted") {
+      throw commonErrors.notFound("Shared file");
+    }
+    return file;
+  } catch (error) {
+    if (error.statusCode === 404) {
+      throw withReason(commonErrors.notFound("Shared file"), "file_unavailable");
+    }
+    throw error;
+  }
 }
 
-function isExpired(shareData) {
-  return Date.now() > shareData.expiresAt;
+async function describeShareLink(req, shareLink, { file, collection } = {}) {
+  const description = {
+    ...shareLink.toJSON(),
+    url: buildShareUrl(req, shareLink.token),
+  };
+
+  if (shareLink.collectionId) {
+    return {
+      ...description,
+      collectionName: collection ? collection.name : null,
+      collectionStatus: collection ? "active" : "missing",
+    };
+  }
+
+  let directUrl = null;
+
+  if (file && !file.encrypted && file.status !== "deleted") {
+    try {
+      directUrl = await generateDownloadUrl(
+        file.cloudinaryPublicId,
+        fileService.getStoredResourceType(file),
+        file.originalName
+      );
+    } catch (error) {
+      directUrl = fileService.getFileUrl(file);
+    }
+  }
+
+  return {
+    ...description,
+    fileName: file ? file.originalName : null,
+    fileSize: file ? file.size : null,
+    mimetype: file ? file.mimetype : null,
+    fileStatus: file ? file.status : "missing",
+    directUrl,
+  };
 }
 
-function cleanupExpiredLinks() {
-  const now = Date.now();
-  for (const [token, shareData] of shareLinks.entries()) {
-    if (now > shareData.expiresAt) {
-      shareLinks.delete(token);
+async function getSharedCollection(shareLink) {
+  const collection = await Collection.findOne({
+    collectionId: shareLink.collectionId,
+  });
+
+  if (!collection) {
+    throw withReason(commonErrors.notFound("Shared collection"), "file_unavailable");
+  }
+
+  return collection;
+}
+
+// Runs the public access checks (state, recipient verification, password); responds and returns null when a challenge is needed
+async function authorizeShareAccess(req, res, shareLink, event) {
+  const context = getAccessContext(req);
+  const { password } = req.query;
+  const recipientAccess = req.get("X-Share-Access") || req.query.access;
+  let recipient = null;
+
+  try {
+    shareService.assertUsable(shareLink);
+
+    if (shareLink.isRestricted) {
+      if (!recipientAccess) {
+        await shareService.recordAccess(shareLink, context, {
+          event,
+          success: false,
+          reason: "verification_required",
+        });
+
+        res.status(401).json({
+          error: "Recipient verification required",
+          requiresVerification: true,
+          verificationUrl: `${req.protocol}://${req.get("host")}/api/sharing/${shareLink.token}/verification`,
+        });
+        return null;
+      }
+
+      recipient = shareService.verifyRecipientAccess(shareLink, recipientAccess);
+    }
+
+    if (shareLink.hasPassword) {
+      if (!password) {
+        await shareService.recordAccess(shareLink, context, {
+          event,
+          success: false,
+          reason: "password_required",
+          recipient,
+        });
+
+        res.status(401).json({
+          error: "Password required",
+          requiresPassword: true,
+        });
+        return null;
+      }
+
+      await shareService.checkPassword(shareLink, password, context);
+    }
+  } catch (error) {
+    if (error.retryAfter) {
+      res.set("Retry-After", String(error.retryAfter));
     }
+
+    await shareService.recordAccess(shareLink, context, {
+      event,
+      success: false,
+      reason: error.accessReason || "error",
+      recipient,
+    });
+    throw error;
   }
+
+  return { context, recipient };
 }
 
-setInterval(cleanupExpiredLinks, 60 * 60 * 1000);
+async function getManagedShareLink(req, action) {
+  const shareLink = await shareService.getShareLink(req.params.token);
+
+  if (
+    !canAccessOwnedResource(
+      req.user,
+      shareLink.createdBy,
+      PERMISSIONS.SHARE_MANAGE_ALL
+    )
+  ) {
+    throw commonErrors.forbidden(`You can only ${action} your own share links`);
+  }
+
+  return shareLink;
+}
+
+router.get(
+  "/",
+  authenticateToken,
+  requirePermission(PERMISSIONS.SHARE_CREATE),
+  asyncHandler(async (req, res) => {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+
+    let createdBy = req.user.userId;
+    if (req.query.all === "true" || req.query.createdBy) {
+      if (!hasPermission(req.user, PERMISSIONS.SHARE_MANAGE_ALL)) {
+        throw commonErrors.forbidden("Insufficient permissions");
+      }
+      createdBy = req.query.createdBy || null;
+    }
+
+    const result = await shareService.listShareLinks({
+      createdBy,
+      fileId: req.query.fileId,
+      collectionId: req.query.collectionId,
+      status: req.query.status,
+      page,
+      limit,
+    });
+
+    const [files, collections] = await Promise.all([
+      File.find({
+        fileId: {
+          $in: [...new Set(result.shareLinks.map((link) => link.fileId).filter(Boolean))],
+        },
+      }),
+      Collection.find({
+        collectionId: {
+          $in: [
+            ...new Set(result.shareLinks.map((link) => link.collectionId).filter(Boolean)),
+          ],
+        },
+      }),
+    ]);
+    const filesById = new Map(files.map((file) => [file.fileId, file]));
+    const collectionsById = new Map(
+      collections.map((collection) => [collection.collectionId, collection])
+    );
+
+    const shareLinks = await Promise.all(
+      result.shareLinks.map((shareLink) =>
+        describeShareLink(req, shareLink, {
+          file: filesById.get(shareLink.fileId),
+          collection: collectionsById.get(shareLink.collectionId),
+        })
+      )
+    );
+
+    res.json({
+      shareLinks,
+      pagination: result.pagination,
+    });
+  })
+);
 
 router.post(
-  "/:fileId",
+  "/collection/:collectionId",
   authenticateToken,
+  requirePermission(PERMISSIONS.SHARE_CREATE),
   asyncHandler(async (req, res) => {
-    const { fileId } = req.params;
+    const collection = await collectionService.getCollection(
+      req.params.collectionId
+    );
+
+    if (collection.ownerId !== req.user.userId) {
+      throw commonErrors.forbidden("You can only share your own collections");
+    }
+
     const {
       expiresIn = "24h",
       password,
       maxDownloads = null,
       allowPreview = true,
+      recipients,
     } = req.body;
 
-    if (!EXPIRATION_OPTIONS[expiresIn]) {
-      throw commonErrors.badRequest(
-        `Invalid expiration time. Allowed: ${Object.keys(
-          EXPIRATION_OPTIONS
-        ).join(", ")}`
+    const shareLink = await shareService.createCollectionShareLink(
+      collection,
+      req.user.userId,
+      { expiresIn, password, maxDownloads, allowPreview, recipients }
+    );
+
+    res.status(201).json({
+      message: "Share link created successfully",
+      shareLink: {
+        token: shareLink.token,
+        url: buildShareUrl(req, shareLink.token),
+        browseUrl: `${req.protocol}://${req.get("host")}/api/sharing/${shareLink.token}/files`,
+        collectionId: collection.collectionId,
+        collectionName: collection.name,
+        expiresAt: shareLink.expiresAt.toISOString(),
+        expiresIn: shareLink.expiresIn,
+        maxDownloads: shareLink.maxDownloads,
+        allowPreview: shareLink.allowPreview,
+        hasPassword: shareLink.hasPassword,
+        recipients: shareLink.recipients,
+      },
+    });
+  })
+);
+
+router.get(
+  "/collection/:collectionId",
+  authenticateToken,
+  requirePermission(PERMISSIONS.SHARE_CREATE),
+  asyncHandler(async (req, res) => {
+    const collection = await collectionService.getCollection(
+      req.params.collectionId
+    );
+
+    if (
+      !canAccessOwnedResource(
+        req.user,
+        collection.ownerId,
+        PERMISSIONS.SHARE_MANAGE_ALL
+      )
+    ) {
+      throw commonErrors.forbidden(
+        "You can only view share links for your own collections"
       );
     }
 
-    const { fileService } = require("../services/fileService");
+    const shareLinks = await shareService.listShareLinksForCollection(
+      collection.collectionId
+    );
+
+    res.json({
+      collectionId: collection.collectionId,
+      shareLinks: shareLinks.map((shareLink) => ({
+        ...shareLink.toJSON(),
+        url: buildShareUrl(req, shareLink.token),
+        isExpired: shareLink.isExpired(),
+      })),
+      total: shareLinks.length,
+    });
+  })
+);
+
+router.post(
+  "/:fileId",
+  authenticateToken,
+  requirePermission(PERMISSIONS.SHARE_CREATE),
+  asyncHandler(async (req, res) => {
+    const { fileId } = req.params;
+    const {
+      expiresIn = "24h",
+      password,
+      maxDownloads = null,
+      allowPreview = true,
+      recipients,
+    } = req.body;
+
     let file;
     try {
       file = await fileService.getFileById(fileId);
@@ -71,207 +347,450 @@ router.post(
       throw error;
     }
 
-    const shareToken = generateShareToken();
-    const expiresAt = Date.now() + EXPIRATION_OPTIONS[expiresIn];
-
-    let directDownloadUrl = file.secureUrl;
+    const shareLink = await shareService.createShareLink(file, req.user.userId, {
+      expiresIn,
+      password,
+      maxDownloads,
+      allowPreview,
+      recipients,
+    });
 
-    if (
-      file.mimetype === "application/pdf" ||
-      !file.mimetype.startsWith("image/")
-    ) {
-      const {
-        generateDownloadUrl,
-        extractPublicIdFromUrl,
-      } = require("../utils/cloudinaryStorage");
+    let directDownloadUrl = fileService.getFileUrl(file);
 
+    if (!file.encrypted) {
       try {
-        const publicId = extractPublicIdFromUrl(file.secureUrl);
-
-        directDownloadUrl = generateDownloadUrl(
-          publicId,
-          "raw",
+        directDownloadUrl = await generateDownloadUrl(
+          file.cloudinaryPublicId,
+          fileService.getStoredResourceType(file),
           file.originalName
         );
       } catch (error) {
-        directDownloadUrl = file.secureUrl;
+        logger.warn("Failed to generate share download URL", {
+          fileId,
+          error: error.message,
+        });
       }
     }
 
-    const shareData = {
-      token: shareToken,
-      fileId,
-      fileName: file.originalName,
-      fileSize: file.size,
-      mimetype: file.mimetype,
-      cloudinaryUrl: file.secureUrl,
-      directDownloadUrl,
-      createdBy: req.user.userId,
-      createdAt: Date.now(),
-      expiresAt,
-      expiresIn,
-      password: password
-        ? crypto.createHash("sha256").update(password).digest("hex")
-        : null,
-      maxDownloads,
-      downloadCount: 0,
-      allowPreview,
-      isActive: true,
-    };
-
-    shareLinks.set(shareToken, shareData);
-
     res.status(201).json({
       message: "Share link created successfully",
       shareLink: {
-        token: shareToken,
-        url: `${req.protocol}://${req.get(
-          "host"
-        )}/api/sharing/download/${shareToken}`,
+        token: shareLink.token,
+        url: buildShareUrl(req, shareLink.token),
         directUrl: directDownloadUrl,
-        originalUrl: file.secureUrl,
+        originalUrl: fileService.getFileUrl(file),
         fileName: file.originalName,
         fileSize: file.size,
-        expiresAt: new Date(expiresAt).toISOString(),
-        expiresIn,
-        maxDownloads,
-        allowPreview,
-        hasPassword: !!password,
+        expiresAt: shareLink.expiresAt.toISOString(),
+        expiresIn: shareLink.expiresIn,
+        maxDownloads: shareLink.maxDownloads,
+        allowPreview: shareLink.allowPreview,
+        hasPassword: shareLink.hasPassword,
+        recipients: shareLink.recipients,
       },
     });
   })
 );
 
 router.get(
-  "/:token/info",
+  "/file/:fileId",
+  authenticateToken,
+  requirePermission(PERMISSIONS.SHARE_CREATE),
   asyncHandler(async (req, res) => {
-    const { token } = req.params;
-
-    const shareData = shareLinks.get(token);
+    const file = await fileService.getFileById(req.params.fileId);
 
-    if (!shareData) {
-      throw commonErrors.notFound("Share link");
+    if (
+      !canAccessOwnedResource(
+        req.user,
+        file.uploaderId,
+        PERMISSIONS.SHARE_MANAGE_ALL
+      )
+    ) {
+      throw commonErrors.forbidden("You can only view share links for your own files");
     }
 
-    if (isExpired(shareData)) {
-      shareLinks.delete(token);
-      throw commonErrors.notFound("Share link has expired");
+    const shareLinks = await shareService.listShareLinksForFile(file.fileId);
+
+    res.json({
+      fileId: file.fileId,
+      shareLinks: shareLinks.map((shareLink) => ({
+        ...shareLink.toJSON(),
+        url: buildShareUrl(req, shareLink.token),
+        isExpired: shareLink.isExpired(),
+      })),
+      total: shareLinks.length,
+    });
+  })
+);
+
+router.get(
+  "/:token/info",
+  asyncHandler(async (req, res) => {
+    const shareLink = await shareService.getShareLink(req.params.token);
+    const context = getAccessContext(req);
+
+    try {
+      shareService.assertUsable(shareLink);
+    } catch (error) {
+      await shareService.recordAccess(shareLink, context, {
+        event: "info",
+        success: false,
+        reason: error.accessReason || "error",
+      });
+      throw error;
     }
 
-    if (!shareData.isActive) {
-      throw commonErrors.forbidden("Share link has been deactivated");
+    await shareService.recordAccess(shareLink, context, {
+      event: "info",
+      success: true,
+    });
+
+    let collection = null;
+    if (shareLink.collectionId) {
+      collection = await Collection.findOne({
+        collectionId: shareLink.collectionId,
+      });
     }
 
     res.json({
-      fileId: shareData.fileId,
-      expiresAt: new Date(shareData.expiresAt).toISOString(),
-      expiresIn: shareData.expiresIn,
-      maxDownloads: shareData.maxDownloads,
-      downloadCount: shareData.downloadCount,
-      allowPreview: shareData.allowPreview,
-      hasPassword: !!shareData.password,
+      type: shareLink.targetType,
+      fileId: shareLink.fileId,
+      collectionId: shareLink.collectionId,
+      collectionName: collection ? collection.name : undefined,
+      expiresAt: shareLink.expiresAt.toISOString(),
+      expiresIn: shareLink.expiresIn,
+      maxDownloads: shareLink.maxDownloads,
+      downloadCount: shareLink.downloadCount,
+      allowPreview: shareLink.allowPreview,
+      hasPassword: shareLink.hasPassword,
+      requiresVerification: shareLink.isRestricted,
       isExpired: false,
-      remainingDownloads: shareData.maxDownloads
-        ? shareData.maxDownloads - shareData.downloadCount
-        : null,
+      remainingDownloads: shareLink.remainingDownloads,
     });
   })
 );
 
-router.get(
-  "/download/:token",
+router.post(
+  "/:token/verification",
   asyncHandler(async (req, res) => {
-    const { token } = req.params;
-    const { password } = req.query;
+    const shareLink = await shareService.getShareLink(req.params.token);
+    const context = getAccessContext(req);
+
+    if (!shareLink.isRestricted) {
+      throw commonErrors.badRequest("This share link is not restricted to recipients");
+    }
 
-    const shareData = shareLinks.get(token);
+    let result;
+    try {
+      result = await shareService.requestVerificationCode(
+        shareLink,
+        req.body.email
+      );
+    } catch (error) {
+      await shareService.recordAccess(shareLink, context, {
+        event: "verify",
+        success: false,
+        reason: error.accessReason || "error",
+      });
+      throw error;
+    }
 
-    if (!shareData) {
-      throw commonErrors.notFound("Share link");
+    if (!result.sent && !shareLink.isRecipient(result.recipient)) {
+      await shareService.recordAccess(shareLink, context, {
+        event: "verify",
+        success: false,
+        reason: "unknown_recipient",
+      });
     }
 
-    if (isExpired(shareData)) {
-      shareLinks.delete(token);
-      throw commonErrors.notFound("Share link has expired");
+    res.status(202).json({
+      message:
+        "If this address is a recipient of the link, a verification code has been sent to it",
+      expiresInMinutes: config.sharing.verificationCodeTtlMinutes,
+    });
+  })
+);
+
+router.post(
+  "/:token/verification/confirm",
+  asyncHandler(async (req, res) => {
+    const shareLink = await shareService.getShareLink(req.params.token);
+    const context = getAccessContext(req);
+    const { email, code } = req.body;
+
+    let verified;
+    try {
+      verified = await shareService.verifyRecipientCode(shareLink, email, code);
+    } catch (error) {
+      await shareService.recordAccess(shareLink, context, {
+        event: "verify",
+        success: false,
+        reason: error.accessReason || "error",
+      });
+      throw error;
     }
 
-    if (!shareData.isActive) {
-      throw commonErrors.forbidden("Share link has been deactivated");
+    await shareService.recordAccess(shareLink, context, {
+      event: "verify",
+      success: true,
+      recipient: verified.recipient,
+    });
+
+    res.json({
+      message: "Recipient verified",
+      accessToken: verified.accessToken,
+      expiresIn: verified.expiresIn,
+      downloadUrl: `${buildShareUrl(req, shareLink.token)}?access=${verified.accessToken}`,
+    });
+  })
+);
+
+router.get(
+  "/:token/access",
+  authenticateToken,
+  requirePermission(PERMISSIONS.SHARE_CREATE),
+  asyncHandler(async (req, res) => {
+    const { event } = req.query;
+    if (event !== undefined && !SHARE_ACCESS_EVENTS.includes(event)) {
+      throw commonErrors.badRequest(
+        `event must be one of: ${SHARE_ACCESS_EVENTS.join(", ")}`
+      );
     }
 
-    if (shareData.password) {
-      if (!password) {
-        return res.status(401).json({
-          error: "Password required",
-          requiresPassword: true,
-        });
-      }
+    const shareLink = await getManagedShareLink(req, "view");
 
-      const hashedPassword = crypto
-        .createHash("sha256")
-        .update(password)
-        .digest("hex");
-      if (hashedPassword !== shareData.password) {
-        throw commonErrors.unauthorized("Invalid password");
-      }
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+
+    const history = await shareService.getAccessHistory(shareLink.token, {
+      page,
+      limit,
+      event,
+      success:
+        req.query.success === undefined
+          ? undefined
+          : req.query.success === "true",
+    });
+
+    res.json({
+      token: shareLink.token,
+      fileId: shareLink.fileId,
+      ...history,
+    });
+  })
+);
+
+router.get(
+  "/:token",
+  authenticateToken,
+  requirePermission(PERMISSIONS.SHARE_CREATE),
+  asyncHandler(async (req, res) => {
+    const shareLink = await getManagedShareLink(req, "view");
+
+    const [file, collection, accessSummary] = await Promise.all([
+      shareLink.fileId ? File.findOne({ fileId: shareLink.fileId }) : null,
+      shareLink.collectionId
+        ? Collection.findOne({ collectionId: shareLink.collectionId })
+        : null,
+      shareService.getAccessSummary(shareLink.token),
+    ]);
+
+    res.json({
+      shareLink: await describeShareLink(req, shareLink, { file, collection }),
+      accessSummary,
+    });
+  })
+);
+
+router.get(
+  "/:token/files",
+  asyncHandler(async (req, res) => {
+    const shareLink = await shareService.getShareLink(req.params.token, {
+      includePassword: true,
+    });
+
+    if (!shareLink.collectionId) {
+      throw commonErrors.badRequest("This share link points to a single file");
     }
 
-    if (
-      shareData.maxDownloads &&
-      shareData.downloadCount >= shareData.maxDownloads
-    ) {
-      throw commonErrors.forbidden("Download limit exceeded");
+    const access = await authorizeShareAccess(req, res, shareLink, "browse");
+    if (!access) return;
+    const { context, recipient } = access;
+
+    let collection;
+    try {
+      collection = await getSharedCollection(shareLink);
+    } catch (error) {
+      await shareService.recordAccess(shareLink, context, {
+        event: "browse",
+        success: false,
+        reason: error.accessReason || "error",
+        recipient,
+      });
+      throw error;
     }
 
-    shareData.downloadCount++;
-
-    if (shareData.cloudinaryUrl) {
-      let downloadUrl = shareData.directDownloadUrl || shareData.cloudinaryUrl;
-
-      if (
-        !shareData.directDownloadUrl &&
-        (shareData.mimetype === "application/pdf" ||
-          !shareData.mimetype.startsWith("image/"))
-      ) {
-        const {
-          generateDownloadUrl,
-          extractPublicIdFromUrl,
-        } = require("../utils/cloudinaryStorage");
-
-        try {
-          const publicId = extractPublicIdFromUrl(shareData.cloudinaryUrl);
-          downloadUrl = generateDownloadUrl(
-            publicId,
-            "raw",
-            shareData.fileName
+    const files = await collectionService.getCollectionFiles(
+      collection.collectionId
+    );
+
+    await shareService.recordAccess(shareLink, context, {
+      event: "browse",
+      success: true,
+      recipient,
+    });
+
+    res.json({
+      collectionId: collection.collectionId,
+      name: collection.name,
+      description: collection.description,
+      files: files.map((file) => ({
+        fileId: file.fileId,
+        name: file.originalName,
+        size: file.size,
+        mimetype: file.mimetype,
+        createdAt: file.createdAt,
+      })),
+      fileCount: files.length,
+      totalSize: files.reduce((sum, file) => sum + file.size, 0),
+      downloadUrl: buildShareUrl(req, shareLink.token),
+      remainingDownloads: shareLink.remainingDownloads,
+    });
+  })
+);
+
+router.get(
+  "/download/:token",
+  asyncHandler(async (req, res) => {
+    const { token } = req.params;
+
+    const shareLink = await shareService.getShareLink(token, {
+      includePassword: true,
+    });
+
+    const access = await authorizeShareAccess(req, res, shareLink, "download");
+    if (!access) return;
+    const { context, recipient } = access;
+
+    let file;
+    let collection;
+    let collectionFiles;
+    let disposition;
+    let claimed;
+    try {
+      if (shareLink.isExhausted()) {
+        throw withReason(
+          commonErrors.forbidden("Download limit exceeded"),
+          "limit_exceeded"
+        );
+      }
+
+      if (shareLink.collectionId) {
+        collection = await getSharedCollection(shareLink);
+        collectionFiles = await collectionService.getCollectionFiles(
+          collection.collectionId
+        );
+
+        if (collectionFiles.length === 0) {
+          throw withReason(
+            commonErrors.notFound("Files in shared collection"),
+            "file_unavailable"
           );
-        } catch (error) {
-          downloadUrl = shareData.cloudinaryUrl;
         }
+      } else {
+        file = await getSharedFile(shareLink);
       }
 
+      // Built before the claim, so nothing after it can fail on the file's name
+      disposition = contentDisposition(
+        collection ? `${collection.name}.zip` : file.originalName
+      );
+      claimed = await shareService.claimDownload(token);
+    } catch (error) {
+      await shareService.recordAccess(shareLink, context, {
+        event: "download",
+        success: false,
+        reason: error.accessReason || "error",
+        recipient,
+      });
+      throw error;
+    }
+
+    await shareService.recordAccess(shareLink, context, {
+      event: "download",
+      success: true,
+      recipient,
+    });
+
+    if (collection) {
       res.set({
-        "Content-Disposition": `attachment; filename="${shareData.fileName}"`,
-        "Content-Type": shareData.mimetype || "application/octet-stream",
+        "Content-Disposition": disposition,
+        "Content-Type": "application/zip",
         "Cache-Control": "no-cache, no-store, must-revalidate",
         Pragma: "no-cache",
         Expires: "0",
       });
 
+      try {
+        await collectionService.streamArchive(collection, collectionFiles, res);
+      } catch (error) {
+        if (!res.headersSent) {
+          throw error;
+        }
+        res.destroy(error);
+      }
+      return;
+    }
+
+    const downloadHeaders = {
+      "Content-Disposition": disposition,
+      "Content-Type": file.mimetype || "application/octet-stream",
+      "Cache-Control": "no-cache, no-store, must-revalidate",
+      Pragma: "no-cache",
+      Expires: "0",
+    };
+
+    if (file.encrypted) {
+      const content = await fileService.getFileContent(file);
+
+      res.set({
+        ...downloadHeaders,
+        "Content-Length": content.length.toString(),
+      });
+
+      return res.send(content);
+    }
+
+    if (file.cloudinaryUrl) {
+      let downloadUrl = fileService.getFileUrl(file);
+
+      try {
+        downloadUrl = await generateDownloadUrl(
+          file.cloudinaryPublicId,
+          fileService.getStoredResourceType(file),
+          file.originalName
+        );
+      } catch (error) {
+        logger.warn("Failed to refresh share download URL", {
+          fileId: file.fileId,
+          error: error.message,
+        });
+      }
+
+      res.set(downloadHeaders);
+
       return res.redirect(downloadUrl);
     }
 
     res.json({
       message: "File download authorized",
-      fileId: shareData.fileId,
-      fileName: shareData.fileName,
-      fileSize: shareData.fileSize,
-      mimetype: shareData.mimetype,
-      directDownloadUrl: shareData.cloudinaryUrl,
-      downloadCount: shareData.downloadCount,
-      remainingDownloads: shareData.maxDownloads
-        ? shareData.maxDownloads - shareData.downloadCount
-        : null,
+      fileId: file.fileId,
+      fileName: file.originalName,
+      fileSize: file.size,
+      mimetype: file.mimetype,
+      directDownloadUrl: fileService.getFileUrl(file),
+      downloadCount: claimed.downloadCount,
+      remainingDownloads: claimed.remainingDownloads,
       note: "Use directDownloadUrl for immediate download",
     });
   })
@@ -280,39 +799,29 @@ router.get(
 router.put(
   "/:token",
   authenticateToken,
+  requirePermission(PERMISSIONS.SHARE_CREATE),
   asyncHandler(async (req, res) => {
-    const { token } = req.params;
-    const { isActive, maxDownloads, allowPreview } = req.body;
-
-    const shareData = shareLinks.get(token);
+    const shareLink = await getManagedShareLink(req, "modify");
 
-    if (!shareData) {
-      throw commonErrors.notFound("Share link");
-    }
-
-    if (shareData.createdBy !== req.user.userId) {
-      throw commonErrors.forbidden("You can only modify your own share links");
-    }
-
-    if (typeof isActive === "boolean") {
-      shareData.isActive = isActive;
-    }
-
-    if (typeof maxDownloads === "number" && maxDownloads > 0) {
-      shareData.maxDownloads = maxDownloads;
-    }
-
-    if (typeof allowPreview === "boolean") {
-      shareData.allowPreview = allowPreview;
-    }
+    const { isActive, maxDownloads, allowPreview, recipients, unlock } =
+      req.body;
+    await shareService.updateShareLink(shareLink, {
+      isActive,
+      maxDownloads,
+      allowPreview,
+      recipients,
+      unlock,
+    });
 
     res.json({
       message: "Share link updated successfully",
       shareLink: {
-        token,
-        isActive: shareData.isActive,
-        maxDownloads: shareData.maxDownloads,
-        allowPreview: shareData.allowPreview,
+        token: shareLink.token,
+        isActive: shareLink.isActive,
+        maxDownloads: shareLink.maxDownloads,
+        allowPreview: shareLink.allowPreview,
+        recipients: shareLink.recipients,
+        lockedUntil: shareLink.isLocked ? shareLink.lockedUntil : null,
       },
     });
   })
@@ -321,20 +830,11 @@ router.put(
 router.delete(
   "/:token",
   authenticateToken,
+  requirePermission(PERMISSIONS.SHARE_CREATE),
   asyncHandler(async (req, res) => {
-    const { token } = req.params;
-
-    const shareData = shareLinks.get(token);
-
-    if (!shareData) {
-      throw commonErrors.notFound("Share link");
-    }
-
-    if (shareData.createdBy !== req.user.userId && req.user.role !== "admin") {
-      throw commonErrors.forbidden("You can only delete your own share links");
-    }
+    const shareLink = await getManagedShareLink(req, "delete");
 
-    shareLinks.delete(token);
+    await shareService.deleteShareLink(shareLink, req.user.userId);
 
     res.json({
       message: "Share link deleted successfully",
@@ -0,0 +1,79 @@
+const express = require("express");
+const config = require("../config");
+const { asyncHandler, commonErrors } = require("../middleware/errorHandler");
+const { contentDisposition } = require("../utils/contentDisposition");
+const localStorage = require("../utils/localStorage");
+const { logger } = require("../utils/logger");
+
+const router = express.Router();
+
+router.get(
+  "/local/*",
+  asyncHandler(async (req, res) => {
+    if (config.storage.type !== "local") {
+      throw commonErrors.notFound("Storage backend");
+    }
+
+    const publicId = req.params[0];
+
+    if (!localStorage.verifySignedRequest(publicId, req.query)) {
+      throw commonErrors.forbidden("Invalid or expired storage URL");
+    }
+
+    let metadata;
+    try {
+      metadata = await localStorage.getFileMetadata(publicId);
+    } catch (error) {
+      throw commonErrors.notFound("File");
+    }
+
+    if (req.query.width || req.query.height) {
+      if (metadata.resourceType !== "image") {
+        throw commonErrors.badRequest(
+          "Thumbnails are only available for images"
+        );
+      }
+
+      const thumbnail = await localStorage.generateThumbnail(publicId, {
+        width: req.query.width,
+        height: req.query.height,
+      });
+
+      res.set({
+        "Content-Type": thumbnail.format,
+        "Content-Length": thumbnail.size.toString(),
+        "Cache-Control": "private, max-age=86400",
+      });
+
+      return res.send(thumbnail.buffer);
+    }
+
+    const disposition = contentDisposition(
+      req.query.download || metadata.originalName,
+      req.query.download ? "attachment" : "inline"
+    );
+
+    res.set({
+      "Content-Type": metadata.mimetype,
+      "Content-Length": metadata.size.toString(),
+      "Content-Disposition": disposition,
+      "Cache-Control": req.query.expires
+        ? "no-cache, no-store, must-revalidate"
+        : "private, max-age=3600",
+    });
+
+    const stream = localStorage.createReadStream(publicId);
+
+    stream.on("error", (error) => {
+      logger.error("Local storage stream failed", {
+        publicId,
+        error: error.message,
+      });
+      res.destroy(error);
+    });
+
+    stream.pipe(res);
+  })
+);
+
+module.exports = router;
@@ -1,37 +1,46 @@
 const express = require("express");
 const multer = require("multer");
 
-const { authenticateToken } = require("../middleware/auth");
+const config = require("../config");
+const {
+  authenticateToken,
+  generateDownloadToken,
+  verifyDownloadToken,
+} = require("../middleware/auth");
+const {
+  PERMISSIONS,
+  requirePermission,
+  hasPermission,
+  canAccessOwnedResource,
+} = require("../middleware/permissions");
 const { validateFile } = require("../middleware/fileValidation");
 const {
   AppError,
   asyncHandler,
   commonErrors,
 } = require("../middleware/errorHandler");
+const { contentDisposition } = require("../utils/contentDisposition");
 const {
   saveFile,
   deleteFile,
-  generateThumbnailUrl,
+  generateDownloadUrl,
 } = require("../utils/fileStorage");
+const { queueFileProcessing } = require("../utils/processingPipeline");
 const {
-  processFile,
-  enhancedProcessingTracker,
-} = require("../utils/enhancedFileProcessor");
-const {
-  encryptFileForStorage,
-  isEncryptionEnabled,
+  isAtRestEncryptionEnabled,
+  encryptForStorage,
 } = require("../utils/fileEncryption");
-const { createFileVersion } = require("../utils/fileVersioning");
+const {
+  resolveVersionRoot,
+  addFileVersion,
+} = require("../utils/fileVersioning");
 const { inputSanitizer } = require("../utils/inputSanitizer");
 const { retryOperations } = require("../utils/retryManager");
-const {
-  queueManager,
-  JOB_TYPES,
-  JOB_PRIORITIES,
-} = require("../utils/jobQueue");
+const { JOB_PRIORITIES } = require("../utils/jobQueue");
 const { logger } = require("../utils/logger");
 
 const { fileService } = require("../services/fileService");
+const { quotaService } = require("../services/quotaService");
 
 const router = express.Router();
 
@@ -61,17 +70,17 @@ function canAccessFile(file, user) {
 
   if (file.publicAccess) return true;
 
-  const fileOwnerId = file.uploadedBy || file.uploaderId;
-  if (user && fileOwnerId === user.userId) return true;
-
-  if (user && user.role === "admin") return true;
-
-  return false;
+  return canAccessOwnedResource(
+    user,
+    file.uploadedBy || file.uploaderId,
+    PERMISSIONS.FILES_MANAGE_ALL
+  );
 }
 
 router.get(
   "/",
   authenticateToken,
+  requirePermission(PERMISSIONS.FILES_READ),
   asyncHandler(async (req, res) => {
     const queryResult = inputSanitizer.sanitizeQueryParams(req.query);
     if (!queryResult.isValid) {
@@ -100,7 +109,9 @@ router.get(
         search,
       });
     } else {
-      const uploaderId = req.user.role === "admin" ? null : req.user.userId;
+      const uploaderId = hasPermission(req.user, PERMISSIONS.FILES_MANAGE_ALL)
+        ? null
+        : req.user.userId;
 
       if (search) {
         result = await fileService.searchFiles(search, uploaderId, {
@@ -137,11 +148,14 @@ router.get(
       uploadDate: file.createdAt,
       status: file.status,
       publicAccess: file.publicAccess,
-      secureUrl: file.cloudinaryUrl,
-      uploadedBy:
-        req.user.role === "admin" || file.uploaderId === req.user.userId
-          ? file.uploaderId
-          : undefined,
+      secureUrl: fileService.getFileUrl(file),
+      uploadedBy: canAccessOwnedResource(
+        req.user,
+        file.uploaderId,
+        PERMISSIONS.FILES_MANAGE_ALL
+      )
+        ? file.uploaderId
+        : undefined,
       thumbnailUrl: file.processingResult?.thumbnailUrl,
       processingResult: file.processingResult,
     }));
@@ -156,6 +170,7 @@ router.get(
 router.get(
   "/:fileId",
   authenticateToken,
+  requirePermission(PERMISSIONS.FILES_READ),
   asyncHandler(async (req, res) => {
     const { fileId } = req.params;
 
@@ -164,43 +179,42 @@ router.get(
       throw commonErrors.badRequest("Invalid file ID");
     }
 
-    try {
-      const file = await fileService.getFileById(sanitizedFileId);
+    const file = await fileService.getFileById(sanitizedFileId);
 
-      if (!canAccessFile(file, req.user)) {
-        throw commonErrors.forbidden("Access denied");
-      }
+    if (!canAccessFile(file, req.user)) {
+      throw commonErrors.forbidden("Access denied");
+    }
 
-      const responseFile = {
-        id: file.fileId,
-        originalName: file.originalName,
-        size: file.size,
-        mimetype: file.mimetype,
-        uploadDate: file.createdAt,
-        status: file.status,
-        publicAccess: file.publicAccess,
-        secureUrl: file.cloudinaryUrl,
-        uploadedBy:
-          req.user.role === "admin" || file.uploaderId === req.user.userId
-            ? file.uploaderId
-            : undefined,
-        thumbnailUrl: file.processingResult?.thumbnailUrl,
-        processingResult: file.processingResult,
-      };
+    const responseFile = {
+      id: file.fileId,
+      originalName: file.originalName,
+      size: file.size,
+      mimetype: file.mimetype,
+      uploadDate: file.createdAt,
+      status: file.status,
+      publicAccess: file.publicAccess,
+      secureUrl: fileService.getFileUrl(file),
+      uploadedBy: canAccessOwnedResource(
+        req.user,
+        file.uploaderId,
+        PERMISSIONS.FILES_MANAGE_ALL
+      )
+        ? file.uploaderId
+        : undefined,
+      thumbnailUrl: file.processingResult?.thumbnailUrl,
+      processingResult: file.processingResult,
+      processingPipeline: file.processingPipeline,
+      processingSteps: file.processingSteps,
+    };
 
-      res.json({ file: responseFile });
-    } catch (error) {
-      if (error.statusCode === 404) {
-        
-      }
-      throw error;
-    }
+    res.json({ file: responseFile });
   })
 );
 
 router.post(
   "/",
   authenticateToken,
+  requirePermission(PERMISSIONS.FILES_WRITE),
   upload.single("file"),
   asyncHandler(async (req, res) => {
     if (!req.file) {
@@ -222,39 +236,59 @@ router.post(
       parentFileId,
     } = bodyResult.sanitized;
 
+    let versionRoot = null;
+    if (createVersion === "true" && parentFileId) {
+      if (!config.versioning.enabled) {
+        throw commonErrors.badRequest("File versioning is disabled");
+      }
+      versionRoot = await resolveVersionRoot(parentFileId, req.user);
+    }
+
     await validateFile(file);
 
-    let fileBuffer = file.buffer;
+    if (versionRoot) {
+      await quotaService.assertOwnerWithinQuota(
+        versionRoot.uploaderId,
+        req.user,
+        file.size
+      );
+    } else {
+      await quotaService.assertWithinQuota(
+        req.user.userId,
+        req.user.role,
+        file.size
+      );
+    }
+
+    let storedBuffer = file.buffer;
+    let storedMimetype = file.mimetype;
     let encryptionMeta = null;
 
-    if (isEncryptionEnabled()) {
-      const crypto = require("crypto");
+    if (isAtRestEncryptionEnabled()) {
+      const encrypted = encryptForStorage(file.buffer, {
+        userId: req.user.userId,
+      });
 
+      storedBuffer = encrypted.encryptedBuffer;
+      storedMimetype = "application/octet-stream";
       encryptionMeta = {
-        algorithm: "aes-256-gcm",
-        keyId: crypto.randomUUID(),
-        userId: req.user.userId,
-        encryptedAt: new Date().toISOString(),
-        encrypted: false, 
+        ...encrypted.encryptionMeta,
+        originalMimetype: file.mimetype,
       };
 
-      const { logger } = require("../utils/logger");
-      logger.info(
-        "Encryption metadata generated (file stored unencrypted for Cloudinary compatibility)",
-        {
-          keyId: encryptionMeta.keyId,
-          algorithm: encryptionMeta.algorithm,
-          userId: req.user.userId,
-        }
-      );
+      logger.info("File encrypted for at-rest storage", {
+        keyId: encryptionMeta.keyId,
+        algorithm: encryptionMeta.algorithm,
+        userId: req.user.userId,
+      });
     }
 
     let cloudinaryResult;
     try {
       cloudinaryResult = await retryOperations.fileUpload(
         async () => {
-          return saveFile(file.buffer, file.originalname, file.mimetype, {
-            enableCompression: true,
+          return saveFile(storedBuffer, file.originalname, storedMimetype, {
+            enableCompression: !encryptionMeta,
             compressionOptions: {
               quality: req.body.compressionQuality
                 ? parseInt(req.body.compressionQuality)
@@ -333,27 +367,26 @@ router.post(
       uploaderId: req.user.userId,
       status: "uploaded",
       publicAccess: false,
+      encrypted: !!encryptionMeta,
       encryptionMeta: encryptionMeta,
-      parentFileId: parentFileId || null,
-      version: createVersion === "true" ? 2 : 1,
     };
 
-    const newFile = await fileService.createFile(fileData);
-
-    if (createVersion === "true" && parentFileId) {
-      try {
-        await createFileVersion(
-          parentFileId,
-          file.buffer,
-          file.originalname,
-          file.mimetype,
+    const newFile = versionRoot
+      ? await addFileVersion(
+          versionRoot,
+          {
+            originalName: fileData.originalName,
+            cloudinaryUrl: fileData.cloudinaryUrl,
+            cloudinaryPublicId: fileData.cloudinaryPublicId,
+            mimetype: fileData.mimetype,
+            size: fileData.size,
+            encrypted: fileData.encrypted,
+            encryptionMeta: fileData.encryptionMeta,
+          },
           req.user.userId,
           versionDescription
-        );
-      } catch (versionError) {
-        console.error("Failed to create file version:", versionError);
-      }
-    }
+        )
+      : await fileService.createFile(fileData);
 
     let processingPriority = JOB_PRIORITIES.NORMAL;
     if (req.user.role === "admin") {
@@ -364,15 +397,16 @@ router.post(
       processingPriority = JOB_PRIORITIES.LOW;
     }
 
-    const jobId = await enhancedProcessingTracker.startJob(
-      newFile.fileId,
-      {
-        originalName: newFile.originalName,
-        mimetype: newFile.mimetype,
-        size: newFile.size,
-        uploaderId: req.user.userId,
-      },
-      cloudinaryResult,
+    const jobId = await queueFileProcessing(
+      newFile,
+      encryptionMeta
+        ? {
+            ...cloudinaryResult,
+            buffer: file.buffer,
+            format: null,
+            encryptionMeta,
+          }
+        : cloudinaryResult,
       {
         priority: processingPriority,
         compressionEnabled: req.body.enableCompression !== "false",
@@ -381,67 +415,17 @@ router.post(
       }
     );
 
-    const processingQueue = queueManager.getQueue("processing");
-
-    processingQueue.once(`job:completed:${jobId}`, async (job, result) => {
-      try {
-        await fileService.updateProcessingStatus(
-          newFile.fileId,
-          "processed",
-          result.result
-        );
-
-        const { logger } = require("../utils/logger");
-        logger.info("File processing completed", {
-          fileId: newFile.fileId,
-          jobId,
-          processingTime: job.completedAt - job.startedAt,
-          attempts: job.attempts,
-        });
-      } catch (error) {
-        logger.error("Failed to update file processing status", {
-          fileId: newFile.fileId,
-          jobId,
-          error: error.message,
-        });
-      }
-    });
-
-    processingQueue.once(`job:failed:${jobId}`, async (job, error) => {
-      try {
-        await fileService.updateProcessingStatus(newFile.fileId, "failed", {
-          error: error.message,
-          attempts: job.attempts,
-          failedAt: new Date().toISOString(),
-        });
-
-        const { logger } = require("../utils/logger");
-        logger.error("File processing failed permanently", {
-          fileId: newFile.fileId,
-          jobId,
-          error: error.message,
-          attempts: job.attempts,
-        });
-      } catch (updateError) {
-        logger.error("Failed to update file processing failure status", {
-          fileId: newFile.fileId,
-          jobId,
-          error: updateError.message,
-        });
-      }
-    });
-
     res.set({
       "X-File-Id": newFile.fileId,
       "X-Job-Id": jobId,
-      "X-Storage-Type": "cloudinary",
-      "X-Encrypted": !!encryptionMeta ? "true" : "false",
+      "X-Storage-Type": config.storage.type,
+      "X-Encrypted": encryptionMeta ? "true" : "false",
       "X-Compressed": cloudinaryResult.compression ? "true" : "false",
       Location: `/api/upload/${newFile.fileId}`,
     });
 
     res.status(201).json({
-      message: "File uploaded successfully to Cloudinary",
+      message: `File uploaded successfully to ${config.storage.type} storage`,
       file: {
         id: newFile.fileId,
         originalName: newFile.originalName,
@@ -450,14 +434,13 @@ router.post(
         uploadDate: newFile.createdAt,
         status: newFile.status,
         publicAccess: newFile.publicAccess,
-        secureUrl: newFile.cloudinaryUrl,
+        secureUrl: fileService.getFileUrl(newFile),
+        version: newFile.version,
       },
       encryption: {
-        enabled: isEncryptionEnabled(),
-        encrypted: !!encryptionMeta && encryptionMeta.encrypted,
-        note: isEncryptionEnabled()
-          ? "File stored unencrypted for cloud storage compatibility"
-          : "Encryption disabled",
+        enabled: isAtRestEncryptionEnabled(),
+        encrypted: newFile.encrypted,
+        algorithm: encryptionMeta ? encryptionMeta.algorithm : undefined,
       },
     });
   })
@@ -466,13 +449,20 @@ router.post(
 router.put(
   "/:fileId",
   authenticateToken,
+  requirePermission(PERMISSIONS.FILES_WRITE),
   asyncHandler(async (req, res) => {
     const { fileId } = req.params;
     const updateData = req.body;
 
     const file = await fileService.getFileById(fileId);
 
-    if (file.uploaderId !== req.user.userId && req.user.role !== "admin") {
+    if (
+      !canAccessOwnedResource(
+        req.user,
+        file.uploaderId,
+        PERMISSIONS.FILES_MANAGE_ALL
+      )
+    ) {
       throw commonErrors.forbidden("You can only update your own files");
     }
 
@@ -526,7 +516,7 @@ router.put(
         uploadDate: updatedFile.createdAt,
         status: updatedFile.status,
         publicAccess: updatedFile.publicAccess,
-        secureUrl: updatedFile.cloudinaryUrl,
+        secureUrl: fileService.getFileUrl(updatedFile),
         description: updatedFile.description,
         tags: updatedFile.tags,
       },
@@ -537,12 +527,19 @@ router.put(
 router.delete(
   "/:fileId",
   authenticateToken,
+  requirePermission(PERMISSIONS.FILES_WRITE),
   asyncHandler(async (req, res) => {
     const { fileId } = req.params;
 
     const file = await fileService.getFileById(fileId);
 
-    if (file.uploaderId !== req.user.userId && req.user.role !== "admin") {
+    if (
+      !canAccessOwnedResource(
+        req.user,
+        file.uploaderId,
+        PERMISSIONS.FILES_MANAGE_ALL
+      )
+    ) {
       throw commonErrors.forbidden("You can only delete your own files");
     }
 
@@ -550,16 +547,10 @@ router.delete(
 
     if (file.cloudinaryPublicId) {
       try {
-        let resourceType = "auto";
-        if (file.mimetype.startsWith("image/")) {
-          resourceType = "image";
-        } else if (file.mimetype.startsWith("video/")) {
-          resourceType = "video";
-        } else {
-          resourceType = "raw";
-        }
-
-        const deleteResult = await deleteFile(file.cloudinaryPublicId, resourceType);
+        const deleteResult = await deleteFile(
+          file.cloudinaryPublicId,
+          fileService.getStoredResourceType(file)
+        );
         deletedCloudinaryPublicId = deleteResult.deletedPublicId;
         
         logger.info("File moved to Cloudinary deleted folder", {
@@ -589,12 +580,19 @@ router.delete(
 router.post(
   "/:fileId/restore",
   authenticateToken,
+  requirePermission(PERMISSIONS.FILES_WRITE),
   asyncHandler(async (req, res) => {
     const { fileId } = req.params;
 
     const file = await fileService.getFileById(fileId);
 
-    if (file.uploaderId !== req.user.userId && req.user.role !== "admin") {
+    if (
+      !canAccessOwnedResource(
+        req.user,
+        file.uploaderId,
+        PERMISSIONS.FILES_MANAGE_ALL
+      )
+    ) {
       throw commonErrors.forbidden("You can only restore your own files");
     }
 
@@ -614,7 +612,7 @@ router.post(
       file: {
         fileId: restoredFile.fileId,
         originalName: restoredFile.originalName,
-        cloudinaryUrl: restoredFile.cloudinaryUrl,
+        cloudinaryUrl: fileService.getFileUrl(restoredFile),
         status: restoredFile.status,
       }
     });
@@ -624,6 +622,7 @@ router.post(
 router.get(
   "/:fileId/download",
   authenticateToken,
+  requirePermission(PERMISSIONS.FILES_READ),
   asyncHandler(async (req, res) => {
     const { fileId } = req.params;
 
@@ -632,47 +631,84 @@ router.get(
       throw commonErrors.badRequest("Invalid file ID");
     }
 
-    try {
-      const file = await fileService.getFileById(sanitizedFileId);
+    const file = await fileService.getFileById(sanitizedFileId);
 
-      if (!canAccessFile(file, req.user)) {
-        throw commonErrors.forbidden(
-          "You do not have permission to access this file"
-        );
-      }
+    if (!canAccessFile(file, req.user)) {
+      throw commonErrors.forbidden(
+        "You do not have permission to access this file"
+      );
+    }
 
-      await fileService.incrementDownload(sanitizedFileId);
+    await fileService.incrementDownload(sanitizedFileId);
 
-      res.json({
+    if (file.encrypted) {
+      const token = generateDownloadToken(file.fileId, req.user.userId);
+
+      return res.json({
         message: "File download authorized",
         fileId: file.fileId,
         filename: file.originalName,
         size: file.size,
         mimetype: file.mimetype,
-        secureUrl: file.cloudinaryUrl,
-        downloadUrl: file.cloudinaryUrl,
-        storageProvider: "cloudinary",
-        note: "File is served directly from Cloudinary CDN",
+        downloadUrl: `${req.protocol}://${req.get("host")}/api/upload/${file.fileId}/content?token=${token}`,
+        storageProvider: config.storage.type,
+        encrypted: true,
+        note: "File is encrypted at rest; downloadUrl streams the decrypted content and expires shortly",
       });
-    } catch (error) {
-      if (error.statusCode === 404) {
-
-      }
-      throw error;
     }
 
+    const servedByCdn = config.storage.type === "cloudinary";
+    const downloadUrl = servedByCdn
+      ? file.cloudinaryUrl
+      : await generateDownloadUrl(
+          file.cloudinaryPublicId,
+          fileService.getResourceType(file.mimetype),
+          file.originalName
+        );
+
     res.json({
       message: "File download authorized",
-      fileId: file.id,
+      fileId: file.fileId,
       filename: file.originalName,
       size: file.size,
       mimetype: file.mimetype,
-      secureUrl: file.secureUrl,
-      downloadUrl: file.secureUrl,
-      storageProvider: "cloudinary",
-      note: "File is served directly from Cloudinary CDN",
+      secureUrl: fileService.getFileUrl(file),
+      downloadUrl,
+      storageProvider: config.storage.type,
+      encrypted: false,
+      note: servedByCdn
+        ? "File is served directly from Cloudinary CDN"
+        : "Use downloadUrl, a signed URL that expires shortly",
     });
   })
 );
 
+router.get(
+  "/:fileId/content",
+  asyncHandler(async (req, res) => {
+    const { fileId } = req.params;
+
+    const sanitizedFileId = inputSanitizer.sanitizeText(fileId, 50);
+    if (!sanitizedFileId) {
+      throw commonErrors.badRequest("Invalid file ID");
+    }
+
+    if (!verifyDownloadToken(req.query.token, sanitizedFileId)) {
+      throw commonErrors.forbidden("Invalid or expired download token");
+    }
+
+    const file = await fileService.getFileById(sanitizedFileId);
+    const content = await fileService.getFileContent(file);
+
+    res.set({
+      "Content-Type": file.mimetype,
+      "Content-Length": content.length.toString(),
+      "Content-Disposition": contentDisposition(file.originalName),
+      "Cache-Control": "no-cache, no-store, must-revalidate",
+    });
+
+    res.send(content);
+  })
+);
+
 module.exports = router;
@@ -0,0 +1,217 @@
+const express = require("express");
+const { authenticateToken } = require("../middleware/auth");
+const { PERMISSIONS, requirePermission } = require("../middleware/permissions");
+const { asyncHandler, commonErrors } = require("../middleware/errorHandler");
+const { quotaService } = require("../services/quotaService");
+const { userService } = require("../services/userService");
+
+const router = express.Router();
+
+router.get(
+  "/me/usage",
+  authenticateToken,
+  requirePermission(PERMISSIONS.ACCOUNT_MANAGE),
+  asyncHandler(async (req, res) => {
+    const report = await quotaService.getUsageReport(
+      req.user.userId,
+      req.user.role
+    );
+
+    res.json({ usage: report });
+  })
+);
+
+router.get(
+  "/quotas",
+  authenticateToken,
+  requirePermission(PERMISSIONS.QUOTAS_MANAGE),
+  asyncHandler(async (req, res) => {
+    const overrides = await quotaService.listQuotaOverrides();
+
+    res.json({ overrides });
+  })
+);
+
+router.get(
+  "/:userId/usage",
+  authenticateToken,
+  requirePermission(PERMISSIONS.USAGE_READ_ALL),
+  asyncHandler(async (req, res) => {
+    const report = await quotaService.getUsageReport(
+      req.params.userId,
+      await quotaService.getOwnerRole(req.params.userId)
+    );
+
+    res.json({ usage: report });
+  })
+);
+
+router.put(
+  "/:userId/quota",
+  authenticateToken,
+  requirePermission(PERMISSIONS.QUOTAS_MANAGE),
+  asyncHandler(async (req, res) => {
+    const { quotaBytes, reason = "" } = req.body;
+
+    if (
+      typeof quotaBytes !== "number" ||
+      !Number.isFinite(quotaBytes) ||
+      quotaBytes < 0
+    ) {
+      throw commonErrors.badRequest("quotaBytes must be a non-negative number");
+    }
+
+    if (typeof reason !== "string") {
+      throw commonErrors.badRequest("reason must be a string");
+    }
+
+    await userService.getUserById(req.params.userId);
+
+    const override = await quotaService.setQuotaOverride(
+      req.params.userId,
+      Math.floor(quotaBytes),
+      req.user.userId,
+      reason
+    );
+
+    res.json({
+      message: "Quota override saved",
+      override,
+    });
+  })
+);
+
+router.delete(
+  "/:userId/quota",
+  authenticateToken,
+  requirePermission(PERMISSIONS.QUOTAS_MANAGE),
+  asyncHandler(async (req, res) => {
+    const removed = await quotaService.removeQuotaOverride(
+      req.params.userId,
+      req.user.userId
+    );
+
+    if (!removed) {
+      throw commonErrors.notFound("Quota override");
+    }
+
+    res.json({ message: "Quota override removed; default quota applies" });
+  })
+);
+
+router.get(
+  "/",
+  authenticateToken,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  asyncHandler(async (req, res) => {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+
+    const result = await userService.listUsers({
+      page,
+      limit,
+      role: req.query.role,
+      isActive:
+        req.query.isActive === undefined
+          ? undefined
+          : req.query.isActive === "true",
+      search: req.query.search,
+    });
+
+    res.json(result);
+  })
+);
+
+router.post(
+  "/",
+  authenticateToken,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  asyncHandler(async (req, res) => {
+    const { username, email, password, role } = req.body;
+    const user = await userService.register({ username, email, password, role });
+
+    res.status(201).json({
+      message: "User created successfully",
+      user,
+    });
+  })
+);
+
+router.get(
+  "/:userId",
+  authenticateToken,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  asyncHandler(async (req, res) => {
+    const user = await userService.getUserById(req.params.userId);
+
+    res.json({ user });
+  })
+);
+
+router.patch(
+  "/:userId",
+  authenticateToken,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  asyncHandler(async (req, res) => {
+    const allowedFields = ["role", "isActive", "email"];
+    const invalidFields = Object.keys(req.body).filter(
+      (key) => !allowedFields.includes(key)
+    );
+
+    if (invalidFields.length > 0) {
+      throw commonErrors.badRequest(
+        `Invalid fields: ${invalidFields.join(", ")}`
+      );
+    }
+
+    if (req.params.userId === req.user.userId && req.body.isActive === false) {
+      throw commonErrors.badRequest("You cannot disable your own account");
+    }
+
+    const user = await userService.updateUser(
+      req.params.userId,
+      req.body,
+      req.user.userId
+    );
+
+    res.json({
+      message: "User updated successfully",
+      user,
+    });
+  })
+);
+
+router.post(
+  "/:userId/password",
+  authenticateToken,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  asyncHandler(async (req, res) => {
+    await userService.resetPassword(
+      req.params.userId,
+      req.body.newPassword,
+      req.user.userId
+    );
+
+    res.json({ message: "Password reset successfully" });
+  })
+);
+
+router.delete(
+  "/:userId",
+  authenticateToken,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  asyncHandler(async (req, res) => {
+    if (req.params.userId === req.user.userId) {
+      throw commonErrors.badRequest("You cannot delete your own account");
+    }
+
+    await userService.deleteUser(req.params.userId, req.user.userId);
+
+    res.json({
+      message: "User deleted successfully",
+      deletedUserId: req.params.userId,
+    });
+  })
+);
+
+module.exports = router;
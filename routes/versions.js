@@ -1,14 +1,22 @@
 const express = require('express');
 const multer = require('multer');
+const config = require('../config');
 const { authenticateToken } = require('../middleware/auth');
+const { PERMISSIONS, requirePermission } = require('../middleware/permissions');
 const { validateFile } = require('../middleware/fileValidation');
 const { asyncHandler, commonErrors } = require('../middleware/errorHandler');
+const { quotaService } = require('../services/quotaService');
 const {
+  resolveVersionRoot,
   createFileVersion,
   getFileVersions,
   getFileVersion,
+  diffFileVersions,
   deleteFileVersion,
+  promoteFileVersion,
+  toVersionEntry,
 } = require('../utils/fileVersioning');
+const { queueFileProcessing } = require('../utils/processingPipeline');
 
 const router = express.Router();
 
@@ -20,53 +28,38 @@ const upload = multer({
   }
 });
 
-router.get('/:fileId', authenticateToken, asyncHandler(async (req, res) => {
-  const { fileId } = req.params;
-  
-  const versions = getFileVersions(fileId, req.user.userId, req.user.role);
+router.get('/:fileId', authenticateToken, requirePermission(PERMISSIONS.FILES_READ), asyncHandler(async (req, res) => {
+  const { file, versions } = await getFileVersions(req.params.fileId, req.user);
   
   res.json({
-    fileId,
-    versions: versions.map(version => ({
-      versionId: version.versionId,
-      versionNumber: version.versionNumber,
-      originalName: version.originalName,
-      size: version.size,
-      mimetype: version.mimetype,
-      createdBy: version.createdBy,
-      createdAt: version.createdAt,
-      changeDescription: version.changeDescription,
-      secureUrl: version.secureUrl
-    })),
-    totalVersions: versions.length
+    fileId: file.fileId,
+    currentVersion: file.version,
+    versions,
+    totalVersions: versions.length,
+    maxVersions: config.versioning.maxVersionsPerFile
   });
 }));
 
-router.get('/:fileId/:versionId', authenticateToken, asyncHandler(async (req, res) => {
+router.get('/:fileId/diff', authenticateToken, requirePermission(PERMISSIONS.FILES_READ), asyncHandler(async (req, res) => {
+  const { from, to, key, context } = req.query;
+
+  const result = await diffFileVersions(req.params.fileId, { from, to, key, context }, req.user);
+
+  res.json(result);
+}));
+
+router.get('/:fileId/:versionId', authenticateToken, requirePermission(PERMISSIONS.FILES_READ), asyncHandler(async (req, res) => {
   const { fileId, versionId } = req.params;
   
-  const version = getFileVersion(fileId, versionId, req.user.userId, req.user.role);
-  
-  if (!version) {
-    throw commonErrors.notFound('Version');
-  }
+  const { file, version } = await getFileVersion(fileId, versionId, req.user);
   
   res.json({
-    versionId: version.versionId,
-    originalFileId: version.originalFileId,
-    versionNumber: version.versionNumber,
-    originalName: version.originalName,
-    size: version.size,
-    mimetype: version.mimetype,
-    createdBy: version.createdBy,
-    createdAt: version.createdAt,
-    changeDescription: version.changeDescription,
-    secureUrl: version.secureUrl,
-    publicId: version.publicId
+    ...toVersionEntry(version, file.fileId),
+    publicId: version.cloudinaryPublicId
   });
 }));
 
-router.post('/:fileId', authenticateToken, upload.single('file'), asyncHandler(async (req, res) => {
+router.post('/:fileId', authenticateToken, requirePermission(PERMISSIONS.FILES_WRITE), upload.single('file'), asyncHandler(async (req, res) => {
   const { fileId } = req.params;
   const { changeDescription = '' } = req.body;
   
@@ -77,35 +70,57 @@ router.post('/:fileId', authenticateToken, upload.single('file'), asyncHandler(a
   const file = req.file;
   
   await validateFile(file);
+
+  const rootFile = await resolveVersionRoot(fileId, req.user);
+
+  await quotaService.assertOwnerWithinQuota(rootFile.uploaderId, req.user, file.size);
   
-  const version = await createFileVersion(
+  const { file: updatedFile, version, processingSource } = await createFileVersion(
     fileId,
     file.buffer,
     file.originalname,
     file.mimetype,
-    req.user.userId,
+    req.user,
     changeDescription
   );
+
+  const jobId = await queueFileProcessing(updatedFile, processingSource);
   
   res.status(201).json({
     message: 'File version created successfully',
-    version: {
-      versionId: version.versionId,
-      originalFileId: version.originalFileId,
-      versionNumber: version.versionNumber,
-      originalName: version.originalName,
-      size: version.size,
-      createdAt: version.createdAt,
-      changeDescription: version.changeDescription,
-      secureUrl: version.secureUrl
-    }
+    version,
+    jobId
+  });
+}));
+
+router.post('/:fileId/:versionId/promote', authenticateToken, requirePermission(PERMISSIONS.FILES_WRITE), asyncHandler(async (req, res) => {
+  const { fileId, versionId } = req.params;
+
+  const { file: rootFile, version: target } = await getFileVersion(fileId, versionId, req.user);
+
+  await quotaService.assertOwnerWithinQuota(rootFile.uploaderId, req.user, target.size);
+
+  const { file: updatedFile, version, processingSource, promotedFrom } = await promoteFileVersion(
+    fileId,
+    versionId,
+    req.user,
+    req.body.changeDescription
+  );
+
+  const jobId = await queueFileProcessing(updatedFile, processingSource);
+
+  res.status(201).json({
+    message: `Version ${promotedFrom.versionNumber} is now the current version`,
+    version,
+    promotedFrom,
+    jobId
   });
 }));
 
-router.delete('/:fileId/:versionId', authenticateToken, asyncHandler(async (req, res) => {
+router.delete('/:fileId/:versionId', authenticateToken, requirePermission(PERMISSIONS.FILES_WRITE), asyncHandler(async (req, res) => {
   const { fileId, versionId } = req.params;
   
-  await deleteFileVersion(fileId, versionId, req.user.userId, req.user.role);
+  await deleteFileVersion(fileId, versionId, req.user);
   
   res.json({
     message: 'Version deleted successfully',
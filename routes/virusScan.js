@@ -1,6 +1,7 @@
 const express = require("express");
 const multer = require("multer");
 const { authenticateToken } = require("../middleware/auth");
+const { PERMISSIONS, requirePermission } = require("../middleware/permissions");
 const {
   AppError,
   asyncHandler,
@@ -23,6 +24,7 @@ const upload = multer({
 router.post(
   "/file",
   authenticateToken,
+  requirePermission(PERMISSIONS.SCAN_RUN),
   upload.single("file"),
   asyncHandler(async (req, res) => {
     if (!req.file) {
@@ -16,12 +16,12 @@ const {
   securityHeaders,
   requestLogger,
 } = require("./middleware/security");
-const {
-  testCloudinaryConnection,
-  isCloudinaryConfigured,
-} = require("./utils/cloudinaryStorage");
+const { initializeStorage } = require("./utils/fileStorage");
 const { performanceMonitor, healthMonitor } = require("./utils/monitoring");
 const { logger } = require("./utils/logger");
+const { keyRotationManager } = require("./utils/keyRotation");
+const { queueManager } = require("./utils/jobQueue");
+const { userService } = require("./services/userService");
 
 const authRoutes = require("./routes/auth");
 const uploadRoutes = require("./routes/upload");
@@ -31,36 +31,49 @@ const sharingRoutes = require("./routes/sharing");
 const versionsRoutes = require("./routes/versions");
 const batchRoutes = require("./routes/batch");
 const virusScanRoutes = require("./routes/virusScan");
+const storageRoutes = require("./routes/storage");
+const encryptionRoutes = require("./routes/encryption");
+const usersRoutes = require("./routes/users");
+const apiKeysRoutes = require("./routes/apiKeys");
+const logsRoutes = require("./routes/logs");
+const collectionsRoutes = require("./routes/collections");
+const eventsRoutes = require("./routes/events");
 
 const app = express();
 const PORT = config.server.port;
 
-dbConnection.connect().catch((error) => {
-  logger.error("Failed to initialize database connection", {
-    error: error.message,
+dbConnection
+  .connect()
+  .then(() =>
+    userService
+      .migrateLegacyRoles()
+      .then(() => userService.ensureInitialAdmin())
+      .catch((error) => {
+        logger.error("Failed to prepare user accounts", {
+          error: error.message,
+        });
+      })
+  )
+  .then(() => queueManager.start())
+  .catch((error) => {
+    logger.error("Failed to initialize database connection", {
+      error: error.message,
+    });
+    console.error("Database initialization failed:", error.message);
+    process.exit(1);
   });
-  console.error("Database initialization failed:", error.message);
-  process.exit(1);
-});
 
 (async () => {
   try {
-    if (isCloudinaryConfigured()) {
-      const connectionTest = await testCloudinaryConnection();
-
-      if (connectionTest.success) {
-        console.log("Cloudinary connection successful");
-      } else {
-        console.log("Cloudinary connection failed:", connectionTest.error);
-      }
-    } else {
-      console.log("Cloudinary credentials not configured properly");
-    }
+    await initializeStorage();
+    console.log(`${config.storage.type} storage ready`);
   } catch (error) {
-    console.log("Failed to test Cloudinary connection:", error.message);
+    console.log("Storage initialization failed:", error.message);
   }
 })();
 
+keyRotationManager.start();
+
 app.use(securityHeaders);
 
 app.use(
@@ -88,6 +101,13 @@ app.use("/api/versions", versionsRoutes);
 app.use("/api/batch", batchRoutes);
 app.use("/api/virus-scan", virusScanRoutes);
 app.use("/api/queue", queueRoutes);
+app.use("/api/storage", storageRoutes);
+app.use("/api/encryption", encryptionRoutes);
+app.use("/api/users", usersRoutes);
+app.use("/api/api-keys", apiKeysRoutes);
+app.use("/api/logs", logsRoutes);
+app.use("/api/collections", collectionsRoutes);
+app.use("/api/events", eventsRoutes);
 
 app.get("/health", async (req, res) => {
   const healthStatus = healthMonitor.getHealthStatus();
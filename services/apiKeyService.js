@@ -0,0 +1,166 @@
+const crypto = require("crypto");
+const ApiKey = require("../models/ApiKey");
+const { API_KEY_SCOPES } = require("../models/ApiKey");
+const User = require("../models/User");
+const {
+  PERMISSION_SCOPES,
+  getRolePermissions,
+} = require("../middleware/permissions");
+const { logger } = require("../utils/logger");
+const { commonErrors } = require("../middleware/errorHandler");
+
+const KEY_PREFIX = "fpk_";
+const MAX_KEYS_PER_USER = 20;
+const LAST_USED_UPDATE_INTERVAL = 60 * 1000;
+
+function hashKey(secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+class ApiKeyService {
+  async createKey(userId, { name, scopes, expiresInDays } = {}) {
+    if (typeof name !== "string" || !name.trim() || name.length > 100) {
+      throw commonErrors.badRequest("name is required (max 100 characters)");
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw commonErrors.badRequest(
+        `scopes must be a non-empty array of: ${API_KEY_SCOPES.join(", ")}`
+      );
+    }
+
+    const invalidScopes = scopes.filter((scope) => !API_KEY_SCOPES.includes(scope));
+    if (invalidScopes.length > 0) {
+      throw commonErrors.badRequest(`Invalid scopes: ${invalidScopes.join(", ")}`);
+    }
+
+    let expiresAt = null;
+    if (expiresInDays !== undefined && expiresInDays !== null) {
+      const days = Number(expiresInDays);
+      if (!Number.isInteger(days) || days < 1 || days > 365) {
+        throw commonErrors.badRequest("expiresInDays must be an integer between 1 and 365");
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const owner = await User.findOne({ userId });
+    if (!owner) {
+      throw commonErrors.forbidden("API keys can only be created for registered accounts");
+    }
+
+    const grantableScopes = getRolePermissions(owner.role).map(
+      (permission) => PERMISSION_SCOPES[permission]
+    );
+    const deniedScopes = scopes.filter((scope) => !grantableScopes.includes(scope));
+    if (deniedScopes.length > 0) {
+      throw commonErrors.forbidden(
+        `Your role cannot grant scopes: ${deniedScopes.join(", ")}`
+      );
+    }
+
+    const activeCount = await ApiKey.countDocuments({ userId, revokedAt: null });
+    if (activeCount >= MAX_KEYS_PER_USER) {
+      throw commonErrors.badRequest(
+        `A user can have at most ${MAX_KEYS_PER_USER} API keys; revoke an unused key first`
+      );
+    }
+
+    const secret = `${KEY_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+
+    const apiKey = await ApiKey.create({
+      name: name.trim(),
+      userId,
+      prefix: secret.substring(0, KEY_PREFIX.length + 8),
+      keyHash: hashKey(secret),
+      scopes: [...new Set(scopes)],
+      expiresAt,
+    });
+
+    logger.info("API key created", {
+      keyId: apiKey.keyId,
+      userId,
+      scopes: apiKey.scopes,
+      expiresAt,
+    });
+
+    return { apiKey, secret };
+  }
+
+  async listKeys(userId, { includeRevoked = false } = {}) {
+    const query = { userId };
+    if (!includeRevoked) {
+      query.revokedAt = null;
+    }
+
+    return ApiKey.find(query).sort({ createdAt: -1 });
+  }
+
+  async revokeKey(keyId, revokedBy, ownerId = null) {
+    const query = { keyId };
+    if (ownerId) {
+      query.userId = ownerId;
+    }
+
+    const apiKey = await ApiKey.findOne(query);
+    if (!apiKey) {
+      throw commonErrors.notFound("API key");
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      apiKey.revokedBy = revokedBy;
+      await apiKey.save();
+
+      logger.info("API key revoked", { keyId, userId: apiKey.userId, revokedBy });
+    }
+
+    return apiKey;
+  }
+
+  async authenticate(secret, context = {}) {
+    if (typeof secret !== "string" || !secret.startsWith(KEY_PREFIX)) {
+      return null;
+    }
+
+    const apiKey = await ApiKey.findOne({ keyHash: hashKey(secret) });
+    if (!apiKey || !apiKey.isUsable()) {
+      return null;
+    }
+
+    const owner = await User.findOne({ userId: apiKey.userId });
+    if (!owner || !owner.isActive) {
+      return null;
+    }
+
+    if (
+      !apiKey.lastUsedAt ||
+      Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_UPDATE_INTERVAL
+    ) {
+      ApiKey.updateOne(
+        { _id: apiKey._id },
+        { lastUsedAt: new Date(), lastUsedIp: context.ip }
+      ).catch((error) => {
+        logger.warn("Failed to record API key usage", {
+          keyId: apiKey.keyId,
+          error: error.message,
+        });
+      });
+    }
+
+    return {
+      userId: owner.userId,
+      username: owner.username,
+      role: owner.role,
+      authType: "apiKey",
+      apiKeyId: apiKey.keyId,
+      scopes: apiKey.scopes,
+    };
+  }
+}
+
+const apiKeyService = new ApiKeyService();
+
+module.exports = {
+  ApiKeyService,
+  apiKeyService,
+};
@@ -0,0 +1,279 @@
+const path = require("path");
+const archiver = require("archiver");
+const config = require("../config");
+const Collection = require("../models/Collection");
+const File = require("../models/File");
+const { fileService } = require("./fileService");
+const { shareService } = require("./shareService");
+const { getFileStream } = require("../utils/fileStorage");
+const { logger } = require("../utils/logger");
+const { AppError, commonErrors } = require("../middleware/errorHandler");
+
+function validateName(name) {
+  if (typeof name !== "string" || !name.trim() || name.trim().length > 100) {
+    throw commonErrors.badRequest("name is required (max 100 characters)");
+  }
+  return name.trim();
+}
+
+function validateDescription(description) {
+  if (description === undefined || description === null) {
+    return undefined;
+  }
+  if (typeof description !== "string" || description.length > 1000) {
+    throw commonErrors.badRequest("description must be a string (max 1000 characters)");
+  }
+  return description.trim();
+}
+
+function uniqueEntryName(originalName, usedNames) {
+  const extension = path.extname(originalName);
+  const base = path.basename(originalName, extension);
+
+  let name = originalName;
+  for (let index = 2; usedNames.has(name.toLowerCase()); index++) {
+    name = `${base} (${index})${extension}`;
+  }
+
+  usedNames.add(name.toLowerCase());
+  return name;
+}
+
+function appendEntry(archive, source, data) {
+  return new Promise((resolve, reject) => {
+    const onEntry = () => {
+      archive.removeListener("error", onError);
+      resolve();
+    };
+    const onError = (error) => {
+      archive.removeListener("entry", onEntry);
+      reject(error);
+    };
+
+    archive.once("entry", onEntry);
+    archive.once("error", onError);
+    archive.append(source, data);
+  });
+}
+
+class CollectionService {
+  async createCollection(ownerId, { name, description } = {}) {
+    try {
+      const collection = await Collection.create({
+        name: validateName(name),
+        description: validateDescription(description),
+        ownerId,
+      });
+
+      logger.info("Collection created", {
+        collectionId: collection.collectionId,
+        ownerId,
+      });
+
+      return collection;
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new AppError("A collection with this name already exists", 409);
+      }
+      throw error;
+    }
+  }
+
+  async getCollection(collectionId) {
+    const collection = await Collection.findOne({ collectionId });
+
+    if (!collection) {
+      throw commonErrors.notFound("Collection");
+    }
+
+    return collection;
+  }
+
+  async listCollections(ownerId) {
+    const collections = await Collection.find({ ownerId }).sort({ name: 1 });
+
+    const counts = await File.aggregate([
+      {
+        $match: {
+          collectionIds: { $in: collections.map((c) => c.collectionId) },
+          status: { $ne: "deleted" },
+        },
+      },
+      { $unwind: "$collectionIds" },
+      {
+        $group: {
+          _id: "$collectionIds",
+          fileCount: { $sum: 1 },
+          totalSize: { $sum: "$size" },
+        },
+      },
+    ]);
+    const countsById = new Map(counts.map((entry) => [entry._id, entry]));
+
+    return collections.map((collection) => ({
+      ...collection.toJSON(),
+      fileCount: countsById.get(collection.collectionId)?.fileCount || 0,
+      totalSize: countsById.get(collection.collectionId)?.totalSize || 0,
+    }));
+  }
+
+  async updateCollection(collection, { name, description }) {
+    if (name !== undefined) {
+      collection.name = validateName(name);
+    }
+
+    if (description !== undefined) {
+      collection.description = validateDescription(description);
+    }
+
+    try {
+      await collection.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new AppError("A collection with this name already exists", 409);
+      }
+      throw error;
+    }
+
+    return collection;
+  }
+
+  async deleteCollection(collection, deletedBy) {
+    await File.updateMany(
+      { collectionIds: collection.collectionId },
+      { $pull: { collectionIds: collection.collectionId } }
+    );
+    const removedLinks = await shareService.deleteShareLinksForCollection(
+      collection.collectionId
+    );
+    await collection.deleteOne();
+
+    logger.info("Collection deleted", {
+      collectionId: collection.collectionId,
+      ownerId: collection.ownerId,
+      deletedBy,
+      removedLinks,
+    });
+
+    return true;
+  }
+
+  async getCollectionFiles(collectionId) {
+    return File.find({
+      collectionIds: collectionId,
+      status: { $ne: "deleted" },
+    }).sort({ originalName: 1 });
+  }
+
+  async addFiles(collection, fileIds) {
+    if (!Array.isArray(fileIds) || fileIds.length === 0) {
+      throw commonErrors.badRequest("fileIds must be a non-empty array");
+    }
+
+    const uniqueIds = [...new Set(fileIds)];
+    const files = await File.find({
+      fileId: { $in: uniqueIds },
+      uploaderId: collection.ownerId,
+      parentFileId: null,
+      status: { $ne: "deleted" },
+    });
+
+    const missing = uniqueIds.filter(
+      (fileId) => !files.some((file) => file.fileId === fileId)
+    );
+    if (missing.length > 0) {
+      throw commonErrors.badRequest(
+        `Files not found or not owned by the collection owner: ${missing.join(", ")}`
+      );
+    }
+
+    const currentCount = await File.countDocuments({
+      collectionIds: collection.collectionId,
+      status: { $ne: "deleted" },
+    });
+    const newFiles = files.filter(
+      (file) => !file.collectionIds.includes(collection.collectionId)
+    );
+
+    if (currentCount + newFiles.length > config.collections.maxFilesPerCollection) {
+      throw commonErrors.badRequest(
+        `A collection can hold at most ${config.collections.maxFilesPerCollection} files`
+      );
+    }
+
+    await File.updateMany(
+      { fileId: { $in: uniqueIds } },
+      { $addToSet: { collectionIds: collection.collectionId } }
+    );
+
+    logger.info("Files added to collection", {
+      collectionId: collection.collectionId,
+      added: newFiles.length,
+    });
+
+    return newFiles.length;
+  }
+
+  async removeFile(collection, fileId) {
+    const result = await File.updateOne(
+      { fileId, collectionIds: collection.collectionId },
+      { $pull: { collectionIds: collection.collectionId } }
+    );
+
+    if (result.modifiedCount === 0) {
+      throw commonErrors.notFound("File in collection");
+    }
+
+    return true;
+  }
+
+  async streamArchive(collection, files, output) {
+    const archive = archiver("zip", {
+      zlib: { level: config.collections.archiveCompressionLevel },
+    });
+    const usedNames = new Set();
+
+    archive.on("warning", (error) => {
+      logger.warn("Collection archive warning", {
+        collectionId: collection.collectionId,
+        error: error.message,
+      });
+    });
+
+    archive.pipe(output);
+
+    try {
+      for (const file of files) {
+        const source = file.encrypted
+          ? await fileService.getFileContent(file)
+          : await getFileStream(
+              file.cloudinaryPublicId,
+              fileService.getStoredResourceType(file)
+            );
+
+        await appendEntry(archive, source, {
+          name: uniqueEntryName(file.originalName, usedNames),
+          date: file.createdAt,
+        });
+      }
+
+      await archive.finalize();
+    } catch (error) {
+      logger.error("Collection archive failed", {
+        collectionId: collection.collectionId,
+        error: error.message,
+      });
+      archive.abort();
+      throw error;
+    }
+
+    return archive.pointer();
+  }
+}
+
+const collectionService = new CollectionService();
+
+module.exports = {
+  CollectionService,
+  collectionService,
+};
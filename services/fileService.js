@@ -85,6 +85,7 @@ class FileService {
             { originalName: searchRegex },
             { description: searchRegex },
             { tags: { $in: [searchRegex] } },
+            { keywords: { $in: [searchRegex] } },
           ],
         });
       }
@@ -92,6 +93,7 @@ class FileService {
       const files = await query.exec();
       const total = await File.countDocuments({
         uploaderId,
+        parentFileId: null,
         status: { $ne: "deleted" },
         ...(status && { status }),
         ...(mimetype && { mimetype }),
@@ -137,6 +139,7 @@ class FileService {
             { originalName: searchRegex },
             { description: searchRegex },
             { tags: { $in: [searchRegex] } },
+            { keywords: { $in: [searchRegex] } },
           ],
         });
       }
@@ -144,6 +147,7 @@ class FileService {
       const files = await query.exec();
       const total = await File.countDocuments({
         publicAccess: true,
+        parentFileId: null,
         status: "processed",
         ...(mimetype && { mimetype }),
       });
@@ -216,6 +220,52 @@ class FileService {
     }
   }
 
+  // Conditional on the version so a late result never overwrites the status of newer content
+  async updateVersionProcessingStatus(fileId, version, status, result = null) {
+    const update = { status };
+    if (result) {
+      update.processingResult = result;
+    }
+
+    const outcome = await File.updateOne(
+      { fileId, version, status: { $ne: "deleted" } },
+      { $set: update }
+    );
+
+    return outcome.matchedCount > 0;
+  }
+
+  async setProcessingSteps(fileId, version, pipeline, steps) {
+    const outcome = await File.updateOne(
+      { fileId, version, status: { $ne: "deleted" } },
+      { $set: { processingPipeline: pipeline, processingSteps: steps } }
+    );
+
+    return outcome.matchedCount > 0;
+  }
+
+  // Matching on the step's job keeps a superseded run of the step from overwriting a newer one
+  async updateProcessingStep(fileId, version, stepName, jobId, update) {
+    const fields = Object.fromEntries(
+      Object.entries(update).map(([field, value]) => [
+        `processingSteps.$.${field}`,
+        value,
+      ])
+    );
+
+    const outcome = await File.updateOne(
+      {
+        fileId,
+        version,
+        status: { $ne: "deleted" },
+        processingSteps: { $elemMatch: { name: stepName, jobId } },
+      },
+      { $set: fields }
+    );
+
+    return outcome.matchedCount > 0;
+  }
+
   async updateProcessingStatus(fileId, status, result = null) {
     try {
       const file = await this.getFileById(fileId);
@@ -285,7 +335,7 @@ class FileService {
       const restoreResult = await restoreFile(
         file.deletedCloudinaryPublicId, 
         file.cloudinaryPublicId,
-        this.getResourceType(file.mimetype)
+        this.getStoredResourceType(file)
       );
 
       await file.restore(file.cloudinaryPublicId);
@@ -321,6 +371,51 @@ class FileService {
     }
   }
 
+  getStoredResourceType(file) {
+    return file.encrypted ? "raw" : this.getResourceType(file.mimetype);
+  }
+
+  // Encrypted files only leave through the decrypting content route. Drivers whose stored URLs
+  // are not usable as-is (local storage) sign a fresh, expiring one per response
+  getFileUrl(file) {
+    if (file.encrypted) {
+      return null;
+    }
+
+    const { getStorageDriver } = require("../utils/storageDrivers");
+    const driver = getStorageDriver();
+
+    return typeof driver.getFileUrl === "function"
+      ? driver.getFileUrl(file.cloudinaryPublicId)
+      : file.cloudinaryUrl;
+  }
+
+  async getFileContent(file) {
+    const { getFileBuffer } = require("../utils/fileStorage");
+
+    const storedBuffer = await getFileBuffer(
+      file.cloudinaryPublicId,
+      this.getStoredResourceType(file)
+    );
+
+    if (!file.encrypted) {
+      return storedBuffer;
+    }
+
+    const { decryptFromStorage } = require("../utils/fileEncryption");
+
+    try {
+      return decryptFromStorage(storedBuffer, file.encryptionMeta);
+    } catch (error) {
+      logger.error("Failed to decrypt stored file", {
+        fileId: file.fileId,
+        error: error.message,
+      });
+
+      throw new AppError("Failed to decrypt file content", 500);
+    }
+  }
+
   async incrementDownload(fileId) {
     try {
       const file = await this.getFileById(fileId);
@@ -358,10 +453,12 @@ class FileService {
       const searchRegex = new RegExp(searchTerm, "i");
       let countQuery = {
         status: { $ne: "deleted" },
+        parentFileId: null,
         $or: [
           { originalName: searchRegex },
           { description: searchRegex },
           { tags: { $in: [searchRegex] } },
+          { keywords: { $in: [searchRegex] } },
         ],
       };
 
@@ -399,7 +496,7 @@ class FileService {
       const versions = await File.find({
         $or: [{ fileId: parentFileId }, { parentFileId: parentFileId }],
         status: { $ne: "deleted" },
-      }).sort({ version: 1 });
+      }).sort({ version: -1 });
 
       return versions;
     } catch (error) {
@@ -411,62 +508,6 @@ class FileService {
       throw new AppError(`Failed to get file versions: ${error.message}`, 500);
     }
   }
-
-  async createShareToken(fileId, expiryHours = 24, password = null) {
-    try {
-      const file = await this.getFileById(fileId);
-      await file.createShareToken(expiryHours, password);
-
-      logger.info("Share token created", {
-        fileId,
-        expiryHours,
-        hasPassword: !!password,
-      });
-
-      return file;
-    } catch (error) {
-      if (error instanceof AppError) {
-        throw error;
-      }
-
-      logger.error("Failed to create share token", {
-        fileId,
-        error: error.message,
-      });
-
-      throw new AppError(`Failed to create share token: ${error.message}`, 500);
-    }
-  }
-
-  async getFileByShareToken(shareToken) {
-    try {
-      const file = await File.findOne({ shareToken });
-
-      if (!file) {
-        throw new AppError("Invalid share token", 404);
-      }
-
-      if (!file.isShareValid()) {
-        throw new AppError("Share token has expired", 410);
-      }
-
-      return file;
-    } catch (error) {
-      if (error instanceof AppError) {
-        throw error;
-      }
-
-      logger.error("Failed to get file by share token", {
-        shareToken,
-        error: error.message,
-      });
-
-      throw new AppError(
-        `Failed to retrieve shared file: ${error.message}`,
-        500
-      );
-    }
-  }
 }
 
 const fileService = new FileService();
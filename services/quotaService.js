@@ -0,0 +1,208 @@
+const config = require("../config");
+const File = require("../models/File");
+const User = require("../models/User");
+const UserQuota = require("../models/UserQuota");
+const { logger } = require("../utils/logger");
+const { AppError, commonErrors } = require("../middleware/errorHandler");
+
+function formatBytes(bytes) {
+  const sizes = ["Bytes", "KB", "MB", "GB", "TB"];
+  if (!bytes) return "0 Bytes";
+  const i = Math.min(
+    sizes.length - 1,
+    Math.floor(Math.log(bytes) / Math.log(1024))
+  );
+  return Math.round((bytes / Math.pow(1024, i)) * 100) / 100 + " " + sizes[i];
+}
+
+function mergeUsage(target, source) {
+  target.bytes += source.bytes;
+  target.count += source.count;
+
+  Object.entries(source.byMimetype).forEach(([mimetype, entry]) => {
+    target.byMimetype[mimetype] = target.byMimetype[mimetype] || {
+      bytes: 0,
+      count: 0,
+    };
+    target.byMimetype[mimetype].bytes += entry.bytes;
+    target.byMimetype[mimetype].count += entry.count;
+  });
+
+  return target;
+}
+
+class QuotaService {
+  async getFileUsage(userId, { versions = false } = {}) {
+    const results = await File.aggregate([
+      {
+        $match: {
+          uploaderId: userId,
+          parentFileId: versions ? { $ne: null } : null,
+          status: { $ne: "deleted" },
+        },
+      },
+      {
+        $group: {
+          _id: "$mimetype",
+          bytes: { $sum: "$size" },
+          count: { $sum: 1 },
+        },
+      },
+    ]);
+
+    return results.reduce(
+      (usage, entry) => {
+        usage.bytes += entry.bytes;
+        usage.count += entry.count;
+        usage.byMimetype[entry._id] = { bytes: entry.bytes, count: entry.count };
+        return usage;
+      },
+      { bytes: 0, count: 0, byMimetype: {} }
+    );
+  }
+
+  async getUsage(userId) {
+    try {
+      const { getBatchStorageUsage } = require("../utils/batchProcessor");
+
+      const [files, versions] = await Promise.all([
+        this.getFileUsage(userId),
+        this.getFileUsage(userId, { versions: true }),
+      ]);
+      const batches = getBatchStorageUsage(userId);
+
+      const total = { bytes: 0, count: 0, byMimetype: {} };
+      mergeUsage(total, files);
+      mergeUsage(total, versions);
+      mergeUsage(total, batches);
+
+      return {
+        bytesUsed: total.bytes,
+        fileCount: total.count,
+        byMimetype: total.byMimetype,
+        bySource: {
+          files: { bytes: files.bytes, count: files.count },
+          versions: { bytes: versions.bytes, count: versions.count },
+          batches: { bytes: batches.bytes, count: batches.count },
+        },
+      };
+    } catch (error) {
+      logger.error("Failed to calculate storage usage", {
+        userId,
+        error: error.message,
+      });
+
+      throw new AppError(`Failed to calculate storage usage: ${error.message}`, 500);
+    }
+  }
+
+  async getQuota(userId, role = "user") {
+    const override = await UserQuota.findOne({ userId });
+
+    if (override) {
+      return { quotaBytes: override.quotaBytes, source: "override" };
+    }
+
+    return {
+      quotaBytes:
+        role === "admin"
+          ? config.quotas.defaultAdminQuota
+          : config.quotas.defaultUserQuota,
+      source: "default",
+    };
+  }
+
+  async getUsageReport(userId, role = "user") {
+    const [usage, quota] = await Promise.all([
+      this.getUsage(userId),
+      this.getQuota(userId, role),
+    ]);
+
+    return {
+      userId,
+      ...usage,
+      quotaBytes: quota.quotaBytes,
+      quotaSource: quota.source,
+      remainingBytes: Math.max(0, quota.quotaBytes - usage.bytesUsed),
+      percentUsed:
+        quota.quotaBytes > 0
+          ? Math.round((usage.bytesUsed / quota.quotaBytes) * 10000) / 100
+          : 100,
+      enforced: config.quotas.enabled,
+    };
+  }
+
+  async assertWithinQuota(userId, role, incomingBytes) {
+    if (!config.quotas.enabled) {
+      return;
+    }
+
+    const report = await this.getUsageReport(userId, role);
+
+    if (report.bytesUsed + incomingBytes > report.quotaBytes) {
+      logger.warn("Upload rejected by storage quota", {
+        userId,
+        incomingBytes,
+        bytesUsed: report.bytesUsed,
+        quotaBytes: report.quotaBytes,
+      });
+
+      throw commonErrors.payloadTooLarge(
+        `Storage quota exceeded: this upload needs ${formatBytes(
+          incomingBytes
+        )} but only ${formatBytes(report.remainingBytes)} of your ${formatBytes(
+          report.quotaBytes
+        )} quota remains`
+      );
+    }
+  }
+
+  // Versions count against the root file's owner, who is not the caller when an admin adds them
+  async assertOwnerWithinQuota(ownerId, user, incomingBytes) {
+    if (!config.quotas.enabled) {
+      return;
+    }
+
+    const role =
+      ownerId === user.userId ? user.role : await this.getOwnerRole(ownerId);
+
+    await this.assertWithinQuota(ownerId, role, incomingBytes);
+  }
+
+  // Files of a removed account keep the default user quota
+  async getOwnerRole(ownerId) {
+    const owner = await User.findOne({ userId: ownerId }, { role: 1 });
+    return owner ? owner.role : "user";
+  }
+
+  async setQuotaOverride(userId, quotaBytes, updatedBy, reason = "") {
+    const override = await UserQuota.findOneAndUpdate(
+      { userId },
+      { quotaBytes, updatedBy, reason },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    logger.info("User quota override set", { userId, quotaBytes, updatedBy });
+
+    return override;
+  }
+
+  async removeQuotaOverride(userId, removedBy) {
+    const result = await UserQuota.deleteOne({ userId });
+
+    logger.info("User quota override removed", { userId, removedBy });
+
+    return result.deletedCount > 0;
+  }
+
+  async listQuotaOverrides() {
+    return UserQuota.find().sort({ updatedAt: -1 });
+  }
+}
+
+const quotaService = new QuotaService();
+
+module.exports = {
+  QuotaService,
+  quotaService,
+};
@@ -0,0 +1,780 @@
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const validator = require("validator");
+const config = require("../config");
+const ShareLink = require("../models/ShareLink");
+const ShareAccessLog = require("../models/ShareAccessLog");
+const ShareVerification = require("../models/ShareVerification");
+const {
+  generateShareAccessToken,
+  verifyShareAccessToken,
+} = require("../middleware/auth");
+const { sendNotification } = require("../utils/notifiers");
+const { logger } = require("../utils/logger");
+const { AppError, commonErrors } = require("../middleware/errorHandler");
+
+const SHARE_LINK_STATUSES = ["active", "expired", "inactive", "exhausted"];
+
+const EXPIRATION_OPTIONS = {
+  "1h": 60 * 60 * 1000,
+  "24h": 24 * 60 * 60 * 1000,
+  "7d": 7 * 24 * 60 * 60 * 1000,
+  "30d": 30 * 24 * 60 * 60 * 1000,
+};
+
+function generateShareToken() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+const LEGACY_PASSWORD_HASH = /^[a-f0-9]{64}$/;
+
+function hashSharePassword(password) {
+  return bcrypt.hash(password, config.security.bcryptRounds);
+}
+
+// Links created before bcrypt stored an unsalted sha256 digest
+function verifyLegacyPasswordHash(password, passwordHash) {
+  const expected = Buffer.from(passwordHash, "hex");
+  const actual = crypto.createHash("sha256").update(password).digest();
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function hashVerificationCode(token, email, code) {
+  return crypto
+    .createHmac("sha256", config.security.jwtSecret || "")
+    .update(`${token}:${email}:${code}`)
+    .digest("hex");
+}
+
+function normalizeEmail(email) {
+  return typeof email === "string" ? email.trim().toLowerCase() : "";
+}
+
+function normalizeRecipients(recipients) {
+  if (recipients === undefined || recipients === null) {
+    return [];
+  }
+
+  if (!Array.isArray(recipients)) {
+    throw commonErrors.badRequest("recipients must be an array of email addresses");
+  }
+
+  const normalized = [...new Set(recipients.map(normalizeEmail))];
+
+  const invalid = normalized.filter((email) => !validator.isEmail(email));
+  if (invalid.length > 0) {
+    throw commonErrors.badRequest(
+      `Invalid recipient addresses: ${invalid.join(", ") || "(empty)"}`
+    );
+  }
+
+  if (normalized.length > config.sharing.maxRecipients) {
+    throw commonErrors.badRequest(
+      `A share link can have at most ${config.sharing.maxRecipients} recipients`
+    );
+  }
+
+  return normalized;
+}
+
+function hashIp(ip) {
+  if (!ip) return null;
+  return crypto
+    .createHmac("sha256", config.sharing.ipHashSalt)
+    .update(ip)
+    .digest("hex")
+    .substring(0, 16);
+}
+
+function withReason(error, reason) {
+  error.accessReason = reason;
+  return error;
+}
+
+function buildStatusQuery(status, now = new Date()) {
+  const underLimit = {
+    $or: [
+      { maxDownloads: null },
+      { $expr: { $lt: ["$downloadCount", "$maxDownloads"] } },
+    ],
+  };
+
+  switch (status) {
+    case "active":
+      return { isActive: true, expiresAt: { $gt: now }, ...underLimit };
+    case "expired":
+      return { expiresAt: { $lte: now } };
+    case "inactive":
+      return { isActive: false, expiresAt: { $gt: now } };
+    case "exhausted":
+      return {
+        isActive: true,
+        expiresAt: { $gt: now },
+        maxDownloads: { $ne: null },
+        $expr: { $gte: ["$downloadCount", "$maxDownloads"] },
+      };
+    default:
+      return {};
+  }
+}
+
+function validateMaxDownloads(maxDownloads) {
+  if (maxDownloads === null || maxDownloads === undefined) {
+    return null;
+  }
+
+  if (!Number.isInteger(maxDownloads) || maxDownloads < 1) {
+    throw commonErrors.badRequest("maxDownloads must be a positive integer");
+  }
+
+  return maxDownloads;
+}
+
+class ShareService {
+  async createShareLink(file, userId, options = {}) {
+    return this.createLink({ fileId: file.fileId }, userId, options);
+  }
+
+  async createCollectionShareLink(collection, userId, options = {}) {
+    return this.createLink(
+      { collectionId: collection.collectionId },
+      userId,
+      options
+    );
+  }
+
+  async createLink(target, userId, options = {}) {
+    const {
+      expiresIn = "24h",
+      password,
+      maxDownloads = null,
+      allowPreview = true,
+      recipients,
+    } = options;
+
+    if (!EXPIRATION_OPTIONS[expiresIn]) {
+      throw commonErrors.badRequest(
+        `Invalid expiration time. Allowed: ${Object.keys(
+          EXPIRATION_OPTIONS
+        ).join(", ")}`
+      );
+    }
+
+    if (password !== undefined && password !== null && typeof password !== "string") {
+      throw commonErrors.badRequest("password must be a string");
+    }
+
+    const normalizedRecipients = normalizeRecipients(recipients);
+    const passwordHash = password ? await hashSharePassword(password) : null;
+
+    try {
+      const shareLink = await ShareLink.create({
+        token: generateShareToken(),
+        fileId: target.fileId || null,
+        collectionId: target.collectionId || null,
+        createdBy: userId,
+        expiresAt: new Date(Date.now() + EXPIRATION_OPTIONS[expiresIn]),
+        expiresIn,
+        passwordHash,
+        hasPassword: !!password,
+        recipients: normalizedRecipients,
+        maxDownloads: validateMaxDownloads(maxDownloads),
+        allowPreview: allowPreview !== false,
+      });
+
+      logger.info("Share link created", {
+        ...target,
+        createdBy: userId,
+        expiresIn,
+        hasPassword: !!password,
+        recipientCount: normalizedRecipients.length,
+        maxDownloads: shareLink.maxDownloads,
+      });
+
+      return shareLink;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logger.error("Failed to create share link", {
+        ...target,
+        error: error.message,
+      });
+
+      throw new AppError(`Failed to create share link: ${error.message}`, 500);
+    }
+  }
+
+  async getShareLink(token, { includePassword = false } = {}) {
+    const query = ShareLink.findOne({ token });
+    if (includePassword) {
+      query.select("+passwordHash");
+    }
+
+    const shareLink = await query;
+
+    if (!shareLink) {
+      throw commonErrors.notFound("Share link");
+    }
+
+    return shareLink;
+  }
+
+  async getUsableShareLink(token, options = {}) {
+    const shareLink = await this.getShareLink(token, options);
+
+    this.assertUsable(shareLink);
+
+    return shareLink;
+  }
+
+  assertUsable(shareLink) {
+    if (shareLink.isExpired()) {
+      throw withReason(new AppError("Share link has expired", 410), "expired");
+    }
+
+    if (!shareLink.isActive) {
+      throw withReason(
+        commonErrors.forbidden("Share link has been deactivated"),
+        "inactive"
+      );
+    }
+  }
+
+  async verifyPassword(shareLink, password) {
+    if (!shareLink.passwordHash) {
+      return true;
+    }
+
+    if (typeof password !== "string") {
+      return false;
+    }
+
+    if (LEGACY_PASSWORD_HASH.test(shareLink.passwordHash)) {
+      if (!verifyLegacyPasswordHash(password, shareLink.passwordHash)) {
+        return false;
+      }
+
+      shareLink.passwordHash = await hashSharePassword(password);
+      await ShareLink.updateOne(
+        { _id: shareLink._id },
+        { passwordHash: shareLink.passwordHash }
+      );
+      return true;
+    }
+
+    return bcrypt.compare(password, shareLink.passwordHash);
+  }
+
+  async checkPassword(shareLink, password, context) {
+    if (shareLink.isLocked) {
+      throw this.lockedOutError(shareLink.lockedUntil);
+    }
+
+    if (await this.verifyPassword(shareLink, password)) {
+      if (shareLink.failedPasswordAttempts > 0) {
+        await ShareLink.updateOne(
+          { _id: shareLink._id },
+          { failedPasswordAttempts: 0 }
+        );
+      }
+      return true;
+    }
+
+    const maxAttempts = config.sharing.passwordMaxAttempts;
+    const updated = await ShareLink.findOneAndUpdate(
+      { _id: shareLink._id },
+      { $inc: { failedPasswordAttempts: 1 } },
+      { new: true }
+    );
+
+    if (updated && updated.failedPasswordAttempts >= maxAttempts) {
+      const lockedUntil = new Date(
+        Date.now() + config.sharing.passwordLockoutMinutes * 60 * 1000
+      );
+
+      // Only the request that crosses the threshold starts the lockout
+      const locked = await ShareLink.findOneAndUpdate(
+        { _id: shareLink._id, failedPasswordAttempts: { $gte: maxAttempts } },
+        {
+          $set: { failedPasswordAttempts: 0, lockedUntil },
+          $inc: { lockoutCount: 1 },
+        },
+        { new: true }
+      );
+
+      if (locked) {
+        logger.warn("Share link locked after repeated password failures", {
+          fileId: shareLink.fileId,
+          collectionId: shareLink.collectionId,
+          createdBy: shareLink.createdBy,
+          lockedUntil,
+        });
+
+        await this.recordAccess(shareLink, context, {
+          event: "lockout",
+          success: false,
+          reason: "too_many_password_attempts",
+        });
+      }
+
+      throw this.lockedOutError(lockedUntil);
+    }
+
+    throw withReason(
+      commonErrors.unauthorized("Invalid password"),
+      "invalid_password"
+    );
+  }
+
+  lockedOutError(lockedUntil) {
+    const error = withReason(
+      commonErrors.tooManyRequests(
+        "Too many failed password attempts, try again later"
+      ),
+      "locked_out"
+    );
+    error.retryAfter = Math.max(
+      1,
+      Math.ceil((lockedUntil.getTime() - Date.now()) / 1000)
+    );
+    return error;
+  }
+
+  async requestVerificationCode(shareLink, email) {
+    this.assertUsable(shareLink);
+
+    const recipient = normalizeEmail(email);
+    if (!validator.isEmail(recipient)) {
+      throw commonErrors.badRequest("A valid email address is required");
+    }
+
+    // Unknown addresses get the same response as recipients so the list cannot be probed
+    if (!shareLink.isRecipient(recipient)) {
+      logger.warn("Share verification requested for non-recipient", {
+        fileId: shareLink.fileId,
+      });
+      return { sent: false, recipient };
+    }
+
+    const latest = await ShareVerification.findOne({
+      token: shareLink.token,
+      email: recipient,
+    }).sort({ createdAt: -1 });
+
+    if (
+      latest &&
+      !latest.verifiedAt &&
+      Date.now() - latest.createdAt.getTime() <
+        config.sharing.verificationResendSeconds * 1000
+    ) {
+      return { sent: false, recipient };
+    }
+
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, "0");
+    const expiresAt = new Date(
+      Date.now() + config.sharing.verificationCodeTtlMinutes * 60 * 1000
+    );
+
+    await ShareVerification.deleteMany({
+      token: shareLink.token,
+      email: recipient,
+      verifiedAt: null,
+    });
+
+    await ShareVerification.create({
+      token: shareLink.token,
+      email: recipient,
+      codeHash: hashVerificationCode(shareLink.token, recipient, code),
+      expiresAt,
+    });
+
+    try {
+      await sendNotification({
+        to: recipient,
+        subject: "Your file download verification code",
+        text:
+          `Your verification code is ${code}. ` +
+          `It expires in ${config.sharing.verificationCodeTtlMinutes} minutes.`,
+        metadata: {
+          type: "share-verification",
+          fileId: shareLink.fileId,
+          collectionId: shareLink.collectionId,
+        },
+      });
+    } catch (error) {
+      logger.error("Failed to send share verification code", {
+        fileId: shareLink.fileId,
+        error: error.message,
+      });
+      throw commonErrors.serviceUnavailable(
+        "Verification code could not be sent, please try again later"
+      );
+    }
+
+    return { sent: true, recipient };
+  }
+
+  async verifyRecipientCode(shareLink, email, code) {
+    this.assertUsable(shareLink);
+
+    const recipient = normalizeEmail(email);
+    const invalidCode = () =>
+      withReason(
+        commonErrors.unauthorized("Invalid or expired verification code"),
+        "invalid_code"
+      );
+
+    if (!shareLink.isRecipient(recipient) || typeof code !== "string") {
+      throw invalidCode();
+    }
+
+    const verification = await ShareVerification.findOne({
+      token: shareLink.token,
+      email: recipient,
+      verifiedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ createdAt: -1 });
+
+    if (!verification) {
+      throw invalidCode();
+    }
+
+    if (verification.attempts >= config.sharing.verificationMaxAttempts) {
+      throw withReason(
+        commonErrors.tooManyRequests(
+          "Too many incorrect codes, request a new verification code"
+        ),
+        "too_many_attempts"
+      );
+    }
+
+    const expected = Buffer.from(verification.codeHash, "hex");
+    const actual = Buffer.from(
+      hashVerificationCode(shareLink.token, recipient, code.trim()),
+      "hex"
+    );
+
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      await ShareVerification.updateOne(
+        { _id: verification._id },
+        { $inc: { attempts: 1 } }
+      );
+      throw invalidCode();
+    }
+
+    const consumed = await ShareVerification.findOneAndUpdate(
+      { _id: verification._id, verifiedAt: null },
+      { verifiedAt: new Date() }
+    );
+
+    if (!consumed) {
+      throw invalidCode();
+    }
+
+    logger.info("Share recipient verified", {
+      fileId: shareLink.fileId,
+      recipient,
+    });
+
+    return {
+      accessToken: generateShareAccessToken(
+        shareLink.token,
+        recipient,
+        config.sharing.recipientAccessExpiresIn
+      ),
+      expiresIn: config.sharing.recipientAccessExpiresIn,
+      recipient,
+    };
+  }
+
+  verifyRecipientAccess(shareLink, accessToken) {
+    if (!accessToken) {
+      throw withReason(
+        commonErrors.unauthorized("Recipient verification required"),
+        "verification_required"
+      );
+    }
+
+    const payload = verifyShareAccessToken(accessToken, shareLink.token);
+
+    // Recipients removed after verifying lose access immediately
+    if (!payload || !shareLink.isRecipient(payload.email)) {
+      throw withReason(
+        commonErrors.unauthorized("Recipient verification is invalid or has expired"),
+        "invalid_verification"
+      );
+    }
+
+    return payload.email;
+  }
+
+  async claimDownload(token) {
+    const now = new Date();
+
+    const claimed = await ShareLink.findOneAndUpdate(
+      {
+        token,
+        isActive: true,
+        expiresAt: { $gt: now },
+        $or: [
+          { maxDownloads: null },
+          { $expr: { $lt: ["$downloadCount", "$maxDownloads"] } },
+        ],
+      },
+      { $inc: { downloadCount: 1 }, $set: { lastDownloadedAt: now } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      const shareLink = await this.getUsableShareLink(token);
+      if (shareLink.isExhausted()) {
+        throw withReason(
+          commonErrors.forbidden("Download limit exceeded"),
+          "limit_exceeded"
+        );
+      }
+      throw new AppError("Share link could not be claimed", 409);
+    }
+
+    return claimed;
+  }
+
+  async updateShareLink(shareLink, updates) {
+    const { isActive, maxDownloads, allowPreview, recipients, unlock } = updates;
+
+    if (typeof isActive === "boolean") {
+      shareLink.isActive = isActive;
+    }
+
+    if (maxDownloads !== undefined) {
+      shareLink.maxDownloads = validateMaxDownloads(maxDownloads);
+    }
+
+    if (typeof allowPreview === "boolean") {
+      shareLink.allowPreview = allowPreview;
+    }
+
+    if (recipients !== undefined) {
+      shareLink.recipients = normalizeRecipients(recipients);
+    }
+
+    if (unlock === true) {
+      shareLink.lockedUntil = null;
+      shareLink.failedPasswordAttempts = 0;
+    }
+
+    await shareLink.save();
+
+    logger.info("Share link updated", {
+      fileId: shareLink.fileId,
+      isActive: shareLink.isActive,
+      maxDownloads: shareLink.maxDownloads,
+      recipientCount: shareLink.recipients.length,
+    });
+
+    return shareLink;
+  }
+
+  async deleteShareLink(shareLink, deletedBy) {
+    await shareLink.deleteOne();
+    await ShareVerification.deleteMany({ token: shareLink.token });
+
+    logger.info("Share link deleted", {
+      fileId: shareLink.fileId,
+      createdBy: shareLink.createdBy,
+      deletedBy,
+    });
+
+    return true;
+  }
+
+  async listShareLinksForFile(fileId) {
+    return ShareLink.find({ fileId }).sort({ createdAt: -1 });
+  }
+
+  async listShareLinksForCollection(collectionId) {
+    return ShareLink.find({ collectionId }).sort({ createdAt: -1 });
+  }
+
+  async deleteShareLinksForCollection(collectionId) {
+    const tokens = await ShareLink.find({ collectionId }).distinct("token");
+    if (tokens.length === 0) {
+      return 0;
+    }
+
+    await ShareVerification.deleteMany({ token: { $in: tokens } });
+    const result = await ShareLink.deleteMany({ collectionId });
+    return result.deletedCount;
+  }
+
+  async listShareLinks(options = {}) {
+    const {
+      createdBy,
+      fileId,
+      collectionId,
+      status,
+      page = 1,
+      limit = 20,
+    } = options;
+
+    if (status && !SHARE_LINK_STATUSES.includes(status)) {
+      throw commonErrors.badRequest(
+        `status must be one of: ${SHARE_LINK_STATUSES.join(", ")}`
+      );
+    }
+
+    const query = buildStatusQuery(status);
+    if (createdBy) query.createdBy = createdBy;
+    if (fileId) query.fileId = fileId;
+    if (collectionId) query.collectionId = collectionId;
+
+    const [shareLinks, total] = await Promise.all([
+      ShareLink.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ShareLink.countDocuments(query),
+    ]);
+
+    return {
+      shareLinks,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  async recordAccess(
+    shareLink,
+    context,
+    { event, success, reason = null, recipient = null }
+  ) {
+    try {
+      await ShareAccessLog.create({
+        token: shareLink.token,
+        fileId: shareLink.fileId,
+        collectionId: shareLink.collectionId,
+        ownerId: shareLink.createdBy,
+        event,
+        success,
+        reason,
+        recipient,
+        ipHash: hashIp(context.ip),
+        userAgent: context.userAgent
+          ? String(context.userAgent).substring(0, 500)
+          : null,
+      });
+    } catch (error) {
+      logger.warn("Failed to record share link access", {
+        fileId: shareLink.fileId,
+        event,
+        error: error.message,
+      });
+    }
+  }
+
+  async getAccessHistory(token, options = {}) {
+    const { page = 1, limit = 50, success, event } = options;
+
+    const query = { token };
+    if (success !== undefined) query.success = success;
+    if (event) query.event = event;
+
+    const [entries, total] = await Promise.all([
+      ShareAccessLog.find(query)
+        .sort({ timestamp: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ShareAccessLog.countDocuments(query),
+    ]);
+
+    return {
+      entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  async getAccessSummary(token) {
+    const [summary] = await ShareAccessLog.aggregate([
+      { $match: { token } },
+      {
+        $group: {
+          _id: null,
+          totalAttempts: { $sum: 1 },
+          successfulDownloads: {
+            $sum: {
+              $cond: [
+                { $and: [{ $eq: ["$event", "download"] }, "$success"] },
+                1,
+                0,
+              ],
+            },
+          },
+          failedAttempts: { $sum: { $cond: ["$success", 0, 1] } },
+          passwordFailures: {
+            $sum: {
+              $cond: [{ $eq: ["$reason", "invalid_password"] }, 1, 0],
+            },
+          },
+          lockouts: {
+            $sum: { $cond: [{ $eq: ["$event", "lockout"] }, 1, 0] },
+          },
+          lastLockoutAt: {
+            $max: {
+              $cond: [{ $eq: ["$event", "lockout"] }, "$timestamp", null],
+            },
+          },
+          uniqueVisitors: { $addToSet: "$ipHash" },
+          firstAccessAt: { $min: "$timestamp" },
+          lastAccessAt: { $max: "$timestamp" },
+        },
+      },
+    ]);
+
+    if (!summary) {
+      return {
+        totalAttempts: 0,
+        successfulDownloads: 0,
+        failedAttempts: 0,
+        passwordFailures: 0,
+        lockouts: 0,
+        lastLockoutAt: null,
+        uniqueVisitors: 0,
+        firstAccessAt: null,
+        lastAccessAt: null,
+      };
+    }
+
+    return {
+      totalAttempts: summary.totalAttempts,
+      successfulDownloads: summary.successfulDownloads,
+      failedAttempts: summary.failedAttempts,
+      passwordFailures: summary.passwordFailures,
+      lockouts: summary.lockouts,
+      lastLockoutAt: summary.lastLockoutAt,
+      uniqueVisitors: summary.uniqueVisitors.filter(Boolean).length,
+      firstAccessAt: summary.firstAccessAt,
+      lastAccessAt: summary.lastAccessAt,
+    };
+  }
+}
+
+const shareService = new ShareService();
+
+module.exports = {
+  ShareService,
+  shareService,
+  EXPIRATION_OPTIONS,
+  SHARE_LINK_STATUSES,
+  withReason,
+};
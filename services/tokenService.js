@@ -0,0 +1,173 @@
+const crypto = require("crypto");
+const { v4: uuidv4 } = require("uuid");
+const config = require("../config");
+const RefreshToken = require("../models/RefreshToken");
+const RevokedToken = require("../models/RevokedToken");
+const User = require("../models/User");
+const { generateAccessToken, decodeAccessToken } = require("../middleware/auth");
+const { logger } = require("../utils/logger");
+const { commonErrors } = require("../middleware/errorHandler");
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+class TokenService {
+  async issueTokens(user, context = {}, familyId = uuidv4()) {
+    const refreshToken = crypto.randomBytes(48).toString("base64url");
+    const expiresAt = new Date(
+      Date.now() + config.security.refreshTokenExpiresInDays * 24 * 60 * 60 * 1000
+    );
+
+    const record = await RefreshToken.create({
+      tokenHash: hashToken(refreshToken),
+      userId: user.userId,
+      familyId,
+      expiresAt,
+      createdByIp: context.ip,
+      userAgent: context.userAgent,
+    });
+
+    return {
+      token: generateAccessToken(user),
+      refreshToken,
+      expiresIn: config.security.jwtExpiresIn,
+      refreshExpiresAt: expiresAt,
+      record,
+    };
+  }
+
+  async rotateRefreshToken(refreshToken, context = {}) {
+    if (typeof refreshToken !== "string" || !refreshToken) {
+      throw commonErrors.badRequest("refreshToken is required");
+    }
+
+    const existing = await RefreshToken.findOne({
+      tokenHash: hashToken(refreshToken),
+    });
+
+    if (!existing) {
+      throw commonErrors.unauthorized("Invalid refresh token");
+    }
+
+    if (existing.revokedAt) {
+      if (existing.replacedByHash) {
+        await this.revokeFamily(existing.familyId, "reuse-detected");
+        logger.warn("Refresh token reuse detected; session revoked", {
+          userId: existing.userId,
+          familyId: existing.familyId,
+          ip: context.ip,
+        });
+      }
+      throw commonErrors.unauthorized("Refresh token has been revoked");
+    }
+
+    if (existing.expiresAt <= new Date()) {
+      throw commonErrors.unauthorized("Refresh token expired");
+    }
+
+    const user = await User.findOne({ userId: existing.userId });
+    if (!user) {
+      await this.revokeFamily(existing.familyId, "user-deleted");
+      throw commonErrors.unauthorized("Invalid refresh token");
+    }
+
+    if (!user.isActive) {
+      await this.revokeFamily(existing.familyId, "user-disabled");
+      throw commonErrors.forbidden("Account is disabled");
+    }
+
+    const issued = await this.issueTokens(user, context, existing.familyId);
+
+    const claimed = await RefreshToken.findOneAndUpdate(
+      { _id: existing._id, revokedAt: null },
+      {
+        revokedAt: new Date(),
+        revokedReason: "rotated",
+        replacedByHash: issued.record.tokenHash,
+      }
+    );
+
+    if (!claimed) {
+      await this.revokeFamily(existing.familyId, "reuse-detected");
+      throw commonErrors.unauthorized("Refresh token has been revoked");
+    }
+
+    return { ...issued, user };
+  }
+
+  async revokeRefreshToken(refreshToken, reason = "logout") {
+    if (typeof refreshToken !== "string" || !refreshToken) {
+      return false;
+    }
+
+    const existing = await RefreshToken.findOne({
+      tokenHash: hashToken(refreshToken),
+    });
+
+    if (!existing) {
+      return false;
+    }
+
+    await this.revokeFamily(existing.familyId, reason);
+    return true;
+  }
+
+  async revokeFamily(familyId, reason) {
+    const result = await RefreshToken.updateMany(
+      { familyId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+    return result.modifiedCount;
+  }
+
+  async revokeAllForUser(userId, reason) {
+    const result = await RefreshToken.updateMany(
+      { userId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+
+    logger.info("Refresh tokens revoked for user", {
+      userId,
+      reason,
+      count: result.modifiedCount,
+    });
+
+    return result.modifiedCount;
+  }
+
+  async revokeAccessToken(token, reason = "logout") {
+    const payload = token ? decodeAccessToken(token) : null;
+
+    if (!payload || !payload.jti || !payload.exp) {
+      return false;
+    }
+
+    const expiresAt = new Date(payload.exp * 1000);
+    if (expiresAt <= new Date()) {
+      return false;
+    }
+
+    await RevokedToken.updateOne(
+      { jti: payload.jti },
+      {
+        $setOnInsert: {
+          jti: payload.jti,
+          userId: payload.userId,
+          reason,
+          expiresAt,
+        },
+      },
+      { upsert: true }
+    );
+
+    return true;
+  }
+}
+
+const tokenService = new TokenService();
+
+module.exports = {
+  TokenService,
+  tokenService,
+};
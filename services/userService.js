@@ -0,0 +1,295 @@
+const bcrypt = require("bcryptjs");
+const validator = require("validator");
+const config = require("../config");
+const User = require("../models/User");
+const { USER_ROLES } = require("../models/User");
+const { DEFAULT_ROLE } = require("../middleware/permissions");
+const { tokenService } = require("./tokenService");
+const { logger } = require("../utils/logger");
+const { AppError, commonErrors } = require("../middleware/errorHandler");
+
+const MIN_PASSWORD_LENGTH = 8;
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync("not-a-real-password", 4);
+
+function validatePassword(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    throw commonErrors.badRequest(
+      `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`
+    );
+  }
+
+  if (password.length > 128) {
+    throw commonErrors.badRequest("Password must be at most 128 characters long");
+  }
+
+  if (!/[A-Za-z]/.test(password) || !/[0-9]/.test(password)) {
+    throw commonErrors.badRequest(
+      "Password must contain at least one letter and one number"
+    );
+  }
+}
+
+class UserService {
+  async register({ username, email, password, role = DEFAULT_ROLE }) {
+    if (typeof username !== "string" || !/^[A-Za-z0-9._-]{3,50}$/.test(username)) {
+      throw commonErrors.badRequest(
+        "Username must be 3-50 characters of letters, numbers, '.', '_' or '-'"
+      );
+    }
+
+    if (typeof email !== "string" || !validator.isEmail(email)) {
+      throw commonErrors.badRequest("A valid email address is required");
+    }
+
+    if (!USER_ROLES.includes(role)) {
+      throw commonErrors.badRequest(`Role must be one of: ${USER_ROLES.join(", ")}`);
+    }
+
+    validatePassword(password);
+
+    try {
+      const user = new User({ username, email, role });
+      await user.setPassword(password);
+      await user.save();
+
+      logger.info("User registered", {
+        userId: user.userId,
+        username: user.username,
+        role: user.role,
+      });
+
+      return user;
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new AppError("Username or email already registered", 409);
+      }
+
+      logger.error("Failed to register user", {
+        username,
+        error: error.message,
+      });
+
+      throw new AppError(`Failed to register user: ${error.message}`, 500);
+    }
+  }
+
+  async authenticate(identifier, password) {
+    if (typeof identifier !== "string" || typeof password !== "string") {
+      throw commonErrors.badRequest("Username and password are required");
+    }
+
+    const user = await User.findByLogin(identifier);
+
+    if (!user) {
+      await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+      throw commonErrors.unauthorized("Invalid username or password");
+    }
+
+    const valid = await user.comparePassword(password);
+    if (!valid) {
+      logger.warn("Failed login attempt", { userId: user.userId });
+      throw commonErrors.unauthorized("Invalid username or password");
+    }
+
+    if (!user.isActive) {
+      throw commonErrors.forbidden("Account is disabled");
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    return user;
+  }
+
+  async changePassword(userId, currentPassword, newPassword) {
+    const user = await User.findOne({ userId }).select("+passwordHash");
+    if (!user) {
+      throw commonErrors.notFound("User");
+    }
+
+    const valid = await user.comparePassword(currentPassword || "");
+    if (!valid) {
+      throw commonErrors.unauthorized("Current password is incorrect");
+    }
+
+    validatePassword(newPassword);
+
+    if (await user.comparePassword(newPassword)) {
+      throw commonErrors.badRequest(
+        "New password must be different from the current password"
+      );
+    }
+
+    await user.setPassword(newPassword);
+    await user.save();
+    await tokenService.revokeAllForUser(userId, "password-changed");
+
+    logger.info("User password changed", { userId });
+
+    return user;
+  }
+
+  async resetPassword(userId, newPassword, resetBy) {
+    const user = await this.getUserById(userId);
+
+    validatePassword(newPassword);
+
+    await user.setPassword(newPassword);
+    await user.save();
+    await tokenService.revokeAllForUser(userId, "password-reset");
+
+    logger.info("User password reset by admin", { userId, resetBy });
+
+    return user;
+  }
+
+  async getUserById(userId) {
+    const user = await User.findOne({ userId });
+
+    if (!user) {
+      throw commonErrors.notFound("User");
+    }
+
+    return user;
+  }
+
+  async listUsers(options = {}) {
+    const { page = 1, limit = 20, role, isActive, search } = options;
+
+    const query = {};
+    if (role) query.role = role;
+    if (isActive !== undefined) query.isActive = isActive;
+    if (search) {
+      const searchRegex = new RegExp(
+        search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+        "i"
+      );
+      query.$or = [{ username: searchRegex }, { email: searchRegex }];
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(query),
+    ]);
+
+    return {
+      users,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  async updateUser(userId, updates, updatedBy) {
+    const user = await this.getUserById(userId);
+
+    if (updates.role !== undefined) {
+      if (!USER_ROLES.includes(updates.role)) {
+        throw commonErrors.badRequest(`Role must be one of: ${USER_ROLES.join(", ")}`);
+      }
+      user.role = updates.role;
+    }
+
+    if (updates.isActive !== undefined) {
+      if (typeof updates.isActive !== "boolean") {
+        throw commonErrors.badRequest("isActive must be a boolean");
+      }
+      user.isActive = updates.isActive;
+    }
+
+    if (updates.email !== undefined) {
+      if (typeof updates.email !== "string" || !validator.isEmail(updates.email)) {
+        throw commonErrors.badRequest("A valid email address is required");
+      }
+      user.email = updates.email;
+    }
+
+    try {
+      await user.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new AppError("Email already registered", 409);
+      }
+      throw error;
+    }
+
+    if (updates.isActive === false || updates.role !== undefined) {
+      await tokenService.revokeAllForUser(
+        userId,
+        updates.isActive === false ? "user-disabled" : "role-changed"
+      );
+    }
+
+    logger.info("User updated", {
+      userId,
+      updatedBy,
+      updatedFields: Object.keys(updates),
+    });
+
+    return user;
+  }
+
+  async deleteUser(userId, deletedBy) {
+    const user = await this.getUserById(userId);
+    await user.deleteOne();
+    await tokenService.revokeAllForUser(userId, "user-deleted");
+
+    logger.info("User deleted", { userId, deletedBy });
+
+    return true;
+  }
+
+  async migrateLegacyRoles() {
+    const result = await User.collection.updateMany(
+      { role: "user" },
+      { $set: { role: DEFAULT_ROLE } }
+    );
+
+    if (result.modifiedCount > 0) {
+      logger.info("Migrated legacy user roles", {
+        from: "user",
+        to: DEFAULT_ROLE,
+        count: result.modifiedCount,
+      });
+    }
+
+    return result.modifiedCount;
+  }
+
+  async ensureInitialAdmin() {
+    const { username, email, password } = config.security.initialAdmin;
+
+    if (!username || !password) {
+      return null;
+    }
+
+    const existing = await User.findOne({ username: username.toLowerCase() });
+    if (existing) {
+      return existing;
+    }
+
+    const admin = await this.register({
+      username,
+      email: email || `${username}@localhost.localdomain`,
+      password,
+      role: "admin",
+    });
+
+    logger.info("Initial admin account created", { userId: admin.userId });
+
+    return admin;
+  }
+}
+
+const userService = new UserService();
+
+module.exports = {
+  UserService,
+  userService,
+};
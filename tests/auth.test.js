@@ -0,0 +1,250 @@
+const { describe, it, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { runMiddleware, fakeRequest } = require("./helpers");
+
+const jwt = require("jsonwebtoken");
+const ApiKey = require("../models/ApiKey");
+const RefreshToken = require("../models/RefreshToken");
+const RevokedToken = require("../models/RevokedToken");
+const User = require("../models/User");
+const {
+  authenticateToken,
+  generateAccessToken,
+  generateDownloadToken,
+} = require("../middleware/auth");
+const {
+  PERMISSIONS,
+  hasPermission,
+  requirePermission,
+} = require("../middleware/permissions");
+const { tokenService } = require("../services/tokenService");
+const { apiKeyService } = require("../services/apiKeyService");
+
+const activeUser = { userId: "user-1", username: "alice", role: "uploader", isActive: true };
+
+afterEach(() => mock.restoreAll());
+
+describe("access tokens", () => {
+  it("accepts a valid token that has not been revoked", async () => {
+    mock.method(RevokedToken, "exists", async () => null);
+    const token = generateAccessToken(activeUser);
+
+    const result = await runMiddleware(
+      authenticateToken,
+      fakeRequest({ authorization: `Bearer ${token}` })
+    );
+
+    assert.equal(result.nextCalled, true);
+  });
+
+  it("rejects a token once it has been revoked", async () => {
+    const revoked = new Set();
+    mock.method(RevokedToken, "updateOne", async (query) => {
+      revoked.add(query.jti);
+      return { upsertedCount: 1 };
+    });
+    mock.method(RevokedToken, "exists", async ({ jti }) => (revoked.has(jti) ? { _id: jti } : null));
+
+    const token = generateAccessToken(activeUser);
+    assert.equal(await tokenService.revokeAccessToken(token), true);
+
+    const result = await runMiddleware(
+      authenticateToken,
+      fakeRequest({ authorization: `Bearer ${token}` })
+    );
+
+    assert.equal(result.status, 401);
+    assert.equal(result.body.code, "TOKEN_REVOKED");
+  });
+
+  it("does not record already expired tokens", async () => {
+    const updateOne = mock.method(RevokedToken, "updateOne", async () => ({}));
+    const expired = jwt.sign(
+      { userId: "user-1", role: "uploader", exp: Math.floor(Date.now() / 1000) - 60 },
+      process.env.JWT_SECRET,
+      { jwtid: "expired-jti" }
+    );
+
+    assert.equal(await tokenService.revokeAccessToken(expired), false);
+    assert.equal(updateOne.mock.callCount(), 0);
+  });
+
+  it("refuses purpose-bound tokens as API credentials", async () => {
+    const token = generateDownloadToken("file-1", "user-1");
+
+    const result = await runMiddleware(
+      authenticateToken,
+      fakeRequest({ authorization: `Bearer ${token}` })
+    );
+
+    assert.equal(result.status, 403);
+  });
+});
+
+describe("refresh token rotation", () => {
+  function storedToken(overrides = {}) {
+    return {
+      _id: "token-1",
+      userId: "user-1",
+      familyId: "family-1",
+      revokedAt: null,
+      replacedByHash: null,
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      ...overrides,
+    };
+  }
+
+  it("issues a new pair and retires the presented token", async () => {
+    mock.method(RefreshToken, "findOne", async () => storedToken());
+    mock.method(User, "findOne", async () => activeUser);
+    const create = mock.method(RefreshToken, "create", async (record) => record);
+    const claim = mock.method(RefreshToken, "findOneAndUpdate", async () => storedToken());
+
+    const rotated = await tokenService.rotateRefreshToken("old-refresh-token");
+
+    assert.notEqual(rotated.refreshToken, "old-refresh-token");
+    assert.ok(rotated.token);
+    assert.equal(create.mock.calls[0].arguments[0].familyId, "family-1");
+
+    const [query, update] = claim.mock.calls[0].arguments;
+    assert.deepEqual(query, { _id: "token-1", revokedAt: null });
+    assert.equal(update.revokedReason, "rotated");
+    assert.equal(update.replacedByHash, rotated.record.tokenHash);
+  });
+
+  it("revokes the whole session when a rotated token is reused", async () => {
+    mock.method(RefreshToken, "findOne", async () =>
+      storedToken({ revokedAt: new Date(), replacedByHash: "next-hash" })
+    );
+    const revoke = mock.method(RefreshToken, "updateMany", async () => ({ modifiedCount: 2 }));
+
+    await assert.rejects(tokenService.rotateRefreshToken("reused-token"), {
+      statusCode: 401,
+      message: "Refresh token has been revoked",
+    });
+
+    const [query, update] = revoke.mock.calls[0].arguments;
+    assert.deepEqual(query, { familyId: "family-1", revokedAt: null });
+    assert.equal(update.revokedReason, "reuse-detected");
+  });
+
+  it("revokes the session when a concurrent request already rotated the token", async () => {
+    mock.method(RefreshToken, "findOne", async () => storedToken());
+    mock.method(User, "findOne", async () => activeUser);
+    mock.method(RefreshToken, "create", async (record) => record);
+    mock.method(RefreshToken, "findOneAndUpdate", async () => null);
+    const revoke = mock.method(RefreshToken, "updateMany", async () => ({ modifiedCount: 2 }));
+
+    await assert.rejects(tokenService.rotateRefreshToken("raced-token"), { statusCode: 401 });
+    assert.equal(revoke.mock.calls[0].arguments[1].revokedReason, "reuse-detected");
+  });
+
+  it("rejects expired refresh tokens", async () => {
+    mock.method(RefreshToken, "findOne", async () =>
+      storedToken({ expiresAt: new Date(Date.now() - 1000) })
+    );
+
+    await assert.rejects(tokenService.rotateRefreshToken("expired-token"), {
+      statusCode: 401,
+      message: "Refresh token expired",
+    });
+  });
+
+  it("ends the session of a disabled account", async () => {
+    mock.method(RefreshToken, "findOne", async () => storedToken());
+    mock.method(User, "findOne", async () => ({ ...activeUser, isActive: false }));
+    const revoke = mock.method(RefreshToken, "updateMany", async () => ({ modifiedCount: 1 }));
+
+    await assert.rejects(tokenService.rotateRefreshToken("some-token"), { statusCode: 403 });
+    assert.equal(revoke.mock.calls[0].arguments[1].revokedReason, "user-disabled");
+  });
+});
+
+describe("API key scopes", () => {
+  const keyPrincipal = (role, scopes) => ({
+    userId: "user-1",
+    role,
+    authType: "apiKey",
+    apiKeyId: "key-1",
+    scopes,
+  });
+
+  it("grants only the permissions covered by the key's scopes", () => {
+    const principal = keyPrincipal("uploader", ["files:read"]);
+
+    assert.equal(hasPermission(principal, PERMISSIONS.FILES_READ), true);
+    assert.equal(hasPermission(principal, PERMISSIONS.FILES_WRITE), false);
+  });
+
+  it("never grants administrative permissions to a key", () => {
+    const principal = keyPrincipal("admin", ["files:read", "files:write", "share:create", "batch:run"]);
+
+    assert.equal(hasPermission(principal, PERMISSIONS.USERS_MANAGE), false);
+    assert.equal(hasPermission(principal, PERMISSIONS.FILES_MANAGE_ALL), false);
+  });
+
+  it("does not let a scope exceed the owner's role", () => {
+    const principal = keyPrincipal("viewer", ["files:write"]);
+
+    assert.equal(hasPermission(principal, PERMISSIONS.FILES_WRITE), false);
+  });
+
+  it("names the missing scope when a key is refused", async () => {
+    const req = fakeRequest();
+    req.user = keyPrincipal("uploader", ["files:read"]);
+
+    const result = await runMiddleware(requirePermission(PERMISSIONS.FILES_WRITE), req);
+
+    assert.equal(result.status, 403);
+    assert.equal(result.body.requiredScope, "files:write");
+  });
+
+  it("refuses to create a key with scopes the owner's role cannot grant", async () => {
+    mock.method(User, "findOne", async () => ({ userId: "user-1", role: "viewer" }));
+    const create = mock.method(ApiKey, "create", async (data) => data);
+
+    await assert.rejects(
+      apiKeyService.createKey("user-1", { name: "ci", scopes: ["files:read", "files:write"] }),
+      { statusCode: 403, message: "Your role cannot grant scopes: files:write" }
+    );
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  it("stores only a hash of the key secret", async () => {
+    mock.method(User, "findOne", async () => ({ userId: "user-1", role: "uploader" }));
+    mock.method(ApiKey, "countDocuments", async () => 0);
+    const create = mock.method(ApiKey, "create", async (data) => ({ keyId: "key-1", ...data }));
+
+    const { secret } = await apiKeyService.createKey("user-1", { name: "ci", scopes: ["files:read"] });
+
+    const stored = create.mock.calls[0].arguments[0];
+    assert.ok(secret.startsWith("fpk_"));
+    assert.notEqual(stored.keyHash, secret);
+    assert.ok(!JSON.stringify(stored).includes(secret));
+  });
+
+  it("rejects revoked keys and keys of disabled accounts", async () => {
+    const revokedKey = new ApiKey({
+      name: "old",
+      userId: "user-1",
+      prefix: "fpk_abcdefgh",
+      keyHash: "hash",
+      scopes: ["files:read"],
+      revokedAt: new Date(),
+    });
+    mock.method(ApiKey, "findOne", async () => revokedKey);
+    assert.equal(await apiKeyService.authenticate("fpk_revoked"), null);
+
+    const activeKey = new ApiKey({
+      name: "current",
+      userId: "user-1",
+      prefix: "fpk_abcdefgh",
+      keyHash: "hash",
+      scopes: ["files:read"],
+      lastUsedAt: new Date(),
+    });
+    mock.method(ApiKey, "findOne", async () => activeKey);
+    mock.method(User, "findOne", async () => ({ ...activeUser, isActive: false }));
+    assert.equal(await apiKeyService.authenticate("fpk_disabled_owner"), null);
+  });
+});
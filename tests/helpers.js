@@ -0,0 +1,78 @@
+const express = require("express");
+const mongoose = require("mongoose");
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-jwt-secret";
+process.env.BCRYPT_ROUNDS = process.env.BCRYPT_ROUNDS || "4";
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+
+// Tests stub the model methods they use; anything else fails at once instead of waiting for a connection
+mongoose.set("bufferCommands", false);
+
+const { errorHandler } = require("../middleware/errorHandler");
+
+// Serves a router on a free port, behind the app's JSON parser and error handler
+async function serve(path, router) {
+  const app = express();
+  app.use(express.json());
+  app.use(path, router);
+  app.use(errorHandler);
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    async request(method, url, { token, body } = {}) {
+      const headers = { "content-type": "application/json" };
+      if (token) {
+        headers.authorization = `Bearer ${token}`;
+      }
+
+      const response = await fetch(baseUrl + url, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body),
+      });
+
+      return { status: response.status, body: await response.json() };
+    },
+
+    close() {
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+// Runs a connect-style middleware and resolves once it calls next() or sends a response
+function runMiddleware(middleware, req) {
+  return new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ nextCalled: false, status: this.statusCode, body });
+        return this;
+      },
+    };
+
+    middleware(req, res, () => resolve({ nextCalled: true, status: null, body: null }));
+  });
+}
+
+function fakeRequest(headers = {}) {
+  const lowered = Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])
+  );
+
+  return { ip: "127.0.0.1", get: (name) => lowered[name.toLowerCase()] };
+}
+
+module.exports = {
+  serve,
+  runMiddleware,
+  fakeRequest,
+};
@@ -0,0 +1,196 @@
+process.env.ENABLE_FILE_ENCRYPTION = "true";
+process.env.ENCRYPTION_KEY = "current-master-key-for-tests";
+process.env.ENCRYPTION_KEY_VERSION = "2";
+process.env.ENCRYPTION_PREVIOUS_KEYS = "1:previous-master-key-for-tests";
+
+const { describe, it, mock, afterEach, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+require("./helpers");
+
+const File = require("../models/File");
+const MaintenanceLock = require("../models/MaintenanceLock");
+const fileStorage = require("../utils/fileStorage");
+const { fileService } = require("../services/fileService");
+const {
+  encryptForStorage,
+  encryptFileBuffer,
+  decryptFromStorage,
+  rewrapEncryptionMeta,
+} = require("../utils/fileEncryption");
+const { keyRotationManager } = require("../utils/keyRotation");
+
+const content = Buffer.from("quarterly numbers");
+
+function encryptedFile(overrides = {}) {
+  const file = new File({
+    fileId: "file-1",
+    originalName: "report.txt",
+    mimetype: "text/plain",
+    size: content.length,
+    cloudinaryUrl: "https://storage.example/old",
+    cloudinaryPublicId: "file-processing/old",
+    uploaderId: "user-1",
+    status: "processed",
+    encrypted: true,
+    ...overrides,
+  });
+  mock.method(file, "save", async () => file);
+  return file;
+}
+
+// rotateKeys walks File.find(...).limit(...).cursor()
+function stubEncryptedFiles(files) {
+  return mock.method(File, "find", () => ({
+    limit() {
+      return this;
+    },
+    async *cursor() {
+      yield* files;
+    },
+  }));
+}
+
+let lockOwner;
+
+beforeEach(() => {
+  lockOwner = null;
+  mock.method(MaintenanceLock, "acquire", async (name, owner) => {
+    if (lockOwner) return false;
+    lockOwner = owner;
+    return true;
+  });
+  mock.method(MaintenanceLock, "release", async (name, owner) => {
+    if (owner === lockOwner) lockOwner = null;
+  });
+});
+
+afterEach(() => mock.restoreAll());
+
+describe("key rotation", () => {
+  it("re-wraps data keys under the current master key without touching the content", async () => {
+    const stored = encryptForStorage(content, { userId: "user-1" });
+    const file = encryptedFile({ encryptionMeta: rewrapEncryptionMeta(stored.encryptionMeta, 1) });
+    stubEncryptedFiles([file]);
+    const saveFile = mock.method(fileStorage, "saveFile", async () => {
+      throw new Error("content must not be rewritten");
+    });
+
+    const summary = await keyRotationManager.rotateKeys();
+
+    assert.equal(summary.rewrapped, 1);
+    assert.equal(summary.failed, 0);
+    assert.equal(file.encryptionMeta.keyVersion, 2);
+    assert.equal(file.encryptionMeta.previousKeyVersion, 1);
+    assert.deepEqual(decryptFromStorage(stored.encryptedBuffer, file.encryptionMeta), content);
+    assert.equal(saveFile.mock.callCount(), 0);
+    assert.equal(lockOwner, null);
+  });
+
+  it("skips the run while another worker holds the rotation lock", async () => {
+    lockOwner = "other-worker";
+    const find = stubEncryptedFiles([]);
+
+    const summary = await keyRotationManager.rotateKeys();
+
+    assert.deepEqual(summary, { skipped: true, reason: "Rotation already in progress" });
+    assert.equal(find.mock.callCount(), 0);
+    assert.equal(lockOwner, "other-worker");
+  });
+
+  it("stops between files once its signal is aborted", async () => {
+    const stored = encryptForStorage(content, { userId: "user-1" });
+    const file = encryptedFile({ encryptionMeta: rewrapEncryptionMeta(stored.encryptionMeta, 1) });
+    stubEncryptedFiles([file]);
+    const controller = new AbortController();
+    controller.abort();
+
+    const summary = await keyRotationManager.rotateKeys({ signal: controller.signal });
+
+    assert.equal(summary.aborted, true);
+    assert.equal(summary.rewrapped, 0);
+    assert.equal(file.encryptionMeta.keyVersion, 1);
+    assert.equal(lockOwner, null);
+  });
+});
+
+describe("legacy file re-encryption", () => {
+  function legacyFile() {
+    const legacy = encryptFileBuffer(content);
+    return encryptedFile({
+      encryptionMeta: {
+        isEncrypted: true,
+        algorithm: legacy.algorithm,
+        keyVersion: 1,
+        iv: legacy.iv,
+        tag: legacy.tag,
+      },
+    });
+  }
+
+  it("moves the file to a new object and removes the old one last", async () => {
+    const file = legacyFile();
+    stubEncryptedFiles([file]);
+    mock.method(fileService, "getFileContent", async () => content);
+
+    const calls = [];
+    let storedBuffer;
+    mock.method(fileStorage, "saveFile", async (buffer, name, mimetype, options) => {
+      calls.push("save");
+      storedBuffer = buffer;
+      return { publicId: options.public_id, secureUrl: `https://storage.example/${options.public_id}` };
+    });
+    const update = mock.method(File, "findOneAndUpdate", async () => {
+      calls.push("update");
+      return file;
+    });
+    const remove = mock.method(fileStorage, "permanentDeleteFile", async () => {
+      calls.push("delete");
+    });
+
+    const summary = await keyRotationManager.rotateKeys();
+
+    assert.equal(summary.reencrypted, 1);
+    assert.deepEqual(calls, ["save", "update", "delete"]);
+
+    const [query, changes] = update.mock.calls[0].arguments;
+    assert.equal(query.cloudinaryPublicId, "file-processing/old");
+    assert.notEqual(changes.$set.cloudinaryPublicId, "file-processing/old");
+    assert.equal(changes.$set.encryptionMeta.keyVersion, 2);
+    assert.deepEqual(decryptFromStorage(storedBuffer, changes.$set.encryptionMeta), content);
+    assert.deepEqual(remove.mock.calls[0].arguments, ["file-processing/old", "raw"]);
+  });
+
+  it("leaves the file untouched when the new object cannot be stored", async () => {
+    stubEncryptedFiles([legacyFile()]);
+    mock.method(fileService, "getFileContent", async () => content);
+    mock.method(fileStorage, "saveFile", async () => {
+      throw new Error("storage unavailable");
+    });
+    const update = mock.method(File, "findOneAndUpdate", async () => null);
+    const remove = mock.method(fileStorage, "permanentDeleteFile", async () => {});
+
+    const summary = await keyRotationManager.rotateKeys();
+
+    assert.equal(summary.failed, 1);
+    assert.equal(summary.errors[0].error, "storage unavailable");
+    assert.equal(update.mock.callCount(), 0);
+    assert.equal(remove.mock.callCount(), 0);
+  });
+
+  it("discards the new object when the file changed during re-encryption", async () => {
+    stubEncryptedFiles([legacyFile()]);
+    mock.method(fileService, "getFileContent", async () => content);
+    mock.method(fileStorage, "saveFile", async (buffer, name, mimetype, options) => ({
+      publicId: options.public_id,
+      secureUrl: "https://storage.example/new",
+    }));
+    mock.method(File, "findOneAndUpdate", async () => null);
+    const remove = mock.method(fileStorage, "permanentDeleteFile", async () => {});
+
+    const summary = await keyRotationManager.rotateKeys();
+
+    assert.equal(summary.failed, 1);
+    assert.equal(remove.mock.callCount(), 1);
+    assert.notEqual(remove.mock.calls[0].arguments[0], "file-processing/old");
+  });
+});
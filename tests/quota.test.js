@@ -0,0 +1,146 @@
+process.env.DEFAULT_USER_QUOTA = "1000";
+process.env.DEFAULT_ADMIN_QUOTA = "5000";
+
+const { describe, it, mock, afterEach, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { serve } = require("./helpers");
+
+const File = require("../models/File");
+const User = require("../models/User");
+const UserQuota = require("../models/UserQuota");
+const { generateTestToken } = require("../middleware/auth");
+const { quotaService } = require("../services/quotaService");
+const userRoutes = require("../routes/users");
+
+// Current files and version history are summed by separate aggregations
+function stubStoredBytes({ files = 0, versions = 0 }) {
+  return mock.method(File, "aggregate", async ([{ $match }]) => {
+    const bytes = $match.parentFileId === null ? files : versions;
+    return bytes > 0 ? [{ _id: "text/plain", bytes, count: 1 }] : [];
+  });
+}
+
+function stubUsers(users) {
+  return mock.method(User, "findOne", async ({ userId }) => users[userId] || null);
+}
+
+afterEach(() => mock.restoreAll());
+
+describe("quota enforcement", () => {
+  it("allows uploads that fit in the remaining quota", async () => {
+    stubStoredBytes({ files: 600, versions: 200 });
+    mock.method(UserQuota, "findOne", async () => null);
+
+    await quotaService.assertWithinQuota("user-1", "uploader", 200);
+  });
+
+  it("counts version history against the quota", async () => {
+    stubStoredBytes({ files: 600, versions: 200 });
+    mock.method(UserQuota, "findOne", async () => null);
+
+    await assert.rejects(quotaService.assertWithinQuota("user-1", "uploader", 201), {
+      statusCode: 413,
+    });
+  });
+
+  it("applies a per-user override instead of the role default", async () => {
+    stubStoredBytes({ files: 600 });
+    mock.method(UserQuota, "findOne", async () => ({ userId: "user-1", quotaBytes: 10000 }));
+
+    await quotaService.assertWithinQuota("user-1", "uploader", 5000);
+
+    const report = await quotaService.getUsageReport("user-1", "uploader");
+    assert.equal(report.quotaSource, "override");
+    assert.equal(report.remainingBytes, 9400);
+  });
+
+  it("checks uploads to another user's file against that owner's quota", async () => {
+    stubStoredBytes({ files: 900 });
+    mock.method(UserQuota, "findOne", async () => null);
+    stubUsers({ "owner-1": { userId: "owner-1", role: "uploader" } });
+    const admin = { userId: "admin-1", role: "admin" };
+
+    await assert.rejects(quotaService.assertOwnerWithinQuota("owner-1", admin, 200), {
+      statusCode: 413,
+    });
+  });
+
+  it("gives the default user quota to files whose owner no longer exists", async () => {
+    stubUsers({});
+
+    assert.equal(await quotaService.getOwnerRole("removed-user"), "user");
+  });
+});
+
+describe("quota routes", () => {
+  let server;
+  const adminToken = generateTestToken("admin-1", "admin");
+
+  before(async () => {
+    server = await serve("/api/users", userRoutes);
+  });
+
+  after(() => server.close());
+
+  it("reports usage against the target user's own role", async () => {
+    stubStoredBytes({ files: 1500 });
+    mock.method(UserQuota, "findOne", async () => null);
+    stubUsers({ "other-admin": { userId: "other-admin", role: "admin" } });
+
+    const response = await server.request("GET", "/api/users/other-admin/usage?role=user", {
+      token: adminToken,
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.usage.quotaBytes, 5000);
+    assert.equal(response.body.usage.remainingBytes, 3500);
+  });
+
+  it("saves a quota override for an existing user", async () => {
+    stubUsers({ "user-1": { userId: "user-1", role: "uploader" } });
+    const save = mock.method(UserQuota, "findOneAndUpdate", async (query, update) => ({
+      ...query,
+      ...update,
+    }));
+
+    const response = await server.request("PUT", "/api/users/user-1/quota", {
+      token: adminToken,
+      body: { quotaBytes: 2048.7, reason: "Analytics team" },
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(save.mock.calls[0].arguments[1].quotaBytes, 2048);
+    assert.equal(save.mock.calls[0].arguments[1].updatedBy, "admin-1");
+  });
+
+  it("returns 404 instead of saving an override for an unknown user", async () => {
+    stubUsers({});
+    const save = mock.method(UserQuota, "findOneAndUpdate", async () => ({}));
+
+    const response = await server.request("PUT", "/api/users/ghost/quota", {
+      token: adminToken,
+      body: { quotaBytes: 2048 },
+    });
+
+    assert.equal(response.status, 404);
+    assert.equal(save.mock.callCount(), 0);
+  });
+
+  it("rejects invalid quota values", async () => {
+    const response = await server.request("PUT", "/api/users/user-1/quota", {
+      token: adminToken,
+      body: { quotaBytes: -1 },
+    });
+
+    assert.equal(response.status, 400);
+  });
+
+  it("keeps quota management to admins", async () => {
+    const response = await server.request("PUT", "/api/users/user-1/quota", {
+      token: generateTestToken("user-1", "uploader"),
+      body: { quotaBytes: 1 << 30 },
+    });
+
+    assert.equal(response.status, 403);
+  });
+});
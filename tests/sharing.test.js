@@ -0,0 +1,186 @@
+process.env.SHARE_PASSWORD_MAX_ATTEMPTS = "3";
+process.env.SHARE_PASSWORD_LOCKOUT_MINUTES = "15";
+
+const { describe, it, mock, afterEach, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { serve } = require("./helpers");
+
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const ShareLink = require("../models/ShareLink");
+const ShareAccessLog = require("../models/ShareAccessLog");
+const { generateTestToken } = require("../middleware/auth");
+const { shareService } = require("../services/shareService");
+const sharingRoutes = require("../routes/sharing");
+
+const context = { ip: "203.0.113.7", userAgent: "node-test" };
+
+function shareLinkWith(overrides = {}) {
+  return new ShareLink({
+    token: "a".repeat(64),
+    fileId: "file-1",
+    createdBy: "owner-1",
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    expiresIn: "1h",
+    hasPassword: true,
+    ...overrides,
+  });
+}
+
+// Mirrors the atomic counter updates checkPassword makes against the stored link
+function stubAttemptCounter(maxAttempts) {
+  let attempts = 0;
+
+  return mock.method(ShareLink, "findOneAndUpdate", async (query, update) => {
+    if (update.$inc && update.$inc.failedPasswordAttempts) {
+      attempts += 1;
+      return { failedPasswordAttempts: attempts };
+    }
+
+    if (attempts >= maxAttempts) {
+      attempts = 0;
+      return { lockedUntil: update.$set.lockedUntil };
+    }
+    return null;
+  });
+}
+
+afterEach(() => mock.restoreAll());
+
+describe("share link passwords", () => {
+  it("accepts the correct password and clears earlier failures", async () => {
+    const shareLink = shareLinkWith({
+      passwordHash: await bcrypt.hash("correct horse", 4),
+      failedPasswordAttempts: 2,
+    });
+    const updateOne = mock.method(ShareLink, "updateOne", async () => ({}));
+
+    assert.equal(await shareService.checkPassword(shareLink, "correct horse", context), true);
+    assert.deepEqual(updateOne.mock.calls[0].arguments[1], { failedPasswordAttempts: 0 });
+  });
+
+  it("rejects a wrong password", async () => {
+    const shareLink = shareLinkWith({ passwordHash: await bcrypt.hash("correct horse", 4) });
+    stubAttemptCounter(3);
+
+    await assert.rejects(shareService.checkPassword(shareLink, "wrong", context), {
+      statusCode: 401,
+      accessReason: "invalid_password",
+    });
+  });
+
+  it("upgrades a legacy sha256 hash to bcrypt on the next correct password", async () => {
+    const legacyHash = crypto.createHash("sha256").update("old secret").digest("hex");
+    const shareLink = shareLinkWith({ passwordHash: legacyHash });
+    const updateOne = mock.method(ShareLink, "updateOne", async () => ({}));
+
+    assert.equal(await shareService.verifyPassword(shareLink, "old secret"), true);
+
+    const { passwordHash } = updateOne.mock.calls[0].arguments[1];
+    assert.notEqual(passwordHash, legacyHash);
+    assert.equal(await bcrypt.compare("old secret", passwordHash), true);
+  });
+
+  it("does not upgrade a legacy hash on a wrong password", async () => {
+    const legacyHash = crypto.createHash("sha256").update("old secret").digest("hex");
+    const updateOne = mock.method(ShareLink, "updateOne", async () => ({}));
+
+    assert.equal(await shareService.verifyPassword(shareLinkWith({ passwordHash: legacyHash }), "guess"), false);
+    assert.equal(updateOne.mock.callCount(), 0);
+  });
+});
+
+describe("share link lockout", () => {
+  it("locks the link once the attempt limit is reached and logs one lockout", async () => {
+    const shareLink = shareLinkWith({ passwordHash: await bcrypt.hash("correct horse", 4) });
+    stubAttemptCounter(3);
+    const logged = mock.method(ShareAccessLog, "create", async (entry) => entry);
+
+    for (let attempt = 1; attempt < 3; attempt++) {
+      await assert.rejects(shareService.checkPassword(shareLink, "wrong", context), { statusCode: 401 });
+    }
+
+    await assert.rejects(shareService.checkPassword(shareLink, "wrong", context), (error) => {
+      assert.equal(error.statusCode, 429);
+      assert.equal(error.accessReason, "locked_out");
+      assert.ok(error.retryAfter > 14 * 60 && error.retryAfter <= 15 * 60);
+      return true;
+    });
+
+    const events = logged.mock.calls.map((call) => call.arguments[0]);
+    assert.equal(events.length, 1);
+    assert.equal(events[0].event, "lockout");
+    assert.equal(events[0].reason, "too_many_password_attempts");
+    assert.notEqual(events[0].ipHash, context.ip);
+  });
+
+  it("refuses even the correct password while the link is locked", async () => {
+    const shareLink = shareLinkWith({
+      passwordHash: await bcrypt.hash("correct horse", 4),
+      lockedUntil: new Date(Date.now() + 5 * 60 * 1000),
+    });
+    const compare = mock.method(bcrypt, "compare");
+
+    await assert.rejects(shareService.checkPassword(shareLink, "correct horse", context), {
+      statusCode: 429,
+    });
+    assert.equal(compare.mock.callCount(), 0);
+  });
+
+  it("accepts passwords again after the lockout has passed", async () => {
+    const shareLink = shareLinkWith({
+      passwordHash: await bcrypt.hash("correct horse", 4),
+      lockedUntil: new Date(Date.now() - 1000),
+    });
+
+    assert.equal(await shareService.checkPassword(shareLink, "correct horse", context), true);
+  });
+});
+
+describe("GET /api/sharing/:token/access", () => {
+  let server;
+  const ownerToken = generateTestToken("owner-1", "uploader");
+
+  before(async () => {
+    server = await serve("/api/sharing", sharingRoutes);
+  });
+
+  after(() => server.close());
+
+  it("filters the history by any logged event", async () => {
+    mock.method(shareService, "getShareLink", async () => shareLinkWith());
+    const history = mock.method(shareService, "getAccessHistory", async () => ({
+      entries: [],
+      pagination: { page: 1, limit: 50, total: 0, pages: 0 },
+    }));
+
+    const response = await server.request("GET", `/api/sharing/${"a".repeat(64)}/access?event=lockout`, {
+      token: ownerToken,
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(history.mock.calls[0].arguments[1].event, "lockout");
+  });
+
+  it("rejects unknown events", async () => {
+    const history = mock.method(shareService, "getAccessHistory", async () => ({}));
+
+    const response = await server.request("GET", `/api/sharing/${"a".repeat(64)}/access?event=bogus`, {
+      token: ownerToken,
+    });
+
+    assert.equal(response.status, 400);
+    assert.match(response.body.error, /event must be one of/);
+    assert.equal(history.mock.callCount(), 0);
+  });
+
+  it("only shows the history to the link's owner", async () => {
+    mock.method(shareService, "getShareLink", async () => shareLinkWith());
+
+    const response = await server.request("GET", `/api/sharing/${"a".repeat(64)}/access`, {
+      token: generateTestToken("someone-else", "uploader"),
+    });
+
+    assert.equal(response.status, 403);
+  });
+});
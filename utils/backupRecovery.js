@@ -3,8 +3,9 @@ const path = require("path");
 const archiver = require("archiver");
 const crypto = require("crypto");
 const { logger } = require("./logger");
-const { cloudinary } = require("./cloudinaryStorage");
+const { listFiles, getFileBuffer, saveFile } = require("./fileStorage");
 const config = require("../config");
+const File = require("../models/File");
 
 class BackupRecovery {
   constructor() {
@@ -32,7 +33,8 @@ class BackupRecovery {
     logger.info("Starting full system backup", { backupId, backupName });
 
     try {
-      const cloudinaryFiles = await this.getAllCloudinaryFiles();
+      const storedFiles = await this.getAllStoredFiles();
+      const fileRecords = await this.getFileRecords(storedFiles);
 
       const archive = archiver("zip", { zlib: { level: 9 } });
       const output = require("fs").createWriteStream(backupPath);
@@ -43,34 +45,39 @@ class BackupRecovery {
         backupId,
         timestamp: new Date().toISOString(),
         type: "full",
-        fileCount: cloudinaryFiles.length,
+        fileCount: storedFiles.length,
         files: [],
       };
 
       let processedFiles = 0;
-      for (const file of cloudinaryFiles) {
+      for (const file of storedFiles) {
         try {
-          const fileBuffer = await this.downloadCloudinaryFile(file);
-          archive.append(fileBuffer, { name: `files/${file.public_id}` });
+          const fileBuffer = await this.downloadStoredFile(file);
+          archive.append(fileBuffer, { name: `files/${file.publicId}` });
+
+          const record = fileRecords.get(file.publicId);
 
           metadata.files.push({
-            publicId: file.public_id,
-            originalName: file.filename || file.public_id,
-            size: file.bytes,
+            publicId: file.publicId,
+            originalName: record ? record.originalName : file.publicId.split("/").pop(),
+            mimetype: record ? record.mimetype : null,
+            encrypted: record ? record.encrypted : false,
+            size: file.size,
             format: file.format,
-            resourceType: file.resource_type,
-            createdAt: file.created_at,
-            secureUrl: file.secure_url,
+            resourceType: file.resourceType,
+            createdAt: file.createdAt,
+            secureUrl: file.secureUrl,
+            storageType: config.storage.type,
           });
 
           processedFiles++;
 
           if (options.onProgress) {
-            options.onProgress(processedFiles, cloudinaryFiles.length);
+            options.onProgress(processedFiles, storedFiles.length);
           }
         } catch (fileError) {
           logger.warn("Failed to backup file", {
-            publicId: file.public_id,
+            publicId: file.publicId,
             error: fileError.message,
           });
         }
@@ -148,51 +155,57 @@ class BackupRecovery {
     }
   }
   
-  async getAllCloudinaryFiles() {
+  async getAllStoredFiles() {
     const allFiles = [];
-    let nextCursor = null;
+    let cursor = null;
 
     do {
-      const options = { max_results: 500 };
-      if (nextCursor) {
-        options.next_cursor = nextCursor;
-      }
-
-      const result = await cloudinary.api.resources(options);
-      allFiles.push(...result.resources);
-      nextCursor = result.next_cursor;
-    } while (nextCursor);
+      const result = await listFiles({ limit: 500, cursor });
+      allFiles.push(...result.items);
+      cursor = result.nextCursor;
+    } while (cursor);
 
     return allFiles;
   }
 
-  async downloadCloudinaryFile(file) {
-    const response = await fetch(file.secure_url);
-    if (!response.ok) {
-      throw new Error(`Failed to download file: ${response.statusText}`);
+  // Objects without a File document (e.g. derived copies) are backed up under their storage name
+  async getFileRecords(storedFiles) {
+    const records = new Map();
+    const publicIds = storedFiles.map((file) => file.publicId);
+
+    for (let i = 0; i < publicIds.length; i += 500) {
+      const files = await File.find(
+        { cloudinaryPublicId: { $in: publicIds.slice(i, i + 500) } },
+        { cloudinaryPublicId: 1, originalName: 1, mimetype: 1, encrypted: 1 }
+      );
+
+      for (const file of files) {
+        records.set(file.cloudinaryPublicId, file);
+      }
     }
-    return Buffer.from(await response.arrayBuffer());
+
+    return records;
   }
 
-  async restoreFileToCloudinary(fileBuffer, fileInfo) {
-    return new Promise((resolve, reject) => {
-      cloudinary.uploader
-        .upload_stream(
-          {
-            public_id: fileInfo.publicId,
-            resource_type: fileInfo.resourceType,
-            overwrite: true,
-          },
-          (error, result) => {
-            if (error) {
-              reject(error);
-            } else {
-              resolve(result);
-            }
-          }
-        )
-        .end(fileBuffer);
-    });
+  async downloadStoredFile(file) {
+    return getFileBuffer(file.publicId, file.resourceType || "auto");
+  }
+
+  async restoreStoredFile(fileBuffer, fileInfo) {
+    return saveFile(
+      fileBuffer,
+      fileInfo.originalName || fileInfo.publicId.split("/").pop(),
+      // Encrypted content is stored opaque; its mimetype is that of the decrypted file
+      fileInfo.mimetype && !fileInfo.encrypted
+        ? fileInfo.mimetype
+        : "application/octet-stream",
+      {
+        public_id: fileInfo.publicId,
+        resource_type: fileInfo.resourceType,
+        overwrite: true,
+        enableCompression: false,
+      }
+    );
   }
 
   async updateBackupMetadata(backupInfo) {
@@ -1,7 +1,9 @@
 const { v4: uuidv4 } = require('uuid');
 const { logger } = require('./logger');
 const { saveFile } = require('./fileStorage');
+const { isAtRestEncryptionEnabled, encryptForStorage } = require('./fileEncryption');
 const { validateFile } = require('../middleware/fileValidation');
+const { PERMISSIONS, roleHasPermission } = require('../middleware/permissions');
 const { processFile } = require('./enhancedFileProcessor');
 
 const batchJobs = new Map();
@@ -163,7 +165,21 @@ async function processSingleFileInBatch(batchJob, file) {
       buffer: file.buffer
     });
     
-    const storageResult = await saveFile(file.buffer, file.originalName, file.mimetype);
+    let storageResult;
+    if (isAtRestEncryptionEnabled()) {
+      const { encryptedBuffer, encryptionMeta } = encryptForStorage(file.buffer, { userId: batchJob.userId });
+      const storedResult = await saveFile(encryptedBuffer, file.originalName, 'application/octet-stream', {
+        enableCompression: false
+      });
+      storageResult = {
+        ...storedResult,
+        buffer: file.buffer,
+        format: null,
+        encryptionMeta: { ...encryptionMeta, originalMimetype: file.mimetype }
+      };
+    } else {
+      storageResult = await saveFile(file.buffer, file.originalName, file.mimetype);
+    }
     
     file.fileId = uuidv4();
     file.publicId = storageResult.publicId;
@@ -173,8 +189,9 @@ async function processSingleFileInBatch(batchJob, file) {
       id: file.fileId,
       originalName: file.originalName,
       mimetype: file.mimetype,
-      size: file.size
-    }, storageResult);
+      size: file.size,
+      uploaderId: batchJob.userId
+    }, storageResult, { batchId: batchJob.batchId });
     
     file.status = 'completed';
     file.processedAt = new Date().toISOString();
@@ -232,7 +249,7 @@ function getBatchJob(batchId, userId, userRole) {
     return null;
   }
   
-  if (batchJob.userId !== userId && userRole !== 'admin') {
+  if (batchJob.userId !== userId && !roleHasPermission(userRole, PERMISSIONS.FILES_MANAGE_ALL)) {
     return null;
   }
   
@@ -261,6 +278,26 @@ function getBatchJob(batchId, userId, userRole) {
   };
 }
 
+function getBatchStorageUsage(userId) {
+  const usage = { bytes: 0, count: 0, byMimetype: {} };
+
+  for (const batchJob of batchJobs.values()) {
+    if (batchJob.userId !== userId) continue;
+
+    batchJob.files
+      .filter(file => file.status !== 'failed')
+      .forEach(file => {
+        usage.bytes += file.size;
+        usage.count++;
+        usage.byMimetype[file.mimetype] = usage.byMimetype[file.mimetype] || { bytes: 0, count: 0 };
+        usage.byMimetype[file.mimetype].bytes += file.size;
+        usage.byMimetype[file.mimetype].count++;
+      });
+  }
+
+  return usage;
+}
+
 function cancelBatchJob(batchId, userId, userRole) {
   const batchJob = batchJobs.get(batchId);
   
@@ -268,7 +305,7 @@ function cancelBatchJob(batchId, userId, userRole) {
     throw new Error('Batch job not found');
   }
   
-  if (batchJob.userId !== userId && userRole !== 'admin') {
+  if (batchJob.userId !== userId && !roleHasPermission(userRole, PERMISSIONS.FILES_MANAGE_ALL)) {
     throw new Error('Access denied');
   }
   
@@ -321,5 +358,6 @@ module.exports = {
   createBatchJob,
   startBatchProcessing,
   getBatchJob,
-  cancelBatchJob
+  cancelBatchJob,
+  getBatchStorageUsage
 };
\ No newline at end of file
@@ -1,4 +1,5 @@
 const cloudinary = require('cloudinary').v2;
+const axios = require('axios');
 const config = require('../config');
 const { logger } = require('./logger');
 const { retryOperations } = require('./retryManager');
@@ -37,43 +38,11 @@ async function uploadToCloudinary(fileBuffer, originalName, mimetype, options =
       throw new PermanentError('Invalid MIME type provided');
     }
 
-    let uploadBuffer = fileBuffer;
-    let uploadMimetype = mimetype;
-    let compressionInfo = null;
-
-    if (options.enableCompression !== false && FileCompressor.isCompressionSupported(mimetype)) {
-      try {
-        logger.debug('Applying compression before upload', { originalName, mimetype });
-        
-        const compressionResult = await FileCompressor.compressFile(
-          fileBuffer, 
-          originalName, 
-          mimetype, 
-          options.compressionOptions || {}
-        );
-
-        if (compressionResult.compressed) {
-          uploadBuffer = compressionResult.buffer;
-          uploadMimetype = compressionResult.format;
-          compressionInfo = {
-            originalSize: compressionResult.originalSize,
-            compressedSize: compressionResult.compressedSize,
-            compressionRatio: compressionResult.compressionRatio,
-            sizeSaved: compressionResult.sizeSaved
-          };
-
-          logger.info('File compressed before upload', {
-            originalName,
-            ...compressionInfo
-          });
-        }
-      } catch (compressionError) {
-        logger.warn('Compression failed, uploading original file', {
-          originalName,
-          error: compressionError.message
-        });
-      }
-    }
+    const {
+      buffer: uploadBuffer,
+      mimetype: uploadMimetype,
+      compression: compressionInfo
+    } = await FileCompressor.compressForUpload(fileBuffer, originalName, mimetype, options);
 
     let resourceType = 'auto';
     if (mimetype.startsWith('image/')) {
@@ -376,6 +345,69 @@ async function getFileMetadata(publicId, resourceType = 'auto') {
   }
 }
 
+async function getFileStream(publicId, resourceType = 'auto') {
+  const url = cloudinary.url(publicId, {
+    resource_type: resourceType === 'auto' ? 'image' : resourceType,
+    type: 'upload',
+    secure: true
+  });
+
+  try {
+    const response = await axios({
+      url,
+      method: 'GET',
+      responseType: 'stream',
+      timeout: 30000
+    });
+
+    return response.data;
+  } catch (error) {
+    const statusCode = error.response?.status;
+    logger.error('Failed to open Cloudinary file stream', {
+      error: error.message,
+      publicId,
+      statusCode
+    });
+
+    if (statusCode && statusCode < 500) {
+      throw new PermanentError(`Failed to read file from Cloudinary: ${error.message}`, statusCode);
+    }
+    throw new RetryableError(`Failed to read file from Cloudinary: ${error.message}`);
+  }
+}
+
+async function listFiles(options = {}) {
+  try {
+    const query = {
+      type: 'upload',
+      max_results: Math.min(options.limit || 500, 500)
+    };
+    if (options.prefix) {
+      query.prefix = options.prefix;
+    }
+    if (options.cursor) {
+      query.next_cursor = options.cursor;
+    }
+
+    const result = await cloudinary.api.resources(query);
+
+    return {
+      items: result.resources.map(resource => ({
+        publicId: resource.public_id,
+        size: resource.bytes,
+        format: resource.format,
+        resourceType: resource.resource_type,
+        createdAt: resource.created_at,
+        secureUrl: resource.secure_url
+      })),
+      nextCursor: result.next_cursor || null
+    };
+  } catch (error) {
+    logger.error('Failed to list Cloudinary files', { error: error.message });
+    throw new Error(`Failed to list files: ${error.message}`);
+  }
+}
+
 function isCloudinaryConfigured() {
   return !!(
     config.storage.cloudinary.cloudName &&
@@ -400,6 +432,31 @@ async function testCloudinaryConnection() {
   }
 }
 
+const cloudinaryDriver = {
+  name: 'cloudinary',
+  save: uploadToCloudinary,
+  getStream: getFileStream,
+  delete: deleteFromCloudinary,
+  permanentDelete: permanentDeleteFromCloudinary,
+  restore: restoreFromDeleted,
+  stat: getFileMetadata,
+  list: listFiles,
+  async getSignedUrl(publicId, options = {}) {
+    return generateDownloadUrl(publicId, options.resourceType || 'raw', options.filename || null);
+  },
+  getThumbnailUrl: generateThumbnailUrl,
+  async initialize() {
+    if (!isCloudinaryConfigured()) {
+      throw new Error('Cloudinary credentials not configured');
+    }
+
+    const connectionTest = await testCloudinaryConnection();
+    if (!connectionTest.success) {
+      throw new Error(`Cloudinary connection test failed: ${connectionTest.error}`);
+    }
+  }
+};
+
 module.exports = {
   uploadToCloudinary,
   deleteFromCloudinary,
@@ -411,5 +468,8 @@ module.exports = {
   getFileMetadata,
   isCloudinaryConfigured,
   testCloudinaryConnection,
+  getFileStream,
+  listFiles,
+  cloudinaryDriver,
   cloudinary
 };
\ No newline at end of file
@@ -0,0 +1,16 @@
+// Header values must be printable latin1, so the plain filename gets an ASCII fallback and the
+// real name travels in the RFC 5987 filename* parameter
+function contentDisposition(filename, type = 'attachment') {
+  const name = String(filename || 'download');
+  const fallback = name.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const encoded = encodeURIComponent(name).replace(
+    /['()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+module.exports = {
+  contentDisposition
+};
@@ -0,0 +1,124 @@
+const CRON_ALIASES = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+// Searching further than this means the expression can never match (e.g. "0 0 31 2 *")
+const MAX_SEARCH_MINUTES = 5 * 366 * 24 * 60;
+
+function parseField(value, { name, min, max }) {
+  const allowed = new Set();
+
+  for (const part of value.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid cron ${name} field: "${value}"`);
+    }
+
+    const [, range, startText, endText, stepText] = match;
+    const start = range === '*' ? min : parseInt(startText, 10);
+    const end = range === '*' ? max : endText !== undefined ? parseInt(endText, 10) : stepText ? max : start;
+    const step = stepText ? parseInt(stepText, 10) : 1;
+
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid cron ${name} field: "${value}"`);
+    }
+
+    for (let current = start; current <= end; current += step) {
+      allowed.add(current);
+    }
+  }
+
+  return allowed;
+}
+
+// Standard five-field cron (minute hour day-of-month month day-of-week) in server local time
+function parseCron(expression) {
+  if (typeof expression !== 'string') {
+    throw new Error('Cron expression must be a string');
+  }
+
+  const normalized = CRON_ALIASES[expression.trim()] || expression.trim();
+  const parts = normalized.split(/\s+/);
+
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression must have 5 fields: "${expression}"`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index]));
+
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.add(0);
+  }
+
+  return {
+    expression,
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // Like cron, when both day fields are restricted a date matching either one runs
+    anyDay: parts[2] !== '*' && parts[4] !== '*'
+  };
+}
+
+function matchesDay(schedule, date) {
+  const dayOfMonth = schedule.daysOfMonth.has(date.getDate());
+  const dayOfWeek = schedule.daysOfWeek.has(date.getDay());
+
+  return schedule.anyDay ? dayOfMonth || dayOfWeek : dayOfMonth && dayOfWeek;
+}
+
+function getNextRun(expression, from = new Date()) {
+  const schedule = typeof expression === 'string' ? parseCron(expression) : expression;
+  const next = new Date(from.getTime());
+  next.setSeconds(0, 0);
+  next.setMinutes(next.getMinutes() + 1);
+
+  for (let searched = 0; searched < MAX_SEARCH_MINUTES; searched++) {
+    if (!schedule.months.has(next.getMonth() + 1)) {
+      next.setMonth(next.getMonth() + 1, 1);
+      next.setHours(0, 0);
+      continue;
+    }
+
+    if (!matchesDay(schedule, next)) {
+      next.setDate(next.getDate() + 1);
+      next.setHours(0, 0);
+      continue;
+    }
+
+    if (!schedule.hours.has(next.getHours())) {
+      next.setHours(next.getHours() + 1, 0);
+      continue;
+    }
+
+    if (!schedule.minutes.has(next.getMinutes())) {
+      next.setMinutes(next.getMinutes() + 1);
+      continue;
+    }
+
+    return next;
+  }
+
+  throw new Error(`Cron expression never matches: "${schedule.expression}"`);
+}
+
+module.exports = {
+  parseCron,
+  getNextRun
+};
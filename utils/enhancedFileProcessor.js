@@ -1,17 +1,14 @@
-const axios = require('axios');
-const sharp = require('sharp');
-const csvParser = require('csv-parser');
-const pdfParse = require('pdf-parse');
+const config = require('../config');
 const { fileTypeFromBuffer } = require('file-type');
-const { generateThumbnailUrl } = require('./fileStorage');
+const { generateThumbnailUrl, getFileStream, saveFile } = require('./fileStorage');
 const { logger } = require('./logger');
 const { retryOperations } = require('./retryManager');
 const { RetryableError, PermanentError } = require('../middleware/errorHandler');
 const { FileCompressor } = require('./fileCompression');
+const { decryptFromStorage } = require('./fileEncryption');
 const { queueManager, JOB_TYPES, JOB_PRIORITIES } = require('./jobQueue');
 
 const DEFAULT_MAX_DOWNLOAD_BYTES = 50 * 1024 * 1024; 
-const STREAM_CSV_ROW_PROGRESS_INTERVAL = 1000;
 
 class EnhancedProcessingTracker {
   constructor() {
@@ -22,11 +19,78 @@ class EnhancedProcessingTracker {
     });
     
     this.registerProcessors();
+    this.registerOutcomeHandlers();
   }
 
   registerProcessors() {
-    this.queue.registerProcessor(JOB_TYPES.FILE_PROCESSING, this.processFileJob.bind(this));
-    this.queue.registerProcessor(JOB_TYPES.THUMBNAIL_GENERATION, this.generateThumbnailJob.bind(this));
+    this.queue.registerProcessor(JOB_TYPES.FILE_PROCESSING, this.processFileJob.bind(this), { cpuBound: true });
+  }
+
+  // Any worker may finish a job, so outcomes are recorded from queue events rather than by the request that queued it
+  registerOutcomeHandlers() {
+    this.queue.on('job:started', (job) => {
+      this.recordFileStatus(job, 'processing');
+    });
+
+    this.queue.on('job:completed', (job, result) => {
+      this.recordFileStatus(job, 'processed', result.result);
+    });
+
+    this.queue.on('job:failed', (job, error) => {
+      this.recordFileStatus(job, 'failed', {
+        error: error.message,
+        attempts: job.attempts,
+        failedAt: new Date().toISOString()
+      });
+    });
+  }
+
+  async recordFileStatus(job, status, result = null) {
+    const { fileId, fileVersion } = job.metadata;
+
+    // Jobs queued without a stored File (e.g. batch processing) have nothing to update
+    if (job.type !== JOB_TYPES.FILE_PROCESSING || fileVersion === undefined || fileVersion === null) {
+      return;
+    }
+
+    const { fileService } = require('../services/fileService');
+
+    try {
+      const updated = await fileService.updateVersionProcessingStatus(fileId, fileVersion, status, result);
+
+      if (!updated) {
+        logger.info('Skipping processing result for superseded file version', {
+          fileId,
+          jobId: job.id,
+          processedVersion: fileVersion,
+          status
+        });
+        return;
+      }
+
+      if (status === 'processed') {
+        logger.info('File processing completed', {
+          fileId,
+          jobId: job.id,
+          processingTime: job.completedAt - job.startedAt,
+          attempts: job.attempts
+        });
+      } else if (status === 'failed') {
+        logger.error('File processing failed permanently', {
+          fileId,
+          jobId: job.id,
+          error: result.error,
+          attempts: job.attempts
+        });
+      }
+    } catch (error) {
+      logger.error('Failed to update file processing status', {
+        fileId,
+        jobId: job.id,
+        status,
+        error: error.message
+      });
+    }
   }
 
   async processFileJob(data, job) {
@@ -39,25 +103,27 @@ class EnhancedProcessingTracker {
       
       job.updateStatus('processing', { progress: 70 });
       
-      if (compressionEnabled && FileCompressor.isCompressionSupported(fileData.mimetype)) {
-        const compressionResult = await this.compressFileWithRetry(
-          cloudinaryResult.buffer || await this.fetchBuffer(cloudinaryResult.secureUrl),
-          fileData.originalName,
-          fileData.mimetype
+      // Decrypted content must not end up in storage as a plain derived copy
+      const storesDerived = !cloudinaryResult.encryptionMeta;
+      const fileVersion = job.metadata.fileVersion || 1;
+
+      if (storesDerived && compressionEnabled && FileCompressor.isCompressionSupported(fileData.mimetype)) {
+        processingResult.compression = await this.storeCompressedCopy(
+          cloudinaryResult.buffer || await this.fetchBufferWithRetry(cloudinaryResult),
+          fileData,
+          getDerivedPublicId(fileData.id, fileVersion, 'compressed')
         );
-        
-        processingResult.compression = compressionResult;
       }
       
       job.updateStatus('processing', { progress: 90 });
       
-      if (fileData.mimetype.startsWith('image/')) {
+      if (storesDerived && fileData.mimetype.startsWith('image/')) {
         try {
-          const thumbnailResult = await this.generateThumbnailWithRetry(
-            cloudinaryResult.buffer || await this.fetchBuffer(cloudinaryResult.secureUrl),
-            fileData.mimetype
+          processingResult.thumbnail = await this.storeThumbnail(
+            cloudinaryResult.buffer || await this.fetchBufferWithRetry(cloudinaryResult),
+            fileData,
+            getDerivedPublicId(fileData.id, fileVersion, 'thumbnail')
           );
-          processingResult.thumbnail = thumbnailResult;
         } catch (thumbnailError) {
           logger.warn('Thumbnail generation failed, continuing without thumbnail', {
             error: thumbnailError.message,
@@ -81,9 +147,13 @@ class EnhancedProcessingTracker {
   }
 
   async startJob(fileId, fileData, cloudinaryResult, options = {}) {
+    // Job data is persisted, so decrypted content is left out and the processor reads it back from storage
+    const storedResult = { ...cloudinaryResult };
+    delete storedResult.buffer;
+
     const jobData = {
       fileData: { ...fileData, id: fileId },
-      cloudinaryResult,
+      cloudinaryResult: storedResult,
       ...options
     };
 
@@ -98,6 +168,8 @@ class EnhancedProcessingTracker {
           fileId,
           originalName: fileData.originalName,
           mimetype: fileData.mimetype,
+          fileVersion: options.fileVersion,
+          batchId: options.batchId,
           timeout: options.timeout || 300000 // 5 minutes
         }
       }
@@ -143,7 +215,7 @@ class EnhancedProcessingTracker {
     };
 
     return retryOperations.fileProcessing(async () => {
-      return FileCompressor.compressFile(buffer, filename, mimetype);
+      return this.queue.runTask('compressFile', { buffer, filename, mimetype });
     }, context);
   }
 
@@ -155,10 +227,43 @@ class EnhancedProcessingTracker {
     };
 
     return retryOperations.fileProcessing(async () => {
-      return FileCompressor.generateThumbnail(buffer, mimetype);
+      return this.queue.runTask('generateThumbnail', { buffer, mimetype });
     }, context);
   }
 
+  // Job results are persisted, so a compressed copy or thumbnail is stored and only its reference returned
+  async storeCompressedCopy(buffer, fileData, publicId) {
+    const { buffer: compressedBuffer, ...compression } = await this.compressFileWithRetry(
+      buffer,
+      fileData.originalName,
+      fileData.mimetype
+    );
+
+    if (!compression.compressed) {
+      return compression;
+    }
+
+    const stored = await saveFile(compressedBuffer, fileData.originalName, compression.format, {
+      public_id: publicId,
+      overwrite: true,
+      enableCompression: false
+    });
+
+    return { ...compression, storedPublicId: stored.publicId, resourceType: stored.resourceType };
+  }
+
+  async storeThumbnail(buffer, fileData, publicId) {
+    const { buffer: thumbnailBuffer, ...thumbnail } = await this.generateThumbnailWithRetry(buffer, fileData.mimetype);
+
+    const stored = await saveFile(thumbnailBuffer, fileData.originalName, thumbnail.format, {
+      public_id: publicId,
+      overwrite: true,
+      enableCompression: false
+    });
+
+    return { ...thumbnail, storedPublicId: stored.publicId, resourceType: stored.resourceType };
+  }
+
   async processFileInternal(fileData, cloudinaryResult) {
     const { mimetype, originalName } = fileData;
 
@@ -264,13 +369,13 @@ class EnhancedProcessingTracker {
 
       const needBuffer = !width || !height || !cloudinaryResult.format;
       if (needBuffer) {
-        buffer = await this.fetchBufferWithRetry(cloudinaryResult.secureUrl, 20 * 1024 * 1024);
+        buffer = await this.fetchBufferWithRetry(cloudinaryResult, 20 * 1024 * 1024);
         
         const valid = await this.validateBufferType(buffer, 'image/*');
         if (!valid) {
           logger.warn('Image buffer type validation failed', { publicId: cloudinaryResult.publicId });
         } else {
-          const metadata = await sharp(buffer).metadata();
+          const metadata = await this.queue.runTask('imageMetadata', buffer);
           width = width || metadata.width || null;
           height = height || metadata.height || null;
           format = format || metadata.format || format;
@@ -278,6 +383,10 @@ class EnhancedProcessingTracker {
       }
 
       try {
+        if (cloudinaryResult.encryptionMeta) {
+          throw new Error('Stored content is encrypted and cannot be transformed by the storage backend');
+        }
+
         thumbnailUrl = generateThumbnailUrl(cloudinaryResult.publicId, {
           width: 200,
           height: 200,
@@ -292,9 +401,7 @@ class EnhancedProcessingTracker {
         
         if (buffer) {
           try {
-            const thumbBuffer = await sharp(buffer).resize(200, 200, { fit: 'cover' }).toBuffer();
-            const base64 = thumbBuffer.toString('base64');
-            thumbnailUrl = `data:image/${format};base64,${base64}`;
+            thumbnailUrl = await this.queue.runTask('imagePreview', { buffer, format });
           } catch (e) {
             logger.warn('Local thumbnail generation failed', { error: e.message });
           }
@@ -347,21 +454,24 @@ class EnhancedProcessingTracker {
         throw new PermanentError(`PDF too large to process (${declaredSize} bytes). Max is ${MAX_PDF_BYTES}`);
       }
 
-      const buffer = await this.fetchBufferWithRetry(cloudinaryResult.secureUrl, MAX_PDF_BYTES);
+      const buffer = await this.fetchBufferWithRetry(cloudinaryResult, MAX_PDF_BYTES);
 
       const valid = await this.validateBufferType(buffer, 'application/pdf');
       if (!valid) {
         throw new PermanentError('Buffer is not a valid PDF');
       }
 
-      const pdfData = await pdfParse(buffer);
+      const pdfData = await this.queue.runTask('pdfSummary', buffer, {
+        timeout: config.processing.pdfTimeout
+      });
 
       return {
         ...baseResult,
-        pages: pdfData.numpages || 0,
-        wordCount: this.estimateWordCount(pdfData.text || ''),
-        textExtracted: !!(pdfData.text && pdfData.text.trim()),
-        hasText: !!(pdfData.text && pdfData.text.trim()),
+        pages: pdfData.pages,
+        wordCount: pdfData.wordCount,
+        textExtracted: pdfData.hasText,
+        hasText: pdfData.hasText,
+        keywords: pdfData.keywords,
         resourceType: cloudinaryResult.resourceType || 'raw'
       };
 
@@ -398,78 +508,23 @@ class EnhancedProcessingTracker {
         throw new PermanentError('Invalid Cloudinary result for CSV');
       }
 
-      const stream = await this.fetchStreamWithRetry(cloudinaryResult.secureUrl);
-      
-      let rowCount = 0;
-      let columnCount = 0;
-      let columns = [];
-      const sampleRows = [];
-      let hasSensitiveData = false;
+      const buffer = await this.fetchBufferWithRetry(cloudinaryResult);
 
-      return new Promise((resolve, reject) => {
-        const parser = csvParser({
-          skipEmptyLines: true,
-          skipLinesWithError: true
-        });
-
-        let headerProcessed = false;
-
-        parser.on('headers', (headers) => {
-          columns = headers || [];
-          columnCount = columns.length;
-          headerProcessed = true;
-          
-          const sensitivePatterns = ['password', 'ssn', 'social', 'credit', 'card', 'phone', 'email'];
-          hasSensitiveData = columns.some(col => 
-            sensitivePatterns.some(pattern => 
-              col.toLowerCase().includes(pattern)
-            )
-          );
-        });
-
-        parser.on('data', (row) => {
-          rowCount++;
-          
-          if (sampleRows.length < 3) {
-            sampleRows.push(row);
-          }
-
-          if (rowCount % STREAM_CSV_ROW_PROGRESS_INTERVAL === 0) {
-            logger.debug('CSV processing progress', {
-              publicId: cloudinaryResult.publicId,
-              rowsProcessed: rowCount
-            });
-          }
-        });
-
-        parser.on('end', () => {
-          resolve({
-            ...baseResult,
-            rowCount,
-            columnCount,
-            columns,
-            hasSensitiveData,
-            sampleRowCount: sampleRows.length,
-            resourceType: cloudinaryResult.resourceType || 'raw'
-          });
-        });
-
-        parser.on('error', (error) => {
+      // Parse errors are not caught below, so they fail the job instead of yielding an empty summary
+      return this.queue.runTask('csvSummary', buffer).then(
+        (summary) => ({
+          ...baseResult,
+          ...summary,
+          resourceType: cloudinaryResult.resourceType || 'raw'
+        }),
+        (error) => {
           logger.error('CSV parsing error', {
             error: error.message,
-            publicId: cloudinaryResult.publicId,
-            rowsProcessed: rowCount
+            publicId: cloudinaryResult.publicId
           });
-
-          if (error.message.includes('Invalid record') || error.message.includes('Malformed')) {
-            reject(new PermanentError(`CSV parsing failed: ${error.message}`));
-          } else {
-            reject(new RetryableError(`CSV processing failed: ${error.message}`));
-          }
-        });
-
-        stream.pipe(parser);
-      });
+          throw error;
+        }
+      );
 
     } catch (error) {
       logger.error('CSV processing failed', {
@@ -494,73 +549,43 @@ class EnhancedProcessingTracker {
     }
   }
 
-  async fetchStreamWithRetry(url, maxBytes = DEFAULT_MAX_DOWNLOAD_BYTES) {
-    const context = {
-      operationName: 'Fetch Stream',
-      url: url.substring(0, 100) + '...',
-      maxBytes
-    };
-
-    return retryOperations.network(async () => {
-      const response = await axios({
-        url,
-        method: 'GET',
-        responseType: 'stream',
-        timeout: 30000
-      });
-
-      const contentLength = response.headers['content-length']
-        ? parseInt(response.headers['content-length'], 10)
-        : null;
-
-      if (contentLength && contentLength > maxBytes) {
-        response.data.destroy();
-        throw new PermanentError(`Remote file is too large: ${contentLength} bytes (max ${maxBytes})`);
-      }
-
-      return response.data;
-    }, context);
-  }
-
-  async fetchBufferWithRetry(url, maxBytes = DEFAULT_MAX_DOWNLOAD_BYTES) {
+  async fetchBufferWithRetry(cloudinaryResult, maxBytes = DEFAULT_MAX_DOWNLOAD_BYTES) {
     const context = {
       operationName: 'Fetch Buffer',
-      url: url.substring(0, 100) + '...',
+      publicId: cloudinaryResult.publicId,
       maxBytes
     };
 
     return retryOperations.network(async () => {
-      const response = await axios({
-        url,
-        method: 'GET',
-        responseType: 'stream',
-        timeout: 30000
-      });
-
-      const contentLength = response.headers['content-length']
-        ? parseInt(response.headers['content-length'], 10)
-        : null;
-
-      if (contentLength && contentLength > maxBytes) {
-        response.data.destroy();
-        throw new PermanentError(`Remote file is too large: ${contentLength} bytes (max ${maxBytes})`);
+      if (cloudinaryResult.size && cloudinaryResult.size > maxBytes) {
+        throw new PermanentError(`Stored file is too large: ${cloudinaryResult.size} bytes (max ${maxBytes})`);
       }
 
+      const stream = await getFileStream(cloudinaryResult.publicId, cloudinaryResult.resourceType || 'auto');
       const chunks = [];
+      const decrypt = (data) => cloudinaryResult.encryptionMeta
+        ? decryptFromStorage(data, cloudinaryResult.encryptionMeta)
+        : data;
       let downloaded = 0;
 
       return new Promise((resolve, reject) => {
-        response.data.on('data', (chunk) => {
+        stream.on('data', (chunk) => {
           downloaded += chunk.length;
           if (downloaded > maxBytes) {
-            response.data.destroy();
+            stream.destroy();
             return reject(new PermanentError(`Download exceeded max size of ${maxBytes} bytes`));
           }
           chunks.push(chunk);
         });
 
-        response.data.on('end', () => resolve(Buffer.concat(chunks)));
-        response.data.on('error', (err) => {
+        stream.on('end', () => {
+          try {
+            resolve(decrypt(Buffer.concat(chunks)));
+          } catch (error) {
+            reject(new PermanentError(error.message));
+          }
+        });
+        stream.on('error', (err) => {
           if (err.code === 'ECONNRESET' || err.code === 'ETIMEDOUT') {
             reject(new RetryableError(`Network error: ${err.message}`));
           } else {
@@ -589,15 +614,10 @@ class EnhancedProcessingTracker {
     }
   }
 
-  estimateWordCount(text) {
-    if (!text || typeof text !== 'string') return 0;
-    return text.trim().split(/\s+/).filter(word => word.length > 0).length;
-  }
-
-  getJob(fileId) {
+  async getJob(fileId) {
     const job = this.jobs.get(fileId);
     if (job) {
-      const queueJob = this.queue.getJob(job.jobId);
+      const queueJob = await this.queue.getJob(job.jobId);
       if (queueJob) {
         job.status = queueJob.status;
         job.progress = queueJob.progress;
@@ -612,7 +632,7 @@ class EnhancedProcessingTracker {
     const now = Date.now();
 
     for (const [fileId, job] of this.jobs.entries()) {
-      if (job.endTime && (now - job.endTime) > maxAge) {
+      if ((now - (job.endTime || job.startTime)) > maxAge) {
         this.jobs.delete(fileId);
       }
     }
@@ -621,25 +641,30 @@ class EnhancedProcessingTracker {
 
 const enhancedProcessingTracker = new EnhancedProcessingTracker();
 
-async function processFile(fileData, cloudinaryResult) {
+async function processFile(fileData, cloudinaryResult, options = {}) {
   const fileId = fileData.id || cloudinaryResult.publicId || 'temp-' + Date.now();
   
-  const jobId = await enhancedProcessingTracker.startJob(fileId, fileData, cloudinaryResult);
+  const jobId = await enhancedProcessingTracker.startJob(fileId, fileData, cloudinaryResult, options);
   
   return new Promise((resolve, reject) => {
-    const checkJob = () => {
-      const job = enhancedProcessingTracker.getJob(fileId);
-      if (!job) {
-        reject(new Error('Job not found'));
-        return;
-      }
+    const checkJob = async () => {
+      try {
+        const job = await enhancedProcessingTracker.queue.getJob(jobId);
+        if (!job) {
+          reject(new Error('Job not found'));
+          return;
+        }
 
-      if (job.status === 'completed') {
-        resolve(job.result);
-      } else if (job.status === 'failed') {
-        reject(new Error(job.error?.message || 'Processing failed'));
-      } else {
-        setTimeout(checkJob, 1000);
+        if (job.status === 'completed') {
+          resolve(job.result);
+        } else if (job.status === 'failed') {
+          const lastError = job.errors[job.errors.length - 1];
+          reject(new Error(lastError?.message || 'Processing failed'));
+        } else {
+          setTimeout(checkJob, 1000);
+        }
+      } catch (error) {
+        reject(error);
       }
     };
 
@@ -647,12 +672,20 @@ async function processFile(fileData, cloudinaryResult) {
   });
 }
 
-setInterval(() => {
-  enhancedProcessingTracker.cleanupOldJobs();
-}, 60 * 60 * 1000); 
+// Derived copies have a fixed id per file version, so processing it again replaces them
+function getDerivedPublicId(fileId, version, kind) {
+  return `file-processing/derived/${fileId}-v${version}-${kind}`;
+}
+
+queueManager.schedule('processing-tracker-cleanup', {
+  scope: 'worker',
+  every: config.cleanup.interval,
+  handler: () => enhancedProcessingTracker.cleanupOldJobs()
+});
 
 module.exports = {
   processFile,
+  getDerivedPublicId,
   EnhancedProcessingTracker,
   enhancedProcessingTracker,
   processingTracker: enhancedProcessingTracker
@@ -1,6 +1,7 @@
 const sharp = require('sharp');
 const archiver = require('archiver');
 const { Readable, PassThrough } = require('stream');
+const { promisify } = require('util');
 const { logger } = require('./logger');
 const { retryOperations } = require('./retryManager');
 const { AppError, RetryableError, PermanentError } = require('../middleware/errorHandler');
@@ -424,6 +425,50 @@ class FileCompressor {
     }, context);
   }
 
+  static async compressForUpload(buffer, originalName, mimetype, options = {}) {
+    let uploadBuffer = buffer;
+    let uploadMimetype = mimetype;
+    let compressionInfo = null;
+
+    if (options.enableCompression === false || !FileCompressor.isCompressionSupported(mimetype)) {
+      return { buffer: uploadBuffer, mimetype: uploadMimetype, compression: compressionInfo };
+    }
+
+    try {
+      logger.debug('Applying compression before upload', { originalName, mimetype });
+
+      const compressionResult = await FileCompressor.compressFile(
+        buffer,
+        originalName,
+        mimetype,
+        options.compressionOptions || {}
+      );
+
+      if (compressionResult.compressed) {
+        uploadBuffer = compressionResult.buffer;
+        uploadMimetype = compressionResult.format;
+        compressionInfo = {
+          originalSize: compressionResult.originalSize,
+          compressedSize: compressionResult.compressedSize,
+          compressionRatio: compressionResult.compressionRatio,
+          sizeSaved: compressionResult.sizeSaved
+        };
+
+        logger.info('File compressed before upload', {
+          originalName,
+          ...compressionInfo
+        });
+      }
+    } catch (compressionError) {
+      logger.warn('Compression failed, uploading original file', {
+        originalName,
+        error: compressionError.message
+      });
+    }
+
+    return { buffer: uploadBuffer, mimetype: uploadMimetype, compression: compressionInfo };
+  }
+
   static isCompressionSupported(mimetype) {
     const supportedTypes = [
       'image/jpeg',
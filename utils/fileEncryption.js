@@ -7,30 +7,75 @@ const KEY_LENGTH = 32;
 const IV_LENGTH = 16;  
 const TAG_LENGTH = 16; 
 
-function getEncryptionKey() {
-  const key = config.security.encryptionKey;
+const derivedKeys = new Map();
+
+function getCurrentKeyVersion() {
+  return config.encryption.currentKeyVersion;
+}
+
+function getAvailableKeyVersions() {
+  return Array.from(new Set([
+    ...Object.keys(config.encryption.previousKeys).map(Number),
+    getCurrentKeyVersion()
+  ])).sort((a, b) => a - b);
+}
+
+function getMasterKey(version = getCurrentKeyVersion()) {
+  const key = version === getCurrentKeyVersion()
+    ? config.security.encryptionKey
+    : config.encryption.previousKeys[version];
+
   if (!key || key === 'default-encryption-key') {
-    throw new Error('Encryption key not properly configured');
+    throw new Error(`Encryption key version ${version} not properly configured`);
   }
-  
-  return crypto.scryptSync(key, 'file-encryption-salt', KEY_LENGTH);
+
+  const cacheKey = `${version}:${key}`;
+  if (!derivedKeys.has(cacheKey)) {
+    derivedKeys.set(cacheKey, crypto.scryptSync(key, 'file-encryption-salt', KEY_LENGTH));
+  }
+
+  return derivedKeys.get(cacheKey);
 }
 
-function encryptFileBuffer(buffer, metadata = {}) {
+function getEncryptionKey() {
+  return getMasterKey();
+}
+
+function sealBuffer(buffer, key, aad = null) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  if (aad) {
+    cipher.setAAD(aad);
+  }
+
+  const encrypted = Buffer.concat([cipher.update(buffer), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return { sealed: Buffer.concat([iv, tag, encrypted]), iv, tag };
+}
+
+function openBuffer(sealed, key, aad = null) {
+  const iv = sealed.slice(0, IV_LENGTH);
+  const tag = sealed.slice(IV_LENGTH, IV_LENGTH + TAG_LENGTH);
+  const encrypted = sealed.slice(IV_LENGTH + TAG_LENGTH);
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  if (aad) {
+    decipher.setAAD(aad);
+  }
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]);
+}
+
+function encryptFileBuffer(buffer, metadata = {}, dataKey = null) {
   try {
-    const key = getEncryptionKey();
-    const iv = crypto.randomBytes(IV_LENGTH);
-    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
-    cipher.setAAD(Buffer.from(JSON.stringify(metadata)));
-    
-    const encrypted = Buffer.concat([
-      cipher.update(buffer),
-      cipher.final()
-    ]);
-    
-    const tag = cipher.getAuthTag();
-    
-    const encryptedBuffer = Buffer.concat([iv, tag, encrypted]);
+    const key = dataKey || getEncryptionKey();
+    const { sealed: encryptedBuffer, iv, tag } = sealBuffer(
+      buffer,
+      key,
+      Buffer.from(JSON.stringify(metadata))
+    );
     
     logger.info('File buffer encrypted', {
       originalSize: buffer.length,
@@ -43,7 +88,7 @@ function encryptFileBuffer(buffer, metadata = {}) {
       iv: iv.toString('hex'),
       tag: tag.toString('hex'),
       algorithm: ALGORITHM,
-      keyVersion: 1 
+      keyVersion: getCurrentKeyVersion()
     };
   } catch (error) {
     logger.error('File encryption failed', {
@@ -54,25 +99,14 @@ function encryptFileBuffer(buffer, metadata = {}) {
   }
 }
 
-function decryptFileBuffer(encryptedBuffer, encryptionMeta) {
+function decryptFileBuffer(encryptedBuffer, encryptionMeta, dataKey = null) {
   try {
-    const key = getEncryptionKey();
-    
-    const iv = encryptedBuffer.slice(0, IV_LENGTH);
-    const tag = encryptedBuffer.slice(IV_LENGTH, IV_LENGTH + TAG_LENGTH);
-    const encrypted = encryptedBuffer.slice(IV_LENGTH + TAG_LENGTH);
-    
-    const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
-    decipher.setAuthTag(tag);
-    
-    if (encryptionMeta.metadata) {
-      decipher.setAAD(Buffer.from(JSON.stringify(encryptionMeta.metadata)));
-    }
-    
-    const decrypted = Buffer.concat([
-      decipher.update(encrypted),
-      decipher.final()
-    ]);
+    const key = dataKey || getMasterKey(encryptionMeta.keyVersion || 1);
+    const aad = encryptionMeta.metadata
+      ? Buffer.from(JSON.stringify(encryptionMeta.metadata))
+      : null;
+
+    const decrypted = openBuffer(encryptedBuffer, key, aad);
     
     logger.info('File buffer decrypted', {
       encryptedSize: encryptedBuffer.length,
@@ -89,18 +123,96 @@ function decryptFileBuffer(encryptedBuffer, encryptionMeta) {
   }
 }
 
+function wrapDataKey(dataKey, keyId, version = getCurrentKeyVersion()) {
+  const { sealed } = sealBuffer(dataKey, getMasterKey(version), Buffer.from(keyId));
+
+  return {
+    wrappedKey: sealed.toString('base64'),
+    keyVersion: version,
+    keyWrappedAt: new Date().toISOString()
+  };
+}
+
+function unwrapDataKey(encryptionMeta) {
+  return openBuffer(
+    Buffer.from(encryptionMeta.wrappedKey, 'base64'),
+    getMasterKey(encryptionMeta.keyVersion),
+    Buffer.from(encryptionMeta.keyId)
+  );
+}
+
+function rewrapEncryptionMeta(encryptionMeta, version = getCurrentKeyVersion()) {
+  if (!encryptionMeta || !encryptionMeta.wrappedKey) {
+    throw new Error('Encryption metadata has no wrapped data key');
+  }
+
+  const dataKey = unwrapDataKey(encryptionMeta);
+
+  return {
+    ...encryptionMeta,
+    ...wrapDataKey(dataKey, encryptionMeta.keyId, version),
+    previousKeyVersion: encryptionMeta.keyVersion
+  };
+}
+
 function isEncryptionEnabled() {
   return config.security.encryptionKey && 
          config.security.encryptionKey !== 'default-encryption-key';
 }
 
+function isAtRestEncryptionEnabled() {
+  return config.encryption.enabled && !!isEncryptionEnabled();
+}
+
+function encryptForStorage(buffer, context = {}) {
+  const metadata = {
+    keyId: crypto.randomUUID(),
+    ...context
+  };
+
+  const dataKey = crypto.randomBytes(KEY_LENGTH);
+  const result = encryptFileBuffer(buffer, metadata, dataKey);
+
+  return {
+    encryptedBuffer: result.encryptedBuffer,
+    encryptionMeta: {
+      isEncrypted: true,
+      scheme: 'envelope',
+      algorithm: result.algorithm,
+      keyId: metadata.keyId,
+      ...wrapDataKey(dataKey, metadata.keyId),
+      iv: result.iv,
+      tag: result.tag,
+      metadata,
+      originalSize: buffer.length,
+      checksum: createFileHash(buffer),
+      encryptedAt: new Date().toISOString()
+    }
+  };
+}
+
+function decryptFromStorage(encryptedBuffer, encryptionMeta) {
+  if (!validateEncryptionMeta(encryptionMeta) || !encryptionMeta.isEncrypted) {
+    throw new Error('Invalid encryption metadata');
+  }
+
+  const dataKey = encryptionMeta.wrappedKey ? unwrapDataKey(encryptionMeta) : null;
+  const decrypted = decryptFileBuffer(encryptedBuffer, encryptionMeta, dataKey);
+
+  if (encryptionMeta.checksum && createFileHash(decrypted) !== encryptionMeta.checksum) {
+    throw new Error('Decrypted content checksum mismatch');
+  }
+
+  return decrypted;
+}
+
 function validateEncryptionMeta(encryptionMeta) {
   if (!encryptionMeta) {
     return false;
   }
   
   const required = ['algorithm', 'keyVersion', 'isEncrypted'];
-  return required.every(field => encryptionMeta.hasOwnProperty(field));
+  return required.every(field => Object.prototype.hasOwnProperty.call(encryptionMeta, field));
 }
 
 function createFileHash(buffer) {
@@ -110,9 +222,13 @@ function createFileHash(buffer) {
 module.exports = {
   encryptFileBuffer,
   decryptFileBuffer,
-  encryptFileForStorage,
-  generateFileKey,
   isEncryptionEnabled,
+  isAtRestEncryptionEnabled,
+  encryptForStorage,
+  decryptFromStorage,
+  rewrapEncryptionMeta,
+  getCurrentKeyVersion,
+  getAvailableKeyVersions,
   validateEncryptionMeta,
   createFileHash
 };
\ No newline at end of file
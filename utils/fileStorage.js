@@ -1,20 +1,15 @@
 const config = require("../config");
 const { logger } = require("./logger");
-
-const cloudinaryStorage = require("./cloudinaryStorage");
+const { getStorageDriver } = require("./storageDrivers");
 
 async function saveFile(fileBuffer, originalName, mimetype, options = {}) {
   try {
-    if (config.storage.type === "cloudinary") {
-      return await cloudinaryStorage.uploadToCloudinary(
-        fileBuffer,
-        originalName,
-        mimetype,
-        options
-      );
-    } else {
-      throw new Error(`Unsupported storage type: ${config.storage.type}`);
-    }
+    return await getStorageDriver().save(
+      fileBuffer,
+      originalName,
+      mimetype,
+      options
+    );
   } catch (error) {
     logger.error("File save failed", {
       error: error.message,
@@ -26,16 +21,41 @@ async function saveFile(fileBuffer, originalName, mimetype, options = {}) {
   }
 }
 
-async function deleteFile(fileIdentifier, resourceType = "auto") {
+async function getFileStream(fileIdentifier, resourceType = "auto") {
   try {
-    if (config.storage.type === "cloudinary") {
-      return await cloudinaryStorage.deleteFromCloudinary(
-        fileIdentifier,
-        resourceType
-      );
-    } else {
-      throw new Error(`Unsupported storage type: ${config.storage.type}`);
+    return await getStorageDriver().getStream(fileIdentifier, resourceType);
+  } catch (error) {
+    logger.error("Failed to open file stream", {
+      error: error.message,
+      fileIdentifier,
+      storageType: config.storage.type,
+    });
+    throw error;
+  }
+}
+
+async function getFileBuffer(fileIdentifier, resourceType = "auto", maxBytes = null) {
+  const stream = await getFileStream(fileIdentifier, resourceType);
+  const chunks = [];
+  let totalBytes = 0;
+
+  for await (const chunk of stream) {
+    totalBytes += chunk.length;
+    if (maxBytes && totalBytes > maxBytes) {
+      if (typeof stream.destroy === "function") {
+        stream.destroy();
+      }
+      throw new Error(`File exceeds maximum size of ${maxBytes} bytes`);
     }
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks);
+}
+
+async function deleteFile(fileIdentifier, resourceType = "auto") {
+  try {
+    return await getStorageDriver().delete(fileIdentifier, resourceType);
   } catch (error) {
     logger.error("File soft deletion failed", {
       error: error.message,
@@ -48,14 +68,7 @@ async function deleteFile(fileIdentifier, resourceType = "auto") {
 
 async function permanentDeleteFile(fileIdentifier, resourceType = "auto") {
   try {
-    if (config.storage.type === "cloudinary") {
-      return await cloudinaryStorage.permanentDeleteFromCloudinary(
-        fileIdentifier,
-        resourceType
-      );
-    } else {
-      throw new Error(`Unsupported storage type: ${config.storage.type}`);
-    }
+    return await getStorageDriver().permanentDelete(fileIdentifier, resourceType);
   } catch (error) {
     logger.error("File permanent deletion failed", {
       error: error.message,
@@ -68,15 +81,11 @@ async function permanentDeleteFile(fileIdentifier, resourceType = "auto") {
 
 async function restoreFile(deletedFileIdentifier, originalFileIdentifier, resourceType = "auto") {
   try {
-    if (config.storage.type === "cloudinary") {
-      return await cloudinaryStorage.restoreFromDeleted(
-        deletedFileIdentifier,
-        originalFileIdentifier,
-        resourceType
-      );
-    } else {
-      throw new Error(`Unsupported storage type: ${config.storage.type}`);
-    }
+    return await getStorageDriver().restore(
+      deletedFileIdentifier,
+      originalFileIdentifier,
+      resourceType
+    );
   } catch (error) {
     logger.error("File restoration failed", {
       error: error.message,
@@ -90,14 +99,7 @@ async function restoreFile(deletedFileIdentifier, originalFileIdentifier, resour
 
 async function getFileStats(fileIdentifier, resourceType = "auto") {
   try {
-    if (config.storage.type === "cloudinary") {
-      return await cloudinaryStorage.getFileMetadata(
-        fileIdentifier,
-        resourceType
-      );
-    } else {
-      throw new Error(`Unsupported storage type: ${config.storage.type}`);
-    }
+    return await getStorageDriver().stat(fileIdentifier, resourceType);
   } catch (error) {
     logger.error("Failed to get file stats", {
       error: error.message,
@@ -108,34 +110,49 @@ async function getFileStats(fileIdentifier, resourceType = "auto") {
   }
 }
 
+async function listFiles(options = {}) {
+  try {
+    return await getStorageDriver().list(options);
+  } catch (error) {
+    logger.error("Failed to list stored files", {
+      error: error.message,
+      storageType: config.storage.type,
+    });
+    throw error;
+  }
+}
+
 function generateThumbnailUrl(fileIdentifier, options = {}) {
-  if (config.storage.type === "cloudinary") {
-    return cloudinaryStorage.generateThumbnailUrl(fileIdentifier, options);
-  } else {
+  const driver = getStorageDriver();
+  if (typeof driver.getThumbnailUrl !== "function") {
     throw new Error(
-      `Thumbnail generation not supported for storage type: ${config.storage.type}`
+      `Thumbnail generation not supported for storage type: ${driver.name}`
     );
   }
+  return driver.getThumbnailUrl(fileIdentifier, options);
+}
+
+async function generateDownloadUrl(
+  fileIdentifier,
+  resourceType = "raw",
+  filename = null,
+  expiresIn = null
+) {
+  return getStorageDriver().getSignedUrl(fileIdentifier, {
+    resourceType,
+    filename,
+    expiresIn,
+  });
 }
 
 async function initializeStorage() {
   try {
-    if (config.storage.type === "cloudinary") {
-      const isConfigured = cloudinaryStorage.isCloudinaryConfigured();
-      if (!isConfigured) {
-        throw new Error("Cloudinary credentials not configured");
-      }
+    await getStorageDriver().initialize();
 
-      const connectionTest = await cloudinaryStorage.testCloudinaryConnection();
-      if (!connectionTest) {
-        throw new Error("Cloudinary connection test failed");
-      }
-
-      logger.info("Cloudinary storage initialized successfully");
-      return true;
-    } else {
-      throw new Error(`Unsupported storage type: ${config.storage.type}`);
-    }
+    logger.info("Storage initialized successfully", {
+      storageType: config.storage.type,
+    });
+    return true;
   } catch (error) {
     logger.error("Storage initialization failed", {
       error: error.message,
@@ -147,10 +164,14 @@ async function initializeStorage() {
 
 module.exports = {
   saveFile,
+  getFileStream,
+  getFileBuffer,
   deleteFile,
   permanentDeleteFile,
   restoreFile,
   getFileStats,
+  listFiles,
   generateThumbnailUrl,
+  generateDownloadUrl,
   initializeStorage,
 };
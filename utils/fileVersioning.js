@@ -1,137 +1,414 @@
-const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const File = require('../models/File');
 const { logger } = require('./logger');
-const { saveFile, deleteFile } = require('./fileStorage');
+const { saveFile, deleteFile, permanentDeleteFile } = require('./fileStorage');
+const { isAtRestEncryptionEnabled, encryptForStorage } = require('./fileEncryption');
+const { PERMISSIONS, canAccessOwnedResource } = require('../middleware/permissions');
+const { AppError, commonErrors } = require('../middleware/errorHandler');
+const { fileService } = require('../services/fileService');
+const { getDiffKind, diffContents } = require('./versionDiff');
 
-const fileVersions = new Map();
+// Fields that describe one version's content; the root File holds the current version and each older one is a child File
+const CONTENT_FIELDS = [
+  'originalName',
+  'cloudinaryUrl',
+  'cloudinaryPublicId',
+  'size',
+  'mimetype',
+  'encrypted',
+  'encryptionMeta',
+  'version',
+  'changeDescription',
+  'versionCreatedBy',
+  'versionCreatedAt',
+  'status',
+  'processingResult',
+  'processingPipeline',
+  'processingSteps',
+  'keywords',
+  'virusScanResult'
+];
+
+function pickContent(file) {
+  return CONTENT_FIELDS.reduce((content, field) => {
+    content[field] = file[field];
+    return content;
+  }, {});
+}
+
+function toVersionEntry(file, rootFileId) {
+  return {
+    versionId: file.fileId,
+    originalFileId: rootFileId,
+    versionNumber: file.version,
+    isCurrent: file.fileId === rootFileId,
+    originalName: file.originalName,
+    size: file.size,
+    mimetype: file.mimetype,
+    encrypted: file.encrypted,
+    createdBy: file.versionCreatedBy || file.uploaderId,
+    createdAt: file.versionCreatedAt || file.createdAt,
+    changeDescription: file.changeDescription,
+    secureUrl: fileService.getFileUrl(file)
+  };
+}
+
+async function resolveVersionRoot(fileId, user) {
+  let file = await fileService.getFileById(fileId);
+
+  if (file.parentFileId) {
+    file = await fileService.getFileById(file.parentFileId);
+  }
+
+  if (!canAccessOwnedResource(user, file.uploaderId, PERMISSIONS.FILES_MANAGE_ALL)) {
+    throw commonErrors.forbidden('You can only manage versions of your own files');
+  }
+
+  return file;
+}
+
+async function addFileVersion(rootFile, content, userId, changeDescription = '') {
+  const previous = pickContent(rootFile);
+  const nextVersion = rootFile.version + 1;
+
+  const updated = await File.findOneAndUpdate(
+    { fileId: rootFile.fileId, version: rootFile.version, status: { $ne: 'deleted' } },
+    {
+      $set: {
+        ...content,
+        version: nextVersion,
+        changeDescription,
+        versionCreatedBy: userId,
+        versionCreatedAt: new Date(),
+        status: 'uploaded',
+        processingResult: null,
+        processingPipeline: null,
+        processingSteps: [],
+        keywords: [],
+        virusScanResult: { clean: null, scanner: null, scanDate: null, threats: [] }
+      }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw new AppError('The file was changed by another request, please retry', 409);
+  }
 
-async function createFileVersion(originalFileId, fileBuffer, originalName, mimetype, userId, changeDescription = '') {
   try {
-    const versionId = uuidv4();
-    const versionNumber = getNextVersionNumber(originalFileId);
-    
-    const storageResult = await saveFile(fileBuffer, originalName, mimetype, {
-      public_id: `file-processing/versions/${originalFileId}-v${versionNumber}-${Date.now()}`
+    await File.create({
+      ...previous,
+      uploaderId: rootFile.uploaderId,
+      parentFileId: rootFile.fileId,
+      versionCreatedBy: previous.versionCreatedBy || rootFile.uploaderId,
+      versionCreatedAt: previous.versionCreatedAt || rootFile.createdAt
     });
-    
-    const version = {
-      versionId,
-      originalFileId,
-      versionNumber,
-      originalName,
-      mimetype,
-      size: fileBuffer.length,
-      publicId: storageResult.publicId,
-      secureUrl: storageResult.secureUrl,
-      createdBy: userId,
-      createdAt: new Date().toISOString(),
-      changeDescription,
-      isActive: true,
-      storageResult
-    };
-
-    if (!fileVersions.has(originalFileId)) {
-      fileVersions.set(originalFileId, []);
-    }
-    fileVersions.get(originalFileId).push(version);
-    
-    logger.info('File version created', {
-      originalFileId,
-      versionId,
-      versionNumber,
-      userId
+  } catch (error) {
+    logger.error('Failed to archive previous file version, restoring it as current', {
+      fileId: rootFile.fileId,
+      version: previous.version,
+      error: error.message
     });
-    
-    return version;
+
+    await File.updateOne(
+      { fileId: rootFile.fileId, version: nextVersion },
+      { $set: previous }
+    );
+    throw error;
+  }
+
+  logger.info('File version created', {
+    fileId: rootFile.fileId,
+    versionNumber: nextVersion,
+    userId
+  });
+
+  await pruneVersions(rootFile.fileId);
+
+  return updated;
+}
+
+async function createFileVersion(fileId, fileBuffer, originalName, mimetype, user, changeDescription = '') {
+  if (!config.versioning.enabled) {
+    throw commonErrors.badRequest('File versioning is disabled');
+  }
+
+  const rootFile = await resolveVersionRoot(fileId, user);
+
+  let storedBuffer = fileBuffer;
+  let storedMimetype = mimetype;
+  let encryptionMeta = null;
+
+  if (isAtRestEncryptionEnabled()) {
+    const encrypted = encryptForStorage(fileBuffer, { userId: rootFile.uploaderId });
+    storedBuffer = encrypted.encryptedBuffer;
+    storedMimetype = 'application/octet-stream';
+    encryptionMeta = { ...encrypted.encryptionMeta, originalMimetype: mimetype };
+  }
+
+  const storageResult = await saveFile(storedBuffer, originalName, storedMimetype, {
+    public_id: `file-processing/versions/${rootFile.fileId}-v${rootFile.version + 1}-${Date.now()}`,
+    enableCompression: !encryptionMeta
+  });
+
+  try {
+    const updated = await addFileVersion(
+      rootFile,
+      {
+        originalName,
+        cloudinaryUrl: storageResult.secureUrl,
+        cloudinaryPublicId: storageResult.publicId,
+        size: fileBuffer.length,
+        mimetype,
+        encrypted: !!encryptionMeta,
+        encryptionMeta
+      },
+      user.userId,
+      changeDescription
+    );
+
+    return {
+      file: updated,
+      version: toVersionEntry(updated, updated.fileId),
+      processingSource: encryptionMeta
+        ? { ...storageResult, buffer: fileBuffer, format: null, encryptionMeta }
+        : storageResult
+    };
   } catch (error) {
     logger.error('Failed to create file version', {
       error: error.message,
-      originalFileId,
-      userId
+      fileId: rootFile.fileId,
+      userId: user.userId
     });
+
+    await permanentDeleteFile(
+      storageResult.publicId,
+      encryptionMeta ? 'raw' : fileService.getResourceType(mimetype)
+    ).catch(() => {});
+
     throw error;
   }
 }
 
-function getFileVersions(fileId, userId, userRole) {
-  const versions = fileVersions.get(fileId) || [];
-  
-  return versions
-    .filter(version => version.isActive)
-    .filter(version => {
-      return version.createdBy === userId || userRole === 'admin';
-    })
-    .sort((a, b) => b.versionNumber - a.versionNumber); 
-}
+async function promoteFileVersion(fileId, versionId, user, changeDescription) {
+  const { file: rootFile, version } = await getFileVersion(fileId, versionId, user);
 
-function getFileVersion(fileId, versionId, userId, userRole) {
-  const versions = fileVersions.get(fileId) || [];
-  const version = versions.find(v => v.versionId === versionId && v.isActive);
-  
-  if (!version) {
-    return null;
-  }
-  
-  if (version.createdBy !== userId && userRole !== 'admin') {
-    return null;
+  if (version.fileId === rootFile.fileId) {
+    throw commonErrors.badRequest('This version is already the current version');
   }
-  
-  return version;
+
+  const content = await fileService.getFileContent(version);
+
+  const result = await createFileVersion(
+    rootFile.fileId,
+    content,
+    version.originalName,
+    version.mimetype,
+    user,
+    changeDescription || `Rolled back to version ${version.version}`
+  );
+
+  logger.info('File version promoted', {
+    fileId: rootFile.fileId,
+    promotedVersion: version.version,
+    newVersion: result.file.version,
+    userId: user.userId
+  });
+
+  return { ...result, promotedFrom: toVersionEntry(version, rootFile.fileId) };
 }
 
-async function deleteFileVersion(fileId, versionId, userId, userRole) {
-  try {
-    const versions = fileVersions.get(fileId) || [];
-    const versionIndex = versions.findIndex(v => v.versionId === versionId);
-    
-    if (versionIndex === -1) {
-      throw new Error('Version not found');
+// Pipeline steps and whole-file jobs both record what they stored; a pipeline also copies its results
+// into processingResult, hence the dedupe
+function getDerivedObjects(file) {
+  const results = [
+    ...(file.processingSteps || []).map(step => step.result),
+    file.processingResult && file.processingResult.compression,
+    file.processingResult && file.processingResult.thumbnail
+  ];
+
+  const derived = new Map();
+  for (const result of results) {
+    if (result && result.storedPublicId) {
+      derived.set(result.storedPublicId, result);
     }
-    
-    const version = versions[versionIndex];
-    
-    if (version.createdBy !== userId && userRole !== 'admin') {
-      throw new Error('Access denied');
+  }
+
+  return Array.from(derived.values());
+}
+
+async function pruneVersions(rootFileId) {
+  const maxVersions = Math.max(1, config.versioning.maxVersionsPerFile);
+
+  const history = await File.find({
+    parentFileId: rootFileId,
+    status: { $ne: 'deleted' }
+  }).sort({ version: 1 });
+
+  // The root File is the current version and counts towards the limit
+  const excess = history.length + 1 - maxVersions;
+  if (excess <= 0) {
+    return [];
+  }
+
+  const pruned = [];
+
+  for (const version of history.slice(0, excess)) {
+    try {
+      await permanentDeleteFile(
+        version.cloudinaryPublicId,
+        fileService.getStoredResourceType(version)
+      );
+    } catch (error) {
+      logger.warn('Failed to delete stored object of pruned version, keeping it for the next run', {
+        fileId: rootFileId,
+        versionNumber: version.version,
+        error: error.message
+      });
+      continue;
     }
-    
-    const activeVersions = versions.filter(v => v.isActive);
-    if (activeVersions.length <= 1) {
-      throw new Error('Cannot delete the only version of a file');
+
+    // Compressed copies and thumbnails from processing go with the version
+    for (const derived of getDerivedObjects(version)) {
+      await permanentDeleteFile(derived.storedPublicId, derived.resourceType).catch((error) => {
+        logger.warn('Failed to delete derived object of pruned version', {
+          fileId: rootFileId,
+          versionNumber: version.version,
+          publicId: derived.storedPublicId,
+          error: error.message
+        });
+      });
     }
-    
-    version.isActive = false;
-    version.deletedAt = new Date().toISOString();
-    version.deletedBy = userId;
-    
-    logger.info('File version deleted', {
-      fileId,
-      versionId,
-      versionNumber: version.versionNumber,
-      userId
+
+    await File.deleteOne({ _id: version._id });
+    pruned.push(version.version);
+  }
+
+  if (pruned.length > 0) {
+    logger.info('Pruned old file versions', {
+      fileId: rootFileId,
+      prunedVersions: pruned,
+      maxVersions
     });
-    
-    return true;
+  }
+
+  return pruned;
+}
+
+async function getFileVersions(fileId, user) {
+  const rootFile = await resolveVersionRoot(fileId, user);
+  const versions = await fileService.getFileVersions(rootFile.fileId);
+
+  return {
+    file: rootFile,
+    versions: versions.map(version => toVersionEntry(version, rootFile.fileId))
+  };
+}
+
+async function getFileVersion(fileId, versionId, user) {
+  const rootFile = await resolveVersionRoot(fileId, user);
+
+  if (versionId === rootFile.fileId) {
+    return { file: rootFile, version: rootFile };
+  }
+
+  const version = await File.findOne({
+    fileId: versionId,
+    parentFileId: rootFile.fileId,
+    status: { $ne: 'deleted' }
+  });
+
+  if (!version) {
+    throw commonErrors.notFound('Version');
+  }
+
+  return { file: rootFile, version };
+}
+
+async function diffFileVersions(fileId, { from, to, key, context = 3 }, user) {
+  if (!from) {
+    throw commonErrors.badRequest('from is required');
+  }
+
+  const rootFile = await resolveVersionRoot(fileId, user);
+  const { version: fromVersion } = await getFileVersion(rootFile.fileId, from, user);
+  const { version: toVersion } = await getFileVersion(rootFile.fileId, to || rootFile.fileId, user);
+
+  const kind = getDiffKind(fromVersion.mimetype);
+  if (!kind) {
+    throw commonErrors.badRequest(`Content diff is not supported for ${fromVersion.mimetype} files`);
+  }
+  if (getDiffKind(toVersion.mimetype) !== kind) {
+    throw commonErrors.badRequest('Both versions must be of the same file type to compare them');
+  }
+
+  const contextLines = parseInt(context, 10);
+  if (isNaN(contextLines) || contextLines < 0 || contextLines > 50) {
+    throw commonErrors.badRequest('context must be between 0 and 50');
+  }
+
+  const [fromContent, toContent] = await Promise.all([
+    fileService.getFileContent(fromVersion),
+    fileService.getFileContent(toVersion)
+  ]);
+
+  const diff = await diffContents(fromContent, toContent, kind, {
+    key,
+    context: contextLines,
+    maxChanges: config.versioning.diffMaxChanges
+  });
+
+  return {
+    fileId: rootFile.fileId,
+    from: toVersionEntry(fromVersion, rootFile.fileId),
+    to: toVersionEntry(toVersion, rootFile.fileId),
+    diff
+  };
+}
+
+async function deleteFileVersion(fileId, versionId, user) {
+  const { file: rootFile, version } = await getFileVersion(fileId, versionId, user);
+
+  if (version.fileId === rootFile.fileId) {
+    throw commonErrors.badRequest('Cannot delete the current version of a file');
+  }
+
+  let deletedPublicId = null;
+  try {
+    const deleteResult = await deleteFile(
+      version.cloudinaryPublicId,
+      fileService.getStoredResourceType(version)
+    );
+    deletedPublicId = deleteResult.deletedPublicId;
   } catch (error) {
-    logger.error('Failed to delete file version', {
-      error: error.message,
-      fileId,
+    logger.error('Failed to soft delete stored version object', {
+      fileId: rootFile.fileId,
       versionId,
-      userId
+      error: error.message
     });
-    throw error;
   }
-}
 
-function getNextVersionNumber(fileId) {
-  const versions = fileVersions.get(fileId) || [];
-  const maxVersion = versions.reduce((max, version) => {
-    return Math.max(max, version.versionNumber);
-  }, 0);
-  return maxVersion + 1;
+  await version.softDelete(deletedPublicId);
+
+  logger.info('File version deleted', {
+    fileId: rootFile.fileId,
+    versionId,
+    versionNumber: version.version,
+    userId: user.userId
+  });
+
+  return true;
 }
 
 module.exports = {
+  resolveVersionRoot,
+  addFileVersion,
   createFileVersion,
+  promoteFileVersion,
+  pruneVersions,
   getFileVersions,
   getFileVersion,
-  deleteFileVersion
-};
\ No newline at end of file
+  diffFileVersions,
+  deleteFileVersion,
+  toVersionEntry
+};
@@ -0,0 +1,223 @@
+const QueueJob = require('../models/QueueJob');
+const config = require('../config');
+const { logger } = require('./logger');
+
+// Queue events and the job status each one leaves behind
+const LOCAL_EVENTS = {
+  'job:added': null,
+  'job:released': 'queued',
+  'job:requeued': 'queued',
+  'job:replayed': 'queued',
+  'job:started': 'processing',
+  'job:progress': 'processing',
+  'job:retrying': 'retrying',
+  'job:completed': 'completed',
+  'job:failed': 'failed',
+  'job:cancelled': 'cancelled'
+};
+
+const EVENT_TYPES = {
+  pending: 'waiting',
+  queued: 'queued',
+  retrying: 'retrying',
+  completed: 'completed',
+  failed: 'failed',
+  cancelled: 'cancelled'
+};
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// How long a delivered job state is remembered, so the same change seen locally and in MongoDB is sent once
+const DELIVERED_TTL = 10 * 60 * 1000;
+
+function getEventType(status, progress) {
+  if (status === 'processing') {
+    return progress > 0 ? 'progress' : 'started';
+  }
+  return EVENT_TYPES[status];
+}
+
+// Fans job lifecycle events out to subscribers. Jobs run by this process are delivered as they happen;
+// jobs run by other workers are picked up from MongoDB while anyone is subscribed
+class JobEventHub {
+  constructor(options = {}) {
+    this.pollInterval = options.pollInterval || config.queue.pollInterval;
+    this.subscribers = new Set();
+    this.delivered = new Map();
+    this.nextEventId = 0;
+    this.cursor = null;
+    this.pollTimer = null;
+    this.polling = false;
+  }
+
+  attach(queue) {
+    for (const [eventName, status] of Object.entries(LOCAL_EVENTS)) {
+      queue.on(eventName, (job, detail) => {
+        if (this.subscribers.size === 0) return;
+
+        const jobStatus = status || job.status;
+        this.publish({
+          jobId: job.id,
+          jobType: job.type,
+          queue: queue.name,
+          userId: job.userId || null,
+          status: jobStatus,
+          progress: eventName === 'job:progress' ? detail : job.progress,
+          attempts: job.attempts,
+          maxAttempts: job.maxAttempts,
+          metadata: job.metadata,
+          error: detail instanceof Error ? detail.message : null
+        });
+      });
+    }
+  }
+
+  // Subscriber filters are { userId }, { fileId } or { batchId }; send receives each matching event
+  subscribe(filter, send) {
+    const subscriber = { filter, send };
+    this.subscribers.add(subscriber);
+
+    if (!this.pollTimer) {
+      this.cursor = new Date();
+      this.pollTimer = setInterval(() => this.pollChanges(), this.pollInterval);
+    }
+
+    return () => {
+      this.subscribers.delete(subscriber);
+
+      if (this.subscribers.size === 0) {
+        clearInterval(this.pollTimer);
+        this.pollTimer = null;
+        this.delivered.clear();
+      }
+    };
+  }
+
+  matches({ filter }, event) {
+    if (filter.fileId) return event.fileId === filter.fileId;
+    if (filter.batchId) return event.batchId === filter.batchId;
+    return event.userId === filter.userId;
+  }
+
+  publish(state) {
+    const { metadata = {} } = state;
+    const terminal = TERMINAL_STATUSES.includes(state.status);
+    const signature = terminal
+      ? state.status
+      : `${state.status}:${state.progress || 0}:${state.attempts || 0}`;
+
+    const previous = this.delivered.get(state.jobId);
+    if (previous && previous.signature === signature) {
+      return;
+    }
+    this.delivered.set(state.jobId, { signature, at: Date.now() });
+
+    const event = {
+      id: ++this.nextEventId,
+      type: getEventType(state.status, state.progress),
+      jobId: state.jobId,
+      jobType: state.jobType,
+      queue: state.queue,
+      userId: state.userId,
+      status: state.status,
+      progress: state.progress || 0,
+      attempts: state.attempts || 0,
+      maxAttempts: state.maxAttempts,
+      fileId: metadata.fileId || null,
+      fileVersion: metadata.fileVersion || null,
+      batchId: metadata.batchId || null,
+      pipeline: metadata.pipeline || null,
+      step: metadata.step || null,
+      error: state.error || null,
+      timestamp: new Date().toISOString()
+    };
+
+    for (const subscriber of this.subscribers) {
+      if (this.matches(subscriber, event)) {
+        subscriber.send(event);
+      }
+    }
+  }
+
+  async pollChanges() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      const since = this.cursor;
+      const query = this.buildPollQuery(since);
+      if (!query) return;
+
+      const docs = await QueueJob.find(query).sort({ updatedAt: 1 }).limit(500);
+
+      for (const doc of docs) {
+        this.cursor = doc.updatedAt > this.cursor ? doc.updatedAt : this.cursor;
+
+        const lastFailure = doc.failures && doc.failures[doc.failures.length - 1];
+        this.publish({
+          jobId: doc.jobId,
+          jobType: doc.type,
+          queue: doc.queue,
+          userId: doc.userId || null,
+          status: doc.status,
+          progress: doc.progress,
+          attempts: doc.attempts,
+          maxAttempts: doc.maxAttempts,
+          metadata: doc.metadata,
+          error: ['retrying', 'failed'].includes(doc.status) && lastFailure ? lastFailure.message : null
+        });
+      }
+
+      this.pruneDelivered();
+    } catch (error) {
+      logger.error('Failed to poll job events', { error: error.message });
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  // Changes at the cursor's own timestamp are fetched again and dropped as duplicates
+  buildPollQuery(since) {
+    const userIds = new Set();
+    const fileIds = new Set();
+    const batchIds = new Set();
+
+    for (const { filter } of this.subscribers) {
+      if (filter.fileId) fileIds.add(filter.fileId);
+      else if (filter.batchId) batchIds.add(filter.batchId);
+      else userIds.add(filter.userId);
+    }
+
+    const scopes = [];
+    if (userIds.size > 0) scopes.push({ userId: { $in: Array.from(userIds) } });
+    if (fileIds.size > 0) scopes.push({ 'metadata.fileId': { $in: Array.from(fileIds) } });
+    if (batchIds.size > 0) scopes.push({ 'metadata.batchId': { $in: Array.from(batchIds) } });
+
+    if (scopes.length === 0) {
+      return null;
+    }
+
+    return { updatedAt: { $gte: since }, $or: scopes };
+  }
+
+  pruneDelivered() {
+    const cutoff = Date.now() - DELIVERED_TTL;
+
+    for (const [jobId, entry] of this.delivered) {
+      if (entry.at < cutoff) {
+        this.delivered.delete(jobId);
+      }
+    }
+  }
+
+  getStats() {
+    return {
+      subscribers: this.subscribers.size,
+      trackedJobs: this.delivered.size
+    };
+  }
+}
+
+module.exports = {
+  JobEventHub
+};
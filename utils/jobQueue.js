@@ -1,12 +1,23 @@
+const { AsyncLocalStorage } = require("async_hooks");
 const EventEmitter = require("events");
+const os = require("os");
+const path = require("path");
 const { v4: uuidv4 } = require("uuid");
+const config = require("../config");
+const QueueJob = require("../models/QueueJob");
+const JobSchedule = require("../models/JobSchedule");
+const User = require("../models/User");
+const { getNextRun, parseCron } = require("./cronSchedule");
 const { logger } = require("./logger");
-const { retryOperations, RetryManager } = require("./retryManager");
+const { WorkerPool } = require("./workerPool");
+const { JobEventHub } = require("./jobEvents");
+const { RetryManager, ErrorClassifier } = require("./retryManager");
 const {
   AppError,
   RetryableError,
   PermanentError,
 } = require("../middleware/errorHandler");
+const { DEFAULT_ROLE, resolveRole } = require("../middleware/permissions");
 
 const JOB_PRIORITIES = {
   LOW: 1,
@@ -33,8 +44,15 @@ const JOB_TYPES = {
   VIRUS_SCAN: "virus_scan",
   BATCH_PROCESSING: "batch_processing",
   FILE_CLEANUP: "file_cleanup",
+  KEY_ROTATION: "key_rotation",
+  PROCESSING_STEP: "processing_step",
 };
 
+const USER_ROLE_CACHE_TTL = 60 * 1000;
+
+// The job a processor is running for, so worker pool tasks it starts are cancelled with it
+const jobContext = new AsyncLocalStorage();
+
 class Job {
   constructor(data) {
     this.id = data.id || uuidv4();
@@ -50,11 +68,19 @@ class Job {
     this.attempts = 0;
     this.maxAttempts = data.maxAttempts || 3;
     this.delay = data.delay || 0;
-    this.nextAttemptAt = new Date(Date.now() + this.delay);
+    this.nextAttemptAt = data.runAt
+      ? new Date(data.runAt)
+      : new Date(Date.now() + this.delay);
+    this.dependsOn = data.dependsOn || [];
     this.errors = [];
     this.result = null;
     this.progress = 0;
     this.metadata = data.metadata || {};
+    this.lockedBy = null;
+    this.lockedUntil = null;
+    this.onProgress = null;
+    // Aborted when the job times out; long-running processors should check it and stop
+    this.signal = null;
 
     this.retryManager = new RetryManager({
       maxRetries: this.maxAttempts - 1,
@@ -70,6 +96,10 @@ class Job {
 
     if (data.progress !== undefined) {
       this.progress = Math.max(0, Math.min(100, data.progress));
+
+      if (this.onProgress) {
+        this.onProgress(this.progress);
+      }
     }
 
     if (data.error) {
@@ -101,6 +131,60 @@ class Job {
       this.nextAttemptAt <= new Date()
     );
   }
+
+  getSummary() {
+    return {
+      id: this.id,
+      type: this.type,
+      status: this.status,
+      priority: this.priority,
+      progress: this.progress,
+      userId: this.userId,
+      attempts: this.attempts,
+      maxAttempts: this.maxAttempts,
+      createdAt: this.createdAt,
+      startedAt: this.startedAt,
+      completedAt: this.completedAt,
+      nextAttemptAt: this.nextAttemptAt,
+      dependsOn: this.dependsOn,
+      lockedBy: this.lockedBy,
+      lastError: this.errors[this.errors.length - 1] || null,
+      metadata: this.metadata,
+    };
+  }
+
+  static fromDocument(doc) {
+    const job = new Job({
+      id: doc.jobId,
+      type: doc.type,
+      priority: doc.priority,
+      data: doc.data,
+      userId: doc.userId,
+      maxAttempts: doc.maxAttempts,
+      metadata: doc.metadata,
+      dependsOn: doc.dependsOn,
+    });
+
+    job.status = doc.status;
+    job.createdAt = doc.createdAt;
+    job.updatedAt = doc.updatedAt;
+    job.startedAt = doc.startedAt;
+    job.completedAt = doc.completedAt;
+    job.attempts = doc.attempts;
+    job.nextAttemptAt = doc.runAt;
+    job.errors = (doc.failures || []).map((failure) => ({
+      message: failure.message,
+      code: failure.code,
+      timestamp: failure.timestamp,
+      attempt: failure.attempt,
+    }));
+    job.result = doc.result;
+    job.progress = doc.progress;
+    job.lockedBy = doc.lockedBy;
+    job.lockedUntil = doc.lockedUntil;
+
+    return job;
+  }
 }
 
 class JobQueue extends EventEmitter {
@@ -110,16 +194,22 @@ class JobQueue extends EventEmitter {
     this.name = options.name || "default";
     this.concurrency = options.concurrency || 5;
     this.maxJobs = options.maxJobs || 1000;
-    this.cleanupInterval = options.cleanupInterval || 60000;
-    this.retryInterval = options.retryInterval || 30000;
-
-    this.jobs = new Map();
+    this.workerId =
+      options.workerId ||
+      config.queue.workerId ||
+      `${os.hostname()}-${process.pid}`;
+    this.pollInterval = options.pollInterval || config.queue.pollInterval;
+    this.leaseDuration = options.leaseDuration || config.queue.leaseDuration;
+
+    // Jobs leased by this process; the queue itself lives in MongoDB
     this.processing = new Map();
-    this.completed = [];
-    this.failed = [];
 
     this.isProcessing = false;
     this.processingCount = 0;
+    this.paused = false;
+    this.started = false;
+    this.pollTimer = null;
+    this.leaseTimer = null;
 
     this.stats = {
       totalJobs: 0,
@@ -132,44 +222,169 @@ class JobQueue extends EventEmitter {
 
     this.processors = new Map();
 
+    // Job types whose processors do their heavy lifting on the shared worker pool
+    this.workerPool = options.workerPool || null;
+    this.cpuBoundTypes = new Set();
+
+    // When this worker last handed each user a job, and their roles for the in-flight limits
+    this.lastServed = new Map();
+    this.userRoles = new Map();
+
     logger.info("Job queue initialized", {
       name: this.name,
       concurrency: this.concurrency,
       maxJobs: this.maxJobs,
+      workerId: this.workerId,
     });
   }
 
-  registerProcessor(jobType, processor) {
+  registerProcessor(jobType, processor, options = {}) {
     if (typeof processor !== "function") {
       throw new Error("Processor must be a function");
     }
 
+    if (options.cpuBound) {
+      if (!this.workerPool) {
+        throw new Error("CPU-bound processors need a worker pool");
+      }
+
+      if (this.cpuBoundTypes.size === 0) {
+        this.workerPool.on("released", () => this.processQueue());
+      }
+      this.cpuBoundTypes.add(jobType);
+    }
+
     this.processors.set(jobType, processor);
-    logger.debug("Job processor registered", { jobType, queueName: this.name });
+    logger.debug("Job processor registered", {
+      jobType,
+      queueName: this.name,
+      cpuBound: !!options.cpuBound,
+    });
+  }
+
+  // Runs a named task from utils/processingTasks.js on a worker thread
+  runTask(task, payload, options = {}) {
+    if (!this.workerPool) {
+      return Promise.reject(
+        new PermanentError(`Queue ${this.name} has no worker pool`)
+      );
+    }
+
+    const context = jobContext.getStore();
+
+    return this.workerPool.run(task, payload, {
+      signal: context ? context.signal : undefined,
+      ...options,
+    });
+  }
+
+  // CPU-bound jobs are only claimed while the pool has a thread for them
+  getClaimableTypes() {
+    const types = Array.from(this.processors.keys());
+
+    if (!this.workerPool || this.workerPool.hasCapacity()) {
+      return types;
+    }
+
+    return types.filter((type) => !this.cpuBoundTypes.has(type));
+  }
+
+  async start() {
+    if (this.started) {
+      return;
+    }
+
+    this.started = true;
+
+    try {
+      await this.recoverOrphanedJobs({ includeOwnLeases: true });
+    } catch (error) {
+      logger.error("Failed to recover orphaned jobs", {
+        error: error.message,
+        queueName: this.name,
+      });
+    }
+
+    this.pollTimer = setInterval(() => this.processQueue(), this.pollInterval);
+    this.leaseTimer = setInterval(() => {
+      this.recoverOrphanedJobs().catch((error) => {
+        logger.error("Failed to recover orphaned jobs", {
+          error: error.message,
+          queueName: this.name,
+        });
+      });
+    }, Math.max(this.leaseDuration / 2, this.pollInterval));
+
+    logger.info("Job queue started", {
+      queueName: this.name,
+      workerId: this.workerId,
+    });
+
+    setImmediate(() => this.processQueue());
   }
 
   async addJob(jobType, data, options = {}) {
     try {
-      if (this.jobs.size >= this.maxJobs) {
+      if (!this.processors.has(jobType)) {
+        throw new Error(`No processor registered for job type: ${jobType}`);
+      }
+
+      const activeJobs = await QueueJob.countDocuments({
+        queue: this.name,
+        status: {
+          $in: [
+            JOB_STATUSES.QUEUED,
+            JOB_STATUSES.RETRYING,
+            JOB_STATUSES.PROCESSING,
+          ],
+        },
+      });
+      if (activeJobs >= this.maxJobs) {
         throw new Error(`Queue is full (${this.maxJobs} jobs)`);
       }
 
-      if (!this.processors.has(jobType)) {
-        throw new Error(`No processor registered for job type: ${jobType}`);
+      if (options.runAt && isNaN(new Date(options.runAt).getTime())) {
+        throw new Error(`Invalid runAt: ${options.runAt}`);
       }
 
+      const dependsOn = options.dependsOn || [];
+
       const job = new Job({
+        id: options.jobId,
         type: jobType,
         data,
         userId: options.userId,
         priority: options.priority || JOB_PRIORITIES.NORMAL,
         maxAttempts: options.maxAttempts || 3,
         delay: options.delay || 0,
+        runAt: options.runAt,
         metadata: options.metadata || {},
+        dependsOn,
       });
 
-      this.jobs.set(job.id, job);
-      job.updateStatus(JOB_STATUSES.QUEUED);
+      // Jobs with dependencies wait as pending until every one of them has completed
+      const status =
+        dependsOn.length > 0 ? JOB_STATUSES.PENDING : JOB_STATUSES.QUEUED;
+
+      await QueueJob.create({
+        jobId: job.id,
+        queue: this.name,
+        type: job.type,
+        priority: job.priority,
+        status,
+        data: job.data,
+        userId: job.userId,
+        maxAttempts: job.maxAttempts,
+        runAt: job.nextAttemptAt,
+        dependsOn,
+        metadata: job.metadata,
+      });
+      job.updateStatus(status);
+
+      // A dependency may have completed before this job was stored
+      if (dependsOn.length > 0 && (await this.releaseIfReady(job.id))) {
+        job.updateStatus(JOB_STATUSES.QUEUED);
+      }
 
       this.stats.totalJobs++;
 
@@ -177,13 +392,16 @@ class JobQueue extends EventEmitter {
         jobId: job.id,
         type: jobType,
         priority: job.priority,
-        queueSize: this.jobs.size,
+        status: job.status,
+        runAt: job.nextAttemptAt,
+        dependsOn: dependsOn.length > 0 ? dependsOn : undefined,
+        queueSize: activeJobs + 1,
         queueName: this.name,
       });
 
       this.emit("job:added", job);
 
-      if (!this.isProcessing) {
+      if (this.started) {
         setImmediate(() => this.processQueue());
       }
 
@@ -199,15 +417,20 @@ class JobQueue extends EventEmitter {
   }
 
   async processQueue() {
-    if (this.isProcessing || this.processingCount >= this.concurrency) {
+    if (
+      !this.started ||
+      this.paused ||
+      this.isProcessing ||
+      this.processors.size === 0
+    ) {
       return;
     }
 
     this.isProcessing = true;
 
     try {
-      while (this.processingCount < this.concurrency) {
-        const job = this.getNextJob();
+      while (this.processingCount < this.concurrency && !this.paused) {
+        const job = await this.claimNextJob();
         if (!job) break;
 
         this.processJob(job);
@@ -222,30 +445,140 @@ class JobQueue extends EventEmitter {
     }
   }
 
-  getNextJob() {
-    const availableJobs = Array.from(this.jobs.values())
-      .filter(
-        (job) =>
-          job.status === JOB_STATUSES.QUEUED && job.nextAttemptAt <= new Date()
-      )
-      .sort((a, b) => {
-        if (a.priority !== b.priority) {
-          return b.priority - a.priority;
-        }
-        return a.createdAt - b.createdAt;
+  // Atomically leases the next due job, so concurrent workers never receive the same one.
+  // Users take turns; priority and age only order the jobs of a single user
+  async claimNextJob() {
+    const now = new Date();
+    const due = {
+      queue: this.name,
+      status: { $in: [JOB_STATUSES.QUEUED, JOB_STATUSES.RETRYING] },
+      runAt: { $lte: now },
+      type: { $in: this.getClaimableTypes() },
+    };
+
+    for (const userId of await this.getClaimOrder(due)) {
+      const doc = await QueueJob.findOneAndUpdate(
+        { ...due, userId },
+        {
+          $set: {
+            status: JOB_STATUSES.PROCESSING,
+            lockedBy: this.workerId,
+            lockedUntil: new Date(now.getTime() + this.leaseDuration),
+            startedAt: now,
+          },
+          $inc: { attempts: 1 },
+        },
+        { sort: { priority: -1, createdAt: 1 }, new: true }
+      );
+
+      if (doc) {
+        this.lastServed.set(userId, now.getTime());
+        return Job.fromDocument(doc);
+      }
+    }
+
+    return null;
+  }
+
+  // Users with due jobs, fewest jobs in flight first, then least recently served. Users at their
+  // in-flight limit are skipped; two workers claiming at the same moment may exceed it by one briefly
+  async getClaimOrder(due) {
+    const [waiting, inFlight] = await Promise.all([
+      QueueJob.aggregate([
+        { $match: due },
+        {
+          $group: {
+            _id: "$userId",
+            topPriority: { $max: "$priority" },
+            oldest: { $min: "$createdAt" },
+          },
+        },
+      ]),
+      QueueJob.aggregate([
+        { $match: { queue: this.name, status: JOB_STATUSES.PROCESSING } },
+        { $group: { _id: "$userId", count: { $sum: 1 } } },
+      ]),
+    ]);
+    const running = new Map(inFlight.map((entry) => [entry._id, entry.count]));
+
+    // Users with nothing waiting start from a clean slate when they next submit work
+    const waitingUsers = new Set(waiting.map((entry) => entry._id));
+    for (const userId of this.lastServed.keys()) {
+      if (!waitingUsers.has(userId)) {
+        this.lastServed.delete(userId);
+      }
+    }
+
+    const candidates = [];
+    for (const entry of waiting) {
+      const count = running.get(entry._id) || 0;
+      if (count >= (await this.getInFlightLimit(entry._id))) {
+        continue;
+      }
+
+      candidates.push({
+        userId: entry._id,
+        count,
+        // Critical jobs (e.g. maintenance) are not held back by fair sharing
+        critical: entry.topPriority >= JOB_PRIORITIES.CRITICAL,
+        lastServed: this.lastServed.get(entry._id) || 0,
+        oldest: new Date(entry.oldest).getTime(),
       });
+    }
 
-    return availableJobs[0] || null;
+    return candidates
+      .sort(
+        (a, b) =>
+          b.critical - a.critical ||
+          a.count - b.count ||
+          a.lastServed - b.lastServed ||
+          a.oldest - b.oldest
+      )
+      .map((candidate) => candidate.userId);
+  }
+
+  // Jobs without an owner (system jobs) have no in-flight limit
+  async getInFlightLimit(userId) {
+    if (!userId) {
+      return Infinity;
+    }
+
+    const limits = config.queue.userInFlightLimits;
+    const role = await this.getUserRole(userId);
+    return limits[role] || limits[DEFAULT_ROLE];
+  }
+
+  async getUserRole(userId) {
+    const cached = this.userRoles.get(userId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.role;
+    }
+
+    const user = await User.findOne({ userId }, { role: 1 });
+    const role = resolveRole(user ? user.role : DEFAULT_ROLE);
+
+    this.userRoles.set(userId, {
+      role,
+      expiresAt: Date.now() + USER_ROLE_CACHE_TTL,
+    });
+    return role;
   }
 
   async processJob(job) {
     this.processingCount++;
     this.processing.set(job.id, job);
 
+    const cpuBound = this.cpuBoundTypes.has(job.type);
+    if (cpuBound) {
+      this.workerPool.reserve();
+    }
+
     const startTime = Date.now();
-    job.attempts++;
-    job.startedAt = new Date();
-    job.updateStatus(JOB_STATUSES.PROCESSING);
+    const leaseRenewal = setInterval(
+      () => this.renewLease(job),
+      this.leaseDuration / 3
+    );
+    job.onProgress = (progress) => this.saveProgress(job, progress);
 
     logger.info("Processing job", {
       jobId: job.id,
@@ -253,96 +586,421 @@ class JobQueue extends EventEmitter {
       attempt: job.attempts,
       maxAttempts: job.maxAttempts,
       processingCount: this.processingCount,
+      workerId: this.workerId,
     });
 
     this.emit("job:started", job);
 
+    let result;
+    let failure = null;
+
+    try {
+      result = await this.runProcessor(job);
+    } catch (error) {
+      failure = error;
+    } finally {
+      clearInterval(leaseRenewal);
+      job.onProgress = null;
+    }
+
+    const processingTime = Date.now() - startTime;
+
     try {
-      const processor = this.processors.get(job.type);
-      if (!processor) {
-        throw new PermanentError(
-          `No processor found for job type: ${job.type}`
+      if (!failure) {
+        job.completedAt = new Date();
+        job.updateStatus(JOB_STATUSES.COMPLETED, { result });
+
+        const recorded = await this.recordOutcome(job, {
+          $set: {
+            status: JOB_STATUSES.COMPLETED,
+            result,
+            progress: 100,
+            completedAt: job.completedAt,
+            lockedBy: null,
+            lockedUntil: null,
+            expiresAt: new Date(Date.now() + config.queue.completedJobMaxAge),
+          },
+        });
+        this.updateStats(true, processingTime);
+
+        if (recorded) {
+          logger.info("Job completed successfully", {
+            jobId: job.id,
+            type: job.type,
+            processingTime,
+            attempts: job.attempts,
+          });
+
+          this.emit("job:completed", job, result);
+          await this.releaseDependents(job.id);
+        }
+      } else {
+        logger.error("Job processing failed", {
+          jobId: job.id,
+          type: job.type,
+          error: failure.message,
+          attempts: job.attempts,
+          maxAttempts: job.maxAttempts,
+          processingTime,
+        });
+
+        const failureEntry = {
+          message: failure.message,
+          code: failure.code,
+          attempt: job.attempts,
+          workerId: this.workerId,
+        };
+
+        if (this.shouldRetry(job, failure)) {
+          const delay = job.retryManager.calculateDelay(job.attempts - 1);
+          job.nextAttemptAt = new Date(Date.now() + delay);
+          job.updateStatus(JOB_STATUSES.RETRYING, { error: failure });
+
+          const recorded = await this.recordOutcome(job, {
+            $set: {
+              status: JOB_STATUSES.RETRYING,
+              runAt: job.nextAttemptAt,
+              lockedBy: null,
+              lockedUntil: null,
+            },
+            $push: { failures: failureEntry },
+          });
+          this.stats.retriedJobs++;
+
+          if (recorded) {
+            logger.warn("Job scheduled for retry", {
+              jobId: job.id,
+              type: job.type,
+              attempt: job.attempts,
+              delay,
+            });
+
+            this.emit("job:retrying", job, failure);
+          }
+        } else {
+          job.completedAt = new Date();
+          job.updateStatus(JOB_STATUSES.FAILED, { error: failure });
+
+          // Failed jobs are the dead-letter queue and stay until replayed or discarded
+          const recorded = await this.recordOutcome(job, {
+            $set: {
+              status: JOB_STATUSES.FAILED,
+              completedAt: job.completedAt,
+              lockedBy: null,
+              lockedUntil: null,
+              expiresAt: null,
+            },
+            $push: { failures: failureEntry },
+          });
+          this.updateStats(false, processingTime);
+
+          if (recorded) {
+            logger.error("Job permanently failed", {
+              jobId: job.id,
+              type: job.type,
+              totalAttempts: job.attempts,
+              error: failure.message,
+            });
+
+            this.emit("job:failed", job, failure);
+            await this.cancelDependents([job.id]);
+          }
+        }
+      }
+    } catch (error) {
+      // The lease runs out and another worker picks the job up again
+      logger.error("Failed to record job outcome", {
+        jobId: job.id,
+        type: job.type,
+        error: error.message,
+      });
+    } finally {
+      this.processing.delete(job.id);
+      this.processingCount--;
+
+      if (cpuBound) {
+        this.workerPool.release();
+      }
+
+      setImmediate(() => this.processQueue());
+    }
+  }
+
+  async releaseIfReady(jobId) {
+    const doc = await QueueJob.findOne({ jobId, status: JOB_STATUSES.PENDING });
+    if (!doc) {
+      return false;
+    }
+
+    const completed = await QueueJob.countDocuments({
+      jobId: { $in: doc.dependsOn },
+      status: JOB_STATUSES.COMPLETED,
+    });
+    if (completed < doc.dependsOn.length) {
+      return false;
+    }
+
+    const outcome = await QueueJob.updateOne(
+      { jobId, status: JOB_STATUSES.PENDING },
+      { $set: { status: JOB_STATUSES.QUEUED } }
+    );
+
+    if (outcome.modifiedCount === 0) {
+      return false;
+    }
+
+    const job = Job.fromDocument(doc);
+    job.status = JOB_STATUSES.QUEUED;
+    this.emit("job:released", job);
+    return true;
+  }
+
+  // Dependents may live in other queues; each queue's poll picks up the ones released here
+  async releaseDependents(jobId) {
+    try {
+      const dependents = await QueueJob.find(
+        { status: JOB_STATUSES.PENDING, dependsOn: jobId },
+        { jobId: 1 }
+      );
+
+      for (const dependent of dependents) {
+        if (await this.releaseIfReady(dependent.jobId)) {
+          logger.debug("Dependent job released", {
+            jobId: dependent.jobId,
+            dependency: jobId,
+          });
+        }
+      }
+
+      if (dependents.length > 0) {
+        setImmediate(() => this.processQueue());
+      }
+    } catch (error) {
+      logger.error("Failed to release dependent jobs", {
+        jobId,
+        error: error.message,
+      });
+    }
+  }
+
+  // Jobs waiting on a job that will never complete (dead-lettered, discarded or cancelled) are
+  // cancelled along with their own dependents
+  async cancelDependents(jobIds) {
+    let parents = jobIds;
+    let cancelled = 0;
+
+    while (parents.length > 0) {
+      const dependents = await QueueJob.find(
+        { status: JOB_STATUSES.PENDING, dependsOn: { $in: parents } },
+        { jobId: 1 }
+      );
+      parents = dependents.map((dependent) => dependent.jobId);
+
+      if (parents.length > 0) {
+        const outcome = await QueueJob.updateMany(
+          { jobId: { $in: parents }, status: JOB_STATUSES.PENDING },
+          {
+            $set: {
+              status: JOB_STATUSES.CANCELLED,
+              completedAt: new Date(),
+              expiresAt: new Date(Date.now() + config.queue.completedJobMaxAge),
+            },
+          }
         );
+        cancelled += outcome.modifiedCount;
       }
+    }
 
-      const result = await Promise.race([
-        processor(job.data, job),
-        this.createJobTimeout(job),
-      ]);
+    if (cancelled > 0) {
+      logger.info("Dependent jobs cancelled", { jobIds, cancelled });
+    }
 
-      const processingTime = Date.now() - startTime;
-      job.completedAt = new Date();
-      job.updateStatus(JOB_STATUSES.COMPLETED, { result });
+    return cancelled;
+  }
 
-      this.moveJobToCompleted(job);
-      this.updateStats(true, processingTime);
+  shouldRetry(job, error) {
+    return (
+      job.attempts < job.maxAttempts &&
+      !error.isPermanent &&
+      !ErrorClassifier.isPermanent(error)
+    );
+  }
+
+  async runProcessor(job) {
+    const processor = this.processors.get(job.type);
+    if (!processor) {
+      throw new PermanentError(`No processor found for job type: ${job.type}`);
+    }
 
-      logger.info("Job completed successfully", {
+    const timeout = job.metadata.timeout || 300000; // 5 minutes default
+    const timeoutError = new RetryableError(`Job timeout after ${timeout}ms`);
+    const controller = new AbortController();
+
+    // The timeout only asks the processor to stop. The job keeps its lease and worker pool slot
+    // until the processor settles, so a retry never runs alongside the attempt that timed out
+    const timer = setTimeout(() => {
+      logger.warn("Job timed out, waiting for its processor to stop", {
         jobId: job.id,
         type: job.type,
-        processingTime,
-        attempts: job.attempts,
+        timeout,
       });
+      controller.abort(timeoutError);
+    }, timeout);
+    job.signal = controller.signal;
 
-      this.emit("job:completed", job, result);
+    try {
+      return await jobContext.run({ signal: controller.signal }, () =>
+        processor(job.data, job)
+      );
     } catch (error) {
-      const processingTime = Date.now() - startTime;
-      job.updateStatus(JOB_STATUSES.FAILED, { error });
+      throw controller.signal.aborted ? timeoutError : error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async recordOutcome(job, update) {
+    const result = await QueueJob.updateOne(
+      {
+        jobId: job.id,
+        status: JOB_STATUSES.PROCESSING,
+        lockedBy: this.workerId,
+      },
+      update
+    );
 
-      logger.error("Job processing failed", {
+    if (result.matchedCount === 0) {
+      logger.warn("Job lease was lost before its outcome could be recorded", {
         jobId: job.id,
         type: job.type,
-        error: error.message,
-        attempts: job.attempts,
-        maxAttempts: job.maxAttempts,
-        processingTime,
+        workerId: this.workerId,
       });
+      return false;
+    }
 
-      this.moveJobToFailed(job);
-      this.updateStats(false, processingTime);
+    return true;
+  }
 
-      logger.error("Job permanently failed", {
+  async renewLease(job) {
+    try {
+      const result = await QueueJob.updateOne(
+        {
+          jobId: job.id,
+          status: JOB_STATUSES.PROCESSING,
+          lockedBy: this.workerId,
+        },
+        { $set: { lockedUntil: new Date(Date.now() + this.leaseDuration) } }
+      );
+
+      if (result.matchedCount === 0) {
+        logger.warn("Job lease lost while processing", {
+          jobId: job.id,
+          workerId: this.workerId,
+        });
+      }
+    } catch (error) {
+      logger.warn("Failed to renew job lease", {
         jobId: job.id,
-        type: job.type,
-        totalAttempts: job.attempts,
         error: error.message,
       });
-
-      this.emit("job:failed", job, error);
-    } finally {
-      this.processing.delete(job.id);
-      this.processingCount--;
-
-      setImmediate(() => this.processQueue());
     }
   }
 
-  createJobTimeout(job) {
-    const timeout = job.metadata.timeout || 300000; // 5 minutes default
+  saveProgress(job, progress) {
+    this.emit("job:progress", job, progress);
 
-    return new Promise((_, reject) => {
-      setTimeout(() => {
-        reject(new RetryableError(`Job timeout after ${timeout}ms`));
-      }, timeout);
+    QueueJob.updateOne(
+      { jobId: job.id, lockedBy: this.workerId },
+      { $set: { progress } }
+    ).catch((error) => {
+      logger.debug("Failed to save job progress", {
+        jobId: job.id,
+        error: error.message,
+      });
     });
   }
 
-  moveJobToCompleted(job) {
-    this.jobs.delete(job.id);
-    this.completed.push(job);
+  // Hands jobs whose worker stopped renewing its lease back to the queue, or fails them once out of attempts
+  async recoverOrphanedJobs({ includeOwnLeases = false } = {}) {
+    const now = new Date();
+    const leaseExpired = { lockedUntil: { $lt: now } };
+
+    const orphans = await QueueJob.find({
+      queue: this.name,
+      status: JOB_STATUSES.PROCESSING,
+      ...(includeOwnLeases
+        ? { $or: [leaseExpired, { lockedBy: this.workerId }] }
+        : leaseExpired),
+    });
 
-    if (this.completed.length > 100) {
-      this.completed.shift();
+    let requeued = 0;
+    let failed = 0;
+
+    for (const orphan of orphans) {
+      const exhausted = orphan.attempts >= orphan.maxAttempts;
+      const failure = {
+        message: `Worker ${orphan.lockedBy} stopped before the job finished`,
+        code: "LEASE_EXPIRED",
+        attempt: orphan.attempts,
+        workerId: orphan.lockedBy,
+      };
+
+      const doc = await QueueJob.findOneAndUpdate(
+        {
+          _id: orphan._id,
+          status: JOB_STATUSES.PROCESSING,
+          lockedBy: orphan.lockedBy,
+          lockedUntil: orphan.lockedUntil,
+        },
+        {
+          $set: exhausted
+            ? {
+                status: JOB_STATUSES.FAILED,
+                completedAt: now,
+                lockedBy: null,
+                lockedUntil: null,
+                expiresAt: null,
+              }
+            : {
+                status: JOB_STATUSES.QUEUED,
+                runAt: now,
+                lockedBy: null,
+                lockedUntil: null,
+              },
+          $push: { failures: failure },
+        },
+        { new: true }
+      );
+
+      // Another worker recovered it first, or its lease was renewed meanwhile
+      if (!doc) continue;
+
+      const job = Job.fromDocument(doc);
+
+      if (exhausted) {
+        failed++;
+        this.stats.failedJobs++;
+        this.emit("job:failed", job, new Error(failure.message));
+        await this.cancelDependents([job.id]);
+      } else {
+        requeued++;
+        this.stats.retriedJobs++;
+        this.emit("job:requeued", job);
+      }
     }
-  }
 
-  moveJobToFailed(job) {
-    this.jobs.delete(job.id);
-    this.failed.push(job);
+    if (requeued > 0 || failed > 0) {
+      logger.warn("Recovered orphaned jobs", {
+        queueName: this.name,
+        workerId: this.workerId,
+        requeued,
+        failed,
+      });
 
-    if (this.failed.length > 50) {
-      this.failed.shift();
+      setImmediate(() => this.processQueue());
     }
+
+    return { requeued, failed };
   }
 
   updateStats(success, processingTime) {
@@ -361,26 +1019,50 @@ class JobQueue extends EventEmitter {
     this.stats.lastProcessedAt = new Date();
   }
 
-  getJob(jobId) {
-    return (
-      this.jobs.get(jobId) ||
-      this.completed.find((j) => j.id === jobId) ||
-      this.failed.find((j) => j.id === jobId)
-    );
+  async getJob(jobId) {
+    const doc = await QueueJob.findOne({ jobId, queue: this.name });
+    return doc ? Job.fromDocument(doc) : null;
   }
 
   async cancelJob(jobId) {
-    const job = this.jobs.get(jobId);
-    if (!job) {
-      throw new Error("Job not found");
-    }
+    const doc = await QueueJob.findOneAndUpdate(
+      {
+        jobId,
+        queue: this.name,
+        status: {
+          $in: [
+            JOB_STATUSES.PENDING,
+            JOB_STATUSES.QUEUED,
+            JOB_STATUSES.RETRYING,
+          ],
+        },
+      },
+      {
+        $set: {
+          status: JOB_STATUSES.CANCELLED,
+          completedAt: new Date(),
+          expiresAt: new Date(Date.now() + config.queue.completedJobMaxAge),
+        },
+      },
+      { new: true }
+    );
+
+    if (!doc) {
+      const existing = await QueueJob.findOne({ jobId, queue: this.name });
+
+      if (!existing) {
+        throw new Error("Job not found");
+      }
 
-    if (job.status === JOB_STATUSES.PROCESSING) {
-      throw new Error("Cannot cancel job that is currently processing");
+      if (existing.status === JOB_STATUSES.PROCESSING) {
+        throw new Error("Cannot cancel job that is currently processing");
+      }
+
+      throw new Error(`Cannot cancel a ${existing.status} job`);
     }
 
-    job.updateStatus(JOB_STATUSES.CANCELLED);
-    this.jobs.delete(jobId);
+    const job = Job.fromDocument(doc);
+    await this.cancelDependents([jobId]);
 
     logger.info("Job cancelled", { jobId, type: job.type });
     this.emit("job:cancelled", job);
@@ -388,38 +1070,312 @@ class JobQueue extends EventEmitter {
     return job;
   }
 
-  getStats() {
+  deadLetterQuery(filters = {}) {
+    const query = { queue: this.name, status: JOB_STATUSES.FAILED };
+
+    if (filters.jobIds) {
+      query.jobId = { $in: filters.jobIds };
+    }
+
+    if (filters.type) {
+      query.type = filters.type;
+    }
+
+    if (filters.userId) {
+      query.userId = filters.userId;
+    }
+
+    if (filters.failedBefore || filters.failedAfter) {
+      query.completedAt = {};
+      if (filters.failedBefore) {
+        query.completedAt.$lt = filters.failedBefore;
+      }
+      if (filters.failedAfter) {
+        query.completedAt.$gte = filters.failedAfter;
+      }
+    }
+
+    return query;
+  }
+
+  async listDeadLetters(filters = {}, { limit = 50, skip = 0 } = {}) {
+    const query = this.deadLetterQuery(filters);
+
+    const [docs, total] = await Promise.all([
+      QueueJob.find(query).sort({ completedAt: -1 }).skip(skip).limit(limit),
+      QueueJob.countDocuments(query),
+    ]);
+
+    return {
+      jobs: docs.map((doc) => ({
+        ...Job.fromDocument(doc).getSummary(),
+        replayCount: doc.replayCount || 0,
+      })),
+      total,
+    };
+  }
+
+  async getDeadLetter(jobId) {
+    const doc = await QueueJob.findOne(this.deadLetterQuery({ jobIds: [jobId] }));
+
+    if (!doc) {
+      return null;
+    }
+
+    const job = Job.fromDocument(doc);
+
+    return {
+      ...job.getSummary(),
+      data: job.data,
+      errors: job.errors.map((error, index) => ({
+        ...error,
+        workerId: doc.failures[index].workerId,
+      })),
+      replayCount: doc.replayCount || 0,
+      replayedAt: doc.replayedAt,
+    };
+  }
+
+  replayUpdate(options = {}) {
+    const set = {
+      status: JOB_STATUSES.QUEUED,
+      attempts: 0,
+      runAt: new Date(Date.now() + (options.delay || 0)),
+      progress: 0,
+      result: null,
+      startedAt: null,
+      completedAt: null,
+      expiresAt: null,
+      replayedAt: new Date(),
+    };
+
+    if (options.priority !== undefined) {
+      set.priority = options.priority;
+    }
+
+    if (options.maxAttempts !== undefined) {
+      set.maxAttempts = options.maxAttempts;
+    }
+
+    if (options.timeout !== undefined) {
+      set["metadata.timeout"] = options.timeout;
+    }
+
+    // The failure history is kept so a job that fails again shows every attempt
+    return { $set: set, $inc: { replayCount: 1 } };
+  }
+
+  async replayDeadLetter(jobId, options = {}) {
+    const doc = await QueueJob.findOneAndUpdate(
+      this.deadLetterQuery({ jobIds: [jobId] }),
+      this.replayUpdate(options),
+      { new: true }
+    );
+
+    if (!doc) {
+      return null;
+    }
+
+    const job = Job.fromDocument(doc);
+
+    logger.info("Dead-letter job replayed", {
+      jobId,
+      type: job.type,
+      queueName: this.name,
+      replayCount: doc.replayCount,
+    });
+    this.emit("job:replayed", job);
+
+    setImmediate(() => this.processQueue());
+
+    return job;
+  }
+
+  async replayDeadLetters(filters, options = {}) {
+    const result = await QueueJob.updateMany(
+      this.deadLetterQuery(filters),
+      this.replayUpdate(options)
+    );
+
+    logger.info("Dead-letter jobs replayed", {
+      queueName: this.name,
+      replayed: result.modifiedCount,
+    });
+
+    setImmediate(() => this.processQueue());
+
+    return result.modifiedCount;
+  }
+
+  async discardDeadLetter(jobId) {
+    const result = await QueueJob.deleteOne(
+      this.deadLetterQuery({ jobIds: [jobId] })
+    );
+
+    if (result.deletedCount > 0) {
+      await this.cancelDependents([jobId]);
+      logger.info("Dead-letter job discarded", { jobId, queueName: this.name });
+    }
+
+    return result.deletedCount > 0;
+  }
+
+  async discardDeadLetters(filters) {
+    const query = this.deadLetterQuery(filters);
+    const jobIds = (await QueueJob.find(query, { jobId: 1 })).map(
+      (doc) => doc.jobId
+    );
+    const result = await QueueJob.deleteMany({
+      ...query,
+      jobId: { $in: jobIds },
+    });
+    await this.cancelDependents(jobIds);
+
+    logger.info("Dead-letter jobs discarded", {
+      queueName: this.name,
+      discarded: result.deletedCount,
+    });
+
+    return result.deletedCount;
+  }
+
+  pause() {
+    this.paused = true;
+  }
+
+  resume() {
+    this.paused = false;
+    setImmediate(() => this.processQueue());
+  }
+
+  async clearCompleted() {
+    const result = await QueueJob.deleteMany({
+      queue: this.name,
+      status: JOB_STATUSES.COMPLETED,
+    });
+
+    return result.deletedCount;
+  }
+
+  async getStats() {
+    const counts = await QueueJob.aggregate([
+      { $match: { queue: this.name } },
+      { $group: { _id: "$status", count: { $sum: 1 } } },
+    ]);
+    const byStatus = Object.fromEntries(
+      counts.map((entry) => [entry._id, entry.count])
+    );
+
     return {
       ...this.stats,
-      queueSize: this.jobs.size,
-      processingCount: this.processingCount,
-      completedCount: this.completed.length,
-      failedCount: this.failed.length,
+      queueSize: byStatus[JOB_STATUSES.QUEUED] || 0,
+      waitingCount: byStatus[JOB_STATUSES.PENDING] || 0,
+      retryingCount: byStatus[JOB_STATUSES.RETRYING] || 0,
+      processingCount: byStatus[JOB_STATUSES.PROCESSING] || 0,
+      completedCount: byStatus[JOB_STATUSES.COMPLETED] || 0,
+      deadLetterCount: byStatus[JOB_STATUSES.FAILED] || 0,
+      cancelledCount: byStatus[JOB_STATUSES.CANCELLED] || 0,
+      worker: {
+        id: this.workerId,
+        processingCount: this.processingCount,
+        concurrency: this.concurrency,
+        paused: this.paused,
+      },
+      workerPool: this.workerPool ? this.workerPool.getStats() : null,
       registeredProcessors: Array.from(this.processors.keys()),
+      cpuBoundProcessors: Array.from(this.cpuBoundTypes),
+      userInFlightLimits: config.queue.userInFlightLimits,
     };
   }
 
-  getJobs(filters = {}) {
-    let jobs = Array.from(this.jobs.values());
+  // Unfinished jobs per user, deepest backlog first; system jobs are reported under a null userId
+  async getUserDepths(limit = 50) {
+    const counts = await QueueJob.aggregate([
+      {
+        $match: {
+          queue: this.name,
+          status: {
+            $in: [
+              JOB_STATUSES.PENDING,
+              JOB_STATUSES.QUEUED,
+              JOB_STATUSES.RETRYING,
+              JOB_STATUSES.PROCESSING,
+            ],
+          },
+        },
+      },
+      {
+        $group: {
+          _id: { userId: "$userId", status: "$status" },
+          count: { $sum: 1 },
+        },
+      },
+    ]);
+
+    const users = new Map();
+    for (const { _id, count } of counts) {
+      const userId = _id.userId || null;
+      const depth = users.get(userId) || {
+        userId,
+        waiting: 0,
+        queued: 0,
+        retrying: 0,
+        processing: 0,
+        total: 0,
+      };
+
+      depth[_id.status === JOB_STATUSES.PENDING ? "waiting" : _id.status] +=
+        count;
+      depth.total += count;
+      users.set(userId, depth);
+    }
+
+    const deepest = Array.from(users.values())
+      .sort((a, b) => b.total - a.total)
+      .slice(0, limit);
+
+    return Promise.all(
+      deepest.map(async (depth) => {
+        const inFlightLimit = await this.getInFlightLimit(depth.userId);
+
+        return {
+          ...depth,
+          role: depth.userId ? await this.getUserRole(depth.userId) : null,
+          inFlightLimit: Number.isFinite(inFlightLimit) ? inFlightLimit : null,
+        };
+      })
+    );
+  }
+
+  async getJobs(filters = {}, limit = 50) {
+    const query = { queue: this.name };
 
     if (filters.status) {
-      jobs = jobs.filter((job) => job.status === filters.status);
+      query.status = filters.status;
     }
 
     if (filters.userId) {
-      jobs = jobs.filter((job) => job.userId === filters.userId);
+      query.userId = filters.userId;
     }
 
     if (filters.type) {
-      jobs = jobs.filter((job) => job.type === filters.type);
+      query.type = filters.type;
     }
 
-    return jobs.map((job) => job.getSummary());
+    const docs = await QueueJob.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    return docs.map((doc) => Job.fromDocument(doc).getSummary());
   }
 
   async shutdown() {
     logger.info("Shutting down job queue", { queueName: this.name });
 
+    this.started = false;
+    clearInterval(this.pollTimer);
+    clearInterval(this.leaseTimer);
+
     while (this.processingCount > 0) {
       await new Promise((resolve) => setTimeout(resolve, 100));
     }
@@ -429,31 +1385,391 @@ class JobQueue extends EventEmitter {
   }
 }
 
+class JobScheduler {
+  constructor(manager) {
+    this.manager = manager;
+    this.schedules = new Map();
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  /**
+   * Registers a recurring job. Cluster schedules enqueue a job on `queue` once per run across all
+   * workers; worker schedules call `handler` in every process (for per-process housekeeping).
+   */
+  schedule(name, options = {}) {
+    const { cron, every, scope = "cluster" } = options;
+
+    if (!cron === !every) {
+      throw new Error(`Schedule ${name} needs exactly one of cron or every`);
+    }
+
+    if (every !== undefined && (!Number.isInteger(every) || every < 1000)) {
+      throw new Error(`Schedule ${name} interval must be at least 1000ms`);
+    }
+
+    if (scope === "worker" && typeof options.handler !== "function") {
+      throw new Error(`Worker schedule ${name} needs a handler`);
+    }
+
+    if (scope === "cluster" && (!options.queue || !options.jobType)) {
+      throw new Error(`Cluster schedule ${name} needs a queue and jobType`);
+    }
+
+    const entry = {
+      name,
+      scope,
+      cron: cron || null,
+      every: every || null,
+      parsedCron: cron ? parseCron(cron) : null,
+      queue: options.queue || null,
+      jobType: options.jobType || null,
+      data: options.data || {},
+      jobOptions: options.jobOptions || {},
+      handler: options.handler || null,
+      nextRunAt: null,
+      lastRunAt: null,
+      lastStatus: null,
+      lastError: null,
+      lastFinishedAt: null,
+      running: false,
+    };
+    entry.nextRunAt = this.getNextRun(entry, new Date());
+
+    this.schedules.set(name, entry);
+
+    if (this.timer && scope === "cluster") {
+      this.registerClusterSchedule(entry).catch((error) => {
+        logger.error("Failed to register job schedule", {
+          schedule: name,
+          error: error.message,
+        });
+      });
+    }
+
+    logger.debug("Job schedule registered", {
+      schedule: name,
+      scope,
+      cron: entry.cron,
+      every: entry.every,
+    });
+  }
+
+  unschedule(name) {
+    return this.schedules.delete(name);
+  }
+
+  getNextRun(entry, from) {
+    return entry.parsedCron
+      ? getNextRun(entry.parsedCron, from)
+      : new Date(from.getTime() + entry.every);
+  }
+
+  getDefinition(entry) {
+    return entry.cron ? `cron:${entry.cron}` : `every:${entry.every}`;
+  }
+
+  async start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.tick(), config.queue.pollInterval);
+
+    for (const entry of this.schedules.values()) {
+      if (entry.scope === "cluster") {
+        try {
+          await this.registerClusterSchedule(entry);
+        } catch (error) {
+          logger.error("Failed to register job schedule", {
+            schedule: entry.name,
+            error: error.message,
+          });
+        }
+      }
+    }
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Keeps the stored next run unless the schedule's definition changed since it was computed
+  async registerClusterSchedule(entry) {
+    const definition = this.getDefinition(entry);
+
+    try {
+      await JobSchedule.updateOne(
+        { name: entry.name, definition: { $ne: definition } },
+        {
+          $set: {
+            queue: entry.queue,
+            jobType: entry.jobType,
+            definition,
+            nextRunAt: this.getNextRun(entry, new Date()),
+          },
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      // Duplicate key: the schedule already exists with this definition
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+
+  async tick() {
+    if (this.ticking) {
+      return;
+    }
+
+    this.ticking = true;
+
+    try {
+      const now = new Date();
+
+      for (const entry of this.schedules.values()) {
+        if (entry.scope === "worker") {
+          if (!entry.running && entry.nextRunAt <= now) {
+            this.runWorkerSchedule(entry);
+          }
+        } else {
+          await this.enqueueClusterSchedule(entry, now);
+        }
+      }
+    } catch (error) {
+      logger.error("Job scheduler tick failed", { error: error.message });
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  async runWorkerSchedule(entry) {
+    const startedAt = new Date();
+    entry.running = true;
+    entry.lastRunAt = startedAt;
+    entry.nextRunAt = this.getNextRun(entry, startedAt);
+
+    try {
+      await entry.handler();
+      entry.lastStatus = JOB_STATUSES.COMPLETED;
+      entry.lastError = null;
+    } catch (error) {
+      entry.lastStatus = JOB_STATUSES.FAILED;
+      entry.lastError = error.message;
+
+      logger.error("Scheduled task failed", {
+        schedule: entry.name,
+        error: error.message,
+      });
+    } finally {
+      entry.running = false;
+      entry.lastFinishedAt = new Date();
+    }
+  }
+
+  // Only the worker that advances nextRunAt enqueues the run, so each run happens once per cluster
+  async enqueueClusterSchedule(entry, now) {
+    const jobId = uuidv4();
+
+    const claimed = await JobSchedule.findOneAndUpdate(
+      { name: entry.name, nextRunAt: { $lte: now } },
+      {
+        $set: {
+          nextRunAt: this.getNextRun(entry, now),
+          lastRunAt: now,
+          lastJobId: jobId,
+          lastStatus: JOB_STATUSES.QUEUED,
+          lastError: null,
+          lastFinishedAt: null,
+        },
+      },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return;
+    }
+
+    try {
+      await this.manager.getQueue(entry.queue).addJob(entry.jobType, entry.data, {
+        ...entry.jobOptions,
+        jobId,
+        metadata: { ...entry.jobOptions.metadata, schedule: entry.name },
+      });
+    } catch (error) {
+      await JobSchedule.updateOne(
+        { name: entry.name, lastJobId: jobId },
+        {
+          $set: {
+            lastStatus: JOB_STATUSES.FAILED,
+            lastError: error.message,
+            lastFinishedAt: new Date(),
+          },
+        }
+      );
+    }
+  }
+
+  async recordOutcome(job, status, error = null) {
+    if (!job.metadata.schedule) {
+      return;
+    }
+
+    const update = { lastStatus: status, lastError: error ? error.message : null };
+    if (status !== JOB_STATUSES.RETRYING) {
+      update.lastFinishedAt = new Date();
+    }
+
+    try {
+      await JobSchedule.updateOne(
+        { name: job.metadata.schedule, lastJobId: job.id },
+        { $set: update }
+      );
+    } catch (updateError) {
+      logger.warn("Failed to record scheduled job outcome", {
+        schedule: job.metadata.schedule,
+        jobId: job.id,
+        error: updateError.message,
+      });
+    }
+  }
+
+  async list() {
+    const entries = Array.from(this.schedules.values());
+    const stored = await JobSchedule.find({
+      name: {
+        $in: entries
+          .filter((entry) => entry.scope === "cluster")
+          .map((entry) => entry.name),
+      },
+    });
+    const storedByName = new Map(stored.map((doc) => [doc.name, doc]));
+
+    return entries
+      .map((entry) => {
+        const state =
+          entry.scope === "cluster" ? storedByName.get(entry.name) || {} : entry;
+
+        return {
+          name: entry.name,
+          scope: entry.scope,
+          cron: entry.cron,
+          every: entry.every,
+          queue: entry.queue,
+          jobType: entry.jobType,
+          workerId: entry.scope === "worker" ? this.manager.workerId : null,
+          nextRunAt: state.nextRunAt || entry.nextRunAt,
+          lastRunAt: state.lastRunAt || null,
+          lastJobId: state.lastJobId || null,
+          lastStatus: state.lastStatus || null,
+          lastError: state.lastError || null,
+          lastFinishedAt: state.lastFinishedAt || null,
+        };
+      })
+      .sort((a, b) => a.nextRunAt - b.nextRunAt);
+  }
+}
+
 class QueueManager {
   constructor() {
     this.queues = new Map();
     this.defaultQueue = null;
+    this.started = false;
+    this.workerId = config.queue.workerId || `${os.hostname()}-${process.pid}`;
+    this.scheduler = new JobScheduler(this);
+    this.workerPool = new WorkerPool({
+      name: "processing",
+      tasks: path.join(__dirname, "processingTasks.js"),
+      ...config.workerPool,
+    });
+    this.events = new JobEventHub();
   }
 
   getQueue(name = "default", options = {}) {
     if (!this.queues.has(name)) {
-      const queue = new JobQueue({ name, ...options });
+      const queue = new JobQueue({
+        name,
+        workerId: this.workerId,
+        workerPool: this.workerPool,
+        ...options,
+      });
       this.queues.set(name, queue);
+      this.events.attach(queue);
+
+      queue.on("job:completed", (job) => {
+        this.scheduler.recordOutcome(job, JOB_STATUSES.COMPLETED);
+      });
+      queue.on("job:retrying", (job, error) => {
+        this.scheduler.recordOutcome(job, JOB_STATUSES.RETRYING, error);
+      });
+      queue.on("job:failed", (job, error) => {
+        this.scheduler.recordOutcome(job, JOB_STATUSES.FAILED, error);
+      });
 
       if (!this.defaultQueue) {
         this.defaultQueue = queue;
       }
+
+      if (this.started) {
+        queue.start();
+      }
     }
 
     return this.queues.get(name);
   }
 
+  // Called once the database is connected; queues created later start right away
+  async start() {
+    this.started = true;
+
+    await Promise.all(
+      Array.from(this.queues.values()).map((queue) => queue.start())
+    );
+    await this.scheduler.start();
+  }
+
+  schedule(name, options) {
+    this.scheduler.schedule(name, options);
+  }
+
+  unschedule(name) {
+    return this.scheduler.unschedule(name);
+  }
+
+  // Recurring schedules plus one-off jobs that are waiting for their runAt
+  async getUpcomingRuns({ limit = 50 } = {}) {
+    const [schedules, delayed] = await Promise.all([
+      this.scheduler.list(),
+      QueueJob.find({
+        status: { $in: [JOB_STATUSES.QUEUED, JOB_STATUSES.RETRYING] },
+        runAt: { $gt: new Date() },
+      })
+        .sort({ runAt: 1 })
+        .limit(limit),
+    ]);
+
+    return {
+      schedules,
+      delayedJobs: delayed.map((doc) => ({
+        queue: doc.queue,
+        ...Job.fromDocument(doc).getSummary(),
+      })),
+    };
+  }
+
   async shutdown() {
+    this.started = false;
+    this.scheduler.stop();
+
     const shutdownPromises = Array.from(this.queues.values()).map((queue) =>
       queue.shutdown()
     );
 
     await Promise.all(shutdownPromises);
+    await this.workerPool.shutdown();
     this.queues.clear();
     this.defaultQueue = null;
   }
@@ -465,6 +1781,7 @@ module.exports = {
   Job,
   JobQueue,
   QueueManager,
+  JobScheduler,
   queueManager,
   JOB_PRIORITIES,
   JOB_STATUSES,
@@ -0,0 +1,235 @@
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const MaintenanceLock = require('../models/MaintenanceLock');
+const { logger } = require('./logger');
+const { queueManager, JOB_TYPES, JOB_PRIORITIES } = require('./jobQueue');
+const {
+  isAtRestEncryptionEnabled,
+  encryptForStorage,
+  rewrapEncryptionMeta,
+  getCurrentKeyVersion,
+  getAvailableKeyVersions
+} = require('./fileEncryption');
+
+const KEY_ROTATION_SCHEDULE = 'key-rotation';
+const KEY_ROTATION_LOCK = 'key-rotation';
+const ROTATION_TIMEOUT = 60 * 60 * 1000;
+
+// Outlives the job timeout, so a run that was aborted can finish the file it is on before another starts
+const ROTATION_LOCK_TTL = ROTATION_TIMEOUT + 10 * 60 * 1000;
+
+const ROTATION_JOB_OPTIONS = {
+  maxAttempts: 1,
+  metadata: { timeout: ROTATION_TIMEOUT }
+};
+
+class KeyRotationManager {
+  constructor() {
+    this.scheduled = false;
+    this.lastRun = null;
+  }
+
+  getQueue() {
+    const queue = queueManager.getQueue('maintenance', { concurrency: 1 });
+
+    if (!queue.processors.has(JOB_TYPES.KEY_ROTATION)) {
+      queue.registerProcessor(JOB_TYPES.KEY_ROTATION, (data, job) =>
+        this.rotateKeys({ signal: job.signal })
+      );
+    }
+
+    return queue;
+  }
+
+  // Runs once per interval across all workers, as a job on the maintenance queue
+  start() {
+    if (this.scheduled || !isAtRestEncryptionEnabled()) return;
+
+    this.getQueue();
+    queueManager.schedule(KEY_ROTATION_SCHEDULE, {
+      every: config.encryption.keyRotationInterval,
+      queue: 'maintenance',
+      jobType: JOB_TYPES.KEY_ROTATION,
+      jobOptions: ROTATION_JOB_OPTIONS
+    });
+
+    this.scheduled = true;
+  }
+
+  queueRotation(requestedBy) {
+    return this.getQueue().addJob(JOB_TYPES.KEY_ROTATION, {}, {
+      ...ROTATION_JOB_OPTIONS,
+      userId: requestedBy,
+      priority: JOB_PRIORITIES.HIGH
+    });
+  }
+
+  stop() {
+    if (this.scheduled) {
+      queueManager.unschedule(KEY_ROTATION_SCHEDULE);
+      this.scheduled = false;
+    }
+  }
+
+  // Only one rotation runs at a time across the cluster; options.signal stops it between files
+  async rotateKeys(options = {}) {
+    const owner = uuidv4();
+
+    if (!(await MaintenanceLock.acquire(KEY_ROTATION_LOCK, owner, ROTATION_LOCK_TTL))) {
+      return { skipped: true, reason: 'Rotation already in progress' };
+    }
+
+    const File = require('../models/File');
+
+    const currentKeyVersion = getCurrentKeyVersion();
+    const summary = {
+      startedAt: new Date().toISOString(),
+      currentKeyVersion,
+      rewrapped: 0,
+      reencrypted: 0,
+      failed: 0,
+      errors: []
+    };
+
+    try {
+      const cursor = File.find({
+        encrypted: true,
+        'encryptionMeta.keyVersion': { $ne: currentKeyVersion }
+      })
+        .limit(options.limit || 0)
+        .cursor();
+
+      for await (const file of cursor) {
+        if (options.signal && options.signal.aborted) {
+          summary.aborted = true;
+          break;
+        }
+
+        try {
+          if (file.encryptionMeta.wrappedKey) {
+            file.encryptionMeta = rewrapEncryptionMeta(file.encryptionMeta, currentKeyVersion);
+            file.markModified('encryptionMeta');
+            await file.save();
+            summary.rewrapped++;
+          } else if (file.status !== 'deleted') {
+            await this.reencryptFile(file);
+            summary.reencrypted++;
+          }
+        } catch (error) {
+          summary.failed++;
+          summary.errors.push({ fileId: file.fileId, error: error.message });
+
+          logger.error('Failed to rotate file data key', {
+            fileId: file.fileId,
+            keyVersion: file.encryptionMeta?.keyVersion,
+            error: error.message
+          });
+        }
+      }
+
+      summary.completedAt = new Date().toISOString();
+
+      logger.info('Key rotation completed', {
+        currentKeyVersion,
+        rewrapped: summary.rewrapped,
+        reencrypted: summary.reencrypted,
+        failed: summary.failed,
+        aborted: !!summary.aborted
+      });
+
+      return summary;
+    } finally {
+      this.lastRun = summary;
+
+      await MaintenanceLock.release(KEY_ROTATION_LOCK, owner).catch((error) => {
+        logger.warn('Failed to release key rotation lock', { error: error.message });
+      });
+    }
+  }
+
+  // Legacy files have no data key to re-wrap, so their content is re-encrypted into a new object. The File
+  // only points at it once it is stored and the old object is removed last, so a failure leaves a readable file
+  async reencryptFile(file) {
+    const File = require('../models/File');
+    const { fileService } = require('../services/fileService');
+    const { saveFile, permanentDeleteFile } = require('./fileStorage');
+
+    const previousPublicId = file.cloudinaryPublicId;
+    const content = await fileService.getFileContent(file);
+    const { encryptedBuffer, encryptionMeta } = encryptForStorage(content, {
+      userId: file.uploaderId
+    });
+
+    const storageResult = await saveFile(encryptedBuffer, file.originalName, 'application/octet-stream', {
+      public_id: `file-processing/${file.fileId}-k${encryptionMeta.keyVersion}-${Date.now()}`,
+      enableCompression: false
+    });
+
+    // The content may have been replaced or deleted while it was being re-encrypted
+    const updated = await File.findOneAndUpdate(
+      { fileId: file.fileId, cloudinaryPublicId: previousPublicId, status: { $ne: 'deleted' } },
+      {
+        $set: {
+          cloudinaryPublicId: storageResult.publicId,
+          cloudinaryUrl: storageResult.secureUrl,
+          encryptionMeta: {
+            ...encryptionMeta,
+            originalMimetype: file.encryptionMeta.originalMimetype || file.mimetype
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      await permanentDeleteFile(storageResult.publicId, 'raw').catch(() => {});
+      throw new Error('File changed while it was being re-encrypted');
+    }
+
+    await permanentDeleteFile(previousPublicId, 'raw').catch((error) => {
+      logger.warn('Failed to remove object left behind by key rotation', {
+        fileId: file.fileId,
+        publicId: previousPublicId,
+        error: error.message
+      });
+    });
+  }
+
+  async getKeyVersionSummary() {
+    const File = require('../models/File');
+
+    const counts = await File.aggregate([
+      { $match: { encrypted: true } },
+      {
+        $group: {
+          _id: { $ifNull: ['$encryptionMeta.keyVersion', 1] },
+          files: { $sum: 1 },
+          legacy: {
+            $sum: { $cond: [{ $ifNull: ['$encryptionMeta.wrappedKey', false] }, 0, 1] }
+          }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
+    return {
+      currentKeyVersion: getCurrentKeyVersion(),
+      availableKeyVersions: getAvailableKeyVersions(),
+      rotationInterval: config.encryption.keyRotationInterval,
+      filesByKeyVersion: counts.map(entry => ({
+        keyVersion: entry._id,
+        files: entry.files,
+        legacyFiles: entry.legacy
+      })),
+      isRunning: await MaintenanceLock.isHeld(KEY_ROTATION_LOCK),
+      lastRun: this.lastRun
+    };
+  }
+}
+
+const keyRotationManager = new KeyRotationManager();
+
+module.exports = {
+  KeyRotationManager,
+  keyRotationManager
+};
@@ -0,0 +1,509 @@
+const fs = require('fs');
+const fsPromises = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const config = require('../config');
+const { logger } = require('./logger');
+const { RetryableError, PermanentError } = require('../middleware/errorHandler');
+const { FileCompressor, ImageCompressor } = require('./fileCompression');
+
+const DELETED_PREFIX = 'deleted';
+const METADATA_SUFFIX = '.meta.json';
+
+function getStorageRoot() {
+  return path.resolve(config.storage.local.directory);
+}
+
+function resolveStoragePath(publicId) {
+  if (!publicId || typeof publicId !== 'string') {
+    throw new PermanentError('Invalid storage identifier provided');
+  }
+
+  const root = getStorageRoot();
+  const filePath = path.resolve(root, publicId);
+
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new PermanentError('Storage identifier resolves outside the storage directory');
+  }
+
+  return filePath;
+}
+
+async function readMetadata(publicId) {
+  try {
+    const data = await fsPromises.readFile(resolveStoragePath(publicId) + METADATA_SUFFIX, 'utf8');
+    return JSON.parse(data);
+  } catch (error) {
+    return {};
+  }
+}
+
+async function moveStoredFile(fromPublicId, toPublicId) {
+  const fromPath = resolveStoragePath(fromPublicId);
+  const toPath = resolveStoragePath(toPublicId);
+
+  await fsPromises.mkdir(path.dirname(toPath), { recursive: true });
+  await fsPromises.rename(fromPath, toPath);
+
+  try {
+    await fsPromises.rename(fromPath + METADATA_SUFFIX, toPath + METADATA_SUFFIX);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+}
+
+function signPayload(payload) {
+  const secret = config.storage.local.signingSecret;
+  if (!secret) {
+    throw new Error('Local storage signing secret not configured');
+  }
+
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+function buildSigningPayload(publicId, params) {
+  return [
+    publicId,
+    params.width || '',
+    params.height || '',
+    params.download || '',
+    params.expires || ''
+  ].join('|');
+}
+
+function buildFileUrl(publicId) {
+  const encodedPath = publicId.split('/').map(encodeURIComponent).join('/');
+  return `${config.storage.local.baseUrl}/api/storage/local/${encodedPath}`;
+}
+
+function buildSignedUrl(publicId, params = {}) {
+  const query = new URLSearchParams();
+
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      query.set(key, String(value));
+    }
+  });
+
+  query.set('signature', signPayload(buildSigningPayload(publicId, params)));
+
+  return `${buildFileUrl(publicId)}?${query.toString()}`;
+}
+
+function verifySignedRequest(publicId, query = {}) {
+  if (!query.signature || typeof query.signature !== 'string') {
+    return false;
+  }
+
+  if (query.expires && Date.now() > parseInt(query.expires, 10)) {
+    return false;
+  }
+
+  const expected = Buffer.from(signPayload(buildSigningPayload(publicId, query)), 'hex');
+  const provided = Buffer.from(query.signature, 'hex');
+
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+}
+
+async function saveToLocal(fileBuffer, originalName, mimetype, options = {}) {
+  if (!fileBuffer || !Buffer.isBuffer(fileBuffer)) {
+    throw new PermanentError('Invalid file buffer provided');
+  }
+
+  if (fileBuffer.length === 0) {
+    throw new PermanentError('Empty file buffer');
+  }
+
+  if (!originalName || typeof originalName !== 'string') {
+    throw new PermanentError('Invalid original filename provided');
+  }
+
+  if (!mimetype || typeof mimetype !== 'string') {
+    throw new PermanentError('Invalid MIME type provided');
+  }
+
+  const {
+    buffer: uploadBuffer,
+    mimetype: uploadMimetype,
+    compression: compressionInfo
+  } = await FileCompressor.compressForUpload(fileBuffer, originalName, mimetype, options);
+
+  let resourceType = 'raw';
+  if (mimetype.startsWith('image/')) {
+    resourceType = 'image';
+  } else if (mimetype.startsWith('video/')) {
+    resourceType = 'video';
+  }
+
+  const timestamp = Date.now();
+  const randomString = Math.random().toString(36).substring(2, 15);
+  const publicId = options.public_id || `file-processing/${timestamp}-${randomString}`;
+  const filePath = resolveStoragePath(publicId);
+
+  let width = null;
+  let height = null;
+  if (resourceType === 'image') {
+    try {
+      const metadata = await sharp(uploadBuffer).metadata();
+      width = metadata.width || null;
+      height = metadata.height || null;
+    } catch (error) {
+      logger.warn('Failed to read image dimensions for local storage', {
+        originalName,
+        error: error.message
+      });
+    }
+  }
+
+  const createdAt = new Date().toISOString();
+  const format = uploadMimetype.split('/').pop();
+
+  try {
+    await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+    await fsPromises.writeFile(filePath, uploadBuffer, { flag: options.overwrite ? 'w' : 'wx' });
+    await fsPromises.writeFile(
+      filePath + METADATA_SUFFIX,
+      JSON.stringify({
+        publicId,
+        originalName,
+        mimetype: uploadMimetype,
+        originalMimetype: mimetype,
+        size: uploadBuffer.length,
+        format,
+        resourceType,
+        width,
+        height,
+        createdAt
+      }, null, 2)
+    );
+  } catch (error) {
+    logger.error('Local storage write failed', {
+      error: error.message,
+      publicId,
+      originalName
+    });
+
+    if (error.code === 'EEXIST') {
+      throw new PermanentError(`File already exists in local storage: ${publicId}`);
+    }
+    if (error.code === 'ENOSPC') {
+      throw new PermanentError('Local storage is out of space');
+    }
+    throw new RetryableError(`Local storage write failed: ${error.message}`);
+  }
+
+  // The stored URL is unsigned and refused on its own; responses sign an expiring one with generateFileUrl
+  const secureUrl = buildFileUrl(publicId);
+
+  logger.info('File saved to local storage', {
+    publicId,
+    originalName,
+    size: uploadBuffer.length,
+    compressed: !!compressionInfo
+  });
+
+  const uploadResult = {
+    publicId,
+    secureUrl,
+    url: secureUrl,
+    size: uploadBuffer.length,
+    format,
+    resourceType,
+    width,
+    height,
+    originalName,
+    mimetype: uploadMimetype,
+    originalMimetype: mimetype,
+    createdAt,
+    buffer: uploadBuffer
+  };
+
+  if (compressionInfo) {
+    uploadResult.compression = compressionInfo;
+  }
+
+  return uploadResult;
+}
+
+async function deleteFromLocal(publicId) {
+  try {
+    const deletedPublicId = `${DELETED_PREFIX}/${Date.now()}_${publicId.replace(/\//g, '_')}`;
+
+    await moveStoredFile(publicId, deletedPublicId);
+
+    logger.info('File moved to deleted folder in local storage', {
+      originalPublicId: publicId,
+      deletedPublicId
+    });
+
+    return {
+      result: 'moved_to_deleted',
+      deletedPublicId,
+      originalPublicId: publicId
+    };
+  } catch (error) {
+    logger.error('Local storage soft deletion failed', {
+      error: error.message,
+      publicId
+    });
+    throw new Error(`Failed to soft delete file from local storage: ${error.message}`);
+  }
+}
+
+async function permanentDeleteFromLocal(publicId) {
+  try {
+    const filePath = resolveStoragePath(publicId);
+
+    let removed = true;
+    try {
+      await fsPromises.unlink(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      removed = false;
+    }
+
+    await fsPromises.rm(filePath + METADATA_SUFFIX, { force: true });
+
+    logger.info('File permanently deleted from local storage', {
+      publicId,
+      removed
+    });
+
+    return removed;
+  } catch (error) {
+    logger.error('Local storage permanent deletion failed', {
+      error: error.message,
+      publicId
+    });
+    throw new Error(`Failed to permanently delete file from local storage: ${error.message}`);
+  }
+}
+
+async function restoreFromDeleted(deletedPublicId, originalPublicId) {
+  try {
+    const originalPath = resolveStoragePath(originalPublicId);
+
+    if (fs.existsSync(originalPath)) {
+      throw new Error(`A file already exists at ${originalPublicId}`);
+    }
+
+    await moveStoredFile(deletedPublicId, originalPublicId);
+
+    logger.info('File restored from deleted folder in local storage', {
+      deletedPublicId,
+      restoredPublicId: originalPublicId
+    });
+
+    return {
+      result: 'restored',
+      restoredPublicId: originalPublicId,
+      deletedPublicId
+    };
+  } catch (error) {
+    logger.error('Local storage file restoration failed', {
+      error: error.message,
+      deletedPublicId,
+      originalPublicId
+    });
+    throw new Error(`Failed to restore file from local storage: ${error.message}`);
+  }
+}
+
+async function getFileMetadata(publicId) {
+  try {
+    const stats = await fsPromises.stat(resolveStoragePath(publicId));
+    const metadata = await readMetadata(publicId);
+
+    return {
+      publicId,
+      format: metadata.format || null,
+      size: stats.size,
+      width: metadata.width || null,
+      height: metadata.height || null,
+      createdAt: metadata.createdAt || stats.birthtime.toISOString(),
+      secureUrl: generateFileUrl(publicId),
+      resourceType: metadata.resourceType || 'raw',
+      mimetype: metadata.mimetype || 'application/octet-stream',
+      originalName: metadata.originalName || path.basename(publicId)
+    };
+  } catch (error) {
+    logger.error('Failed to get local storage metadata', {
+      error: error.message,
+      publicId
+    });
+    throw new Error(`Failed to get file metadata: ${error.message}`);
+  }
+}
+
+function createReadStream(publicId) {
+  return fs.createReadStream(resolveStoragePath(publicId));
+}
+
+async function getFileStream(publicId) {
+  try {
+    await fsPromises.access(resolveStoragePath(publicId), fs.constants.R_OK);
+  } catch (error) {
+    throw new PermanentError(`File not found in local storage: ${publicId}`, 404);
+  }
+
+  return createReadStream(publicId);
+}
+
+async function collectStoredFiles(directory, root, results) {
+  const entries = await fsPromises.readdir(directory, { withFileTypes: true });
+
+  for (const entry of entries) {
+    const entryPath = path.join(directory, entry.name);
+
+    if (entry.isDirectory()) {
+      await collectStoredFiles(entryPath, root, results);
+    } else if (!entry.name.endsWith(METADATA_SUFFIX)) {
+      results.push(path.relative(root, entryPath).split(path.sep).join('/'));
+    }
+  }
+
+  return results;
+}
+
+async function listFiles(options = {}) {
+  try {
+    const root = getStorageRoot();
+    const limit = options.limit || 500;
+    const offset = parseInt(options.cursor, 10) || 0;
+
+    let publicIds = [];
+    if (fs.existsSync(root)) {
+      publicIds = await collectStoredFiles(root, root, []);
+    }
+
+    publicIds = publicIds
+      .filter(publicId => options.prefix
+        ? publicId.startsWith(options.prefix)
+        : !publicId.startsWith(`${DELETED_PREFIX}/`))
+      .sort();
+
+    const page = publicIds.slice(offset, offset + limit);
+    const items = [];
+
+    for (const publicId of page) {
+      const metadata = await getFileMetadata(publicId);
+      items.push({
+        publicId,
+        size: metadata.size,
+        format: metadata.format,
+        resourceType: metadata.resourceType,
+        createdAt: metadata.createdAt,
+        secureUrl: metadata.secureUrl
+      });
+    }
+
+    return {
+      items,
+      nextCursor: offset + limit < publicIds.length ? String(offset + limit) : null
+    };
+  } catch (error) {
+    logger.error('Failed to list local storage files', { error: error.message });
+    throw new Error(`Failed to list files: ${error.message}`);
+  }
+}
+
+async function generateThumbnail(publicId, options = {}) {
+  const buffer = await fsPromises.readFile(resolveStoragePath(publicId));
+  const metadata = await readMetadata(publicId);
+
+  return ImageCompressor.generateThumbnail(buffer, metadata.mimetype || 'image/jpeg', {
+    width: parseInt(options.width, 10) || 200,
+    height: parseInt(options.height, 10) || 200,
+    quality: config.processing.thumbnailQuality
+  });
+}
+
+function generateThumbnailUrl(publicId, options = {}) {
+  return buildSignedUrl(publicId, {
+    width: options.width || config.processing.thumbnailSize,
+    height: options.height || config.processing.thumbnailSize
+  });
+}
+
+function generateFileUrl(publicId, expiresIn = null) {
+  return buildSignedUrl(publicId, {
+    expires: Date.now() + (expiresIn || config.storage.local.downloadUrlExpiry)
+  });
+}
+
+function generateDownloadUrl(publicId, resourceType = 'raw', filename = null, expiresIn = null) {
+  const cleanFilename = filename ? filename.split('/').pop() : path.basename(publicId);
+
+  return buildSignedUrl(publicId, {
+    download: cleanFilename,
+    expires: Date.now() + (expiresIn || config.storage.local.downloadUrlExpiry)
+  });
+}
+
+function isLocalStorageConfigured() {
+  return !!(config.storage.local.directory && config.storage.local.signingSecret);
+}
+
+async function testLocalStorage() {
+  try {
+    if (!isLocalStorageConfigured()) {
+      throw new Error('Local storage directory or signing secret not configured');
+    }
+
+    const root = getStorageRoot();
+    await fsPromises.mkdir(root, { recursive: true });
+    await fsPromises.access(root, fs.constants.R_OK | fs.constants.W_OK);
+
+    logger.info('Local storage check successful', { directory: root });
+    return { success: true, directory: root };
+  } catch (error) {
+    logger.error('Local storage check failed', { error: error.message });
+    return { success: false, error: error.message };
+  }
+}
+
+const localDriver = {
+  name: 'local',
+  save: saveToLocal,
+  getStream: getFileStream,
+  delete: deleteFromLocal,
+  permanentDelete: permanentDeleteFromLocal,
+  restore: restoreFromDeleted,
+  stat: getFileMetadata,
+  list: listFiles,
+  async getSignedUrl(publicId, options = {}) {
+    return generateDownloadUrl(publicId, options.resourceType, options.filename, options.expiresIn);
+  },
+  getThumbnailUrl: generateThumbnailUrl,
+  getFileUrl: generateFileUrl,
+  async initialize() {
+    const storageTest = await testLocalStorage();
+    if (!storageTest.success) {
+      throw new Error(`Local storage check failed: ${storageTest.error}`);
+    }
+  }
+};
+
+module.exports = {
+  saveToLocal,
+  deleteFromLocal,
+  permanentDeleteFromLocal,
+  restoreFromDeleted,
+  getFileMetadata,
+  createReadStream,
+  getFileStream,
+  listFiles,
+  generateThumbnail,
+  generateThumbnailUrl,
+  generateFileUrl,
+  generateDownloadUrl,
+  verifySignedRequest,
+  isLocalStorageConfigured,
+  testLocalStorage,
+  localDriver
+};
@@ -1,5 +1,6 @@
 const config = require('../config');
 const { logger } = require('./logger');
+const { queueManager } = require('./jobQueue');
 
 class HealthMonitor {
   constructor() {
@@ -61,9 +62,11 @@ class HealthMonitor {
   startHealthChecks() {
     if (!config.monitoring.metricsEnabled) return;
 
-    setInterval(() => {
-      this.performHealthCheck();
-    }, config.monitoring.healthCheckInterval);
+    queueManager.schedule('health-check', {
+      scope: 'worker',
+      every: config.monitoring.healthCheckInterval,
+      handler: () => this.performHealthCheck()
+    });
   }
 
   performHealthCheck() {
@@ -0,0 +1,73 @@
+const fsPromises = require("fs").promises;
+const path = require("path");
+const config = require("../config");
+const { logger } = require("./logger");
+
+const notifiers = new Map();
+
+function validateNotifier(notifier) {
+  if (!notifier || typeof notifier.name !== "string" || !notifier.name) {
+    throw new Error("Notifier must have a name");
+  }
+
+  if (typeof notifier.send !== "function") {
+    throw new Error(`Notifier "${notifier.name}" is missing method: send`);
+  }
+}
+
+function registerNotifier(notifier) {
+  validateNotifier(notifier);
+  notifiers.set(notifier.name, notifier);
+  return notifier;
+}
+
+function getNotifier(name = config.notifications.driver) {
+  const notifier = notifiers.get(name);
+  if (!notifier) {
+    throw new Error(`Unsupported notifier: ${name}`);
+  }
+  return notifier;
+}
+
+function listNotifiers() {
+  return Array.from(notifiers.keys());
+}
+
+async function sendNotification(message) {
+  const notifier = getNotifier();
+
+  await notifier.send({
+    from: config.notifications.from,
+    ...message,
+  });
+
+  logger.info("Notification sent", {
+    notifier: notifier.name,
+    to: message.to,
+    subject: message.subject,
+  });
+}
+
+// Development notifier: appends each message as a JSON line to a local file instead of delivering it
+const outboxNotifier = {
+  name: "outbox",
+
+  async send(message) {
+    const outboxPath = path.resolve(config.notifications.outboxPath);
+
+    await fsPromises.mkdir(path.dirname(outboxPath), { recursive: true });
+    await fsPromises.appendFile(
+      outboxPath,
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }) + "\n"
+    );
+  },
+};
+
+registerNotifier(outboxNotifier);
+
+module.exports = {
+  registerNotifier,
+  getNotifier,
+  listNotifiers,
+  sendNotification,
+};
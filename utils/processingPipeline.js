@@ -0,0 +1,630 @@
+const { v4: uuidv4 } = require('uuid');
+const FileType = require('file-type');
+const config = require('../config');
+const File = require('../models/File');
+const { logger } = require('./logger');
+const { virusScanner } = require('./virusScanner');
+const { FileCompressor } = require('./fileCompression');
+const { JOB_TYPES, JOB_PRIORITIES } = require('./jobQueue');
+const { enhancedProcessingTracker, getDerivedPublicId } = require('./enhancedFileProcessor');
+const { fileService } = require('../services/fileService');
+const { AppError, RetryableError, PermanentError, commonErrors } = require('../middleware/errorHandler');
+
+const KEYWORD_LIMIT = 50;
+
+// Steps run in the listed order once their dependencies complete; an optional step may fail without failing the file
+const PIPELINES = {
+  image: {
+    mimetypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
+    steps: [
+      { name: 'scan', dependsOn: [] },
+      { name: 'validate', dependsOn: ['scan'] },
+      { name: 'compress', dependsOn: ['validate'], optional: true },
+      { name: 'thumbnail', dependsOn: ['validate'], optional: true },
+      { name: 'metadata', dependsOn: ['validate'] },
+      { name: 'index', dependsOn: ['metadata'] }
+    ]
+  },
+  pdf: {
+    mimetypes: ['application/pdf'],
+    steps: [
+      { name: 'scan', dependsOn: [] },
+      { name: 'validate', dependsOn: ['scan'] },
+      { name: 'compress', dependsOn: ['validate'], optional: true },
+      { name: 'metadata', dependsOn: ['validate'] },
+      { name: 'index', dependsOn: ['metadata'] }
+    ]
+  },
+  csv: {
+    mimetypes: ['text/csv', 'application/csv', 'application/vnd.ms-excel', 'text/plain'],
+    steps: [
+      { name: 'scan', dependsOn: [] },
+      { name: 'validate', dependsOn: ['scan'] },
+      { name: 'compress', dependsOn: ['validate'], optional: true },
+      { name: 'metadata', dependsOn: ['validate'] },
+      { name: 'index', dependsOn: ['metadata'] }
+    ]
+  }
+};
+
+const STEPS = {
+  scan: {
+    maxAttempts: 3,
+    timeout: 120000,
+    async run({ file, getBuffer }) {
+      if (!config.security.virusTotalApiKey) {
+        return { skipped: true, reason: 'Virus scanning is not configured' };
+      }
+
+      const scan = await virusScanner.scanFile(await getBuffer(), file.originalName);
+      if (scan.scanner === 'error') {
+        throw new RetryableError(`Virus scan failed: ${scan.error}`);
+      }
+
+      await File.updateOne(
+        { fileId: file.fileId, version: file.version, status: { $ne: 'deleted' } },
+        {
+          $set: {
+            virusScanResult: {
+              clean: scan.clean,
+              scanner: scan.scanner,
+              scanDate: scan.timestamp,
+              threats: scan.threats.map(threat => ({ name: threat.name, severity: threat.engine }))
+            }
+          }
+        }
+      );
+
+      if (!scan.clean) {
+        throw new PermanentError(`Threats detected: ${scan.threats.map(threat => threat.name).join(', ')}`);
+      }
+
+      return { clean: true, scanner: scan.scanner, scanId: scan.scanId, duration: scan.duration };
+    }
+  },
+
+  validate: {
+    maxAttempts: 2,
+    async run({ file, getBuffer }) {
+      const buffer = await getBuffer();
+      if (buffer.length === 0) {
+        throw new PermanentError('Uploaded file has zero size');
+      }
+
+      const detected = await FileType.fromBuffer(buffer);
+      const isImage = file.mimetype.startsWith('image/');
+
+      if (isImage || file.mimetype === 'application/pdf') {
+        const matches = detected && (isImage ? detected.mime.startsWith('image/') : detected.mime === file.mimetype);
+        if (!matches) {
+          throw new PermanentError(`Content does not match the declared type ${file.mimetype}`);
+        }
+      } else if (detected) {
+        throw new PermanentError(`Content looks like ${detected.mime}, not ${file.mimetype}`);
+      }
+
+      return {
+        size: buffer.length,
+        detectedMimetype: detected ? detected.mime : file.mimetype
+      };
+    }
+  },
+
+  // Derived copies are stored unencrypted, so encrypted files get none
+  compress: {
+    cpuBound: true,
+    async run({ file, data, getBuffer }) {
+      if (file.encrypted) {
+        return { skipped: true, reason: 'Encrypted files are not compressed' };
+      }
+      if (data.compressionEnabled === false || !FileCompressor.isCompressionSupported(file.mimetype)) {
+        return { skipped: true, reason: 'Compression is disabled or not supported for this type' };
+      }
+
+      return enhancedProcessingTracker.storeCompressedCopy(
+        await getBuffer(),
+        file,
+        getDerivedPublicId(file.fileId, file.version, 'compressed')
+      );
+    }
+  },
+
+  thumbnail: {
+    cpuBound: true,
+    async run({ file, getBuffer }) {
+      if (file.encrypted) {
+        return { skipped: true, reason: 'Encrypted files get no thumbnail' };
+      }
+
+      return enhancedProcessingTracker.storeThumbnail(
+        await getBuffer(),
+        file,
+        getDerivedPublicId(file.fileId, file.version, 'thumbnail')
+      );
+    }
+  },
+
+  metadata: {
+    cpuBound: true,
+    async run({ file, data }) {
+      const outcome = await enhancedProcessingTracker.processFileWithRetry(
+        { id: file.fileId, originalName: file.originalName, mimetype: file.mimetype },
+        data.source
+      );
+
+      if (outcome.status === 'failed') {
+        throw new Error(outcome.result.error);
+      }
+      return outcome.result;
+    }
+  },
+
+  index: {
+    async run({ file, results }) {
+      const metadata = results.metadata || {};
+      const keywords = Array.from(new Set(
+        [...(metadata.keywords || []), ...(metadata.columns || [])]
+          .map(keyword => String(keyword).trim().toLowerCase())
+          .filter(Boolean)
+      )).slice(0, KEYWORD_LIMIT);
+
+      await File.updateOne(
+        { fileId: file.fileId, version: file.version, status: { $ne: 'deleted' } },
+        { $set: { keywords } }
+      );
+
+      return { keywordCount: keywords.length };
+    }
+  }
+};
+
+function getStepJobType(stepName) {
+  return `${JOB_TYPES.PROCESSING_STEP}:${stepName}`;
+}
+
+function getPipelineName(mimetype) {
+  return Object.keys(PIPELINES).find(name => PIPELINES[name].mimetypes.includes(mimetype)) || null;
+}
+
+// Steps that directly or indirectly depend on the given one, in pipeline order
+function getDownstreamSteps(pipeline, stepName) {
+  const downstream = new Set([stepName]);
+
+  for (const step of pipeline.steps) {
+    if (step.dependsOn.some(dependency => downstream.has(dependency))) {
+      downstream.add(step.name);
+    }
+  }
+
+  downstream.delete(stepName);
+  return pipeline.steps.filter(step => downstream.has(step.name)).map(step => step.name);
+}
+
+class ProcessingPipeline {
+  constructor() {
+    this.queue = enhancedProcessingTracker.queue;
+    this.stepUpdates = new Map();
+
+    this.registerProcessors();
+    this.registerOutcomeHandlers();
+  }
+
+  registerProcessors() {
+    for (const [name, step] of Object.entries(STEPS)) {
+      this.queue.registerProcessor(
+        getStepJobType(name),
+        (data, job) => this.runStep(name, data, job),
+        { cpuBound: !!step.cpuBound }
+      );
+    }
+  }
+
+  // Like whole-file jobs, steps may finish on any worker, so their state is recorded from queue events
+  registerOutcomeHandlers() {
+    this.queue.on('job:released', (job) => {
+      if (!this.isStepJob(job)) return;
+
+      this.recordStep(job, () => this.writeStep(job, { status: 'queued' }));
+    });
+
+    this.queue.on('job:started', (job) => {
+      if (!this.isStepJob(job)) return;
+
+      this.recordStep(job, async () => {
+        await this.writeStep(job, {
+          status: 'running',
+          attempts: job.attempts,
+          startedAt: job.startedAt || new Date(),
+          error: null
+        });
+        await fileService.updateVersionProcessingStatus(job.metadata.fileId, job.metadata.fileVersion, 'processing');
+      });
+    });
+
+    this.queue.on('job:completed', (job, result) => {
+      if (!this.isStepJob(job)) return;
+
+      this.recordStep(job, async () => {
+        await this.writeStep(job, {
+          status: 'completed',
+          attempts: job.attempts,
+          result,
+          completedAt: job.completedAt
+        });
+        await this.refreshFileStatus(job.metadata.fileId, job.metadata.fileVersion);
+      });
+    });
+
+    this.queue.on('job:retrying', (job, error) => {
+      if (!this.isStepJob(job)) return;
+
+      this.recordStep(job, () => this.writeStep(job, {
+        status: 'retrying',
+        attempts: job.attempts,
+        error: error.message
+      }));
+    });
+
+    this.queue.on('job:failed', (job, error) => {
+      if (!this.isStepJob(job)) return;
+
+      this.recordStep(job, async () => {
+        await this.writeStep(job, {
+          status: 'failed',
+          attempts: job.attempts,
+          error: error.message,
+          completedAt: job.completedAt
+        });
+        await this.blockDownstreamSteps(job);
+        await this.refreshFileStatus(job.metadata.fileId, job.metadata.fileVersion);
+      });
+    });
+  }
+
+  isStepJob(job) {
+    return job.type.startsWith(`${JOB_TYPES.PROCESSING_STEP}:`);
+  }
+
+  // Updates for one job are applied in event order, so a fast step cannot end up recorded as running
+  recordStep(job, update) {
+    const previous = this.stepUpdates.get(job.id) || Promise.resolve();
+    const next = previous.then(update).catch((error) => {
+      logger.error('Failed to record processing step', {
+        fileId: job.metadata.fileId,
+        step: job.metadata.step,
+        jobId: job.id,
+        error: error.message
+      });
+    });
+
+    this.stepUpdates.set(job.id, next);
+    next.then(() => {
+      if (this.stepUpdates.get(job.id) === next) {
+        this.stepUpdates.delete(job.id);
+      }
+    });
+
+    return next;
+  }
+
+  writeStep(job, update) {
+    const { fileId, fileVersion, step } = job.metadata;
+    return fileService.updateProcessingStep(fileId, fileVersion, step, job.id, update);
+  }
+
+  async blockDownstreamSteps(job) {
+    const { fileId, fileVersion, pipeline, step } = job.metadata;
+    const file = await File.findOne({ fileId, version: fileVersion, status: { $ne: 'deleted' } });
+    if (!file) return;
+
+    const states = new Map(file.processingSteps.map(state => [state.name, state]));
+
+    for (const name of getDownstreamSteps(PIPELINES[pipeline], step)) {
+      const state = states.get(name);
+
+      if (state && state.status === 'pending') {
+        await fileService.updateProcessingStep(fileId, fileVersion, name, state.jobId, {
+          status: 'blocked',
+          error: `Waiting on failed step ${step}`
+        });
+      }
+    }
+  }
+
+  // The file is processed once every required step has completed, and failed as soon as one of them fails
+  async refreshFileStatus(fileId, version) {
+    try {
+      const file = await File.findOne({ fileId, version, status: { $ne: 'deleted' } });
+      if (!file || !file.processingPipeline) return;
+
+      const steps = file.processingSteps;
+      const failed = steps.find(step => !step.optional && step.status === 'failed');
+
+      if (failed) {
+        await fileService.updateVersionProcessingStatus(fileId, version, 'failed', {
+          error: failed.error,
+          failedStep: failed.name,
+          failedAt: (failed.completedAt || new Date()).toISOString()
+        });
+        return;
+      }
+
+      const finished = steps.every(step => step.status === 'completed' || (step.optional && step.status === 'failed'));
+      if (!finished) return;
+
+      const results = Object.fromEntries(
+        steps.filter(step => step.status === 'completed').map(step => [step.name, step.result])
+      );
+
+      await fileService.updateVersionProcessingStatus(fileId, version, 'processed', {
+        ...results.metadata,
+        compression: results.compress,
+        thumbnail: results.thumbnail
+      });
+
+      logger.info('File processing pipeline completed', {
+        fileId,
+        version,
+        pipeline: file.processingPipeline,
+        failedOptionalSteps: steps.filter(step => step.status === 'failed').map(step => step.name)
+      });
+    } catch (error) {
+      logger.error('Failed to update file processing status', { fileId, version, error: error.message });
+    }
+  }
+
+  async runStep(stepName, data, job) {
+    const file = await File.findOne({ fileId: data.fileId, version: data.fileVersion, status: { $ne: 'deleted' } });
+
+    // A newer version or a deletion makes the remaining steps moot
+    if (!file) {
+      return { skipped: true, reason: 'File version is no longer current' };
+    }
+
+    const results = Object.fromEntries(
+      file.processingSteps
+        .filter(step => step.status === 'completed')
+        .map(step => [step.name, step.result])
+    );
+
+    let buffer = null;
+    const getBuffer = async () => {
+      buffer = buffer || await enhancedProcessingTracker.fetchBufferWithRetry(data.source);
+      return buffer;
+    };
+
+    job.updateStatus('processing', { progress: 10 });
+    const result = await STEPS[stepName].run({ file, data, results, job, getBuffer });
+    job.updateStatus('processing', { progress: 100 });
+
+    return result;
+  }
+
+  async enqueueSteps(file, pipelineName, jobIds, source, options = {}) {
+    const pipeline = PIPELINES[pipelineName];
+    const added = [];
+
+    const storedSource = { ...source };
+    delete storedSource.buffer;
+
+    try {
+      for (const step of pipeline.steps.filter(step => jobIds[step.name])) {
+        const definition = STEPS[step.name];
+
+        await this.queue.addJob(
+          getStepJobType(step.name),
+          {
+            fileId: file.fileId,
+            fileVersion: file.version,
+            source: storedSource,
+            compressionEnabled: options.compressionEnabled
+          },
+          {
+            jobId: jobIds[step.name],
+            dependsOn: step.dependsOn.filter(name => jobIds[name]).map(name => jobIds[name]),
+            userId: file.uploaderId,
+            priority: options.priority || JOB_PRIORITIES.NORMAL,
+            maxAttempts: definition.maxAttempts || options.maxAttempts || 3,
+            metadata: {
+              fileId: file.fileId,
+              fileVersion: file.version,
+              pipeline: pipelineName,
+              step: step.name,
+              originalName: file.originalName,
+              mimetype: file.mimetype,
+              timeout: definition.timeout || options.timeout || 300000
+            }
+          }
+        );
+        added.push(jobIds[step.name]);
+      }
+    } catch (error) {
+      await Promise.all(added.map(jobId => this.queue.cancelJob(jobId).catch(() => {})));
+      throw error;
+    }
+  }
+
+  // Records every step on the File before queueing, so the first job event always finds its step
+  async start(file, source, options = {}) {
+    const pipelineName = getPipelineName(file.mimetype);
+    const pipeline = PIPELINES[pipelineName];
+    const stepNames = pipeline.steps.map(step => step.name);
+    const now = new Date();
+
+    const jobIds = Object.fromEntries(stepNames.map(name => [name, uuidv4()]));
+    await fileService.setProcessingSteps(
+      file.fileId,
+      file.version,
+      pipelineName,
+      pipeline.steps.map(step => ({
+        name: step.name,
+        status: step.dependsOn.length > 0 ? 'pending' : 'queued',
+        optional: !!step.optional,
+        dependsOn: step.dependsOn,
+        jobId: jobIds[step.name],
+        queuedAt: now
+      }))
+    );
+
+    try {
+      await this.enqueueSteps(file, pipelineName, jobIds, source, options);
+    } catch (error) {
+      await fileService.updateVersionProcessingStatus(file.fileId, file.version, 'failed', {
+        error: `Failed to queue processing: ${error.message}`,
+        failedAt: new Date().toISOString()
+      });
+      throw error;
+    }
+
+    logger.info('File processing pipeline queued', {
+      fileId: file.fileId,
+      version: file.version,
+      pipeline: pipelineName,
+      steps: stepNames
+    });
+
+    return jobIds[stepNames[stepNames.length - 1]];
+  }
+
+  // Re-runs one step from its stored inputs; downstream steps that never completed run after it
+  async rerunStep(fileId, stepName, user) {
+    const file = await fileService.getFileById(fileId);
+
+    if (file.parentFileId) {
+      throw commonErrors.badRequest('Steps can only be re-run for the current version of a file');
+    }
+
+    const pipeline = PIPELINES[file.processingPipeline];
+    if (!pipeline) {
+      throw commonErrors.badRequest('This file was not processed by a pipeline');
+    }
+
+    const step = pipeline.steps.find(candidate => candidate.name === stepName);
+    if (!step) {
+      throw commonErrors.notFound('Processing step');
+    }
+
+    const states = new Map(file.processingSteps.map(state => [state.name, state]));
+    const current = states.get(stepName);
+
+    if (current && ['pending', 'queued', 'running', 'retrying'].includes(current.status)) {
+      throw new AppError(`Step ${stepName} is already ${current.status}`, 409);
+    }
+
+    const incomplete = step.dependsOn.filter(name => states.get(name)?.status !== 'completed');
+    if (incomplete.length > 0) {
+      throw new AppError(`Step ${stepName} needs ${incomplete.join(', ')} to complete first`, 409);
+    }
+
+    const stepNames = [
+      stepName,
+      ...getDownstreamSteps(pipeline, stepName).filter(name => states.get(name)?.status !== 'completed')
+    ];
+
+    // Retire the earlier jobs so a later replay of them cannot race the new run
+    for (const name of stepNames) {
+      const jobId = states.get(name)?.jobId;
+      if (!jobId) continue;
+
+      if (states.get(name).status === 'failed') {
+        await this.queue.discardDeadLetter(jobId);
+      } else {
+        await this.queue.cancelJob(jobId).catch(() => {});
+      }
+    }
+
+    const jobIds = Object.fromEntries(stepNames.map(name => [name, uuidv4()]));
+    const now = new Date();
+
+    for (const name of stepNames) {
+      await File.updateOne(
+        { fileId: file.fileId, version: file.version, 'processingSteps.name': name },
+        {
+          $set: {
+            'processingSteps.$.status': name === stepName ? 'queued' : 'pending',
+            'processingSteps.$.jobId': jobIds[name],
+            'processingSteps.$.attempts': 0,
+            'processingSteps.$.result': null,
+            'processingSteps.$.error': null,
+            'processingSteps.$.queuedAt': now,
+            'processingSteps.$.startedAt': null,
+            'processingSteps.$.completedAt': null
+          }
+        }
+      );
+    }
+
+    await this.enqueueSteps(
+      file,
+      file.processingPipeline,
+      jobIds,
+      {
+        publicId: file.cloudinaryPublicId,
+        secureUrl: file.cloudinaryUrl,
+        size: file.size,
+        resourceType: file.encrypted ? 'raw' : fileService.getResourceType(file.mimetype),
+        encryptionMeta: file.encryptionMeta
+      },
+      { priority: JOB_PRIORITIES.HIGH }
+    );
+
+    logger.info('Processing step re-run requested', {
+      fileId: file.fileId,
+      version: file.version,
+      step: stepName,
+      steps: stepNames,
+      requestedBy: user.userId
+    });
+
+    return {
+      fileId: file.fileId,
+      version: file.version,
+      step: stepName,
+      jobs: stepNames.map(name => ({ step: name, jobId: jobIds[name] }))
+    };
+  }
+}
+
+const processingPipeline = new ProcessingPipeline();
+
+// Stored files go through their mimetype's pipeline; anything else is processed as a single job
+async function queueFileProcessing(file, cloudinaryResult, options = {}) {
+  if (!getPipelineName(file.mimetype)) {
+    return enhancedProcessingTracker.startJob(
+      file.fileId,
+      {
+        originalName: file.originalName,
+        mimetype: file.mimetype,
+        size: file.size,
+        uploaderId: file.uploaderId
+      },
+      cloudinaryResult,
+      { ...options, fileVersion: file.version }
+    );
+  }
+
+  return processingPipeline.start(file, cloudinaryResult, options);
+}
+
+function describePipelines() {
+  return Object.entries(PIPELINES).map(([name, pipeline]) => ({
+    name,
+    mimetypes: pipeline.mimetypes,
+    steps: pipeline.steps.map(step => ({
+      name: step.name,
+      dependsOn: step.dependsOn,
+      optional: !!step.optional,
+      cpuBound: !!STEPS[step.name].cpuBound,
+      maxAttempts: STEPS[step.name].maxAttempts || null
+    }))
+  }));
+}
+
+module.exports = {
+  PIPELINES,
+  ProcessingPipeline,
+  processingPipeline,
+  queueFileProcessing,
+  describePipelines,
+  getPipelineName
+};
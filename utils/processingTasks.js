@@ -0,0 +1,119 @@
+const { Readable } = require('stream');
+const sharp = require('sharp');
+const csvParser = require('csv-parser');
+const pdfParse = require('pdf-parse');
+const { FileCompressor } = require('./fileCompression');
+const { RetryableError, PermanentError } = require('../middleware/errorHandler');
+
+// CPU-bound processing steps; these run on the worker pool threads, so they take and return plain data
+const SENSITIVE_COLUMN_PATTERNS = ['password', 'ssn', 'social', 'credit', 'card', 'phone', 'email'];
+const KEYWORD_LIMIT = 25;
+const STOP_WORDS = new Set([
+  'about', 'also', 'been', 'each', 'from', 'have', 'into', 'more', 'only', 'other', 'over', 'such',
+  'than', 'that', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'were', 'which', 'will',
+  'with', 'would', 'your'
+]);
+
+// Most frequent words of four or more letters, used by the index step
+function extractKeywords(text) {
+  const counts = new Map();
+
+  for (const word of text.toLowerCase().match(/[a-z][a-z'-]{3,}/g) || []) {
+    if (!STOP_WORDS.has(word)) {
+      counts.set(word, (counts.get(word) || 0) + 1);
+    }
+  }
+
+  return Array.from(counts.entries())
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, KEYWORD_LIMIT)
+    .map(([word]) => word);
+}
+
+async function imageMetadata(buffer) {
+  const metadata = await sharp(buffer).metadata();
+
+  return {
+    width: metadata.width || null,
+    height: metadata.height || null,
+    format: metadata.format || null
+  };
+}
+
+async function imagePreview({ buffer, format, size = 200 }) {
+  const thumbBuffer = await sharp(buffer).resize(size, size, { fit: 'cover' }).toBuffer();
+  return `data:image/${format};base64,${thumbBuffer.toString('base64')}`;
+}
+
+async function pdfSummary(buffer) {
+  const pdfData = await pdfParse(buffer);
+  const text = (pdfData.text || '').trim();
+
+  return {
+    pages: pdfData.numpages || 0,
+    wordCount: text ? text.split(/\s+/).filter(word => word.length > 0).length : 0,
+    hasText: !!text,
+    keywords: extractKeywords(text)
+  };
+}
+
+function csvSummary(buffer) {
+  let rowCount = 0;
+  let columns = [];
+  let sampleRowCount = 0;
+
+  return new Promise((resolve, reject) => {
+    const parser = csvParser({
+      skipEmptyLines: true,
+      skipLinesWithError: true
+    });
+
+    parser.on('headers', (headers) => {
+      columns = headers || [];
+    });
+
+    parser.on('data', () => {
+      rowCount++;
+      sampleRowCount = Math.min(rowCount, 3);
+    });
+
+    parser.on('end', () => {
+      resolve({
+        rowCount,
+        columnCount: columns.length,
+        columns,
+        hasSensitiveData: columns.some(col =>
+          SENSITIVE_COLUMN_PATTERNS.some(pattern => col.toLowerCase().includes(pattern))
+        ),
+        sampleRowCount
+      });
+    });
+
+    parser.on('error', (error) => {
+      if (error.message.includes('Invalid record') || error.message.includes('Malformed')) {
+        reject(new PermanentError(`CSV parsing failed: ${error.message}`));
+      } else {
+        reject(new RetryableError(`CSV processing failed: ${error.message}`));
+      }
+    });
+
+    Readable.from([buffer]).pipe(parser);
+  });
+}
+
+function compressFile({ buffer, filename, mimetype }) {
+  return FileCompressor.compressFile(buffer, filename, mimetype);
+}
+
+function generateThumbnail({ buffer, mimetype }) {
+  return FileCompressor.generateThumbnail(buffer, mimetype);
+}
+
+module.exports = {
+  imageMetadata,
+  imagePreview,
+  pdfSummary,
+  csvSummary,
+  compressFile,
+  generateThumbnail
+};
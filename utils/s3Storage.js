@@ -0,0 +1,430 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  CopyObjectCommand,
+  DeleteObjectCommand,
+  HeadBucketCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const config = require('../config');
+const { logger } = require('./logger');
+const { retryOperations } = require('./retryManager');
+const { RetryableError, PermanentError } = require('../middleware/errorHandler');
+const { FileCompressor } = require('./fileCompression');
+const { contentDisposition } = require('./contentDisposition');
+
+const DELETED_PREFIX = 'deleted';
+
+const s3Client = new S3Client({
+  region: config.storage.s3.region,
+  endpoint: config.storage.s3.endpoint || undefined,
+  forcePathStyle: config.storage.s3.forcePathStyle,
+  credentials: config.storage.s3.accessKeyId
+    ? {
+        accessKeyId: config.storage.s3.accessKeyId,
+        secretAccessKey: config.storage.s3.secretAccessKey
+      }
+    : undefined
+});
+
+function encodeKey(key) {
+  return key.split('/').map(encodeURIComponent).join('/');
+}
+
+function buildObjectUrl(key) {
+  const { bucket, region, endpoint, forcePathStyle } = config.storage.s3;
+
+  if (endpoint) {
+    const base = endpoint.replace(/\/+$/, '');
+    if (forcePathStyle) {
+      return `${base}/${bucket}/${encodeKey(key)}`;
+    }
+    const url = new URL(base);
+    return `${url.protocol}//${bucket}.${url.host}/${encodeKey(key)}`;
+  }
+
+  return `https://${bucket}.s3.${region}.amazonaws.com/${encodeKey(key)}`;
+}
+
+function isNotFoundError(error) {
+  return error.name === 'NotFound' ||
+    error.name === 'NoSuchKey' ||
+    error.$metadata?.httpStatusCode === 404;
+}
+
+function classifyS3Error(error, operation) {
+  const statusCode = error.$metadata?.httpStatusCode;
+  const message = `${operation} failed: ${error.message}`;
+
+  if (!statusCode || statusCode >= 500 || statusCode === 429) {
+    return new RetryableError(message);
+  }
+  if (statusCode === 413 || error.name === 'EntityTooLarge') {
+    return new PermanentError(`File too large for upload: ${error.message}`);
+  }
+  return new PermanentError(message, statusCode);
+}
+
+async function moveObject(fromKey, toKey) {
+  const { bucket } = config.storage.s3;
+
+  await s3Client.send(new CopyObjectCommand({
+    Bucket: bucket,
+    Key: toKey,
+    CopySource: `${bucket}/${encodeKey(fromKey)}`,
+    MetadataDirective: 'COPY'
+  }));
+
+  await s3Client.send(new DeleteObjectCommand({
+    Bucket: bucket,
+    Key: fromKey
+  }));
+}
+
+async function uploadToS3(fileBuffer, originalName, mimetype, options = {}) {
+  const context = {
+    operationName: 'S3 Upload',
+    originalName,
+    mimetype,
+    bufferSize: fileBuffer?.length
+  };
+
+  return retryOperations.fileUpload(async () => {
+    if (!fileBuffer || !Buffer.isBuffer(fileBuffer)) {
+      throw new PermanentError('Invalid file buffer provided');
+    }
+
+    if (fileBuffer.length === 0) {
+      throw new PermanentError('Empty file buffer');
+    }
+
+    if (!originalName || typeof originalName !== 'string') {
+      throw new PermanentError('Invalid original filename provided');
+    }
+
+    if (!mimetype || typeof mimetype !== 'string') {
+      throw new PermanentError('Invalid MIME type provided');
+    }
+
+    const {
+      buffer: uploadBuffer,
+      mimetype: uploadMimetype,
+      compression: compressionInfo
+    } = await FileCompressor.compressForUpload(fileBuffer, originalName, mimetype, options);
+
+    let resourceType = 'raw';
+    if (mimetype.startsWith('image/')) {
+      resourceType = 'image';
+    } else if (mimetype.startsWith('video/')) {
+      resourceType = 'video';
+    }
+
+    const timestamp = Date.now();
+    const randomString = Math.random().toString(36).substring(2, 15);
+    const key = options.public_id || `file-processing/${timestamp}-${randomString}`;
+
+    logger.info('Starting S3 upload', {
+      originalName,
+      mimetype: uploadMimetype,
+      bufferSize: uploadBuffer.length,
+      key,
+      compressed: !!compressionInfo
+    });
+
+    try {
+      await s3Client.send(new PutObjectCommand({
+        Bucket: config.storage.s3.bucket,
+        Key: key,
+        Body: uploadBuffer,
+        ContentType: uploadMimetype,
+        ContentLength: uploadBuffer.length,
+        Metadata: {
+          'original-name': encodeURIComponent(originalName),
+          'original-mimetype': mimetype,
+          'resource-type': resourceType
+        }
+      }));
+    } catch (error) {
+      logger.error('S3 upload failed', {
+        error: error.message,
+        errorCode: error.$metadata?.httpStatusCode,
+        originalName,
+        key
+      });
+      throw classifyS3Error(error, 'S3 upload');
+    }
+
+    const secureUrl = buildObjectUrl(key);
+
+    logger.info('File uploaded to S3', {
+      key,
+      originalName,
+      size: uploadBuffer.length,
+      bucket: config.storage.s3.bucket
+    });
+
+    const uploadResult = {
+      publicId: key,
+      secureUrl,
+      url: secureUrl,
+      size: uploadBuffer.length,
+      format: uploadMimetype.split('/').pop(),
+      resourceType,
+      width: null,
+      height: null,
+      originalName,
+      mimetype: uploadMimetype,
+      originalMimetype: mimetype,
+      createdAt: new Date().toISOString(),
+      buffer: uploadBuffer
+    };
+
+    if (compressionInfo) {
+      uploadResult.compression = compressionInfo;
+    }
+
+    return uploadResult;
+  }, context);
+}
+
+async function deleteFromS3(key) {
+  try {
+    const deletedKey = `${DELETED_PREFIX}/${Date.now()}_${key.replace(/\//g, '_')}`;
+
+    await moveObject(key, deletedKey);
+
+    logger.info('File moved to deleted prefix in S3', {
+      originalKey: key,
+      deletedKey
+    });
+
+    return {
+      result: 'moved_to_deleted',
+      deletedPublicId: deletedKey,
+      originalPublicId: key
+    };
+  } catch (error) {
+    logger.error('S3 soft deletion failed', {
+      error: error.message,
+      key
+    });
+    throw new Error(`Failed to soft delete file from S3: ${error.message}`);
+  }
+}
+
+async function permanentDeleteFromS3(key) {
+  try {
+    await s3Client.send(new DeleteObjectCommand({
+      Bucket: config.storage.s3.bucket,
+      Key: key
+    }));
+
+    logger.info('File permanently deleted from S3', { key });
+
+    return true;
+  } catch (error) {
+    logger.error('S3 permanent deletion failed', {
+      error: error.message,
+      key
+    });
+    throw new Error(`Failed to permanently delete file from S3: ${error.message}`);
+  }
+}
+
+async function restoreFromDeleted(deletedKey, originalKey) {
+  try {
+    let originalExists = true;
+    try {
+      await s3Client.send(new HeadObjectCommand({
+        Bucket: config.storage.s3.bucket,
+        Key: originalKey
+      }));
+    } catch (error) {
+      if (!isNotFoundError(error)) {
+        throw error;
+      }
+      originalExists = false;
+    }
+
+    if (originalExists) {
+      throw new Error(`An object already exists at ${originalKey}`);
+    }
+
+    await moveObject(deletedKey, originalKey);
+
+    logger.info('File restored from deleted prefix in S3', {
+      deletedKey,
+      restoredKey: originalKey
+    });
+
+    return {
+      result: 'restored',
+      restoredPublicId: originalKey,
+      deletedPublicId: deletedKey
+    };
+  } catch (error) {
+    logger.error('S3 file restoration failed', {
+      error: error.message,
+      deletedKey,
+      originalKey
+    });
+    throw new Error(`Failed to restore file from S3: ${error.message}`);
+  }
+}
+
+async function getFileMetadata(key) {
+  try {
+    const result = await s3Client.send(new HeadObjectCommand({
+      Bucket: config.storage.s3.bucket,
+      Key: key
+    }));
+
+    const metadata = result.Metadata || {};
+
+    return {
+      publicId: key,
+      format: (result.ContentType || '').split('/').pop() || null,
+      size: result.ContentLength,
+      width: null,
+      height: null,
+      createdAt: result.LastModified ? result.LastModified.toISOString() : null,
+      secureUrl: buildObjectUrl(key),
+      resourceType: metadata['resource-type'] || 'raw',
+      mimetype: result.ContentType || 'application/octet-stream',
+      originalName: metadata['original-name']
+        ? decodeURIComponent(metadata['original-name'])
+        : key.split('/').pop()
+    };
+  } catch (error) {
+    logger.error('Failed to get S3 metadata', {
+      error: error.message,
+      key
+    });
+    throw new Error(`Failed to get file metadata: ${error.message}`);
+  }
+}
+
+async function getFileStream(key) {
+  try {
+    const result = await s3Client.send(new GetObjectCommand({
+      Bucket: config.storage.s3.bucket,
+      Key: key
+    }));
+
+    return result.Body;
+  } catch (error) {
+    logger.error('Failed to open S3 object stream', {
+      error: error.message,
+      key
+    });
+    throw classifyS3Error(error, 'S3 read');
+  }
+}
+
+async function listFiles(options = {}) {
+  try {
+    const result = await s3Client.send(new ListObjectsV2Command({
+      Bucket: config.storage.s3.bucket,
+      Prefix: options.prefix || undefined,
+      ContinuationToken: options.cursor || undefined,
+      MaxKeys: Math.min(options.limit || 500, 1000)
+    }));
+
+    const objects = (result.Contents || []).filter(object =>
+      options.prefix || !object.Key.startsWith(`${DELETED_PREFIX}/`)
+    );
+
+    return {
+      items: objects.map(object => ({
+        publicId: object.Key,
+        size: object.Size,
+        format: null,
+        resourceType: null,
+        createdAt: object.LastModified ? object.LastModified.toISOString() : null,
+        secureUrl: buildObjectUrl(object.Key)
+      })),
+      nextCursor: result.IsTruncated ? result.NextContinuationToken : null
+    };
+  } catch (error) {
+    logger.error('Failed to list S3 objects', { error: error.message });
+    throw new Error(`Failed to list files: ${error.message}`);
+  }
+}
+
+async function generatePresignedDownloadUrl(key, filename = null, expiresIn = null) {
+  const cleanFilename = filename ? filename.split('/').pop() : null;
+
+  const command = new GetObjectCommand({
+    Bucket: config.storage.s3.bucket,
+    Key: key,
+    ...(cleanFilename && {
+      ResponseContentDisposition: contentDisposition(cleanFilename)
+    })
+  });
+
+  return getSignedUrl(s3Client, command, {
+    expiresIn: expiresIn || config.storage.s3.presignedUrlExpiry
+  });
+}
+
+function isS3Configured() {
+  return !!(
+    config.storage.s3.bucket &&
+    config.storage.s3.accessKeyId &&
+    config.storage.s3.secretAccessKey
+  );
+}
+
+async function testS3Connection() {
+  try {
+    if (!isS3Configured()) {
+      throw new Error('S3 bucket or credentials not configured');
+    }
+
+    await s3Client.send(new HeadBucketCommand({ Bucket: config.storage.s3.bucket }));
+
+    logger.info('S3 connection test successful', { bucket: config.storage.s3.bucket });
+    return { success: true, bucket: config.storage.s3.bucket };
+  } catch (error) {
+    logger.error('S3 connection test failed', { error: error.message });
+    return { success: false, error: error.message };
+  }
+}
+
+const s3Driver = {
+  name: 's3',
+  save: uploadToS3,
+  getStream: getFileStream,
+  delete: deleteFromS3,
+  permanentDelete: permanentDeleteFromS3,
+  restore: restoreFromDeleted,
+  stat: getFileMetadata,
+  list: listFiles,
+  async getSignedUrl(key, options = {}) {
+    return generatePresignedDownloadUrl(key, options.filename, options.expiresIn);
+  },
+  async initialize() {
+    const connectionTest = await testS3Connection();
+    if (!connectionTest.success) {
+      throw new Error(`S3 connection test failed: ${connectionTest.error}`);
+    }
+  }
+};
+
+module.exports = {
+  uploadToS3,
+  deleteFromS3,
+  permanentDeleteFromS3,
+  restoreFromDeleted,
+  getFileMetadata,
+  getFileStream,
+  listFiles,
+  generatePresignedDownloadUrl,
+  isS3Configured,
+  testS3Connection,
+  s3Driver,
+  s3Client
+};
@@ -0,0 +1,83 @@
+const config = require("../config");
+
+const { cloudinaryDriver } = require("./cloudinaryStorage");
+const { localDriver } = require("./localStorage");
+const { s3Driver } = require("./s3Storage");
+
+const STORAGE_DRIVER_METHODS = [
+  "save",
+  "getStream",
+  "delete",
+  "permanentDelete",
+  "restore",
+  "stat",
+  "list",
+  "getSignedUrl",
+  "initialize",
+];
+
+const drivers = new Map();
+
+function validateStorageDriver(driver) {
+  if (!driver || typeof driver.name !== "string" || !driver.name) {
+    throw new Error("Storage driver must have a name");
+  }
+
+  const missing = STORAGE_DRIVER_METHODS.filter(
+    (method) => typeof driver[method] !== "function"
+  );
+
+  if (missing.length > 0) {
+    throw new Error(
+      `Storage driver "${driver.name}" is missing methods: ${missing.join(", ")}`
+    );
+  }
+
+  if (
+    driver.getThumbnailUrl !== undefined &&
+    typeof driver.getThumbnailUrl !== "function"
+  ) {
+    throw new Error(
+      `Storage driver "${driver.name}" has an invalid getThumbnailUrl`
+    );
+  }
+
+  if (
+    driver.getFileUrl !== undefined &&
+    typeof driver.getFileUrl !== "function"
+  ) {
+    throw new Error(`Storage driver "${driver.name}" has an invalid getFileUrl`);
+  }
+}
+
+function registerStorageDriver(driver) {
+  validateStorageDriver(driver);
+  drivers.set(driver.name, driver);
+  return driver;
+}
+
+function getStorageDriver(name = config.storage.type) {
+  const driver = drivers.get(name);
+  if (!driver) {
+    throw new Error(`Unsupported storage type: ${name}`);
+  }
+  return driver;
+}
+
+function listStorageDrivers() {
+  return Array.from(drivers.values()).map((driver) => ({
+    name: driver.name,
+    supportsThumbnails: typeof driver.getThumbnailUrl === "function",
+  }));
+}
+
+registerStorageDriver(cloudinaryDriver);
+registerStorageDriver(localDriver);
+registerStorageDriver(s3Driver);
+
+module.exports = {
+  STORAGE_DRIVER_METHODS,
+  registerStorageDriver,
+  getStorageDriver,
+  listStorageDrivers,
+};
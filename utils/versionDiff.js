@@ -0,0 +1,340 @@
+const csvParser = require('csv-parser');
+const pdfParse = require('pdf-parse');
+const { Readable } = require('stream');
+const { AppError, commonErrors } = require('../middleware/errorHandler');
+
+const CSV_MIMETYPES = ['text/csv', 'application/csv', 'application/vnd.ms-excel'];
+const TEXT_MIMETYPES = ['text/plain'];
+
+// Bounds the Myers trace, which grows with the square of the number of edits
+const MAX_TEXT_EDIT_DISTANCE = 4000;
+
+function getDiffKind(mimetype) {
+  if (CSV_MIMETYPES.includes(mimetype)) {
+    return 'csv';
+  }
+  if (mimetype === 'application/pdf') {
+    return 'pdf';
+  }
+  if (TEXT_MIMETYPES.includes(mimetype)) {
+    return 'text';
+  }
+  return null;
+}
+
+function parseCsv(buffer) {
+  return new Promise((resolve, reject) => {
+    let columns = [];
+    const rows = [];
+
+    Readable.from([buffer])
+      .pipe(csvParser({
+        mapHeaders: ({ header, index }) => (index === 0 ? header.replace(/^\uFEFF/, '') : header).trim()
+      }))
+      .on('headers', (headers) => {
+        columns = headers;
+      })
+      .on('data', (row) => {
+        if (Object.values(row).some(value => value !== '')) {
+          rows.push(row);
+        }
+      })
+      .on('end', () => resolve({ columns, rows }))
+      .on('error', (error) => reject(commonErrors.badRequest(`Failed to parse CSV: ${error.message}`)));
+  });
+}
+
+async function extractText(buffer, kind) {
+  let text;
+
+  if (kind === 'pdf') {
+    try {
+      text = (await pdfParse(buffer)).text || '';
+    } catch (error) {
+      throw commonErrors.badRequest(`Failed to extract PDF text: ${error.message}`);
+    }
+  } else {
+    text = buffer.toString('utf8');
+  }
+
+  return text
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map(line => line.trimEnd());
+}
+
+function indexRows(rows, key) {
+  const byKey = new Map();
+  let duplicates = 0;
+
+  for (const row of rows) {
+    const value = row[key] ?? '';
+    if (byKey.has(value)) {
+      duplicates++;
+      continue;
+    }
+    byKey.set(value, row);
+  }
+
+  return { byKey, duplicates };
+}
+
+function diffCsv(from, to, { key, maxChanges }) {
+  const keyColumn = key || to.columns[0];
+
+  if (!keyColumn || !from.columns.includes(keyColumn) || !to.columns.includes(keyColumn)) {
+    throw commonErrors.badRequest(`Key column "${keyColumn || ''}" must exist in both versions`);
+  }
+
+  const addedColumns = to.columns.filter(column => !from.columns.includes(column));
+  const removedColumns = from.columns.filter(column => !to.columns.includes(column));
+  const sharedColumns = to.columns.filter(column => from.columns.includes(column) && column !== keyColumn);
+
+  const fromIndex = indexRows(from.rows, keyColumn);
+  const toIndex = indexRows(to.rows, keyColumn);
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+  let unchanged = 0;
+
+  for (const [keyValue, row] of toIndex.byKey) {
+    const previous = fromIndex.byKey.get(keyValue);
+
+    if (!previous) {
+      added.push({ key: keyValue, row });
+      continue;
+    }
+
+    const changes = sharedColumns
+      .filter(column => (previous[column] ?? '') !== (row[column] ?? ''))
+      .map(column => ({ column, from: previous[column] ?? '', to: row[column] ?? '' }));
+
+    if (changes.length > 0) {
+      changed.push({ key: keyValue, changes });
+    } else {
+      unchanged++;
+    }
+  }
+
+  for (const [keyValue, row] of fromIndex.byKey) {
+    if (!toIndex.byKey.has(keyValue)) {
+      removed.push({ key: keyValue, row });
+    }
+  }
+
+  return {
+    type: 'csv',
+    key: keyColumn,
+    columns: {
+      added: addedColumns,
+      removed: removedColumns
+    },
+    rows: {
+      added: added.slice(0, maxChanges),
+      removed: removed.slice(0, maxChanges),
+      changed: changed.slice(0, maxChanges)
+    },
+    summary: {
+      fromRows: from.rows.length,
+      toRows: to.rows.length,
+      addedRows: added.length,
+      removedRows: removed.length,
+      changedRows: changed.length,
+      unchangedRows: unchanged,
+      duplicateKeys: {
+        from: fromIndex.duplicates,
+        to: toIndex.duplicates
+      }
+    },
+    truncated: Math.max(added.length, removed.length, changed.length) > maxChanges
+  };
+}
+
+// Myers O((N+M)D) line diff; returns operations in order as [type, fromIndex, toIndex]
+function diffLines(a, b) {
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix &&
+    suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const A = a.slice(prefix, a.length - suffix);
+  const B = b.slice(prefix, b.length - suffix);
+  const N = A.length;
+  const M = B.length;
+  const max = N + M;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  let found = N === 0 && M === 0;
+
+  for (let d = 0; d <= max && !found; d++) {
+    if (d > MAX_TEXT_EDIT_DISTANCE) {
+      throw new AppError('The versions differ too much to compare line by line', 422);
+    }
+
+    trace.push(v.slice(offset - d, offset + d + 1));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < N && y < M && A[x] === B[y]) {
+        x++;
+        y++;
+      }
+
+      v[offset + k] = x;
+
+      if (x >= N && y >= M) {
+        found = true;
+        break;
+      }
+    }
+  }
+
+  const middle = [];
+  let x = N;
+  let y = M;
+
+  for (let d = trace.length - 1; d > 0; d--) {
+    const previous = trace[d];
+    const get = k => previous[k + d];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && get(k - 1) < get(k + 1))) ? k + 1 : k - 1;
+    const prevX = get(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      middle.push(['equal', x - 1, y - 1]);
+      x--;
+      y--;
+    }
+
+    if (x === prevX) {
+      middle.push(['added', null, y - 1]);
+    } else {
+      middle.push(['removed', x - 1, null]);
+    }
+
+    x = prevX;
+    y = prevY;
+  }
+
+  while (x > 0 && y > 0) {
+    middle.push(['equal', x - 1, y - 1]);
+    x--;
+    y--;
+  }
+
+  const operations = [];
+  for (let index = 0; index < prefix; index++) {
+    operations.push(['equal', index, index]);
+  }
+  for (const [type, fromIndex, toIndex] of middle.reverse()) {
+    operations.push([
+      type,
+      fromIndex === null ? null : fromIndex + prefix,
+      toIndex === null ? null : toIndex + prefix
+    ]);
+  }
+  for (let index = suffix; index > 0; index--) {
+    operations.push(['equal', a.length - index, b.length - index]);
+  }
+
+  return operations;
+}
+
+function diffText(fromLines, toLines, { context, maxChanges }) {
+  const operations = diffLines(fromLines, toLines);
+  const hunks = [];
+  let added = 0;
+  let removed = 0;
+  let reported = 0;
+  let truncated = false;
+  let hunk = null;
+  let lastChange = -Infinity;
+
+  operations.forEach(([type], index) => {
+    if (type === 'equal') {
+      return;
+    }
+
+    if (type === 'added') {
+      added++;
+    } else {
+      removed++;
+    }
+
+    if (reported >= maxChanges) {
+      truncated = true;
+      return;
+    }
+    reported++;
+
+    if (!hunk || index - lastChange > 2 * context) {
+      hunk = { start: Math.max(0, index - context), end: index };
+      hunks.push(hunk);
+    }
+    hunk.end = index;
+    lastChange = index;
+  });
+
+  return {
+    type: 'text',
+    hunks: hunks.map(({ start, end }) => {
+      const slice = operations.slice(start, Math.min(operations.length, end + context + 1));
+      const firstFrom = slice.find(([, fromIndex]) => fromIndex !== null);
+      const firstTo = slice.find(([, , toIndex]) => toIndex !== null);
+
+      return {
+        fromStart: firstFrom ? firstFrom[1] + 1 : 0,
+        fromLines: slice.filter(([, fromIndex]) => fromIndex !== null).length,
+        toStart: firstTo ? firstTo[2] + 1 : 0,
+        toLines: slice.filter(([, , toIndex]) => toIndex !== null).length,
+        lines: slice.map(([type, fromIndex, toIndex]) => ({
+          type: type === 'equal' ? 'context' : type,
+          text: type === 'added' ? toLines[toIndex] : fromLines[fromIndex]
+        }))
+      };
+    }),
+    summary: {
+      fromLines: fromLines.length,
+      toLines: toLines.length,
+      addedLines: added,
+      removedLines: removed
+    },
+    truncated
+  };
+}
+
+async function diffContents(fromContent, toContent, kind, options) {
+  if (kind === 'csv') {
+    const [from, to] = await Promise.all([parseCsv(fromContent), parseCsv(toContent)]);
+    return diffCsv(from, to, options);
+  }
+
+  const fromLines = await extractText(fromContent, kind);
+  const toLines = await extractText(toContent, kind);
+
+  return { ...diffText(fromLines, toLines, options), source: kind };
+}
+
+module.exports = {
+  getDiffKind,
+  diffContents,
+  diffCsv,
+  diffText
+};
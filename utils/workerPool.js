@@ -0,0 +1,389 @@
+const EventEmitter = require('events');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const { logger } = require('./logger');
+const { RetryableError, PermanentError } = require('../middleware/errorHandler');
+
+// Buffers cross the thread boundary as plain Uint8Arrays; restore them one level deep
+function toBuffers(value) {
+  if (value instanceof Uint8Array && !Buffer.isBuffer(value)) {
+    return Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+  }
+
+  if (value && typeof value === 'object' && !Array.isArray(value) && !Buffer.isBuffer(value)) {
+    for (const [key, item] of Object.entries(value)) {
+      if (item instanceof Uint8Array && !Buffer.isBuffer(item)) {
+        value[key] = Buffer.from(item.buffer, item.byteOffset, item.byteLength);
+      }
+    }
+  }
+
+  return value;
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    statusCode: error.statusCode,
+    isPermanent: !!error.isPermanent,
+    isRetryable: !!error.isRetryable
+  };
+}
+
+function deserializeError(data) {
+  if (data.isPermanent) {
+    return new PermanentError(data.message, data.statusCode);
+  }
+  if (data.isRetryable) {
+    return new RetryableError(data.message, data.statusCode);
+  }
+
+  const error = new Error(data.message);
+  error.name = data.name;
+  return error;
+}
+
+// Runs named tasks from a module on a fixed set of worker threads, so CPU-heavy work stays off the event loop
+class WorkerPool extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.name = options.name || 'default';
+    this.tasksModule = options.tasks;
+    this.size = options.size === undefined ? 1 : options.size;
+    this.maxMemoryMb = options.maxMemoryMb || 512;
+    this.taskTimeout = options.taskTimeout || 120000;
+
+    this.workers = new Set();
+    this.idle = [];
+    this.pending = [];
+    this.nextTaskId = 0;
+    this.reserved = 0;
+    this.closed = false;
+
+    this.stats = {
+      completedTasks: 0,
+      failedTasks: 0,
+      timedOutTasks: 0,
+      cancelledTasks: 0,
+      memoryKills: 0,
+      crashedWorkers: 0,
+      totalBusyTime: 0,
+      startedAt: Date.now()
+    };
+  }
+
+  // options.signal cancels the task: a queued one is dropped and a running one has its thread terminated
+  run(task, payload, options = {}) {
+    if (this.closed) {
+      return Promise.reject(new RetryableError('Worker pool is shut down'));
+    }
+
+    const { signal } = options;
+    if (signal && signal.aborted) {
+      return Promise.reject(new PermanentError(`Worker task ${task} was cancelled`));
+    }
+
+    const timeout = options.timeout || this.taskTimeout;
+
+    // A pool of size 0 runs tasks inline, e.g. where worker threads are unavailable
+    if (this.size === 0) {
+      return this.runInline(task, payload);
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = {
+        id: ++this.nextTaskId,
+        task,
+        payload,
+        timeout,
+        resolve,
+        reject
+      };
+
+      if (signal) {
+        entry.signal = signal;
+        entry.onAbort = () => this.cancel(entry);
+        signal.addEventListener('abort', entry.onAbort, { once: true });
+      }
+
+      this.pending.push(entry);
+      this.dispatch();
+    });
+  }
+
+  async runInline(task, payload) {
+    const tasks = require(this.tasksModule);
+    if (typeof tasks[task] !== 'function') {
+      throw new PermanentError(`Unknown worker task: ${task}`);
+    }
+
+    const startTime = Date.now();
+    try {
+      const result = await tasks[task](payload);
+      this.stats.completedTasks++;
+      return result;
+    } catch (error) {
+      this.stats.failedTasks++;
+      throw error;
+    } finally {
+      this.stats.totalBusyTime += Date.now() - startTime;
+    }
+  }
+
+  dispatch() {
+    while (this.pending.length > 0) {
+      let worker = this.idle.pop();
+
+      if (!worker) {
+        if (this.workers.size >= this.size) {
+          return;
+        }
+        worker = this.spawnWorker();
+      }
+
+      this.assign(worker, this.pending.shift());
+    }
+  }
+
+  spawnWorker() {
+    const worker = new Worker(__filename, {
+      workerData: { tasks: this.tasksModule },
+      resourceLimits: { maxOldGenerationSizeMb: this.maxMemoryMb }
+    });
+
+    worker.current = null;
+    worker.on('message', (message) => this.handleMessage(worker, message));
+    worker.on('error', (error) => this.handleWorkerError(worker, error));
+    worker.on('exit', (code) => this.handleWorkerExit(worker, code));
+    worker.unref();
+
+    this.workers.add(worker);
+    return worker;
+  }
+
+  assign(worker, entry) {
+    worker.current = entry;
+    entry.startedAt = Date.now();
+    entry.timer = setTimeout(() => this.killRunaway(worker), entry.timeout);
+
+    worker.ref();
+    worker.postMessage({ id: entry.id, task: entry.task, payload: entry.payload });
+  }
+
+  finish(worker, settle) {
+    const entry = worker.current;
+    if (!entry) {
+      return;
+    }
+
+    clearTimeout(entry.timer);
+    if (entry.signal) {
+      entry.signal.removeEventListener('abort', entry.onAbort);
+    }
+    worker.current = null;
+    this.stats.totalBusyTime += Date.now() - entry.startedAt;
+    settle(entry);
+
+    this.emit('task:finished', entry.task);
+  }
+
+  handleMessage(worker, message) {
+    if (!worker.current || worker.current.id !== message.id) {
+      return;
+    }
+
+    this.finish(worker, (entry) => {
+      if (message.error) {
+        this.stats.failedTasks++;
+        entry.reject(deserializeError(message.error));
+      } else {
+        this.stats.completedTasks++;
+        entry.resolve(toBuffers(message.result));
+      }
+    });
+
+    worker.unref();
+    if (this.workers.has(worker)) {
+      this.idle.push(worker);
+    }
+    this.dispatch();
+  }
+
+  killRunaway(worker) {
+    const entry = worker.current;
+    if (!entry) {
+      return;
+    }
+
+    this.stats.timedOutTasks++;
+    logger.warn('Terminating worker thread after task timeout', {
+      pool: this.name,
+      task: entry.task,
+      timeout: entry.timeout
+    });
+
+    this.finish(worker, ({ reject }) => {
+      this.stats.failedTasks++;
+      reject(new RetryableError(`Worker task ${entry.task} exceeded timeout of ${entry.timeout}ms`));
+    });
+    this.retire(worker);
+  }
+
+  cancel(entry) {
+    const index = this.pending.indexOf(entry);
+
+    if (index !== -1) {
+      this.pending.splice(index, 1);
+      this.stats.cancelledTasks++;
+      entry.reject(new PermanentError(`Worker task ${entry.task} was cancelled`));
+      return;
+    }
+
+    const worker = Array.from(this.workers).find(candidate => candidate.current === entry);
+    if (!worker) {
+      return;
+    }
+
+    this.stats.cancelledTasks++;
+    logger.warn('Terminating worker thread for a cancelled task', {
+      pool: this.name,
+      task: entry.task
+    });
+
+    this.finish(worker, ({ reject }) => {
+      reject(new PermanentError(`Worker task ${entry.task} was cancelled`));
+    });
+    this.retire(worker);
+  }
+
+  handleWorkerError(worker, error) {
+    const entry = worker.current;
+    const outOfMemory = error.code === 'ERR_WORKER_OUT_OF_MEMORY';
+
+    if (outOfMemory) {
+      this.stats.memoryKills++;
+    } else {
+      this.stats.crashedWorkers++;
+    }
+
+    logger.error('Worker thread failed', {
+      pool: this.name,
+      task: entry ? entry.task : null,
+      error: error.message,
+      code: error.code
+    });
+
+    this.finish(worker, ({ reject, task }) => {
+      this.stats.failedTasks++;
+      reject(outOfMemory
+        ? new PermanentError(`Worker task ${task} exceeded the memory limit of ${this.maxMemoryMb}MB`)
+        : new RetryableError(`Worker task ${task} crashed: ${error.message}`));
+    });
+    this.retire(worker);
+  }
+
+  handleWorkerExit(worker, code) {
+    if (worker.current) {
+      this.stats.crashedWorkers++;
+      this.finish(worker, ({ reject, task }) => {
+        this.stats.failedTasks++;
+        reject(new RetryableError(`Worker thread exited with code ${code} while running ${task}`));
+      });
+    }
+
+    this.retire(worker);
+  }
+
+  // Drops a worker from the pool; a replacement is spawned on demand
+  retire(worker) {
+    if (!this.workers.delete(worker)) {
+      return;
+    }
+
+    this.idle = this.idle.filter(idleWorker => idleWorker !== worker);
+    worker.terminate().catch(() => {});
+    this.dispatch();
+  }
+
+  // Callers that will keep a thread busy for a while (e.g. a claimed job) hold a slot until they are done
+  reserve() {
+    this.reserved++;
+  }
+
+  release() {
+    this.reserved = Math.max(0, this.reserved - 1);
+    this.emit('released');
+  }
+
+  hasCapacity() {
+    return this.size === 0 || this.reserved < this.size;
+  }
+
+  getStats() {
+    const busy = Array.from(this.workers).filter(worker => worker.current).length;
+    const uptime = Date.now() - this.stats.startedAt;
+
+    return {
+      name: this.name,
+      size: this.size,
+      threads: this.workers.size,
+      busy,
+      idle: this.workers.size - busy,
+      queuedTasks: this.pending.length,
+      reserved: this.reserved,
+      utilization: this.size > 0 ? busy / this.size : 0,
+      // Share of total thread time spent running tasks since the pool started
+      averageUtilization: this.size > 0 && uptime > 0
+        ? Math.min(1, this.stats.totalBusyTime / (uptime * this.size))
+        : 0,
+      maxMemoryMb: this.maxMemoryMb,
+      taskTimeout: this.taskTimeout,
+      completedTasks: this.stats.completedTasks,
+      failedTasks: this.stats.failedTasks,
+      timedOutTasks: this.stats.timedOutTasks,
+      cancelledTasks: this.stats.cancelledTasks,
+      memoryKills: this.stats.memoryKills,
+      crashedWorkers: this.stats.crashedWorkers
+    };
+  }
+
+  async shutdown() {
+    this.closed = true;
+
+    for (const entry of this.pending.splice(0)) {
+      entry.reject(new RetryableError('Worker pool is shut down'));
+    }
+
+    const workers = Array.from(this.workers);
+    this.workers.clear();
+    this.idle = [];
+
+    for (const worker of workers) {
+      this.finish(worker, ({ reject }) => reject(new RetryableError('Worker pool is shut down')));
+    }
+
+    await Promise.all(workers.map(worker => worker.terminate().catch(() => {})));
+  }
+}
+
+if (!isMainThread && workerData && workerData.tasks) {
+  const tasks = require(workerData.tasks);
+
+  parentPort.on('message', async ({ id, task, payload }) => {
+    try {
+      if (typeof tasks[task] !== 'function') {
+        throw new PermanentError(`Unknown worker task: ${task}`);
+      }
+
+      const result = await tasks[task](toBuffers(payload));
+      parentPort.postMessage({ id, result });
+    } catch (error) {
+      parentPort.postMessage({ id, error: serializeError(error) });
+    }
+  });
+}
+
+module.exports = {
+  WorkerPool
+};